@@ -1,15 +1,42 @@
 /**
  * Audio module for NEON WAVE game
- * Creates synthesized 8-bit style synthwave music
+ * Creates synthesized 8-bit style synthwave music, sequencing the JSON songs from data/songs
+ * Music and sound effects (sfx.js) have their own volume buses into the master gain
  */
+import { random, createRandom } from './random.js';
+import { getBarSteps } from '../data/songs.js';
+import {
+  MASTER_VOLUME,
+  MUSIC_VOLUME,
+  SFX_VOLUME,
+  MUSIC_TEMPO_RANGE,
+  MUSIC_FILTER_CUTOFF,
+  MUSIC_LAYER_THRESHOLDS,
+  MUSIC_FADE_OUT_TIME,
+  MUSIC_PAUSE_FADE_TIME,
+  AUDIO_ANALYSER_FFT_SIZE,
+  AUDIO_ANALYSER_SMOOTHING,
+  AUDIO_BANDS,
+  EXPORT_SAMPLE_RATE
+} from './constants.js';
 
 // Audio context and nodes
 let audioContext;
 let masterGainNode;
+let musicGainNode; // Music bus
+let musicFilterNode; // Lowpass on the music, opened up as intensity rises
+let sfxGainNode; // Sound effects bus
+let liveOutput; // Where the sequencer plays while the game runs (see renderLoop for the offline one)
+let analyserNode; // Taps the master mix for the audio-reactive visuals
+let frequencyData;
 
 // Music state
 let musicEnabled = false;
 let isPlaying = false;
+let isPaused = false; // Game is paused - the audio clock is frozen
+let isFadingOut = false; // Switched off, but still playing under the fade
+let fadeTimeoutId;
+let musicVolume = MUSIC_VOLUME;
 let currentPattern = 0;
 let patternTimeoutId;
 let nextNoteTime = 0;
@@ -18,35 +45,27 @@ let noteLength = 0.15; // Length of "beep" (in seconds)
 let noteSpacing = 0.05; // Additional space between notes (in seconds)
 let timeoutId;
 
-// Synth parameters
-const bpm = 120; // Tempo in beats per minute
-const secondsPerBeat = 60.0 / bpm;
-
-// Track components
-let bassOscillators = [];
-let melodyOscillators = [];
-let arpeggioOscillators = [];
-let kickOscillators = [];
-let snareOscillators = [];
-let hihatOscillators = [];
-
-// Synthwave scales and chords
-const minorScale = [0, 2, 3, 5, 7, 8, 10, 12]; // Minor scale (A minor)
-const bassNotes = [45, 45, 50, 52]; // A, A, D, E
-const chordProgression = [
-  [45, 49, 52], // A minor (A, C, E)
-  [45, 48, 52], // A sus2 (A, B, E)
-  [50, 54, 57], // D minor (D, F, A)
-  [52, 56, 59]  // E minor (E, G, B)
-];
-
-// Melodies - emulates classic synthwave arpeggios
-const melodyPatterns = [
-  [9, 7, 4, 0, 4, 7],
-  [7, 4, 0, 4, 7, 11],
-  [9, 7, 3, 0, 3, 7],
-  [7, 4, 0, 4, 7, 7]
-];
+// Song being played (set by setSong - see data/songs.js for the format)
+let song = null;
+let secondsPerBeat = 0.5;
+
+// Set by the game as it speeds up (see engine/adaptiveMusic.js) - full intensity until then
+let intensity = 1;
+let tempoScale = 1;
+let filterCutoff = MUSIC_FILTER_CUTOFF.max;
+
+// Notes still sounding, so stopping the music can fade them out
+let activeNotes = [];
+
+// Chord used for effects until a song has loaded (A minor)
+const fallbackChord = [45, 48, 52];
+
+// Drum voices, by track name
+const drumPlayers = {
+  kick: playKick,
+  snare: playNoiseHit,
+  hihat: playNoiseHit
+};
 
 // Init function - creates the audio context and sets up the tracks
 export function initAudio() {
@@ -59,9 +78,31 @@ export function initAudio() {
       
       // Create master gain node (volume control)
       masterGainNode = audioContext.createGain();
-      masterGainNode.gain.value = 0.6; // Set overall volume
+      masterGainNode.gain.value = MASTER_VOLUME; // Set overall volume
       masterGainNode.connect(audioContext.destination);
       
+      // Analyser on the final mix - it has no outputs, so it only listens
+      analyserNode = audioContext.createAnalyser();
+      analyserNode.fftSize = AUDIO_ANALYSER_FFT_SIZE;
+      analyserNode.smoothingTimeConstant = AUDIO_ANALYSER_SMOOTHING;
+      frequencyData = new Uint8Array(analyserNode.frequencyBinCount);
+      masterGainNode.connect(analyserNode);
+      
+      // Separate buses so music and effects can be balanced independently
+      musicGainNode = audioContext.createGain();
+      musicGainNode.gain.value = MUSIC_VOLUME;
+      musicGainNode.connect(masterGainNode);
+      
+      musicFilterNode = audioContext.createBiquadFilter();
+      musicFilterNode.type = 'lowpass';
+      musicFilterNode.frequency.value = filterCutoff;
+      musicFilterNode.connect(musicGainNode);
+      liveOutput = { destination: musicFilterNode, random: () => random('audio'), live: true };
+      
+      sfxGainNode = audioContext.createGain();
+      sfxGainNode.gain.value = SFX_VOLUME;
+      sfxGainNode.connect(masterGainNode);
+      
       console.log('Audio system initialized with state:', audioContext.state);
     }
     return true;
@@ -101,6 +142,9 @@ export function startMusic() {
     if (!success) return false;
   }
   
+  // Paused - resumeMusic starts it once the game carries on
+  if (isPaused) return true;
+  
   // If context is suspended, resume it and start playing
   if (audioContext.state === 'suspended') {
     // Use a promise to ensure we only start playing after context is resumed
@@ -116,8 +160,18 @@ export function startMusic() {
   return true;
 }
 
-// Helper to start actual playback
+// Helper to start actual playback (waits for setSong if no song has loaded yet)
 function startPlayback() {
+  if (!song) return;
+  
+  // Switched back on while fading out - the sequencer is still running, so just fade back in
+  if (isFadingOut) {
+    isFadingOut = false;
+    isPlaying = true;
+    fadeMusic(musicVolume, MUSIC_PAUSE_FADE_TIME);
+    return;
+  }
+  
   if (!isPlaying) {
     isPlaying = true;
     nextNoteTime = audioContext.currentTime;
@@ -126,386 +180,321 @@ function startPlayback() {
   }
 }
 
-// Stop the music
-export function stopMusic() {
+// Stop the music, fading it out over fadeTime seconds (0 stops it at once)
+export function stopMusic(fadeTime = MUSIC_FADE_OUT_TIME) {
+  const wasPlaying = isPlaying || isFadingOut;
   isPlaying = false;
   
-  // Clear any timeouts
-  if (timeoutId) {
-    clearTimeout(timeoutId);
-  }
-  
   if (patternTimeoutId) {
     clearTimeout(patternTimeoutId);
   }
   
-  // Stop all oscillators
-  stopAllOscillators();
+  // Keep the sequencer going under the fade, so the music doesn't thin out to just its long notes
+  if (wasPlaying && fadeTime > 0 && audioContext && audioContext.state === 'running') {
+    if (!isFadingOut) {
+      isFadingOut = true;
+      fadeMusic(0, fadeTime, finishStopping);
+      console.log('Music fading out');
+    }
+    return true;
+  }
   
+  finishStopping();
   console.log('Music stopped');
   return true;
 }
 
-// Schedule the next set of notes
-function scheduleNotes() {
-  // If not playing, don't schedule more notes
-  if (!isPlaying) return;
+// Stop the sequencer and everything still sounding, ready to play again at full volume
+function finishStopping() {
+  isFadingOut = false;
   
-  // Schedule multiple patterns ahead
-  while (nextNoteTime < audioContext.currentTime + scheduleAheadTime) {
-    playPattern(nextNoteTime);
-    advanceNote();
+  // Clear any timeouts
+  if (timeoutId) {
+    clearTimeout(timeoutId);
+  }
+  if (fadeTimeoutId) {
+    clearTimeout(fadeTimeoutId);
   }
   
-  // Schedule next check
-  timeoutId = setTimeout(scheduleNotes, 25);
-}
-
-// Advance to the next note position
-function advanceNote() {
-  // 4/4 time, 4 beats per pattern
-  nextNoteTime += secondsPerBeat * 4;
+  if (!audioContext) return;
   
-  // Move to next pattern
-  currentPattern = (currentPattern + 1) % chordProgression.length;
+  // Stop all oscillators, then bring the volume back once they're gone
+  stopAllOscillators();
+  const now = audioContext.currentTime;
+  musicGainNode.gain.cancelScheduledValues(now);
+  musicGainNode.gain.setValueAtTime(musicGainNode.gain.value, now);
+  musicGainNode.gain.setValueAtTime(musicVolume, now + 0.15);
 }
 
-// Play a pattern at the scheduled time
-function playPattern(time) {
-  const patternIndex = currentPattern;
-  const chordIndex = patternIndex % chordProgression.length;
-  
-  // Play bass note
-  playBassNote(bassNotes[chordIndex], time, secondsPerBeat * 4);
-  
-  // Play chord arpeggio
-  playArpeggios(chordProgression[chordIndex], time, patternIndex);
+// Ramp the music bus to a volume, then call done
+function fadeMusic(volume, duration, done) {
+  if (fadeTimeoutId) {
+    clearTimeout(fadeTimeoutId);
+  }
   
-  // Play melody pattern
-  playMelody(chordProgression[chordIndex], melodyPatterns[patternIndex % melodyPatterns.length], time);
+  const now = audioContext.currentTime;
+  musicGainNode.gain.cancelScheduledValues(now);
+  musicGainNode.gain.setValueAtTime(musicGainNode.gain.value, now);
+  musicGainNode.gain.linearRampToValueAtTime(volume, now + duration);
   
-  // Play drums
-  playDrums(time);
+  if (done) {
+    fadeTimeoutId = setTimeout(done, duration * 1000);
+  }
 }
 
-// Play a bass note
-function playBassNote(note, time, duration) {
-  // Create oscillator for bass
-  const oscillator = audioContext.createOscillator();
-  const gainNode = audioContext.createGain();
-  
-  // Set up oscillator
-  oscillator.type = 'sawtooth';
-  oscillator.frequency.value = midiToFrequency(note);
-  
-  // Apply envelope
-  gainNode.gain.setValueAtTime(0.5, time);
-  gainNode.gain.exponentialRampToValueAtTime(0.01, time + duration - 0.1);
-  
-  // Connect nodes
-  oscillator.connect(gainNode);
-  gainNode.connect(masterGainNode);
-  
-  // Start and stop
-  oscillator.start(time);
-  oscillator.stop(time + duration);
+// Freeze the music while the game is paused
+export function pauseMusic() {
+  if (isPaused) return;
+  isPaused = true;
+  
+  // Music being switched off is cut short rather than left to carry on through the pause
+  if (isFadingOut) {
+    finishStopping();
+  }
   
-  // Add to tracking array to clean up later
-  bassOscillators.push({oscillator, gainNode});
+  if (!audioContext || audioContext.state !== 'running') {
+    if (timeoutId) {
+      clearTimeout(timeoutId);
+    }
+    return;
+  }
   
-  // Clean up
-  oscillator.onended = function() {
-    gainNode.disconnect();
-    const index = bassOscillators.findIndex(o => o.oscillator === oscillator);
-    if (index >= 0) {
-      bassOscillators.splice(index, 1);
+  // Fade out, then stop scheduling ahead - suspending the context freezes its clock, so the notes
+  // already scheduled carry on exactly where they left off
+  fadeMusic(0, MUSIC_PAUSE_FADE_TIME, () => {
+    if (timeoutId) {
+      clearTimeout(timeoutId);
     }
-  };
+    audioContext.suspend().catch(err => console.error('Could not suspend audio:', err));
+  });
 }
 
-// Play arpeggiated chord
-function playArpeggios(chord, time, patternIndex) {
-  const noteDuration = secondsPerBeat / 2; // Eighth notes
+// Carry on with the music after a pause
+export function resumeMusic() {
+  if (!isPaused) return;
+  isPaused = false;
   
-  // Different arpeggio patterns based on current pattern
-  const arpPattern = patternIndex % 2 === 0 ? 
-    [0, 1, 2, 1, 0, 1, 2, 2] : 
-    [2, 1, 0, 1, 2, 1, 0, 0];
+  if (!audioContext) return;
   
-  // Play each note in the arpeggio
-  for (let i = 0; i < 8; i++) {
-    const noteTime = time + (noteDuration * i);
-    const note = chord[arpPattern[i]];
-    
-    // Create oscillator
-    const oscillator = audioContext.createOscillator();
-    const gainNode = audioContext.createGain();
-    
-    // Set up oscillator
-    oscillator.type = 'square';
-    oscillator.frequency.value = midiToFrequency(note);
-    
-    // Apply envelope
-    gainNode.gain.setValueAtTime(0.0, noteTime);
-    gainNode.gain.linearRampToValueAtTime(0.2, noteTime + 0.02);
-    gainNode.gain.exponentialRampToValueAtTime(0.01, noteTime + noteDuration - 0.05);
-    
-    // Add slight detune for width
-    oscillator.detune.value = Math.random() * 10 - 5;
-    
-    // Connect nodes
-    oscillator.connect(gainNode);
-    gainNode.connect(masterGainNode);
-    
-    // Start and stop
-    oscillator.start(noteTime);
-    oscillator.stop(noteTime + noteDuration);
-    
-    // Add to tracking array
-    arpeggioOscillators.push({oscillator, gainNode});
+  // Unpaused before the fade finished - don't suspend after all
+  if (fadeTimeoutId) {
+    clearTimeout(fadeTimeoutId);
+  }
+  
+  audioContext.resume().then(() => {
+    fadeMusic(musicVolume, MUSIC_PAUSE_FADE_TIME);
     
-    // Clean up
-    oscillator.onended = function() {
-      gainNode.disconnect();
-      const index = arpeggioOscillators.findIndex(o => o.oscillator === oscillator);
-      if (index >= 0) {
-        arpeggioOscillators.splice(index, 1);
+    if (isPlaying) {
+      if (timeoutId) {
+        clearTimeout(timeoutId);
       }
-    };
+      scheduleNotes();
+    } else if (musicEnabled) {
+      // Music was switched on during the pause
+      startPlayback();
+    }
+  }).catch(err => console.error('Could not resume audio:', err));
+}
+
+// Set how intense the music is (0-1) and how much faster or slower than the song's own tempo it plays
+export function setMusicIntensity(level, tempo = 1) {
+  intensity = Math.max(0, Math.min(1, level));
+  tempoScale = Math.max(MUSIC_TEMPO_RANGE.min, Math.min(MUSIC_TEMPO_RANGE.max, tempo));
+  
+  // Open the filter up exponentially, so each step sounds about as big as the last
+  const cutoff = MUSIC_FILTER_CUTOFF.min * Math.pow(MUSIC_FILTER_CUTOFF.max / MUSIC_FILTER_CUTOFF.min, intensity);
+  
+  // Only glide to a new cutoff when it has really moved, as this is called every frame
+  if (Math.abs(cutoff - filterCutoff) / filterCutoff > 0.01) {
+    filterCutoff = cutoff;
+    if (musicFilterNode) {
+      musicFilterNode.frequency.setTargetAtTime(cutoff, audioContext.currentTime, 0.5);
+    }
   }
 }
 
-// Play melody
-function playMelody(chord, pattern, time) {
-  const noteDuration = secondsPerBeat / 2; // Eighth notes
-  const root = chord[0];
+// Current intensity and tempo multiplier
+export function getMusicIntensity() {
+  return { intensity, tempo: tempoScale, cutoff: filterCutoff };
+}
+
+// Schedule the next set of notes
+function scheduleNotes() {
+  // If not playing (or fading out), don't schedule more notes
+  if (!isPlaying && !isFadingOut) return;
   
-  // Play each note of the melody pattern
-  for (let i = 0; i < pattern.length; i++) {
-    const noteTime = time + (noteDuration * i);
-    // Transpose pattern to chord root
-    const note = root + pattern[i];
-    
-    // Skip some notes randomly for variation
-    if (Math.random() < 0.2) continue;
-    
-    // Create oscillator
-    const oscillator = audioContext.createOscillator();
-    const gainNode = audioContext.createGain();
-    
-    // Set up oscillator - use pulse wave for 8-bit feel
-    oscillator.type = 'square';
-    oscillator.frequency.value = midiToFrequency(note);
-    
-    // Apply envelope
-    gainNode.gain.setValueAtTime(0.0, noteTime);
-    gainNode.gain.linearRampToValueAtTime(0.15, noteTime + 0.01);
-    gainNode.gain.exponentialRampToValueAtTime(0.01, noteTime + noteDuration - 0.02);
-    
-    // Connect nodes
-    oscillator.connect(gainNode);
-    gainNode.connect(masterGainNode);
-    
-    // Start and stop
-    oscillator.start(noteTime);
-    oscillator.stop(noteTime + noteDuration);
-    
-    // Add to tracking array
-    melodyOscillators.push({oscillator, gainNode});
-    
-    // Clean up
-    oscillator.onended = function() {
-      gainNode.disconnect();
-      const index = melodyOscillators.findIndex(o => o.oscillator === oscillator);
-      if (index >= 0) {
-        melodyOscillators.splice(index, 1);
-      }
-    };
+  // Schedule multiple patterns ahead
+  while (nextNoteTime < audioContext.currentTime + scheduleAheadTime) {
+    // Each bar takes the tempo as it is when the bar starts
+    secondsPerBeat = 60.0 / (song.bpm * tempoScale);
+    playPattern(liveOutput, song, currentPattern, nextNoteTime, secondsPerBeat, intensity);
+    advanceNote();
   }
+  
+  // Schedule next check
+  timeoutId = setTimeout(scheduleNotes, 25);
 }
 
-// Play drum pattern
-function playDrums(time) {
-  // 4/4 time, 16 steps
-  const steps = 16;
-  const stepTime = secondsPerBeat / 4; // Sixteenth notes
-  
-  // Drum patterns (1 = play, 0 = silent)
-  const kickPattern = [1, 0, 0, 0, 1, 0, 0, 0, 1, 0, 0, 0, 1, 0, 0, 0];
-  const snarePattern = [0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 0, 0, 1, 0, 0, 1];
-  const hihatPattern = [1, 0, 1, 0, 1, 0, 1, 0, 1, 0, 1, 0, 1, 0, 1, 0];
+// Advance to the next note position
+function advanceNote() {
+  // 4/4 time, 4 beats per pattern
+  nextNoteTime += secondsPerBeat * 4;
   
-  // Play each step
-  for (let i = 0; i < steps; i++) {
-    const stepStartTime = time + (i * stepTime);
+  // Move to next pattern (tracks loop their own patterns, so this just keeps counting)
+  currentPattern++;
+}
+
+// Play a pattern (one bar of a song) at the scheduled time
+function playPattern(output, tune, bar, time, beatLength, layerIntensity) {
+  getBarSteps(tune, bar).forEach(step => {
+    // Layers drop out while intensity is low
+    if (layerIntensity < (MUSIC_LAYER_THRESHOLDS[step.track] || 0)) return;
     
-    // Kick drum
-    if (kickPattern[i]) {
-      playKick(stepStartTime);
-    }
+    const track = tune.tracks[step.track];
+    const stepTime = time + step.beat * beatLength;
     
-    // Snare drum
-    if (snarePattern[i]) {
-      playSnare(stepStartTime);
+    if (drumPlayers[step.track]) {
+      drumPlayers[step.track](output, stepTime, track.voice, step.level);
+      return;
     }
     
-    // Hi-hat
-    if (hihatPattern[i]) {
-      playHihat(stepStartTime);
-    }
-  }
+    // Some notes skipped randomly for variation
+    if (track.skipChance > 0 && output.random() < track.skipChance) return;
+    
+    playNote(output, step.note, stepTime, step.length * beatLength, track.voice);
+  });
 }
 
-// Play kick drum sound
-function playKick(time) {
-  // Create oscillator and gain
-  const oscillator = audioContext.createOscillator();
-  const gainNode = audioContext.createGain();
+// Play a synth note (bass, arpeggio and melody)
+function playNote(output, note, time, duration, voice) {
+  // Create oscillator
+  const context = output.destination.context;
+  const oscillator = context.createOscillator();
+  const gainNode = context.createGain();
   
-  // Set up oscillator for kick
-  oscillator.type = 'sine';
-  oscillator.frequency.setValueAtTime(120, time);
-  oscillator.frequency.exponentialRampToValueAtTime(55, time + 0.1);
+  // Set up oscillator
+  oscillator.type = voice.wave;
+  oscillator.frequency.value = midiToFrequency(note);
   
-  // Set envelope
-  gainNode.gain.setValueAtTime(0.8, time);
-  gainNode.gain.exponentialRampToValueAtTime(0.01, time + 0.2);
+  // Add slight detune for width
+  if (voice.detune) {
+    oscillator.detune.value = output.random() * voice.detune * 2 - voice.detune;
+  }
+  
+  // Apply envelope (the release never cuts into the attack, however short the note)
+  if (voice.attack > 0) {
+    gainNode.gain.setValueAtTime(0.0, time);
+    gainNode.gain.linearRampToValueAtTime(voice.gain, time + voice.attack);
+  } else {
+    gainNode.gain.setValueAtTime(voice.gain, time);
+  }
+  const releaseTime = Math.max(time + duration - voice.release, time + voice.attack + 0.01);
+  gainNode.gain.exponentialRampToValueAtTime(0.01, releaseTime);
   
   // Connect nodes
   oscillator.connect(gainNode);
-  gainNode.connect(masterGainNode);
+  gainNode.connect(output.destination);
   
   // Start and stop
   oscillator.start(time);
-  oscillator.stop(time + 0.2);
-  
-  // Add to tracking array
-  kickOscillators.push({oscillator, gainNode});
+  oscillator.stop(time + duration);
   
-  // Clean up
-  oscillator.onended = function() {
-    gainNode.disconnect();
-    const index = kickOscillators.findIndex(o => o.oscillator === oscillator);
-    if (index >= 0) {
-      kickOscillators.splice(index, 1);
-    }
-  };
+  trackNote(output, oscillator, gainNode);
 }
 
-// Play snare drum sound
-function playSnare(time) {
-  // Create noise for snare
-  const bufferSize = audioContext.sampleRate * 0.1; // 100ms
-  const buffer = audioContext.createBuffer(1, bufferSize, audioContext.sampleRate);
-  const data = buffer.getChannelData(0);
-  
-  // Fill buffer with white noise
-  for (let i = 0; i < bufferSize; i++) {
-    data[i] = Math.random() * 2 - 1;
-  }
-  
-  // Create noise source
-  const noise = audioContext.createBufferSource();
-  noise.buffer = buffer;
+// Play kick drum sound
+function playKick(output, time, voice, level) {
+  // Create oscillator and gain
+  const context = output.destination.context;
+  const oscillator = context.createOscillator();
+  const gainNode = context.createGain();
   
-  // Create bandpass filter
-  const filter = audioContext.createBiquadFilter();
-  filter.type = 'bandpass';
-  filter.frequency.value = 1000;
-  filter.Q.value = 1.5;
+  // Set up oscillator for kick - a fast pitch drop
+  oscillator.type = voice.wave;
+  oscillator.frequency.setValueAtTime(voice.startFrequency, time);
+  oscillator.frequency.exponentialRampToValueAtTime(voice.endFrequency, time + voice.sweep);
   
-  // Create gain node
-  const gainNode = audioContext.createGain();
-  gainNode.gain.setValueAtTime(0.3, time);
-  gainNode.gain.exponentialRampToValueAtTime(0.01, time + 0.1);
+  // Set envelope
+  gainNode.gain.setValueAtTime(voice.gain * level, time);
+  gainNode.gain.exponentialRampToValueAtTime(0.01, time + voice.decay);
   
   // Connect nodes
-  noise.connect(filter);
-  filter.connect(gainNode);
-  gainNode.connect(masterGainNode);
+  oscillator.connect(gainNode);
+  gainNode.connect(output.destination);
   
   // Start and stop
-  noise.start(time);
-  noise.stop(time + 0.1);
-  
-  // Add to tracking array
-  snareOscillators.push({oscillator: noise, gainNode});
+  oscillator.start(time);
+  oscillator.stop(time + voice.decay);
   
-  // Clean up
-  noise.onended = function() {
-    gainNode.disconnect();
-    filter.disconnect();
-    const index = snareOscillators.findIndex(o => o.oscillator === noise);
-    if (index >= 0) {
-      snareOscillators.splice(index, 1);
-    }
-  };
+  trackNote(output, oscillator, gainNode);
 }
 
-// Play hi-hat sound
-function playHihat(time) {
-  // Create noise for hi-hat
-  const bufferSize = audioContext.sampleRate * 0.05; // 50ms
-  const buffer = audioContext.createBuffer(1, bufferSize, audioContext.sampleRate);
+// Play filtered noise (snare and hi-hat)
+function playNoiseHit(output, time, voice, level) {
+  // Create noise as long as the hit
+  const context = output.destination.context;
+  const bufferSize = Math.ceil(context.sampleRate * voice.decay);
+  const buffer = context.createBuffer(1, bufferSize, context.sampleRate);
   const data = buffer.getChannelData(0);
   
   // Fill buffer with white noise
   for (let i = 0; i < bufferSize; i++) {
-    data[i] = Math.random() * 2 - 1;
+    data[i] = output.random() * 2 - 1;
   }
   
   // Create noise source
-  const noise = audioContext.createBufferSource();
+  const noise = context.createBufferSource();
   noise.buffer = buffer;
   
-  // Create highpass filter
-  const filter = audioContext.createBiquadFilter();
-  filter.type = 'highpass';
-  filter.frequency.value = 7000;
+  // Create filter
+  const filter = context.createBiquadFilter();
+  filter.type = voice.filter;
+  filter.frequency.value = voice.frequency;
+  filter.Q.value = voice.q;
   
   // Create gain node
-  const gainNode = audioContext.createGain();
-  gainNode.gain.setValueAtTime(0.1, time);
-  gainNode.gain.exponentialRampToValueAtTime(0.01, time + 0.05);
+  const gainNode = context.createGain();
+  gainNode.gain.setValueAtTime(voice.gain * level, time);
+  gainNode.gain.exponentialRampToValueAtTime(0.01, time + voice.decay);
   
   // Connect nodes
   noise.connect(filter);
   filter.connect(gainNode);
-  gainNode.connect(masterGainNode);
+  gainNode.connect(output.destination);
   
   // Start and stop
   noise.start(time);
-  noise.stop(time + 0.05);
+  noise.stop(time + voice.decay);
+  
+  trackNote(output, noise, gainNode, filter);
+}
+
+// Keep track of a sounding note until it ends (offline renders clean up after themselves)
+function trackNote(output, oscillator, gainNode, filter) {
+  if (!output.live) return;
   
-  // Add to tracking array
-  hihatOscillators.push({oscillator: noise, gainNode});
+  const entry = {oscillator, gainNode};
+  activeNotes.push(entry);
   
   // Clean up
-  noise.onended = function() {
+  oscillator.onended = function() {
     gainNode.disconnect();
-    filter.disconnect();
-    const index = hihatOscillators.findIndex(o => o.oscillator === noise);
+    if (filter) {
+      filter.disconnect();
+    }
+    const index = activeNotes.indexOf(entry);
     if (index >= 0) {
-      hihatOscillators.splice(index, 1);
+      activeNotes.splice(index, 1);
     }
   };
 }
 
 // Stop all oscillators (used when stopping music)
 function stopAllOscillators() {
-  const allOscillators = [
-    ...bassOscillators,
-    ...melodyOscillators,
-    ...arpeggioOscillators,
-    ...kickOscillators,
-    ...snareOscillators,
-    ...hihatOscillators
-  ];
-  
   const now = audioContext.currentTime;
   
   // Stop all oscillators
-  allOscillators.forEach(({oscillator, gainNode}) => {
+  activeNotes.forEach(({oscillator, gainNode}) => {
     try {
       gainNode.gain.cancelScheduledValues(now);
       gainNode.gain.setValueAtTime(gainNode.gain.value, now);
@@ -516,28 +505,148 @@ function stopAllOscillators() {
     }
   });
   
-  // Clear arrays
-  bassOscillators = [];
-  melodyOscillators = [];
-  arpeggioOscillators = [];
-  kickOscillators = [];
-  snareOscillators = [];
-  hihatOscillators = [];
+  // Clear the list
+  activeNotes = [];
 }
 
 // Set music volume
 export function setMusicVolume(volume) {
-  if (!masterGainNode) return false;
+  if (!musicGainNode) return false;
   
   // Clamp volume between 0 and 1
   const clampedVolume = Math.max(0, Math.min(1, volume));
-  masterGainNode.gain.value = clampedVolume;
+  musicVolume = clampedVolume;
+  
+  // Fading out or paused - the music comes back at the new volume when it's switched on or resumed
+  if (isFadingOut || isPaused) return true;
+  
+  // Scheduled on the audio clock like the fades, so a ramp still pending can't overwrite it later
+  const now = audioContext.currentTime;
+  musicGainNode.gain.cancelScheduledValues(now);
+  musicGainNode.gain.setValueAtTime(clampedVolume, now);
   
   return true;
 }
 
+// Set sound effects volume
+export function setSfxVolume(volume) {
+  if (!sfxGainNode) return false;
+  
+  // Clamp volume between 0 and 1
+  const clampedVolume = Math.max(0, Math.min(1, volume));
+  sfxGainNode.gain.value = clampedVolume;
+  
+  return true;
+}
+
+// Switch songs - a playing song is cut off and the new one starts from its first bar
+export function setSong(newSong) {
+  song = newSong;
+  secondsPerBeat = 60.0 / (song.bpm * tempoScale);
+  currentPattern = 0;
+  
+  if (isPlaying) {
+    stopAllOscillators();
+    nextNoteTime = audioContext.currentTime + 0.1; // Once the old notes have faded
+  } else if (musicEnabled && audioContext) {
+    // Music was switched on before any song had loaded
+    startMusic();
+  }
+  
+  console.log(`Song: ${song.name} (${song.bpm} BPM, ${song.key})`);
+  return song;
+}
+
+// The song being played (null until one has loaded)
+export function getSong() {
+  return song;
+}
+
+// The audio context (undefined until initAudio runs)
+export function getAudioContext() {
+  return audioContext;
+}
+
+// Bus that sound effects connect to
+export function getSfxBus() {
+  return sfxGainNode;
+}
+
+// Whether sound is on (the music toggle doubles as the mute preference)
+export function isMusicEnabled() {
+  return musicEnabled;
+}
+
+// Chord sounding right now (MIDI notes), so effects can play in key
+export function getCurrentChord() {
+  if (!song) return fallbackChord;
+  
+  // Without music, the home chord
+  if (!isPlaying || !audioContext) return song.chords[0];
+  
+  // currentPattern already points past the last scheduled pattern, which may not have started yet
+  let patternIndex = currentPattern - 1;
+  if (audioContext.currentTime < nextNoteTime - secondsPerBeat * 4) {
+    patternIndex--;
+  }
+  
+  const count = song.chords.length;
+  return song.chords[((patternIndex % count) + count) % count];
+}
+
+// How loud each band of the mix is right now ({bass, mids, highs}, each 0-1),
+// or null while no music is playing so the visuals can settle back
+export function getBandEnergies() {
+  if (!analyserNode || !isPlaying || audioContext.state !== 'running') return null;
+  
+  analyserNode.getByteFrequencyData(frequencyData);
+  const binWidth = audioContext.sampleRate / analyserNode.fftSize;
+  
+  const energies = {};
+  for (const [band, [low, high]] of Object.entries(AUDIO_BANDS)) {
+    // Average the bins whose frequency falls in the band
+    let total = 0;
+    let count = 0;
+    for (let i = 0; i < frequencyData.length; i++) {
+      const frequency = i * binWidth;
+      if (frequency >= low && frequency < high) {
+        total += frequencyData[i];
+        count++;
+      }
+    }
+    energies[band] = count > 0 ? total / count / 255 : 0;
+  }
+  return energies;
+}
+
+// Render bars of a song (the current one by default) without playing them, at full intensity and
+// the song's own tempo. Seeded from the song's name, so a song always renders the same audio.
+// Resolves to a mono AudioBuffer.
+export function renderLoop(bars, tune = song) {
+  const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+  if (!OfflineContext) return Promise.reject(new Error('Offline audio rendering is not supported'));
+  if (!tune) return Promise.reject(new Error('No song to render'));
+  
+  const beatLength = 60.0 / tune.bpm;
+  const length = Math.ceil(bars * 4 * beatLength * EXPORT_SAMPLE_RATE);
+  const context = new OfflineContext(1, length, EXPORT_SAMPLE_RATE);
+  
+  // The live mix's levels, with the intensity filter wide open
+  const gainNode = context.createGain();
+  gainNode.gain.value = MASTER_VOLUME * MUSIC_VOLUME;
+  gainNode.connect(context.destination);
+  
+  const generator = createRandom(tune.name);
+  const output = { destination: gainNode, random: () => generator.next(), live: false };
+  for (let bar = 0; bar < bars; bar++) {
+    playPattern(output, tune, bar, bar * 4 * beatLength, beatLength, 1);
+  }
+  
+  return context.startRendering();
+}
+
 // Utility: Convert MIDI note to frequency
-function midiToFrequency(note) {
+export function midiToFrequency(note) {
   return 440 * Math.pow(2, (note - 69) / 12);
 }
 
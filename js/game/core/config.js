@@ -0,0 +1,265 @@
+/**
+ * Game Config Module
+ * Lets a page choose the GitHub user, resume file, facts, theme, features and random seed without editing JS
+ *
+ * Settings are merged in this order (later sources win):
+ *   1. Built-in defaults
+ *   2. JSON config file (/js/game/config.json, or the file named by data-config / ?config=)
+ *   3. Data attributes on the game's <script> tag (data-github-user, data-resume, data-theme, ...)
+ *   4. URL query parameters (?user=, ?resume=, ?theme=, ?seed=, ?replay=, ?enable=, ?disable=)
+ */
+import {
+    GAME_CONFIG_URL,
+    DEFAULT_GITHUB_USER,
+    DEFAULT_RESUME_URL,
+    DEFAULT_SNAPSHOT_URL,
+    DEFAULT_THEME,
+    THEMES
+} from './constants.js';
+
+// Built-in defaults, used for anything the page doesn't override
+const DEFAULT_CONFIG = {
+    githubUser: DEFAULT_GITHUB_USER,
+    resumeUrl: DEFAULT_RESUME_URL,
+    snapshotUrl: DEFAULT_SNAPSHOT_URL,
+    facts: null, // null keeps the built-in facts list
+    theme: DEFAULT_THEME,
+    seed: null, // null gives every run a new seed; set one to replay the same run
+    replayUrl: null, // Recorded run to play back instead of playing
+    features: {
+        music: true,
+        obstacles: true,
+        facts: true,
+        hud: true,
+        ghost: true, // Race a ghost of your best run on the same track
+        debug: false // Cache status overlay (?enable=debug)
+    }
+};
+
+// Active config (defaults until loadConfig runs)
+let config = mergeConfig(DEFAULT_CONFIG, {});
+
+/**
+ * Gets the active config
+ * @returns {Object} - The merged config
+ */
+export function getConfig() {
+    return config;
+}
+
+/**
+ * Checks whether a feature toggle is on
+ * @param {string} feature - Feature name (music, obstacles, facts, hud, ghost, debug)
+ * @returns {boolean} - Whether the feature is enabled
+ */
+export function isFeatureEnabled(feature) {
+    return config.features[feature] !== false;
+}
+
+/**
+ * Loads the config from the JSON file, script data attributes and query parameters
+ * @param {Object} options - Sources to read (defaults to the current page)
+ * @param {HTMLScriptElement} options.script - The game's script tag
+ * @param {string} options.search - The URL query string
+ * @returns {Promise<Object>} - The merged config
+ */
+export async function loadConfig({ script = findGameScript(), search = window.location.search } = {}) {
+    const attributeConfig = readDataAttributes(script);
+    const queryConfig = readQueryParams(search);
+
+    // The page can point at a different config file (handy for forks hosting several people)
+    const configUrl = queryConfig.configUrl || attributeConfig.configUrl || GAME_CONFIG_URL;
+    const fileConfig = await fetchConfigFile(configUrl);
+
+    config = [fileConfig, attributeConfig, queryConfig].reduce(mergeConfig, DEFAULT_CONFIG);
+    console.log('Game config loaded:', config.githubUser, config.theme);
+
+    return config;
+}
+
+/**
+ * Fetches and parses the JSON config file
+ * @param {string} url - Config file URL
+ * @returns {Promise<Object>} - The parsed config, or an empty object if unavailable
+ */
+async function fetchConfigFile(url) {
+    try {
+        const response = await fetch(url);
+
+        if (!response.ok) {
+            // A missing config file is normal - the defaults are used instead
+            console.log(`No game config at ${url}, using defaults`);
+            return {};
+        }
+
+        const fileConfig = await response.json();
+        return fileConfig && typeof fileConfig === 'object' ? fileConfig : {};
+    } catch (error) {
+        console.error('Error loading game config file:', error);
+        return {};
+    }
+}
+
+/**
+ * Finds the <script> tag that loaded the game (module scripts have no document.currentScript)
+ * @returns {HTMLScriptElement|null} - The script tag
+ */
+function findGameScript() {
+    if (typeof document === 'undefined') return null;
+    return document.querySelector('script[data-game-config], script[src$="game/main.js"]');
+}
+
+/**
+ * Reads config overrides from the script tag's data attributes
+ * @param {HTMLScriptElement} script - The game's script tag
+ * @returns {Object} - Partial config
+ */
+function readDataAttributes(script) {
+    if (!script || !script.dataset) return {};
+
+    const data = script.dataset;
+    return compact({
+        configUrl: data.config || data.gameConfig,
+        githubUser: data.githubUser,
+        resumeUrl: data.resume,
+        snapshotUrl: data.snapshot,
+        theme: data.theme,
+        seed: data.seed,
+        replayUrl: data.replay,
+        facts: parseFacts(data.facts),
+        features: parseFeatureToggles(data.enable, data.disable)
+    });
+}
+
+/**
+ * Reads config overrides from URL query parameters
+ * @param {string} search - The URL query string
+ * @returns {Object} - Partial config
+ */
+function readQueryParams(search) {
+    const params = new URLSearchParams(search || '');
+
+    return compact({
+        configUrl: params.get('config'),
+        githubUser: params.get('user'),
+        resumeUrl: params.get('resume'),
+        snapshotUrl: params.get('snapshot'),
+        theme: params.get('theme'),
+        seed: params.get('seed'),
+        replayUrl: params.get('replay'),
+        features: parseFeatureToggles(params.get('enable'), params.get('disable'))
+    });
+}
+
+/**
+ * Parses the facts data attribute (a JSON array or a "|"-separated list)
+ * @param {string} value - The attribute value
+ * @returns {Array<string>|undefined} - The facts
+ */
+function parseFacts(value) {
+    if (!value) return undefined;
+
+    try {
+        const facts = JSON.parse(value);
+        if (Array.isArray(facts)) return facts;
+    } catch (error) {
+        // Not JSON - fall through to the simple list format
+    }
+
+    return value.split('|').map(fact => fact.trim()).filter(Boolean);
+}
+
+/**
+ * Parses comma-separated feature lists into a toggles object
+ * @param {string} enable - Features to turn on, e.g. "music,hud"
+ * @param {string} disable - Features to turn off, e.g. "obstacles"
+ * @returns {Object|undefined} - Feature toggles
+ */
+function parseFeatureToggles(enable, disable) {
+    const features = {};
+
+    const apply = (list, value) => {
+        if (!list) return;
+        list.split(',')
+            .map(name => name.trim())
+            .filter(Boolean)
+            .forEach(name => { features[name] = value; });
+    };
+
+    apply(enable, true);
+    apply(disable, false);
+
+    return Object.keys(features).length > 0 ? features : undefined;
+}
+
+/**
+ * Removes empty values so they don't override earlier sources
+ * @param {Object} partial - Partial config
+ * @returns {Object} - The partial config without empty values
+ */
+function compact(partial) {
+    return Object.fromEntries(
+        Object.entries(partial).filter(([, value]) => value !== undefined && value !== null && value !== '')
+    );
+}
+
+/**
+ * Merges a partial config over a base config, validating known fields
+ * @param {Object} base - The base config
+ * @param {Object} overrides - Partial config to apply
+ * @returns {Object} - The merged config
+ */
+function mergeConfig(base, overrides) {
+    const merged = {
+        ...base,
+        features: { ...base.features }
+    };
+
+    if (typeof overrides.githubUser === 'string' && overrides.githubUser.trim()) {
+        merged.githubUser = overrides.githubUser.trim();
+    }
+    if (typeof overrides.resumeUrl === 'string' && overrides.resumeUrl.trim()) {
+        merged.resumeUrl = overrides.resumeUrl.trim();
+    }
+    if (typeof overrides.snapshotUrl === 'string' && overrides.snapshotUrl.trim()) {
+        merged.snapshotUrl = overrides.snapshotUrl.trim();
+    }
+    if (typeof overrides.replayUrl === 'string' && overrides.replayUrl.trim()) {
+        merged.replayUrl = overrides.replayUrl.trim();
+    }
+    if (typeof overrides.configUrl === 'string') {
+        merged.configUrl = overrides.configUrl;
+    }
+
+    if (Array.isArray(overrides.facts)) {
+        const facts = overrides.facts.filter(fact => typeof fact === 'string' && fact.trim());
+        merged.facts = facts.length > 0 ? facts : null;
+    }
+
+    if (overrides.theme !== undefined) {
+        if (THEMES[overrides.theme]) {
+            merged.theme = overrides.theme;
+        } else {
+            console.warn(`Unknown theme "${overrides.theme}", keeping "${merged.theme}"`);
+        }
+    }
+
+    if ((typeof overrides.seed === 'number' && Number.isFinite(overrides.seed)) ||
+        (typeof overrides.seed === 'string' && overrides.seed.trim())) {
+        merged.seed = typeof overrides.seed === 'string' ? overrides.seed.trim() : overrides.seed;
+    }
+
+    if (overrides.features && typeof overrides.features === 'object') {
+        Object.entries(overrides.features).forEach(([name, enabled]) => {
+            merged.features[name] = Boolean(enabled);
+        });
+    }
+
+    return merged;
+}
+
+export default {
+    getConfig,
+    isFeatureEnabled,
+    loadConfig
+};
@@ -11,7 +11,9 @@ export const FACT_DARK_COLOR = 0x0066cc;
 
 // Player settings
 export const PLAYER_SIZE = 0.6;
-export const PLAYER_SPEED = 0.2; // Doubled the speed for more exciting gameplay
+export const PLAYER_SPEED = 12; // World units per second (was 0.2 per frame at 60fps)
+export const PLAYER_LANE_CHANGE_RATE = 6.3; // Exponential approach rate toward the target lane, per second
+export const GHOST_OPACITY = 0.3; // The ghost car re-driving the best run
 
 // Lane settings
 export const LANES = [-2, 0, 2];
@@ -19,11 +21,50 @@ export const DEFAULT_LANE = 1; // Center lane (0)
 
 // Game levels
 export const DEFAULT_LEVEL = 1;
+export const MAX_LEVEL = 10;
+export const LEVEL_DISTANCE_STEP = 400; // World units traveled per level
+export const LEVEL_SCORE_STEP = 2500; // Points per level (whichever of distance or score is further along wins)
+export const LEVEL_SPEED_STEP = 0.1; // Extra world speed per level (fraction of PLAYER_SPEED)
+export const LEVEL_SPAWN_INTERVAL_STEP = 0.07; // Shorter time between collectibles per level (fraction)
+export const MIN_SPAWN_INTERVAL_FACTOR = 0.4; // Spawn interval never drops below this fraction
+export const LEVEL_UP_TEXT_COLOR = 0xffff00;
 
 // Collectible settings
 export const GITHUB_PROFILE_ITEM_CHANCE = 0.5; // 50% chance for profile items, 50% for GitHub repos
+export const FACT_ITEM_CHANCE = 0.3; // Chance for a standard collectible to be a fact
 export const MAX_TIME_BETWEEN_COLLECTIBLES = 1000; // ms - shorter time for more frequent collectibles
 
+// Scoring settings
+export const SCORE_SOURCE_POINTS = { github: 100, profile: 150, fact: 75 }; // Base points per dataSource
+export const SCORE_TYPE_POINTS = { // Overrides by dataItem.type - rarer resume items are worth more
+    job: 250,
+    job_details: 200,
+    award: 300,
+    education: 200,
+    skills: 150,
+    featured_repo: 150
+};
+export const STREAK_STEP = 5; // Consecutive pickups needed to raise the multiplier
+export const MAX_STREAK_MULTIPLIER = 4;
+export const HIGH_SCORE_STORAGE_KEY = 'neonWaveHighScore';
+export const BEST_RUN_STORAGE_KEY = 'neonWaveBestRun'; // Replay of the highest scoring run, driven by the ghost car
+
+// Lives settings
+export const DEFAULT_LIVES = 3;
+export const MAX_CONSECUTIVE_MISSES = 3; // Missed collectibles in a row that cost a life
+
+// Obstacle settings
+export const OBSTACLE_TYPES = ['firewall', 'glitch', 'barrier'];
+export const OBSTACLE_COLOR = 0xff0033;
+export const OBSTACLE_SPAWN_INTERVAL = 2500; // ms between obstacle spawn attempts
+export const OBSTACLE_SPAWN_CHANCE = 0.4; // Chance to spawn once the interval has passed
+export const OBSTACLE_SPAWN_Z = -60;
+export const OBSTACLE_MIN_GAP = 12; // Obstacles closer than this on the Z-axis must leave a lane open together
+export const OBSTACLE_HIT_DEPTH = 0.8; // Z distance from the player that counts as a hit
+export const OBSTACLE_SCORE_PENALTY = 250;
+export const OBSTACLE_SLOWDOWN_FACTOR = 0.5; // World speed multiplier while slowed down
+export const OBSTACLE_SLOWDOWN_DURATION = 2000; // ms
+
 // Camera settings
 export const CAMERA_FOV = 75;
 export const CAMERA_NEAR = 0.1;
@@ -70,7 +111,7 @@ export const SUN_RADIUS = 10;
 export const SUN_SEGMENTS = 32;
 export const SUN_COLOR = 0xff00ff;
 export const SUN_POSITION = {x: 0, y: 15, z: -50};
-export const SUN_ROTATION_SPEED = 0.005;
+export const SUN_ROTATION_SPEED = 0.3; // Radians per second
 
 // Track settings
 export const TRACK_WIDTH = 10;
@@ -87,18 +128,148 @@ export const RIGHT_BARRIER_COLOR = 0x00ffff;
 export const LEFT_BARRIER_POSITION = {x: -5.1, y: 0.25, z: -500};
 export const RIGHT_BARRIER_POSITION = {x: 5.1, y: 0.25, z: -500};
 
+// Themes - scene colors selectable through the game config
+export const DEFAULT_THEME = 'neon';
+export const THEMES = {
+    neon: {
+        background: SCENE_BACKGROUND_COLOR,
+        fog: FOG_COLOR,
+        sun: SUN_COLOR,
+        gridPrimary: PRIMARY_GRID_COLOR1,
+        gridSecondary: PRIMARY_GRID_COLOR2
+    },
+    sunset: {
+        background: 0x0a0005,
+        fog: 0x2a0a1a,
+        sun: 0xff7700,
+        gridPrimary: 0xff3366,
+        gridSecondary: 0xffaa00
+    },
+    ice: {
+        background: 0x000814,
+        fog: 0x001d3d,
+        sun: 0x99ccff,
+        gridPrimary: 0x0077ff,
+        gridSecondary: 0xccffff
+    },
+    matrix: {
+        background: 0x000000,
+        fog: 0x001a00,
+        sun: 0x00ff41,
+        gridPrimary: 0x008f11,
+        gridSecondary: 0x00ff41
+    }
+};
+
+// Game config
+export const GAME_CONFIG_URL = '/js/game/config.json'; // Default JSON config location
+export const DEFAULT_GITHUB_USER = 'pj4533';
+export const DEFAULT_RESUME_URL = '/js/game/data/resume.json';
+export const DEFAULT_SNAPSHOT_URL = '/js/game/data/snapshot.json'; // Bundled GitHub data for when the API is down
+
+// GitHub API cache
+export const GITHUB_CACHE_TTL = 15 * 60 * 1000; // ms before a cached response is revalidated
+export const GITHUB_CACHE_STORAGE_PREFIX = 'neonWaveGitHubCache:';
+export const GITHUB_RATE_LIMIT_STORAGE_KEY = 'neonWaveGitHubRateLimit';
+export const GITHUB_RATE_LIMIT_RESERVE = 3; // Use stale data rather than spend the last few requests
+
 // Text particle settings
 export const REPO_NAME_SCALE = 2.5;
 export const DETAILS_SCALE = 1.5;
-export const REPO_NAME_FADE_DELAY = 240;
-export const DETAILS_FADE_DELAY = 120;
-export const REPO_NAME_LIFE_SPEED = 0.0010;
-export const DETAILS_LIFE_SPEED = 0.0025;
+export const TEXT_PARTICLE_SPEED = 3; // Units per second
+export const REPO_NAME_FADE_DELAY = 1.67; // Seconds before fading starts
+export const DETAILS_FADE_DELAY = 1.0;
+export const REPO_NAME_LIFE_SPEED = 0.24; // Life lost per second once fading
+export const DETAILS_LIFE_SPEED = 0.36;
 
 // Collectible positions
 export const COLLECTIBLE_Z_POSITION = -50;
 export const COLLECTIBLE_SCALE = 2.0;
 
+// Collectible motion (on the simulation clock, so it looks the same at any frame rate)
+export const COLLECTIBLE_SPIN_RATE = 1.2; // Radians per second for collectibles without their own animation
+export const COLLECTIBLE_SHELL_SPIN_RATE = 0.6; // Radians per second for the outer shape of animated collectibles
+export const COLLECTIBLE_CORE_SPIN_RATE = 0.3; // Radians per second the inner shape turns the other way
+export const COLLECTIBLE_CORE_TUMBLE_RATE = 0.18; // Radians per second the inner shape tips over
+export const COLLECTIBLE_FLOAT_SPEED = 0.002; // Radians per ms of simulation time for the bobbing and fact wobble
+export const COLLECTIBLE_FLOAT_HEIGHT = 0.2;
+
+// Simulation timing
+export const FIXED_TIMESTEP = 1 / 60; // Seconds per simulation step
+export const MAX_FRAME_TIME = 0.25; // Clamp long frames (e.g. after a tab switch) to avoid a catch-up spiral
+export const MAX_INTERPOLATION_DISTANCE = 5; // Larger jumps between steps are teleports and are not interpolated
+
+// Replays
+export const REPLAY_VERSION = 1; // Bump when the replay file format changes
+
+// Key bindings - every action can have a main and a secondary key
+export const INPUT_ACTIONS = ['moveLeft', 'moveRight', 'toggleMusic', 'restart', 'pause'];
+export const DEFAULT_KEY_BINDINGS = {
+    moveLeft: ['ArrowLeft', 'a'],
+    moveRight: ['ArrowRight', 'd'],
+    toggleMusic: ['m'],
+    restart: ['r'],
+    pause: ['p', 'Escape']
+};
+export const KEY_BINDINGS_STORAGE_KEY = 'neonWaveKeyBindings';
+
+// Tilt steering (mobile)
+export const TILT_LANE_THRESHOLD = 5; // Degrees from neutral that count as a lane change in lane mode
+export const TILT_FULL_LOCK_ANGLE = 25; // Degrees from neutral that reach an outer lane in analog mode (at sensitivity 1)
+export const TILT_ANALOG_DEADZONE = 2; // Degrees around neutral that hold the center in analog mode
+export const TILT_SENSITIVITY_RANGE = { min: 0.5, max: 2, step: 0.1 };
+export const DEFAULT_TILT_SETTINGS = { mode: 'lanes', neutral: 0, sensitivity: 1 }; // mode is 'lanes' or 'analog'
+export const TILT_SETTINGS_STORAGE_KEY = 'neonWaveTiltSettings';
+
+// Gamepad settings (standard mapping button indexes)
+export const GAMEPAD_DEADZONE = 0.5; // Stick travel needed to count as a lane change
+export const GAMEPAD_REPEAT_DELAY = 350; // ms a direction is held before it starts repeating
+export const GAMEPAD_REPEAT_INTERVAL = 180; // ms between repeated lane changes while held
+export const GAMEPAD_DPAD_LEFT = 14;
+export const GAMEPAD_DPAD_RIGHT = 15;
+export const GAMEPAD_BUTTON_ACTIONS = { 0: 'confirm', 3: 'toggleMusic', 8: 'restart', 9: 'pause' }; // A, Y, View/Back, Start/Menu
+export const GAMEPAD_PICKUP_RUMBLE = { duration: 80, strongMagnitude: 0.2, weakMagnitude: 0.6 };
+
+// Audio volumes (music and effects buses feed the master gain)
+export const MASTER_VOLUME = 0.6;
+export const MUSIC_VOLUME = 1;
+export const SFX_VOLUME = 0.5;
+
+// Songs (see data/songs.js for the format)
+export const SONG_URLS = [
+    '/js/game/data/songs/neon-drive.json',
+    '/js/game/data/songs/midnight-grid.json',
+    '/js/game/data/songs/sunset-chase.json'
+];
+export const SONG_STORAGE_KEY = 'neonWaveSong'; // Name of the last song picked in the track selector
+
+// Adaptive music - the soundtrack follows the game's speed, level and streak
+export const MUSIC_BASE_INTENSITY = 0.2; // Intensity at the start of a run (0-1)
+export const MUSIC_FULL_INTENSITY_STREAK = 10; // Pickups in a row for the streak's full share of intensity
+export const MUSIC_TEMPO_FOLLOW = 0.25; // How much of a change in world speed carries over to the tempo
+export const MUSIC_TEMPO_RANGE = { min: 0.85, max: 1.25 }; // Tempo multiplier limits
+export const MUSIC_FILTER_CUTOFF = { min: 900, max: 16000 }; // Hz, at intensity 0 and 1
+export const MUSIC_LAYER_THRESHOLDS = { hihat: 0.3, arp: 0.55 }; // Intensity each layer comes in at (others always play)
+export const MUSIC_FADE_OUT_TIME = 1.5; // Seconds to fade out when the music is switched off
+export const MUSIC_PAUSE_FADE_TIME = 0.3; // Seconds to fade out before pausing, and back in on resume
+
+// Audio-reactive visuals
+export const AUDIO_ANALYSER_FFT_SIZE = 1024; // Analyser resolution (half as many frequency bins), fine enough to split out the bass
+export const AUDIO_ANALYSER_SMOOTHING = 0.7; // How slowly the band energies fall after a hit (0-1)
+export const AUDIO_BANDS = { bass: [20, 250], mids: [250, 2000], highs: [2000, 16000] }; // Hz ranges
+export const BEAT_SUN_SCALE = 0.15; // Extra sun size at full bass
+export const BEAT_GRID_DIM = 0.4; // How far the main grid dims between beats while the music plays
+export const BEAT_GLOW_BOOST = 0.4; // Extra roadside glow opacity at full mids
+export const BEAT_HOVER_BOOST = 0.5; // Extra hover plate glow and size at full bass
+
+// Music export
+export const EXPORT_LOOP_BARS = 8; // Bars rendered by the export button
+export const EXPORT_SAMPLE_RATE = 44100; // Hz
+export const MIDI_TICKS_PER_BEAT = 480;
+export const MIDI_PROGRAMS = { bass: 38, arp: 80, melody: 81 }; // General MIDI: Synth Bass 1, Square Lead, Saw Lead
+export const MIDI_DRUM_NOTES = { kick: 36, snare: 38, hihat: 42 }; // General MIDI percussion: Bass Drum 1, Snare, Closed Hi-Hat
+export const MIDI_DRUM_CHANNEL = 9; // Channel 10, counting from 1
+
 // Animation timing
 export const GRID_FLASH_INTERVAL = 120;
 export const GRID_FLASH_COUNT = 8;
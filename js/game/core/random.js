@@ -0,0 +1,149 @@
+/**
+ * Random Module - Seedable random numbers for everything the game randomizes
+ *
+ * Each run is seeded, either with the page's fixed seed (?seed=) or a fresh one, so a run can be
+ * reproduced exactly from its seed. Randomness is split into independent streams so cosmetic
+ * effects and the soundtrack can never shift the gameplay sequence:
+ *   - gameplay: spawning, lanes, collectible contents, obstacles
+ *   - effects: particles, scenery, colors
+ *   - audio: sequencer variation and noise buffers
+ */
+
+export const RANDOM_STREAMS = ['gameplay', 'effects', 'audio'];
+
+// Seed given by the page - null means every run gets a new seed
+let fixedSeed = null;
+
+// Seed of the current run
+let runSeed = null;
+
+// Generator for each stream
+const streams = {};
+
+/**
+ * Converts a seed (number or string) into a 32-bit integer
+ * @param {number|string} seed - The seed
+ * @returns {number} - Unsigned 32-bit seed
+ */
+export function hashSeed(seed) {
+    if (typeof seed === 'number' && Number.isFinite(seed)) {
+        return Math.floor(seed) >>> 0;
+    }
+
+    // FNV-1a, so any string (e.g. a date for a daily challenge) maps to a stable seed
+    const text = String(seed);
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Creates a seeded generator (mulberry32)
+ * @param {number|string} seed - The seed
+ * @returns {Object} - Generator with the seed and a next() function returning a number in [0, 1)
+ */
+export function createRandom(seed) {
+    let state = hashSeed(seed);
+
+    return {
+        seed,
+        next() {
+            state = (state + 0x6d2b79f5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        }
+    };
+}
+
+/**
+ * Sets the seed every run should use
+ * @param {number|string|null} seed - The seed, or null for a new seed each run
+ */
+export function setFixedSeed(seed) {
+    fixedSeed = normalizeSeed(seed);
+}
+
+/**
+ * Reseeds every stream for a new run
+ * @param {number|string} seed - Seed for this run (defaults to the fixed seed or a fresh one)
+ * @returns {number|string} - The seed used
+ */
+export function beginRun(seed = fixedSeed) {
+    runSeed = normalizeSeed(seed);
+    if (runSeed === null) {
+        // The one place real randomness is still needed
+        runSeed = Math.floor(Math.random() * 4294967296);
+    }
+
+    RANDOM_STREAMS.forEach(name => {
+        streams[name] = createRandom(`${runSeed}:${name}`);
+    });
+
+    return runSeed;
+}
+
+/**
+ * Gets the seed of the current run
+ * @returns {number|string} - The seed
+ */
+export function getSeed() {
+    return runSeed;
+}
+
+/**
+ * Gets the generator for a stream
+ * @param {string} stream - Stream name
+ * @returns {Object} - The stream's generator
+ */
+export function getRandomStream(stream = 'gameplay') {
+    const generator = streams[stream];
+    if (!generator) {
+        throw new Error(`Unknown random stream "${stream}"`);
+    }
+    return generator;
+}
+
+/**
+ * Gets a random number in [0, 1), the drop-in replacement for Math.random()
+ * @param {string} stream - Stream name
+ * @returns {number} - Random number
+ */
+export function random(stream = 'gameplay') {
+    return getRandomStream(stream).next();
+}
+
+/**
+ * Cleans up a seed from config or the URL (digit strings become numbers)
+ * @param {*} seed - Raw seed
+ * @returns {number|string|null} - The seed, or null if there isn't a usable one
+ */
+function normalizeSeed(seed) {
+    if (typeof seed === 'number') {
+        return Number.isFinite(seed) ? seed : null;
+    }
+    if (typeof seed !== 'string' || !seed.trim()) {
+        return null;
+    }
+
+    const text = seed.trim();
+    return /^\d+$/.test(text) ? Number(text) : text;
+}
+
+// Seed something right away so modules can draw numbers before the first run starts
+beginRun();
+
+export default {
+    RANDOM_STREAMS,
+    hashSeed,
+    createRandom,
+    setFixedSeed,
+    beginRun,
+    getSeed,
+    getRandomStream,
+    random
+};
@@ -4,7 +4,7 @@
  */
 import {
     // Scene settings
-    SCENE_BACKGROUND_COLOR, FOG_COLOR, FOG_NEAR, FOG_FAR,
+    FOG_NEAR, FOG_FAR,
     
     // Camera settings
     CAMERA_FOV, CAMERA_NEAR, CAMERA_FAR, CAMERA_POSITION, CAMERA_LOOK_AT,
@@ -15,12 +15,15 @@ import {
     PINK_LIGHT_COLOR, PINK_LIGHT_INTENSITY, PINK_LIGHT_DISTANCE, PINK_LIGHT_POSITION,
     
     // Grid settings
-    PRIMARY_GRID_SIZE, PRIMARY_GRID_DIVISIONS, PRIMARY_GRID_COLOR1, PRIMARY_GRID_COLOR2, PRIMARY_GRID_POSITION,
+    PRIMARY_GRID_SIZE, PRIMARY_GRID_DIVISIONS, PRIMARY_GRID_POSITION,
     SECONDARY_GRID_SIZE, SECONDARY_GRID_DIVISIONS, SECONDARY_GRID_POSITION, SECONDARY_GRID_OPACITY,
     FAR_GRID_SIZE, FAR_GRID_DIVISIONS, FAR_GRID_POSITION, FAR_GRID_OPACITY,
     
     // Sun settings
-    SUN_RADIUS, SUN_SEGMENTS, SUN_COLOR, SUN_POSITION, SUN_ROTATION_SPEED,
+    SUN_RADIUS, SUN_SEGMENTS, SUN_POSITION, SUN_ROTATION_SPEED,
+    
+    // Audio-reactive visuals
+    BEAT_SUN_SCALE, BEAT_GRID_DIM, BEAT_GLOW_BOOST,
     
     // Track settings
     TRACK_WIDTH, TRACK_LENGTH, TRACK_COLOR, TRACK_POSITION,
@@ -37,8 +40,13 @@ import {
     GRID_FLASH_INTERVAL, GRID_FLASH_COUNT,
     
     // Road objects settings
-    ROAD_OBJECT_COUNT, ROAD_OBJECT_Z_SPACING, ROAD_OBJECT_X_OFFSET, ROAD_OBJECT_TYPES, NEON_COLORS, ROAD_OBJECT_SCALE
+    ROAD_OBJECT_COUNT, ROAD_OBJECT_Z_SPACING, ROAD_OBJECT_X_OFFSET, ROAD_OBJECT_TYPES, NEON_COLORS, ROAD_OBJECT_SCALE,
+    
+    // Themes
+    THEMES, DEFAULT_THEME
 } from './constants.js';
+import { random } from './random.js';
+import { playGridSweep } from './sfx.js';
 
 /**
  * Class to manage the scene, camera, renderer and environment objects
@@ -53,12 +61,24 @@ export class SceneManager {
         this.stars = [];
         this.sunGeometry = null;
         this.roadObjects = []; // Store references to roadside objects
+        this.roadGlows = []; // Glow spheres on the roadside objects, pulsed with the music
         this.roadLines = []; // Store references to road grid lines
+        this.theme = THEMES[DEFAULT_THEME]; // Scene colors
         
         // Pre-created geometries for performance
         this.sharedGeometries = {};
     }
     
+    /**
+     * Select the color theme (call before initMinimal so the scene is built with it)
+     * @param {string} themeName - Name of a theme in THEMES
+     * @returns {SceneManager} This instance for chaining
+     */
+    setTheme(themeName) {
+        this.theme = THEMES[themeName] || THEMES[DEFAULT_THEME];
+        return this;
+    }
+    
     /**
      * Pre-create and store commonly used geometries to avoid runtime generation
      * This is a significant performance optimization for WebGL
@@ -193,10 +213,10 @@ export class SceneManager {
     createScene() {
         // Create scene
         this.scene = new THREE.Scene();
-        this.scene.background = new THREE.Color(SCENE_BACKGROUND_COLOR);
+        this.scene.background = new THREE.Color(this.theme.background);
         
         // Add fog for depth effect
-        this.scene.fog = new THREE.Fog(FOG_COLOR, FOG_NEAR, FOG_FAR);
+        this.scene.fog = new THREE.Fog(this.theme.fog, FOG_NEAR, FOG_FAR);
         
         return this.scene;
     }
@@ -322,9 +342,9 @@ export class SceneManager {
         // 400 stars still looks good but requires less computation
         const starCount = 400;
         for (let i = 0; i < starCount; i++) {
-            const x = (Math.random() - 0.5) * 100;
-            const y = (Math.random() - 0.5) * 100;
-            const z = -Math.random() * 100;
+            const x = (random('effects') - 0.5) * 100;
+            const y = (random('effects') - 0.5) * 100;
+            const z = -random('effects') * 100;
             starVertices.push(x, y, z);
         }
         
@@ -344,7 +364,7 @@ export class SceneManager {
         const segmentCount = Math.min(SUN_SEGMENTS, 24); // Cap segments for better performance
         this.sunGeometry = new THREE.CircleGeometry(SUN_RADIUS, segmentCount);
         const sunMaterial = new THREE.MeshBasicMaterial({
-            color: SUN_COLOR,
+            color: this.theme.sun,
             side: THREE.DoubleSide,
             wireframe: true,
         });
@@ -397,7 +417,7 @@ export class SceneManager {
             // Create horizontal grid lines that run parallel to the track
             const lineGeometry = new THREE.PlaneGeometry(TRACK_WIDTH, 0.05);
             const lineMaterial = new THREE.MeshBasicMaterial({
-                color: i % 2 === 0 ? PRIMARY_GRID_COLOR1 : PRIMARY_GRID_COLOR2,
+                color: i % 2 === 0 ? this.theme.gridPrimary : this.theme.gridSecondary,
                 transparent: true,
                 opacity: 0.3
             });
@@ -414,8 +434,8 @@ export class SceneManager {
         this.gridHelper = new THREE.GridHelper(
             PRIMARY_GRID_SIZE, 
             PRIMARY_GRID_DIVISIONS, 
-            PRIMARY_GRID_COLOR1, 
-            PRIMARY_GRID_COLOR2
+            this.theme.gridPrimary, 
+            this.theme.gridSecondary
         );
         this.gridHelper.position.set(
             PRIMARY_GRID_POSITION.x, 
@@ -433,8 +453,8 @@ export class SceneManager {
         const secondaryGrid = new THREE.GridHelper(
             SECONDARY_GRID_SIZE, 
             SECONDARY_GRID_DIVISIONS, 
-            PRIMARY_GRID_COLOR1, 
-            PRIMARY_GRID_COLOR2
+            this.theme.gridPrimary, 
+            this.theme.gridSecondary
         );
         secondaryGrid.position.set(
             SECONDARY_GRID_POSITION.x, 
@@ -449,8 +469,8 @@ export class SceneManager {
         const farGrid = new THREE.GridHelper(
             FAR_GRID_SIZE, 
             FAR_GRID_DIVISIONS, 
-            PRIMARY_GRID_COLOR1, 
-            PRIMARY_GRID_COLOR2
+            this.theme.gridPrimary, 
+            this.theme.gridSecondary
         );
         farGrid.position.set(
             FAR_GRID_POSITION.x, 
@@ -465,7 +485,7 @@ export class SceneManager {
         for (let lane of LANES) {
             const markerGeometry = new THREE.PlaneGeometry(0.1, TRACK_LENGTH);
             const markerMaterial = new THREE.MeshBasicMaterial({
-                color: PRIMARY_GRID_COLOR2,
+                color: this.theme.gridSecondary,
                 side: THREE.DoubleSide,
                 transparent: true,
                 opacity: 0.5
@@ -519,7 +539,7 @@ export class SceneManager {
      * Flash the grid for visual effect
      */
     flashGrid() {
-        const originalColors = [PRIMARY_GRID_COLOR1, PRIMARY_GRID_COLOR2];
+        const originalColors = [this.theme.gridPrimary, this.theme.gridSecondary];
         let flashCount = 0;
         
         // Find all grid helpers in the scene - use cached version if available
@@ -536,6 +556,9 @@ export class SceneManager {
         // Use a more efficient flashing approach
         const allGrids = this.cachedGrids;
         
+        // Sweep the sound up along with the flash
+        playGridSweep();
+        
         // Reduce flash count for better performance during startup
         const reducedFlashCount = 4; // Cut in half from original 8
         
@@ -681,11 +704,11 @@ export class SceneManager {
         // Add random variation to x position but ensure it's FAR outside the track
         // Track width is 10 (5 on each side) and barriers are at ±5.1
         // Use negative side values to position objects away from the track
-        const xVariation = 5 + (Math.random() * 10); // 5-15 units of additional distance
+        const xVariation = 5 + (random('effects') * 10); // 5-15 units of additional distance
         const x = side * (ROAD_OBJECT_X_OFFSET + xVariation); // Left or right side with variation
         
         // Randomly pick an object type with 60% chance for palm trees (very synthwave)
-        const objectTypeRoll = Math.random();
+        const objectTypeRoll = random('effects');
         let objectType;
         
         if (objectTypeRoll < 0.6) {
@@ -768,12 +791,13 @@ export class SceneManager {
                 );
                 palmGlowSphere.position.y = 5;
                 object.add(palmGlowSphere);
+                this.addRoadGlow(palmGlowSphere);
                 
                 // Scale the palm tree
                 object.scale.set(ROAD_OBJECT_SCALE, ROAD_OBJECT_SCALE, ROAD_OBJECT_SCALE);
                 
                 // Add random rotation for variety
-                object.rotation.y = Math.random() * Math.PI * 2;
+                object.rotation.y = random('effects') * Math.PI * 2;
                 break;
                 
             case 'tree':
@@ -844,6 +868,7 @@ export class SceneManager {
                 );
                 treeGlowSphere.position.y = 5;
                 object.add(treeGlowSphere);
+                this.addRoadGlow(treeGlowSphere);
                 
                 // Scale the tree
                 object.scale.set(ROAD_OBJECT_SCALE, ROAD_OBJECT_SCALE, ROAD_OBJECT_SCALE);
@@ -892,6 +917,7 @@ export class SceneManager {
                 );
                 cubeGlowSphere.position.y = 1;
                 object.add(cubeGlowSphere);
+                this.addRoadGlow(cubeGlowSphere);
                 
                 // Scale the cube
                 object.scale.set(ROAD_OBJECT_SCALE, ROAD_OBJECT_SCALE, ROAD_OBJECT_SCALE);
@@ -907,17 +933,52 @@ export class SceneManager {
         this.roadObjects.push(object);
     }
 
+    /**
+     * Keep track of a roadside glow sphere so it can pulse with the music
+     * @param {THREE.Mesh} glow - Glow sphere with a transparent material
+     */
+    addRoadGlow(glow) {
+        glow.userData.baseOpacity = glow.material.opacity;
+        this.roadGlows.push(glow);
+    }
+
+    /**
+     * Pulse the scenery to the music (called every frame, outside the simulation)
+     * @param {Object|null} bands - Band energies from getBandEnergies in audio.js, or null when no music is playing
+     */
+    pulseToMusic(bands) {
+        const { bass, mids, highs } = bands || { bass: 0, mids: 0, highs: 0 };
+        
+        // The sun swells on the kick
+        if (this.sun) {
+            this.sun.scale.set(1 + bass * BEAT_SUN_SCALE, 1 + bass * BEAT_SUN_SCALE, 1);
+        }
+        
+        // The main grid dims between beats and flashes back up on the kick and hi-hats
+        if (this.gridHelper && this.gridHelper.material && this.gridHelper.material.color) {
+            const brightness = bands ? 1 - BEAT_GRID_DIM * (1 - Math.max(bass, highs)) : 1;
+            this.gridHelper.material.color.setScalar(brightness);
+        }
+        
+        // Roadside glows brighten with the chords and arpeggio
+        for (let i = 0; i < this.roadGlows.length; i++) {
+            const glow = this.roadGlows[i];
+            glow.material.opacity = Math.min(1, glow.userData.baseOpacity + mids * BEAT_GLOW_BOOST);
+        }
+    }
+
     /**
      * Update animations for environment elements
      * @param {boolean} gameStarted - Whether the game has started
-     * @param {number} speed - The current game speed
+     * @param {number} speed - The current game speed, in units per second
+     * @param {number} dt - Step duration in seconds
      */
-    updateEnvironment(gameStarted, speed) {
+    updateEnvironment(gameStarted, speed, dt) {
         // Always animate grid and sun, even before game starts
         // Move and animate grid - key visual element
         if (this.gridHelper) {
             // Animate main grid - more controlled movement to keep visible
-            this.gridHelper.position.z += gameStarted ? speed * 1.2 : 0.15;
+            this.gridHelper.position.z += (gameStarted ? speed * 1.2 : 9) * dt;
             
             // Reset primary grid when it gets too close to keep the infinite effect
             // But never let it go completely out of view
@@ -933,7 +994,7 @@ export class SceneManager {
                     const speedMultiplier = 1 - (baseZ / 400); // Slower if further away
                     
                     // Move at appropriate speed
-                    child.position.z += gameStarted ? speed * speedMultiplier * 1.2 : 0.1;
+                    child.position.z += (gameStarted ? speed * speedMultiplier * 1.2 : 6) * dt;
                     
                     // Ensure grid is never too far or too close
                     if (child.position.z > 20) {
@@ -958,7 +1019,7 @@ export class SceneManager {
         
         // Move the retro sun
         if (this.sun) {
-            this.sun.rotation.z += SUN_ROTATION_SPEED;
+            this.sun.rotation.z += SUN_ROTATION_SPEED * dt;
         }
         
         // Animate road lines
@@ -966,7 +1027,7 @@ export class SceneManager {
             const line = this.roadLines[i];
             if (line) {
                 // Move lines toward the camera
-                line.position.z += gameStarted ? speed * 1.5 : 0.2;
+                line.position.z += (gameStarted ? speed * 1.5 : 12) * dt;
                 
                 // Reset position when lines pass the camera
                 if (line.position.z > 15) {
@@ -981,10 +1042,10 @@ export class SceneManager {
             const object = this.roadObjects[i];
             if (object) {
                 // Move objects toward the camera at higher speed to create a more dramatic effect
-                object.position.z += gameStarted ? speed * 2.0 : 0.3;
+                object.position.z += (gameStarted ? speed * 2.0 : 18) * dt;
                 
                 // Apply rotation effects for more visual interest
-                object.rotation.y += 0.01;
+                object.rotation.y += 0.6 * dt;
                 
                 // Animate lights by pulsing their intensity slightly
                 if (object.children) {
@@ -994,7 +1055,7 @@ export class SceneManager {
                             child.intensity = 1.5 + Math.sin(Date.now() * 0.003) * 0.8;
                             
                             // Randomize light color slightly for each object to create variation
-                            if (Math.random() < 0.01) {
+                            if (random('effects') < 0.01) {
                                 if (child.color.getHex() === PINK_LIGHT_COLOR) {
                                     child.color.setHex(0xff00cc);
                                 } else if (child.color.getHex() === BLUE_LIGHT_COLOR) {
@@ -1010,21 +1071,21 @@ export class SceneManager {
                 // Reset position when objects pass the camera
                 if (object.position.z > 15) {
                     // Reset to far distance with variation
-                    object.position.z = -600 + Math.random() * 100;
+                    object.position.z = -600 + random('effects') * 100;
                     
                     // Calculate proper side (left or right) based on the object's current x-position
                     const side = object.position.x < 0 ? -1 : 1;
                     
                     // Add random variation to x position but ensure it's FAR outside the track
                     // Track is 10 units wide (±5) and barriers are at ±5.1
-                    const xVariation = 5 + (Math.random() * 10); // 5-15 units additional distance from road
+                    const xVariation = 5 + (random('effects') * 10); // 5-15 units additional distance from road
                     object.position.x = side * (ROAD_OBJECT_X_OFFSET + xVariation);
                     
                     // Randomize object height for variety, but keep them grounded
-                    object.position.y = (Math.random() * 0.5);
+                    object.position.y = (random('effects') * 0.5);
                     
                     // Randomize object scale slightly for more variety but keep reasonable
-                    const scaleVariation = 0.8 + (Math.random() * 0.4); // 0.8 to 1.2 range
+                    const scaleVariation = 0.8 + (random('effects') * 0.4); // 0.8 to 1.2 range
                     const baseScale = ROAD_OBJECT_SCALE * scaleVariation;
                     object.scale.set(baseScale, baseScale, baseScale);
                 }
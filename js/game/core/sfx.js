@@ -0,0 +1,217 @@
+/**
+ * Sound Effects Module - Synthesized effects played over the music
+ *
+ * Effects share the music's audio context but go through their own volume bus,
+ * and stay silent while sound is switched off (the M toggle) or the context isn't running.
+ */
+import {
+    getAudioContext,
+    getSfxBus,
+    isMusicEnabled,
+    getCurrentChord,
+    midiToFrequency
+} from './audio.js';
+import { random } from './random.js';
+
+// White noise shared by the noise-based effects (built on first use)
+let noiseBuffer = null;
+
+/**
+ * Play a pickup chime in the key of the chord currently playing
+ * @param {number} streak - Current pickup streak; longer streaks climb higher up the chord
+ */
+export function playPickupChime(streak = 0) {
+    const context = getPlayableContext();
+    if (!context) return;
+
+    try {
+        const chord = getCurrentChord();
+        const now = context.currentTime;
+
+        // Two octaves above the chord, starting a chord tone higher for each pickup in the streak
+        const step = Math.min(Math.max(streak, 0), chord.length * 2);
+        const chordTone = n => chord[n % chord.length] + 24 + Math.floor(n / chord.length) * 12;
+        const notes = [chordTone(step), chordTone(step + 1)];
+
+        notes.forEach((note, index) => {
+            const start = now + index * 0.06;
+            const oscillator = context.createOscillator();
+            const gainNode = context.createGain();
+
+            oscillator.type = 'triangle';
+            oscillator.frequency.value = midiToFrequency(note);
+
+            gainNode.gain.setValueAtTime(0.001, start);
+            gainNode.gain.exponentialRampToValueAtTime(0.35, start + 0.01);
+            gainNode.gain.exponentialRampToValueAtTime(0.001, start + 0.3);
+
+            oscillator.connect(gainNode);
+            playThroughBus(oscillator, gainNode, start, start + 0.3);
+        });
+    } catch (err) {
+        console.error('Error playing pickup chime:', err);
+    }
+}
+
+/**
+ * Play a whoosh for a lane change, panned towards the direction of travel
+ * @param {number} direction - -1 for left, 1 for right
+ */
+export function playLaneWhoosh(direction) {
+    const context = getPlayableContext();
+    if (!context) return;
+
+    try {
+        const now = context.currentTime;
+        const noise = context.createBufferSource();
+        noise.buffer = getNoiseBuffer(context);
+
+        // Sweep a bandpass filter up through the noise
+        const filter = context.createBiquadFilter();
+        filter.type = 'bandpass';
+        filter.Q.value = 2;
+        filter.frequency.setValueAtTime(400, now);
+        filter.frequency.exponentialRampToValueAtTime(2400, now + 0.15);
+
+        const gainNode = context.createGain();
+        gainNode.gain.setValueAtTime(0.001, now);
+        gainNode.gain.exponentialRampToValueAtTime(0.25, now + 0.04);
+        gainNode.gain.exponentialRampToValueAtTime(0.001, now + 0.18);
+
+        noise.connect(filter);
+        filter.connect(gainNode);
+
+        // Older browsers have no stereo panner - the whoosh just plays in the middle
+        if (typeof context.createStereoPanner === 'function') {
+            const panner = context.createStereoPanner();
+            panner.pan.setValueAtTime(-0.4 * direction, now);
+            panner.pan.linearRampToValueAtTime(0.6 * direction, now + 0.18);
+            gainNode.connect(panner);
+            playThroughBus(noise, panner, now, now + 0.18, [filter, gainNode]);
+        } else {
+            playThroughBus(noise, gainNode, now, now + 0.18, [filter]);
+        }
+    } catch (err) {
+        console.error('Error playing lane whoosh:', err);
+    }
+}
+
+/**
+ * Play a rising filter sweep to go with the grid flash
+ */
+export function playGridSweep() {
+    const context = getPlayableContext();
+    if (!context) return;
+
+    try {
+        const now = context.currentTime;
+        const chord = getCurrentChord();
+
+        const oscillator = context.createOscillator();
+        oscillator.type = 'sawtooth';
+        oscillator.frequency.value = midiToFrequency(chord[0]);
+
+        const filter = context.createBiquadFilter();
+        filter.type = 'lowpass';
+        filter.Q.value = 8;
+        filter.frequency.setValueAtTime(200, now);
+        filter.frequency.exponentialRampToValueAtTime(6000, now + 0.5);
+
+        const gainNode = context.createGain();
+        gainNode.gain.setValueAtTime(0.001, now);
+        gainNode.gain.exponentialRampToValueAtTime(0.2, now + 0.1);
+        gainNode.gain.exponentialRampToValueAtTime(0.001, now + 0.6);
+
+        oscillator.connect(filter);
+        filter.connect(gainNode);
+        playThroughBus(oscillator, gainNode, now, now + 0.6, [filter]);
+    } catch (err) {
+        console.error('Error playing grid sweep:', err);
+    }
+}
+
+/**
+ * Play a low buzz for a collectible that got away
+ */
+export function playMissBuzz() {
+    const context = getPlayableContext();
+    if (!context) return;
+
+    try {
+        const now = context.currentTime;
+        const gainNode = context.createGain();
+        gainNode.gain.setValueAtTime(0.15, now);
+        gainNode.gain.exponentialRampToValueAtTime(0.001, now + 0.25);
+
+        // Two slightly detuned square waves make it sound sour
+        const oscillators = [-15, 15].map(detune => {
+            const oscillator = context.createOscillator();
+            oscillator.type = 'square';
+            oscillator.frequency.setValueAtTime(110, now);
+            oscillator.frequency.linearRampToValueAtTime(80, now + 0.25);
+            oscillator.detune.value = detune;
+            oscillator.connect(gainNode);
+            return oscillator;
+        });
+
+        playThroughBus(oscillators[0], gainNode, now, now + 0.25, [oscillators[1]]);
+        oscillators[1].start(now);
+        oscillators[1].stop(now + 0.25);
+    } catch (err) {
+        console.error('Error playing miss buzz:', err);
+    }
+}
+
+/**
+ * Gets the audio context if effects should be heard right now
+ * @returns {AudioContext|null} - The running context, or null when muted, paused or not set up yet
+ */
+function getPlayableContext() {
+    const context = getAudioContext();
+    if (!context || !getSfxBus() || !isMusicEnabled() || context.state !== 'running') return null;
+    return context;
+}
+
+/**
+ * Connect a source's output node to the SFX bus, play it, and clean up once it ends
+ * @param {AudioScheduledSourceNode} source - Oscillator or buffer source
+ * @param {AudioNode} output - Last node in the effect's chain
+ * @param {number} start - Start time in context seconds
+ * @param {number} stop - Stop time in context seconds
+ * @param {Array<AudioNode>} nodes - Nodes between the source and the output to disconnect afterwards
+ */
+function playThroughBus(source, output, start, stop, nodes = []) {
+    output.connect(getSfxBus());
+    source.start(start);
+    source.stop(stop);
+
+    source.onended = () => {
+        source.disconnect();
+        nodes.forEach(node => node.disconnect());
+        output.disconnect();
+    };
+}
+
+/**
+ * Gets a short buffer of white noise, creating it the first time
+ * @param {AudioContext} context - The audio context
+ * @returns {AudioBuffer} - Mono noise buffer
+ */
+function getNoiseBuffer(context) {
+    if (!noiseBuffer) {
+        const bufferSize = Math.floor(context.sampleRate * 0.2); // 200ms
+        noiseBuffer = context.createBuffer(1, bufferSize, context.sampleRate);
+        const data = noiseBuffer.getChannelData(0);
+        for (let i = 0; i < bufferSize; i++) {
+            data[i] = random('audio') * 2 - 1;
+        }
+    }
+    return noiseBuffer;
+}
+
+export default {
+    playPickupChime,
+    playLaneWhoosh,
+    playGridSweep,
+    playMissBuzz
+};
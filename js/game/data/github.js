@@ -4,6 +4,10 @@
  */
 
 import { NEON_COLORS } from '../core/constants.js';
+import { getConfig } from '../core/config.js';
+import { fetchGitHubJson } from './githubCache.js';
+import { loadSnapshot } from './snapshot.js';
+import { random } from '../core/random.js';
 
 /**
  * Fetches GitHub repositories for the specified username
@@ -13,7 +17,7 @@ import { NEON_COLORS } from '../core/constants.js';
 // Cache for GitHub data
 let githubReposCache = null;
 
-export async function fetchGitHubRepos(username = 'pj4533') {
+export async function fetchGitHubRepos(username = getConfig().githubUser) {
   try {
     // Use cached data if available
     if (githubReposCache) {
@@ -23,13 +27,18 @@ export async function fetchGitHubRepos(username = 'pj4533') {
     
     // Get repos sorted by most recently updated with increased per_page to ensure we get at least 10 repos
     // The 'updated' sort parameter sorts by the last time the repo was pushed to
-    const response = await fetch(`https://api.github.com/users/${username}/repos?sort=updated&direction=desc&per_page=50`);
-    
-    if (!response.ok) {
-      throw new Error('Failed to fetch repositories');
+    // Goes through the persistent cache, which falls back to stale data when rate limited
+    let repos;
+    try {
+      repos = await fetchGitHubJson(`https://api.github.com/users/${username}/repos?sort=updated&direction=desc&per_page=50`);
+    } catch (error) {
+      // GitHub is unreachable and nothing is cached - use the bundled snapshot instead
+      const snapshot = await loadSnapshot(username);
+      if (!snapshot) throw error;
+      
+      console.warn('GitHub unavailable, using repos from the snapshot:', error.message);
+      repos = snapshot.repos;
     }
-    
-    const repos = await response.json();
     console.log('Fetched repos:', repos.length);
     
     // Filter out forks, repos without descriptions, and unusual names
@@ -65,7 +74,7 @@ export async function fetchGitHubRepos(username = 'pj4533') {
         language: (repo.language && repo.language.toLowerCase() !== 'shift') ? repo.language : null,
         updated_at: repo.updated_at,
         pushed_at: repo.pushed_at, // When the repo was last pushed to
-        color: NEON_COLORS[Math.floor(Math.random() * NEON_COLORS.length)]
+        color: NEON_COLORS[Math.floor(random('effects') * NEON_COLORS.length)]
       }));
     
     // Log the repos that will be shown
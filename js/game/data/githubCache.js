@@ -0,0 +1,243 @@
+/**
+ * GitHub API Cache Module
+ * Persists GitHub API responses in localStorage so page loads don't burn through the
+ * unauthenticated rate limit (60 requests/hour, shared by everyone behind the same IP)
+ *
+ * - Fresh entries (younger than GITHUB_CACHE_TTL) are used without a request
+ * - Older entries are revalidated with If-None-Match, and a 304 reuses the cached body
+ * - When the rate limit is (nearly) used up, or a request fails, stale entries are used instead
+ */
+
+import {
+  GITHUB_CACHE_TTL,
+  GITHUB_CACHE_STORAGE_PREFIX,
+  GITHUB_RATE_LIMIT_STORAGE_KEY,
+  GITHUB_RATE_LIMIT_RESERVE
+} from '../core/constants.js';
+
+// Latest cache status per URL, for the debug overlay
+const cacheStatus = new Map();
+
+// Listeners notified whenever a cache status changes
+const statusListeners = new Set();
+
+// Rate limit info from the latest GitHub response
+let rateLimit = loadRateLimit();
+
+/**
+ * Subscribe to cache status changes
+ * @param {Function} listener - Called with the status entry that changed
+ * @returns {Function} - Call to unsubscribe
+ */
+export function onCacheStatusChange(listener) {
+  statusListeners.add(listener);
+  return () => statusListeners.delete(listener);
+}
+
+/**
+ * Gets the latest cache status for every URL requested this session
+ * @returns {Object} - { entries: Array, rateLimit: Object|null }
+ */
+export function getCacheStatus() {
+  return {
+    entries: Array.from(cacheStatus.values()),
+    rateLimit
+  };
+}
+
+/**
+ * Fetches JSON from the GitHub API through the persistent cache
+ * @param {string} url - GitHub API URL
+ * @param {Object} options - Cache options
+ * @param {number} options.ttl - How long (ms) a cached response is used without revalidating
+ * @param {number} options.now - Current time in ms (for tests)
+ * @returns {Promise<*>} - The parsed response body
+ */
+export async function fetchGitHubJson(url, { ttl = GITHUB_CACHE_TTL, now = Date.now() } = {}) {
+  const cached = readEntry(url);
+
+  // Fresh enough to skip the network entirely
+  if (cached && now - cached.fetchedAt < ttl) {
+    setStatus(url, 'fresh', cached);
+    return cached.data;
+  }
+
+  // Don't spend the last few requests - stale data is better than none at all
+  if (cached && isRateLimited(now)) {
+    setStatus(url, 'stale (rate limited)', cached);
+    return cached.data;
+  }
+
+  let response;
+  try {
+    const headers = cached && cached.etag ? { 'If-None-Match': cached.etag } : {};
+    response = await fetch(url, { headers });
+  } catch (error) {
+    return useStaleOrThrow(url, cached, 'stale (network error)', error);
+  }
+
+  updateRateLimit(response, now);
+
+  // Not modified - the cached body is still current
+  if (response.status === 304 && cached) {
+    const entry = { ...cached, fetchedAt: now };
+    writeEntry(url, entry);
+    setStatus(url, 'revalidated', entry);
+    return entry.data;
+  }
+
+  if (!response.ok) {
+    const reason = isRateLimited(now) ? 'stale (rate limited)' : `stale (HTTP ${response.status})`;
+    return useStaleOrThrow(url, cached, reason, new Error(`GitHub request failed with status ${response.status}`));
+  }
+
+  const entry = {
+    data: await response.json(),
+    etag: response.headers.get('ETag'),
+    fetchedAt: now
+  };
+  writeEntry(url, entry);
+  setStatus(url, 'network', entry);
+
+  return entry.data;
+}
+
+/**
+ * Removes every cached GitHub response
+ */
+export function clearGitHubCache() {
+  try {
+    Object.keys(localStorage)
+      .filter(key => key.startsWith(GITHUB_CACHE_STORAGE_PREFIX))
+      .forEach(key => localStorage.removeItem(key));
+    localStorage.removeItem(GITHUB_RATE_LIMIT_STORAGE_KEY);
+  } catch (err) {
+    console.error('Error clearing GitHub cache:', err);
+  }
+
+  rateLimit = null;
+  cacheStatus.clear();
+}
+
+/**
+ * Returns stale cached data after a failed request, or rethrows if there is none
+ * @param {string} url - Request URL
+ * @param {Object|null} cached - Cached entry
+ * @param {string} reason - Status to report
+ * @param {Error} error - The failure
+ * @returns {*} - The cached response body
+ */
+function useStaleOrThrow(url, cached, reason, error) {
+  if (!cached) {
+    setStatus(url, 'error', null);
+    throw error;
+  }
+
+  console.warn(`Using cached GitHub data for ${url}:`, error.message);
+  setStatus(url, reason, cached);
+  return cached.data;
+}
+
+/**
+ * Checks whether we're out of (or nearly out of) GitHub requests
+ * @param {number} now - Current time in ms
+ * @returns {boolean} - Whether to avoid the network
+ */
+function isRateLimited(now) {
+  return Boolean(rateLimit) &&
+    rateLimit.remaining <= GITHUB_RATE_LIMIT_RESERVE &&
+    now < rateLimit.resetAt;
+}
+
+/**
+ * Records the rate limit headers from a GitHub response
+ * @param {Response} response - The fetch response
+ * @param {number} now - Current time in ms
+ */
+function updateRateLimit(response, now) {
+  const remaining = response.headers.get('X-RateLimit-Remaining');
+  if (remaining === null) return;
+
+  const reset = parseInt(response.headers.get('X-RateLimit-Reset'), 10);
+  rateLimit = {
+    remaining: parseInt(remaining, 10),
+    limit: parseInt(response.headers.get('X-RateLimit-Limit'), 10) || null,
+    // GitHub sends the reset time in epoch seconds
+    resetAt: Number.isFinite(reset) ? reset * 1000 : now + GITHUB_CACHE_TTL
+  };
+
+  try {
+    localStorage.setItem(GITHUB_RATE_LIMIT_STORAGE_KEY, JSON.stringify(rateLimit));
+  } catch (err) {
+    console.error('Error saving GitHub rate limit:', err);
+  }
+}
+
+/**
+ * Loads the last known rate limit from localStorage
+ * @returns {Object|null} - Rate limit info
+ */
+function loadRateLimit() {
+  try {
+    const saved = localStorage.getItem(GITHUB_RATE_LIMIT_STORAGE_KEY);
+    return saved ? JSON.parse(saved) : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Reads a cached response from localStorage
+ * @param {string} url - Request URL
+ * @returns {Object|null} - The cached entry
+ */
+function readEntry(url) {
+  try {
+    const saved = localStorage.getItem(GITHUB_CACHE_STORAGE_PREFIX + url);
+    if (!saved) return null;
+
+    const entry = JSON.parse(saved);
+    return entry && entry.data !== undefined && typeof entry.fetchedAt === 'number' ? entry : null;
+  } catch (err) {
+    console.error('Error reading GitHub cache:', err);
+    return null;
+  }
+}
+
+/**
+ * Writes a response to localStorage
+ * @param {string} url - Request URL
+ * @param {Object} entry - The entry to cache
+ */
+function writeEntry(url, entry) {
+  try {
+    localStorage.setItem(GITHUB_CACHE_STORAGE_PREFIX + url, JSON.stringify(entry));
+  } catch (err) {
+    // Most likely over quota - the game still works, it just refetches next time
+    console.warn('Could not cache GitHub response:', err);
+  }
+}
+
+/**
+ * Records and broadcasts the cache status for a URL
+ * @param {string} url - Request URL
+ * @param {string} status - What happened (fresh, revalidated, network, stale (...), error)
+ * @param {Object|null} entry - The cache entry used
+ */
+function setStatus(url, status, entry) {
+  const statusEntry = {
+    url,
+    status,
+    fetchedAt: entry ? entry.fetchedAt : null,
+    etag: entry ? entry.etag : null
+  };
+  cacheStatus.set(url, statusEntry);
+
+  statusListeners.forEach(listener => {
+    try {
+      listener(statusEntry);
+    } catch (err) {
+      console.error('Error in cache status listener:', err);
+    }
+  });
+}
@@ -3,7 +3,11 @@
  * Handles fetching and processing GitHub profile data and resume information
  */
 
-import { GITHUB_COLOR, RESUME_COLOR } from '../core/constants.js';
+import { GITHUB_COLOR } from '../core/constants.js';
+import { getConfig } from '../core/config.js';
+import { fetchResumeData, resumeToItems } from './resume.js';
+import { fetchGitHubJson } from './githubCache.js';
+import { loadSnapshot } from './snapshot.js';
 
 /**
  * Fetches GitHub profile data and combines it with resume information
@@ -13,7 +17,10 @@ import { GITHUB_COLOR, RESUME_COLOR } from '../core/constants.js';
 // Cache for profile data
 let profileDataCache = null;
 
-export async function fetchGitHubProfileData(username = 'pj4533') {
+export async function fetchGitHubProfileData(username = getConfig().githubUser) {
+  // Load the resume alongside GitHub so it still shows up when GitHub is down
+  const resumePromise = fetchResumeData(getConfig().resumeUrl);
+  
   try {
     // Use cached data if available
     if (profileDataCache) {
@@ -23,20 +30,25 @@ export async function fetchGitHubProfileData(username = 'pj4533') {
     
     console.log('Fetching GitHub profile data...');
     
-    // Use GitHub API to get profile data
-    const response = await fetch(`https://api.github.com/users/${username}`);
-    
-    if (!response.ok) {
-      throw new Error('Failed to fetch GitHub profile');
+    let profile;
+    let repos;
+    try {
+      // Use GitHub API to get profile data (through the persistent cache)
+      profile = await fetchGitHubJson(`https://api.github.com/users/${username}`);
+      console.log('Fetched GitHub profile data successfully');
+      
+      // Also get additional data like languages and repos - reduce count to speed up initial load
+      repos = await fetchGitHubJson(`https://api.github.com/users/${username}/repos?per_page=20&sort=updated`);
+    } catch (error) {
+      // GitHub is unreachable and nothing is cached - use the bundled snapshot instead
+      const snapshot = await loadSnapshot(username);
+      if (!snapshot) throw error;
+      
+      console.warn('GitHub unavailable, using profile from the snapshot:', error.message);
+      profile = snapshot.profile;
+      repos = snapshot.repos.slice(0, 20);
     }
     
-    const profile = await response.json();
-    console.log('Fetched GitHub profile data successfully');
-    
-    // Also get additional data like languages and repos - reduce count to speed up initial load
-    const reposResponse = await fetch(`https://api.github.com/users/${username}/repos?per_page=20&sort=updated`);
-    const repos = await reposResponse.json();
-    
     // Get languages used across repositories
     const languages = new Set();
     repos.forEach(repo => {
@@ -45,8 +57,8 @@ export async function fetchGitHubProfileData(username = 'pj4533') {
       }
     });
     
-    // Get total stars
-    const totalStars = repos.reduce((acc, repo) => acc + repo.stargazers_count, 0);
+    // Get total stars (repos without a count, e.g. from a sparse snapshot, count as none)
+    const totalStars = repos.reduce((acc, repo) => acc + (repo.stargazers_count || 0), 0);
     
     // Transform to profile data
     const profileData = {
@@ -80,56 +92,8 @@ export async function fetchGitHubProfileData(username = 'pj4533') {
       }))
     };
     
-    // Add resume data to complement GitHub data
-    // This data is from PJ's actual resume (shared explicitly for this purpose)
-    const resumeData = {
-      experience: [
-        {
-          company: "Evertrue",
-          location: "Boston, MA/Remote",
-          title: "Sr. Principal Software Engineer",
-          period: "NOV 2011 - PRESENT",
-          description: "Architect, write, maintain and ship the iOS platform for all mobile applications at Evertrue. Initially using Objective C, transitioning to Swift, spread across several reusable shared libraries, including SiriKit and Spotlight search extensions."
-        },
-        {
-          company: "Avid Technology",
-          location: "Burlington, MA",
-          title: "Principal Software Engineer",
-          period: "DEC 1997 - OCT 2011",
-          description: "Windows and Mac programming, specifically in the video domain. Wrote low level video player code, developed user interfaces, and debugged issues around video formats, frame rates and memory usage."
-        },
-        {
-          company: "Say Goodnight Software",
-          location: "",
-          title: "Owner/Developer",
-          period: "AUG 2008 - PRESENT",
-          description: "My on-the-side iOS development company."
-        }
-      ],
-      skills: [
-        "Apple Ecosystem",
-        "DJ/Vinyl Collector",
-        "Eurorack Synthesizers"
-      ],
-      awards: [
-        {
-          name: "Review & Approval System Patent",
-          number: "11/020,616",
-          date: "Issued Jun 2009"
-        },
-        {
-          name: "Voice Description of Time Based Media for indexing and searching Patent",
-          number: "US20130007043",
-          date: "Issued Jun 2011"
-        }
-      ],
-      education: {
-        school: "Missouri University of Science & Technology",
-        degree: "BS, Computer Science",
-        period: "1993 - 1997"
-      },
-      location: "Stanfordville, NY / Hudson Valley, NY"
-    };
+    // Add resume data to complement GitHub data (from the configured resume file)
+    const resumeData = await resumePromise;
     
     // Add GitHub profile data (already collected)
     const combinedData = {
@@ -145,15 +109,16 @@ export async function fetchGitHubProfileData(username = 'pj4533') {
     return combinedData;
   } catch (error) {
     console.error('Error fetching GitHub profile:', error);
-    // Return empty data structure if fetch fails
+    // Return empty GitHub data if fetch fails, but keep the resume
+    const resumeData = await resumePromise;
     return {
       type: 'github_profile',
-      name: "PJ Gray",
-      login: "pj4533",
+      name: (resumeData && resumeData.basics.name) || username,
+      login: username,
       bio: "",
       languages: [],
       repos: [],
-      resumeData: null
+      resumeData
     };
   }
 }
@@ -180,17 +145,11 @@ export function processGitHubProfileData(data) {
     });
   }
   
-  // Process location information from resume (prioritize resume data)
-  if (data.resumeData && data.resumeData.location) {
-    items.push({
-      name: data.resumeData.location,
-      description: "Location",
-      details: "Hudson Valley, New York",
-      type: "location",
-      color: RESUME_COLOR,
-      source: "resume"
-    });
-  } else if (data.location || data.company) {
+  // Resume items (location, jobs, skills, education, awards)
+  const resumeItems = resumeToItems(data.resumeData);
+  
+  // Process location information (prioritize resume data)
+  if (!resumeItems.some(item => item.type === 'location') && (data.location || data.company)) {
     items.push({
       name: data.location || "Location",
       description: data.company || "",
@@ -200,14 +159,16 @@ export function processGitHubProfileData(data) {
     });
   }
   
-  // Process stats information from GitHub
-  items.push({
-    name: "GitHub Stats",
-    description: `${data.public_repos} Repositories`,
-    details: `${data.followers} Followers • ${data.total_stars || 0} Stars`,
-    type: "stats",
-    color: GITHUB_COLOR
-  });
+  // Process stats information from GitHub (missing when GitHub is down)
+  if (data.public_repos !== undefined) {
+    items.push({
+      name: "GitHub Stats",
+      description: `${data.public_repos} Repositories`,
+      details: `${data.followers} Followers • ${data.total_stars || 0} Stars`,
+      type: "stats",
+      color: GITHUB_COLOR
+    });
+  }
   
   // Process languages (this is real data from GitHub)
   if (data.languages && data.languages.length) {
@@ -224,85 +185,8 @@ export function processGitHubProfileData(data) {
     }
   }
   
-  // Add current job from resume data
-  if (data.resumeData && data.resumeData.experience && data.resumeData.experience.length > 0) {
-    const currentJob = data.resumeData.experience[0]; // First job is current (Evertrue)
-    items.push({
-      name: currentJob.company,
-      description: currentJob.title,
-      details: `${currentJob.period} • ${currentJob.location}`,
-      type: "job",
-      color: RESUME_COLOR,
-      source: "resume"
-    });
-    
-    // Add job description separately for readability
-    console.log("Adding job details for current role:", currentJob.company);
-    const jobDetails = {
-      name: "Current Role",
-      description: currentJob.company,
-      details: currentJob.description,
-      type: "job_details",
-      color: RESUME_COLOR,
-      source: "resume"
-    };
-    
-    // Make a direct global reference for emergency use
-    window._resumeJobDetails = jobDetails;
-    
-    items.push(jobDetails);
-    
-    // Add other jobs
-    data.resumeData.experience.slice(1).forEach(job => {
-      items.push({
-        name: job.company,
-        description: job.title,
-        details: `${job.period} • ${job.location}`,
-        type: "job",
-        color: RESUME_COLOR,
-        source: "resume"
-      });
-    });
-  }
-  
-  // Add skills from resume
-  if (data.resumeData && data.resumeData.skills && data.resumeData.skills.length > 0) {
-    items.push({
-      name: "Skills & Interests",
-      description: data.resumeData.skills.join(" • "),
-      details: "From Resume",
-      type: "skills",
-      color: RESUME_COLOR,
-      source: "resume"
-    });
-  }
-  
-  // Add education from resume
-  if (data.resumeData && data.resumeData.education) {
-    const edu = data.resumeData.education;
-    items.push({
-      name: edu.school,
-      description: edu.degree,
-      details: edu.period,
-      type: "education",
-      color: RESUME_COLOR,
-      source: "resume"
-    });
-  }
-  
-  // Add patents/awards from resume
-  if (data.resumeData && data.resumeData.awards && data.resumeData.awards.length > 0) {
-    data.resumeData.awards.forEach(award => {
-      items.push({
-        name: "Patent",
-        description: award.name,
-        details: `${award.number} • ${award.date}`,
-        type: "award",
-        color: RESUME_COLOR,
-        source: "resume"
-      });
-    });
-  }
+  // Add resume items
+  items.push(...resumeItems);
   
   // Add a few select repositories (already showing these elsewhere, but include top ones)
   if (data.repos && data.repos.length) {
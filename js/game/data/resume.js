@@ -0,0 +1,199 @@
+/**
+ * Resume Data Module
+ * Loads a resume in the JSON Resume format (https://jsonresume.org/schema), validates it,
+ * and turns it into collectible items for the game
+ */
+
+import { RESUME_COLOR } from '../core/constants.js';
+
+const MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+
+// Required string fields for each resume section entry
+const REQUIRED_FIELDS = {
+  work: ['name', 'position'],
+  education: ['institution'],
+  awards: ['title'],
+  skills: ['name']
+};
+
+/**
+ * Fetches and validates the resume file
+ * @param {string} url - URL of the JSON Resume file
+ * @returns {Promise<Object|null>} - The validated resume, or null if it couldn't be loaded
+ */
+export async function fetchResumeData(url) {
+  try {
+    const response = await fetch(url);
+
+    if (!response.ok) {
+      throw new Error(`Failed to fetch resume from ${url}`);
+    }
+
+    const { resume, errors } = validateResume(await response.json());
+
+    if (errors.length > 0) {
+      console.warn(`Resume at ${url} has ${errors.length} problem(s):`, errors);
+    }
+
+    if (resume) {
+      console.log('Fetched resume data from', url);
+    }
+    return resume;
+  } catch (error) {
+    console.error('Error fetching resume data:', error);
+    console.warn('Resume data will not be displayed');
+    return null;
+  }
+}
+
+/**
+ * Validates a JSON Resume document, dropping entries the game can't display
+ * @param {Object} data - Parsed resume JSON
+ * @returns {{resume: Object|null, errors: Array<string>}} - The cleaned resume and any problems found
+ */
+export function validateResume(data) {
+  const errors = [];
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    errors.push('Resume must be a JSON object');
+    return { resume: null, errors };
+  }
+
+  const resume = {
+    basics: data.basics && typeof data.basics === 'object' ? data.basics : {}
+  };
+
+  Object.entries(REQUIRED_FIELDS).forEach(([section, fields]) => {
+    if (data[section] === undefined) {
+      resume[section] = [];
+      return;
+    }
+
+    if (!Array.isArray(data[section])) {
+      errors.push(`"${section}" must be an array`);
+      resume[section] = [];
+      return;
+    }
+
+    resume[section] = data[section].filter((entry, index) => {
+      const missing = fields.filter(field => !entry || typeof entry[field] !== 'string' || !entry[field].trim());
+      if (missing.length > 0) {
+        errors.push(`${section}[${index}] is missing ${missing.join(', ')}`);
+        return false;
+      }
+      return true;
+    });
+  });
+
+  return { resume, errors };
+}
+
+/**
+ * Formats a JSON Resume date ("2011-11", "2011-11-01" or "2011") for display
+ * @param {string} date - ISO 8601 date
+ * @returns {string} - e.g. "NOV 2011", or "" if no date
+ */
+export function formatResumeDate(date) {
+  if (!date) return '';
+
+  const [year, month] = String(date).split('-');
+  const monthName = MONTHS[parseInt(month, 10) - 1];
+  return monthName ? `${monthName} ${year}` : year;
+}
+
+/**
+ * Formats a start/end date pair (a missing end date means it's ongoing)
+ * @param {string} startDate - Start date
+ * @param {string} endDate - End date
+ * @returns {string} - e.g. "NOV 2011 - PRESENT"
+ */
+function formatPeriod(startDate, endDate) {
+  const start = formatResumeDate(startDate);
+  if (!start) return formatResumeDate(endDate);
+
+  return `${start} - ${formatResumeDate(endDate) || 'PRESENT'}`;
+}
+
+/**
+ * Joins the non-empty parts of a line with the game's bullet separator
+ * @param {Array<string>} parts - Text parts
+ * @returns {string} - The joined text
+ */
+function joinParts(parts) {
+  return parts.filter(Boolean).join(' • ');
+}
+
+/**
+ * Transforms a validated resume into collectible items
+ * (location, job, job_details, skills, education and award)
+ * @param {Object} resume - Resume from validateResume
+ * @returns {Array} - Array of formatted display items
+ */
+export function resumeToItems(resume) {
+  const items = [];
+  if (!resume) return items;
+
+  const resumeItem = item => items.push({ ...item, color: RESUME_COLOR, source: 'resume' });
+
+  // Location from the basics section
+  const location = resume.basics.location;
+  if (location && (location.city || location.region)) {
+    resumeItem({
+      name: [location.city, location.region].filter(Boolean).join(', '),
+      description: "Location",
+      details: location.address || location.countryCode || "",
+      type: "location"
+    });
+  }
+
+  // Jobs - the first entry is treated as the current role
+  resume.work.forEach((job, index) => {
+    resumeItem({
+      name: job.name,
+      description: job.position,
+      details: joinParts([formatPeriod(job.startDate, job.endDate), job.location]),
+      type: "job"
+    });
+
+    // Add the current job description separately for readability
+    if (index === 0 && job.summary) {
+      resumeItem({
+        name: "Current Role",
+        description: job.name,
+        details: job.summary,
+        type: "job_details"
+      });
+    }
+  });
+
+  // Skills all fit on one item
+  if (resume.skills.length > 0) {
+    resumeItem({
+      name: "Skills & Interests",
+      description: resume.skills.map(skill => skill.name).join(" • "),
+      details: "From Resume",
+      type: "skills"
+    });
+  }
+
+  resume.education.forEach(edu => {
+    resumeItem({
+      name: edu.institution,
+      description: [edu.studyType, edu.area].filter(Boolean).join(', '),
+      details: formatPeriod(edu.startDate, edu.endDate),
+      type: "education"
+    });
+  });
+
+  // Awards (patents are listed here too)
+  resume.awards.forEach(award => {
+    resumeItem({
+      name: /patent/i.test(award.title) ? "Patent" : "Award",
+      description: award.title,
+      details: joinParts([award.summary, formatResumeDate(award.date)]),
+      type: "award"
+    });
+  });
+
+  return items;
+}
@@ -0,0 +1,58 @@
+/**
+ * GitHub Snapshot Module
+ * Loads the committed snapshot of GitHub data (js/game/data/snapshot.json) used when the API is unreachable.
+ * Regenerate it with `node scripts/update-snapshot.mjs`.
+ */
+
+import { getConfig } from '../core/config.js';
+
+// The snapshot is only fetched once per page load
+let snapshotPromise = null;
+
+/**
+ * Loads the GitHub snapshot for a user
+ * @param {string} username - GitHub username the data is for
+ * @returns {Promise<Object|null>} - { profile, repos } in GitHub API shape, or null if unavailable
+ */
+export async function loadSnapshot(username = getConfig().githubUser) {
+  if (!snapshotPromise) {
+    snapshotPromise = fetchSnapshot(getConfig().snapshotUrl);
+  }
+
+  const snapshot = await snapshotPromise;
+  if (!snapshot) return null;
+
+  // A fork still carrying someone else's snapshot shouldn't show their repos
+  if (String(snapshot.user).toLowerCase() !== String(username).toLowerCase()) {
+    console.warn(`GitHub snapshot is for "${snapshot.user}", not "${username}" - ignoring it`);
+    return null;
+  }
+
+  return snapshot;
+}
+
+/**
+ * Fetches and checks the snapshot file
+ * @param {string} url - Snapshot URL
+ * @returns {Promise<Object|null>} - The snapshot, or null if it couldn't be loaded
+ */
+async function fetchSnapshot(url) {
+  try {
+    const response = await fetch(url);
+
+    if (!response.ok) {
+      throw new Error(`Failed to fetch GitHub snapshot from ${url}`);
+    }
+
+    const snapshot = await response.json();
+    if (!snapshot || !snapshot.user || !snapshot.profile || !Array.isArray(snapshot.repos)) {
+      throw new Error('GitHub snapshot is missing user, profile or repos');
+    }
+
+    console.log(`Loaded GitHub snapshot for ${snapshot.user} (generated ${snapshot.generatedAt})`);
+    return snapshot;
+  } catch (error) {
+    console.error('Error loading GitHub snapshot:', error);
+    return null;
+  }
+}
@@ -0,0 +1,313 @@
+/**
+ * Songs Module
+ * Loads and validates the JSON songs played by the sequencer in core/audio.js, and lists what each bar plays
+ *
+ * A song is a loop of 4/4 bars:
+ *   {
+ *     "name": "Neon Drive",
+ *     "bpm": 120,
+ *     "key": "A minor",
+ *     "chords": [[45, 49, 52], ...],          // MIDI notes, one chord per bar
+ *     "tracks": {
+ *       "bass":   { "pitch": "midi", "division": 0.25, "patterns": [[45], ...], "voice": { ... } },
+ *       "arp":    { ... }, "melody": { ... },
+ *       "kick":   { "division": 4, "patterns": [[1, 0, 0, 0, ...]], "voice": { ... } },
+ *       "snare":  { ... }, "hihat": { ... }
+ *     }
+ *   }
+ *
+ * Bar n plays chords[n % chords.length] and each track's patterns[n % patterns.length].
+ * A pattern is a list of steps, `division` steps per beat (0.25 is one step per bar).
+ * Pitched track steps are read according to `pitch`:
+ *   - midi: MIDI note numbers
+ *   - chord: index of a note in the bar's chord
+ *   - root: semitones above the chord's first note
+ * then shifted by `transpose` semitones; null is a rest. `skipChance` randomly drops notes.
+ * Drum steps are hit levels from 0 (silent) to 1. Every track and voice setting is optional.
+ */
+
+import { SONG_URLS } from '../core/constants.js';
+
+const PITCHED_TRACKS = ['bass', 'arp', 'melody'];
+const DIVISIONS = [0.25, 0.5, 1, 2, 4];
+const WAVES = ['sine', 'square', 'sawtooth', 'triangle'];
+const FILTERS = ['lowpass', 'highpass', 'bandpass'];
+const BEATS_PER_BAR = 4;
+
+// Defaults for each track - the sound of the original hardcoded tune
+const TRACK_DEFAULTS = {
+  bass: { pitch: 'midi', division: 0.25, voice: { wave: 'sawtooth', gain: 0.5, attack: 0, release: 0.1, detune: 0 } },
+  arp: { pitch: 'chord', division: 2, voice: { wave: 'square', gain: 0.2, attack: 0.02, release: 0.05, detune: 5 } },
+  melody: { pitch: 'root', division: 2, voice: { wave: 'square', gain: 0.15, attack: 0.01, release: 0.02, detune: 0 } },
+  kick: { division: 4, voice: { wave: 'sine', gain: 0.8, startFrequency: 120, endFrequency: 55, sweep: 0.1, decay: 0.2 } },
+  snare: { division: 4, voice: { filter: 'bandpass', frequency: 1000, q: 1.5, gain: 0.3, decay: 0.1 } },
+  hihat: { division: 4, voice: { filter: 'highpass', frequency: 7000, q: 1, gain: 0.1, decay: 0.05 } }
+};
+
+/**
+ * Fetches and validates every built-in song
+ * @param {Array<string>} urls - Song file URLs
+ * @returns {Promise<Array<Object>>} - The songs that loaded, in order
+ */
+export async function loadSongs(urls = SONG_URLS) {
+  const songs = await Promise.all(urls.map(url => loadSong(url)));
+  return songs.filter(Boolean);
+}
+
+/**
+ * Fetches and validates one song file
+ * @param {string} url - Song file URL
+ * @returns {Promise<Object|null>} - The song, or null if it couldn't be loaded
+ */
+export async function loadSong(url) {
+  try {
+    const response = await fetch(url);
+
+    if (!response.ok) {
+      throw new Error(`Failed to fetch song from ${url}`);
+    }
+
+    const { song, errors } = validateSong(await response.json());
+    if (!song) {
+      console.error(`Invalid song at ${url}:`, errors.join('; '));
+    }
+    return song;
+  } catch (error) {
+    console.error('Error loading song:', error);
+    return null;
+  }
+}
+
+/**
+ * Checks a song and fills in the default voice settings
+ * @param {Object} data - Parsed song JSON
+ * @returns {{song: Object|null, errors: Array<string>}} - The song (null if invalid) and what was wrong with it
+ */
+export function validateSong(data) {
+  const errors = [];
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { song: null, errors: ['Song must be a JSON object'] };
+  }
+  if (typeof data.name !== 'string' || !data.name.trim()) {
+    errors.push('"name" must be a non-empty string');
+  }
+  if (typeof data.bpm !== 'number' || data.bpm < 40 || data.bpm > 240) {
+    errors.push('"bpm" must be a number from 40 to 240');
+  }
+  if (typeof data.key !== 'string' || !/^[A-G][#b]? (major|minor)$/.test(data.key)) {
+    errors.push('"key" must look like "A minor" or "F# major"');
+  }
+
+  const chordsValid = Array.isArray(data.chords) && data.chords.length > 0 &&
+    data.chords.every(chord => Array.isArray(chord) && chord.length > 0 && chord.every(isMidiNote));
+  if (!chordsValid) {
+    errors.push('"chords" must be a non-empty list of chords, each a list of MIDI notes');
+  }
+
+  const tracks = {};
+  if (data.tracks !== undefined && (!data.tracks || typeof data.tracks !== 'object' || Array.isArray(data.tracks))) {
+    errors.push('"tracks" must be an object');
+  } else {
+    Object.entries(data.tracks || {}).forEach(([name, track]) => {
+      if (!TRACK_DEFAULTS[name]) {
+        errors.push(`Unknown track "${name}"`);
+        return;
+      }
+      const result = validateTrack(name, track, chordsValid ? data.chords : []);
+      errors.push(...result.errors);
+      if (result.track) {
+        tracks[name] = result.track;
+      }
+    });
+  }
+
+  if (errors.length > 0) {
+    return { song: null, errors };
+  }
+
+  return {
+    song: {
+      name: data.name.trim(),
+      bpm: data.bpm,
+      key: data.key,
+      chords: data.chords.map(chord => chord.slice()),
+      tracks
+    },
+    errors
+  };
+}
+
+/**
+ * Lists what each track plays in one bar of a song, before any notes are randomly skipped
+ * @param {Object} song - A validated song
+ * @param {number} bar - Bar number (chords and patterns loop)
+ * @returns {Array<Object>} - Steps, track by track: { track, beat, length, note } for pitched tracks
+ *   (MIDI note) and { track, beat, length, level } for drums, with beat and length in beats
+ */
+export function getBarSteps(song, bar) {
+  const chord = song.chords[bar % song.chords.length];
+  const steps = [];
+
+  Object.entries(song.tracks).forEach(([name, track]) => {
+    const pattern = track.patterns[bar % track.patterns.length];
+    const length = 1 / track.division;
+    const pitched = PITCHED_TRACKS.includes(name);
+
+    pattern.forEach((step, index) => {
+      const beat = index * length;
+      if (pitched && step !== null) {
+        steps.push({ track: name, beat, length, note: getTrackNote(track, step, chord) });
+      } else if (!pitched && step > 0) {
+        steps.push({ track: name, beat, length, level: step });
+      }
+    });
+  });
+
+  return steps;
+}
+
+/**
+ * Works out the MIDI note for a pitched track's step
+ * @param {Object} track - The track
+ * @param {number} step - The step, read according to the track's pitch mode
+ * @param {Array<number>} chord - The bar's chord
+ * @returns {number} - MIDI note
+ */
+function getTrackNote(track, step, chord) {
+  let note = step;
+  if (track.pitch === 'chord') {
+    note = chord[step];
+  } else if (track.pitch === 'root') {
+    note = chord[0] + step;
+  }
+  return note + track.transpose;
+}
+
+/**
+ * Checks one track and fills in its defaults
+ * @param {string} name - Track name (bass, arp, melody, kick, snare or hihat)
+ * @param {Object} data - The track from the song file
+ * @param {Array<Array<number>>} chords - The song's chords (empty if they're invalid), for checking
+ *   chord indexes and the notes they resolve to
+ * @returns {{track: Object|null, errors: Array<string>}} - The track and what was wrong with it
+ */
+function validateTrack(name, data, chords) {
+  const errors = [];
+  const shortestChord = chords.length > 0 ? Math.min(...chords.map(chord => chord.length)) : 0;
+  const path = `tracks.${name}`;
+  const defaults = TRACK_DEFAULTS[name];
+  const pitched = PITCHED_TRACKS.includes(name);
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { track: null, errors: [`"${path}" must be an object`] };
+  }
+
+  const track = {
+    division: data.division === undefined ? defaults.division : data.division,
+    patterns: [],
+    voice: { ...defaults.voice }
+  };
+  if (!DIVISIONS.includes(track.division)) {
+    errors.push(`"${path}.division" must be one of ${DIVISIONS.join(', ')}`);
+  }
+
+  if (pitched) {
+    track.pitch = data.pitch === undefined ? defaults.pitch : data.pitch;
+    track.transpose = data.transpose === undefined ? 0 : data.transpose;
+    track.skipChance = data.skipChance === undefined ? 0 : data.skipChance;
+
+    if (!['midi', 'chord', 'root'].includes(track.pitch)) {
+      errors.push(`"${path}.pitch" must be "midi", "chord" or "root"`);
+    }
+    if (!Number.isInteger(track.transpose) || Math.abs(track.transpose) > 48) {
+      errors.push(`"${path}.transpose" must be a whole number of semitones`);
+    }
+    if (typeof track.skipChance !== 'number' || track.skipChance < 0 || track.skipChance > 1) {
+      errors.push(`"${path}.skipChance" must be from 0 to 1`);
+    }
+  }
+
+  // Steps: pitched tracks hold notes (or null rests), drum tracks hold hit levels
+  const isStep = pitched
+    ? step => step === null || (Number.isInteger(step) && (
+      track.pitch === 'midi' ? isMidiNote(step) :
+      track.pitch === 'chord' ? step >= 0 && step < shortestChord :
+      Math.abs(step) <= 48))
+    : step => typeof step === 'number' && step >= 0 && step <= 1;
+
+  if (!Array.isArray(data.patterns) || data.patterns.length === 0) {
+    errors.push(`"${path}.patterns" must be a non-empty list of patterns`);
+  } else {
+    data.patterns.forEach((pattern, index) => {
+      if (!Array.isArray(pattern) || !pattern.every(isStep)) {
+        errors.push(`"${path}.patterns[${index}]" must be a list of ${pitched ? `${track.pitch} notes or null` : 'hit levels from 0 to 1'}`);
+      } else if (pattern.length / track.division > BEATS_PER_BAR) {
+        errors.push(`"${path}.patterns[${index}]" is longer than a bar`);
+      } else {
+        track.patterns.push(pattern.slice());
+      }
+    });
+  }
+
+  // Transposed, and over every chord, each step must still land on a MIDI note
+  if (pitched && errors.length === 0) {
+    track.patterns.forEach((pattern, index) => {
+      const inRange = pattern.every(step => step === null ||
+        chords.every(chord => isMidiNote(getTrackNote(track, step, chord))));
+      if (!inRange) {
+        errors.push(`"${path}.patterns[${index}]" plays notes outside the MIDI range (0 to 127)`);
+      }
+    });
+  }
+
+  if (data.voice !== undefined) {
+    if (!data.voice || typeof data.voice !== 'object' || Array.isArray(data.voice)) {
+      errors.push(`"${path}.voice" must be an object`);
+    } else {
+      Object.entries(data.voice).forEach(([setting, value]) => {
+        const problem = checkVoiceSetting(defaults.voice, setting, value);
+        if (problem) {
+          errors.push(`"${path}.voice.${setting}" ${problem}`);
+        } else {
+          track.voice[setting] = value;
+        }
+      });
+    }
+  }
+
+  return { track: errors.length > 0 ? null : track, errors };
+}
+
+/**
+ * Checks one synth voice setting
+ * @param {Object} defaults - The track's default voice (lists the settings it understands)
+ * @param {string} setting - Setting name
+ * @param {*} value - Setting value
+ * @returns {string|null} - What's wrong with it, or null if it's fine
+ */
+function checkVoiceSetting(defaults, setting, value) {
+  if (!(setting in defaults)) return 'is not a setting for this track';
+
+  if (setting === 'wave') {
+    return WAVES.includes(value) ? null : `must be one of ${WAVES.join(', ')}`;
+  }
+  if (setting === 'filter') {
+    return FILTERS.includes(value) ? null : `must be one of ${FILTERS.join(', ')}`;
+  }
+  if (typeof value !== 'number' || !Number.isFinite(value) || (value < 0 && setting !== 'detune')) {
+    return setting === 'detune' ? 'must be a number' : 'must be a number of at least 0';
+  }
+  if (setting === 'gain' && value > 1) return 'must be from 0 to 1';
+
+  return null;
+}
+
+/**
+ * Whether a value is a MIDI note number
+ * @param {*} note - Value to check
+ * @returns {boolean}
+ */
+function isMidiNote(note) {
+  return Number.isInteger(note) && note >= 0 && note <= 127;
+}
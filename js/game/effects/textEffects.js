@@ -2,7 +2,7 @@
  * Text effects module for creating exploding text displays
  */
 import { TextParticle } from './textParticle.js';
-import { GITHUB_COLOR, GITHUB_DARK_COLOR, RESUME_COLOR } from '../core/constants.js';
+import { GITHUB_COLOR, GITHUB_DARK_COLOR, RESUME_COLOR, LEVEL_UP_TEXT_COLOR } from '../core/constants.js';
 
 /**
  * Creates an exploding text effect for repositories and profile data
@@ -113,4 +113,27 @@ export function createExplodingRepoText(position, item, scene, explodingTexts) {
   } catch (err) {
     console.error('Error creating repo text effect:', err);
   }
+}
+
+/**
+ * Creates a "LEVEL UP" text effect
+ * @param {THREE.Vector3} position - Position in 3D space
+ * @param {number} level - The level just reached
+ * @param {THREE.Scene} scene - The Three.js scene to add particles to
+ * @param {Array} explodingTexts - Array to store the particles
+ */
+export function createLevelUpText(position, level, scene, explodingTexts) {
+  try {
+    const textPosition = position.clone();
+    textPosition.y += 1.5;
+    
+    const textParticle = new TextParticle(`LEVEL UP\nLEVEL ${level}`, textPosition, LEVEL_UP_TEXT_COLOR, true);
+    
+    if (textParticle.mesh) {
+      scene.add(textParticle.mesh);
+      explodingTexts.push(textParticle);
+    }
+  } catch (err) {
+    console.error('Error creating level up text effect:', err);
+  }
 }
\ No newline at end of file
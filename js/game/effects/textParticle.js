@@ -1,6 +1,20 @@
 /**
  * TextParticle class for creating animated text effects
  */
+import {
+  REPO_NAME_SCALE,
+  DETAILS_SCALE,
+  TEXT_PARTICLE_SPEED,
+  REPO_NAME_FADE_DELAY,
+  DETAILS_FADE_DELAY,
+  REPO_NAME_LIFE_SPEED,
+  DETAILS_LIFE_SPEED
+} from '../core/constants.js';
+import { random } from '../core/random.js';
+
+// Per-frame tuning below was originally written for 60fps - these convert it to per-second rates
+const REFERENCE_FPS = 60;
+
 export class TextParticle {
   /**
    * Creates a new text particle
@@ -25,7 +39,7 @@ export class TextParticle {
     const direction = TextParticle.lastDirection;
     
     // Set velocity based on direction to avoid overlapping
-    const baseSpeed = 0.05; // Increased base movement speed
+    const baseSpeed = TEXT_PARTICLE_SPEED; // Units per second
     let xVelocity = 0;
     let yVelocity = 0;
     
@@ -47,35 +61,35 @@ export class TextParticle {
     this.velocity = new THREE.Vector3(
       xVelocity,
       yVelocity,
-      (Math.random() - 0.5) * 0.01 // Minimal z-movement
+      (random('effects') - 0.5) * 0.6 // Minimal z-movement
     );
     
     // Almost no rotation for maximum readability
     this.rotation = new THREE.Vector3(
       0, // No initial x rotation
       0, // No initial y rotation
-      (Math.random() - 0.5) * 0.05 // Tiny initial z rotation only
+      (random('effects') - 0.5) * 0.05 // Tiny initial z rotation only
     );
     
-    // Extremely slow rotation for optimal reading
+    // Extremely slow rotation for optimal reading (radians per second)
     this.rotationSpeed = new THREE.Vector3(
       0, // No x rotation
       0, // No y rotation
-      (Math.random() - 0.5) * 0.005 // Extremely slow z rotation only
+      (random('effects') - 0.5) * 0.3 // Extremely slow z rotation only
     );
     
     this.color = color;
     this.opacity = 1;
     
     // Much larger scale, especially for repo names
-    this.scale = isRepoName ? 2.5 : 1.5;
+    this.scale = isRepoName ? REPO_NAME_SCALE : DETAILS_SCALE;
     
-    // Shorter lifetime for text particles
+    // Shorter lifetime for text particles (life lost per second once fading)
     this.life = 1.0;
-    this.lifeSpeed = isRepoName ? 0.004 : 0.006; // Much faster fade for shorter display time
+    this.lifeSpeed = isRepoName ? REPO_NAME_LIFE_SPEED : DETAILS_LIFE_SPEED;
     
-    // Short delay before fading starts
-    this.delayFade = isRepoName ? 100 : 60; // Quick fade after reaching safe height
+    // Short delay before fading starts, in seconds
+    this.delayFade = isRepoName ? REPO_NAME_FADE_DELAY : DETAILS_FADE_DELAY;
     
     this.createMesh();
   }
@@ -371,9 +385,10 @@ export class TextParticle {
   
   /**
    * Updates the particle's position, rotation, and opacity
+   * @param {number} dt - Step duration in seconds
    * @returns {boolean} - Whether the particle is still "alive"
    */
-  update() {
+  update(dt) {
     try {
       if (!this.mesh) {
         console.error('Missing mesh in TextParticle update');
@@ -385,24 +400,25 @@ export class TextParticle {
       
       // Slow down movement once text has reached a safe height
       if (this.position.y - this.initialY > safeHeightThreshold) {
-        // Reduce velocity once at safe height
-        this.velocity.x *= 0.95;
-        this.velocity.y *= 0.80; // Slow down vertical movement more
+        // Reduce velocity once at safe height (damping scaled to elapsed time)
+        const frames = dt * REFERENCE_FPS;
+        this.velocity.x *= Math.pow(0.95, frames);
+        this.velocity.y *= Math.pow(0.80, frames); // Slow down vertical movement more
         
         // Add downward angle to velocity as text rises above the road
-        if (this.velocity.y > -0.05) { // Allow it to go negative for strong downward angle
-          this.velocity.y -= 0.002; // Very subtle downward angle
+        if (this.velocity.y > -3) { // Allow it to go negative for strong downward angle
+          this.velocity.y -= 7.2 * dt; // Very subtle downward angle
         }
       }
       
       // Update position with directional movement
-      this.position.add(this.velocity);
+      this.position.addScaledVector(this.velocity, dt);
       this.mesh.position.copy(this.position);
       
       // Slight rotation for subtle motion but not too much to make it hard to read
-      this.rotation.x += this.rotationSpeed.x;
-      this.rotation.y += this.rotationSpeed.y;
-      this.rotation.z += this.rotationSpeed.z;
+      this.rotation.x += this.rotationSpeed.x * dt;
+      this.rotation.y += this.rotationSpeed.y * dt;
+      this.rotation.z += this.rotationSpeed.z * dt;
       
       // Always look at camera first (billboard effect) if camera exists
       if (window.camera) {
@@ -421,11 +437,11 @@ export class TextParticle {
       // Delayed recession effect - start receding if at safe height
       if (this.delayFade > 0) {
         // If at safe height, reduce delay more quickly to start receding sooner
-        this.delayFade -= atSafeHeight ? 3 : 1;
+        this.delayFade -= (atSafeHeight ? 3 : 1) * dt;
       } else {
         // Accelerate life decrease once at safe height (controls how quickly text recedes)
         const lifeDecreaseMultiplier = atSafeHeight ? 1.5 : 1.0;
-        this.life -= this.lifeSpeed * lifeDecreaseMultiplier;
+        this.life -= this.lifeSpeed * lifeDecreaseMultiplier * dt;
         
         // Only fade at the very end of life (last 10%)
         if (this.life < 0.1) {
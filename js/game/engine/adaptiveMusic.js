@@ -0,0 +1,54 @@
+/**
+ * Adaptive Music Module - Drives the soundtrack's tempo and intensity from the game
+ *
+ * The tempo follows the world speed (faster levels speed it up, slowdowns drag it back),
+ * and intensity rises with the level and the pickup streak. Intensity opens up the music's
+ * filter and brings in the hi-hats and then the arpeggio (see setMusicIntensity in core/audio.js).
+ */
+import {
+    MAX_LEVEL,
+    MUSIC_BASE_INTENSITY,
+    MUSIC_FULL_INTENSITY_STREAK,
+    MUSIC_TEMPO_FOLLOW
+} from '../core/constants.js';
+import { setMusicIntensity } from '../core/audio.js';
+import { getSpeedMultiplier } from '../state/gameState.js';
+import { getLevelSettings } from '../state/difficulty.js';
+
+// Share of the intensity above the base that comes from the level (the streak makes up the rest)
+const LEVEL_SHARE = 0.6;
+
+/**
+ * Works out how the music should sound for the current game
+ * @param {Object} state - The game state
+ * @returns {{intensity: number, tempo: number}} - Intensity (0-1) and tempo multiplier
+ */
+export function getMusicTargets(state) {
+    // Between runs the music sits back at its normal tempo
+    if (!state.gameStarted || state.gameOver) {
+        return { intensity: MUSIC_BASE_INTENSITY, tempo: 1 };
+    }
+
+    const worldSpeed = getLevelSettings(state.level).speedMultiplier * getSpeedMultiplier(state.simTime);
+    const levelProgress = (Math.min(state.level, MAX_LEVEL) - 1) / (MAX_LEVEL - 1);
+    const streakProgress = Math.min(state.streak / MUSIC_FULL_INTENSITY_STREAK, 1);
+
+    return {
+        intensity: MUSIC_BASE_INTENSITY + (1 - MUSIC_BASE_INTENSITY) * (LEVEL_SHARE * levelProgress + (1 - LEVEL_SHARE) * streakProgress),
+        tempo: 1 + (worldSpeed - 1) * MUSIC_TEMPO_FOLLOW
+    };
+}
+
+/**
+ * Pass the current targets on to the music (called every frame)
+ * @param {Object} state - The game state
+ */
+export function updateAdaptiveMusic(state) {
+    const { intensity, tempo } = getMusicTargets(state);
+    setMusicIntensity(intensity, tempo);
+}
+
+export default {
+    getMusicTargets,
+    updateAdaptiveMusic
+};
@@ -1,17 +1,53 @@
 /**
  * Animation Loop - Manages the game animation loop
  */
-import { PLAYER_SPEED, MAX_TIME_BETWEEN_COLLECTIBLES, LANES } from '../core/constants.js';
-import { updatePlayer } from '../entities/player.js';
-import { updateCollectibles, checkCollisions } from '../entities/collectibles/collectibleManager.js';
+import {
+    PLAYER_SPEED,
+    FIXED_TIMESTEP,
+    MAX_FRAME_TIME,
+    LANES,
+    OBSTACLE_SPAWN_Z
+} from '../core/constants.js';
+import { updatePlayer, setHoverBeat } from '../entities/player.js';
+import { updateCollectibles, checkCollisions, clearCollectibles } from '../entities/collectibles/collectibleManager.js';
 import { createCollectible } from '../entities/collectibles/collectibleFactory.js';
-import { addCollectible } from '../entities/collectibles/collectibleManager.js';
-import gameState from '../state/gameState.js';
+import { addCollectible, setLastDisplayedItemId } from '../entities/collectibles/collectibleManager.js';
+import {
+    createObstacle,
+    chooseObstacleSpawn,
+    getBlockedLanes,
+    checkObstacleCollisions
+} from '../entities/obstacle.js';
+import gameState, { getSpeedMultiplier, endGame, startGame } from '../state/gameState.js';
+import { getLevelSettings, updateLevel } from '../state/difficulty.js';
+import { createLevelUpText } from '../effects/textEffects.js';
+import { isFeatureEnabled } from '../core/config.js';
+import { updateHUD, showGameOverScreen } from '../ui/interface.js';
+import { capturePreviousPositions, applyInterpolation, restoreSimulationPositions } from './interpolation.js';
+import { random, beginRun } from '../core/random.js';
+import {
+    startRecording,
+    startPlayback,
+    getPlaybackInput,
+    endFinishedPlayback,
+    endReplayRun,
+    saveBestRun,
+    loadBestRun,
+    getDataFingerprint
+} from './replay.js';
+import { updateGhost, stopGhost } from '../entities/ghost.js';
+import { pollGamepads } from './gamepad.js';
+import { updateAdaptiveMusic } from './adaptiveMusic.js';
+import { playLaneWhoosh } from '../core/sfx.js';
+import { getBandEnergies } from '../core/audio.js';
 
 // Game objects collections
 let obstacles = [];
 let explodingTexts = [];
 
+// Lane the player was in last step, to hear lane changes
+let lastLane = null;
+
 /**
  * Initialize the animation loop
  * @param {Object} sceneManager - The scene manager
@@ -21,54 +57,53 @@ let explodingTexts = [];
  * @returns {Function} - The animation loop function
  */
 export function initAnimationLoop(sceneManager, player, githubRepos, profileData) {
+    // Clock state for the fixed-timestep simulation
+    let lastFrameTime = null;
+    let accumulator = 0;
+    
     /**
      * Animation loop function
+     * @param {number} timestamp - High resolution frame time from requestAnimationFrame
      */
-    return function animate() {
+    return function animate(timestamp = performance.now()) {
         try {
             gameState.animationId = requestAnimationFrame(animate);
             
-            // Track current time for guaranteed collectible spawns
-            const currentTime = Date.now();
+            // Measure elapsed real time, clamped so a long pause doesn't trigger a burst of steps
+            if (lastFrameTime === null) {
+                lastFrameTime = timestamp;
+            }
+            const frameTime = Math.min((timestamp - lastFrameTime) / 1000, MAX_FRAME_TIME);
+            lastFrameTime = timestamp;
+            accumulator += frameTime;
             
-            // Update environment (grid movement, sun rotation, etc.)
-            sceneManager.updateEnvironment(gameState.gameStarted, PLAYER_SPEED);
+            // Controllers have no events, so read them before this frame's steps
+            pollGamepads(timestamp);
             
-            // Update exploding text particles
-            updateExplodingTexts(sceneManager, explodingTexts);
+            // Paused: keep drawing the frozen scene, but don't bank the time for later
+            if (gameState.paused) {
+                accumulator = 0;
+            }
             
-            if (gameState.gameStarted) {
-                // Update player
-                updatePlayer(player, gameState.currentLane);
-                
-                // Move obstacles
-                updateObstacles(sceneManager, obstacles);
-                
-                // Update collectibles
-                updateCollectibles(PLAYER_SPEED, sceneManager.scene);
-                
-                // Create collectibles with controlled timing
-                createNewCollectibles(
-                    sceneManager,
-                    currentTime,
-                    gameState.lastCollectibleTime,
-                    githubRepos,
-                    profileData
-                );
-                
-                // Check collisions
-                checkCollisions(
-                    player,
-                    sceneManager.scene,
-                    sceneManager.flashGrid.bind(sceneManager),
-                    explodingTexts,
-                    githubRepos,
-                    profileData
-                );
+            // Advance the simulation in fixed steps so gameplay is identical at any refresh rate
+            while (accumulator >= FIXED_TIMESTEP) {
+                capturePreviousPositions(sceneManager.scene.children);
+                updateSimulation(sceneManager, player, githubRepos, profileData, FIXED_TIMESTEP);
+                accumulator -= FIXED_TIMESTEP;
             }
             
-            // Render the scene
+            // Let the music follow the game's speed, level and streak
+            updateAdaptiveMusic(gameState);
+            
+            // Pulse the scenery and the hover plates to what's playing
+            const bands = getBandEnergies();
+            sceneManager.pulseToMusic(bands);
+            setHoverBeat(bands ? bands.bass : 0);
+            
+            // Render between the last two simulation states
+            const moved = applyInterpolation(sceneManager.scene.children, accumulator / FIXED_TIMESTEP);
             sceneManager.render();
+            restoreSimulationPositions(moved);
             
         } catch (err) {
             console.error('Critical error in animation loop:', err);
@@ -78,12 +113,116 @@ export function initAnimationLoop(sceneManager, player, githubRepos, profileData
     };
 }
 
+/**
+ * Advance the game simulation by one fixed step (also driven without a renderer by headless.js)
+ * @param {Object} sceneManager - The scene manager, or any object with scene, updateEnvironment and flashGrid
+ * @param {Object} player - The player object
+ * @param {Array} githubRepos - GitHub repositories
+ * @param {Array} profileData - Profile data
+ * @param {number} dt - Step duration in seconds
+ */
+export function updateSimulation(sceneManager, player, githubRepos, profileData, dt) {
+    // A replay hands control back once its recorded steps run out, then steers the player
+    // exactly where the recorded run did before this step
+    endFinishedPlayback(gameState.runTicks);
+    const replayInput = getPlaybackInput(gameState.runTicks);
+    if (replayInput) {
+        gameState.currentLane = replayInput.lane;
+        gameState.steerX = replayInput.steerX;
+    }
+    
+    // Whoosh on every lane change, whether it came from the player or a replay
+    if (lastLane !== null && gameState.currentLane !== lastLane && gameState.gameStarted && !gameState.gameOver) {
+        playLaneWhoosh(Math.sign(gameState.currentLane - lastLane));
+    }
+    lastLane = gameState.currentLane;
+    
+    // The ghost re-drives the best run on the same step
+    updateGhost(gameState.runTicks, dt);
+    
+    // Advance the simulation clock used for spawn timing and slowdowns
+    gameState.simTime += dt * 1000;
+    gameState.runTicks++;
+    const currentTime = gameState.simTime;
+    
+    // Speed and spawn settings for the current level
+    const levelSettings = getLevelSettings(gameState.level);
+    
+    // World speed, raised by level and reduced while a slowdown is active
+    const speed = PLAYER_SPEED * levelSettings.speedMultiplier * getSpeedMultiplier(currentTime);
+    
+    // Update environment (grid movement, sun rotation, etc.)
+    sceneManager.updateEnvironment(gameState.gameStarted, speed, dt);
+    
+    // Update exploding text particles
+    updateExplodingTexts(sceneManager, explodingTexts, dt);
+    
+    if (gameState.gameStarted) {
+        // Track distance for the level curve
+        if (!gameState.gameOver) {
+            gameState.distance += speed * dt;
+        }
+        
+        // Update player
+        updatePlayer(player, gameState.currentLane, dt, gameState.steerX);
+        
+        // Move obstacles
+        updateObstacles(sceneManager, obstacles, speed, dt);
+        
+        // Update collectibles
+        updateCollectibles(speed, sceneManager.scene, dt);
+        
+        // Spawn new obstacles, always leaving a lane open (stops once the game is over)
+        if (!gameState.gameOver && isFeatureEnabled('obstacles')) {
+            createNewObstacles(sceneManager, currentTime, levelSettings);
+        }
+        
+        // Create collectibles with controlled timing
+        createNewCollectibles(
+            sceneManager,
+            currentTime,
+            gameState.lastCollectibleTime,
+            githubRepos,
+            profileData,
+            levelSettings
+        );
+        
+        if (!gameState.gameOver) {
+            // Check collisions
+            checkCollisions(
+                player,
+                sceneManager.scene,
+                sceneManager.flashGrid.bind(sceneManager),
+                explodingTexts,
+                githubRepos,
+                profileData
+            );
+            
+            // Check obstacle hits (score penalty, slowdown or life loss)
+            checkObstacleCollisions(player, obstacles, currentTime);
+            
+            // Level up once enough distance or score has been reached
+            const newLevel = updateLevel();
+            if (newLevel) {
+                onLevelUp(sceneManager, player, newLevel);
+            }
+            
+            // End the run once the last life is gone
+            checkGameOver(sceneManager);
+        }
+        
+        // Keep lives and other HUD values in sync
+        updateHUD(gameState);
+    }
+}
+
 /**
  * Update exploding text particles
  * @param {Object} sceneManager - The scene manager
  * @param {Array} explodingTexts - Array of exploding text particles
+ * @param {number} dt - Step duration in seconds
  */
-function updateExplodingTexts(sceneManager, explodingTexts) {
+function updateExplodingTexts(sceneManager, explodingTexts, dt) {
     for (let i = explodingTexts.length - 1; i >= 0; i--) {
         try {
             const textParticle = explodingTexts[i];
@@ -96,7 +235,7 @@ function updateExplodingTexts(sceneManager, explodingTexts) {
                 continue;
             }
             
-            const isAlive = textParticle.update();
+            const isAlive = textParticle.update(dt);
             
             if (!isAlive) {
                 // Remove dead particles from scene and array
@@ -124,16 +263,18 @@ function updateExplodingTexts(sceneManager, explodingTexts) {
  * Update obstacles
  * @param {Object} sceneManager - The scene manager
  * @param {Array} obstacles - Array of obstacles
+ * @param {number} speed - The speed at which obstacles move, in units per second
+ * @param {number} dt - Step duration in seconds
  */
-function updateObstacles(sceneManager, obstacles) {
+function updateObstacles(sceneManager, obstacles, speed, dt) {
     for (let i = obstacles.length - 1; i >= 0; i--) {
         try {
             const obstacle = obstacles[i];
-            obstacle.position.z += PLAYER_SPEED;
+            obstacle.position.z += speed * dt;
             
-            // Different rotation effects based on obstacle type
-            if (obstacle.children && obstacle.children[0] && obstacle.children[0].geometry) {
-                obstacle.rotation.z += 0.03;
+            // Run the obstacle's own animation until it has been hit
+            if (obstacle.userData && obstacle.userData.animate && !obstacle.userData.hit) {
+                obstacle.userData.animate(gameState.simTime, dt);
             }
             
             // Remove obstacles that are too far behind
@@ -155,42 +296,113 @@ function updateObstacles(sceneManager, obstacles) {
     }
 }
 
+/**
+ * Celebrate reaching a new level
+ * @param {Object} sceneManager - The scene manager
+ * @param {Object} player - The player object
+ * @param {number} level - The level just reached
+ */
+function onLevelUp(sceneManager, player, level) {
+    console.log('Level up:', level);
+    sceneManager.flashGrid();
+    
+    // Show the text ahead of the player so it doesn't cover the car
+    const textPosition = player.position.clone();
+    textPosition.z -= 8;
+    createLevelUpText(textPosition, level, sceneManager.scene, explodingTexts);
+}
+
+/**
+ * Trigger the game over transition when the player has run out of lives
+ * @param {Object} sceneManager - The scene manager
+ */
+function checkGameOver(sceneManager) {
+    if (gameState.lives > 0) return;
+    
+    endGame();
+    finishRun();
+    stopGhost(sceneManager.scene);
+    console.log('Game over - final score:', gameState.score);
+    
+    // Clear the track so nothing can be collected or hit after the run ends
+    clearCollectibles(sceneManager.scene);
+    clearObstacles(sceneManager.scene);
+    
+    // Offer a rematch against the best run's ghost once there is one
+    showGameOverScreen(gameState.score, gameState.highScore, isFeatureEnabled('ghost') && loadBestRun() !== null);
+}
+
+/**
+ * Spawn a new obstacle when the spawn interval has passed
+ * @param {Object} sceneManager - The scene manager
+ * @param {number} currentTime - Current simulation time in ms
+ * @param {Object} levelSettings - Spawn settings for the current level
+ */
+function createNewObstacles(sceneManager, currentTime, levelSettings) {
+    try {
+        if (currentTime - gameState.lastObstacleTime < levelSettings.obstacleInterval) return;
+        
+        // Reset the timer whether or not we spawn so attempts stay spaced out
+        gameState.lastObstacleTime = currentTime;
+        
+        if (random() >= levelSettings.obstacleSpawnChance) return;
+        
+        // Lanes already taken by nearby obstacles count against the open-lane rule
+        const spawn = chooseObstacleSpawn(getBlockedLanes(obstacles, OBSTACLE_SPAWN_Z));
+        if (!spawn) return;
+        
+        const obstacle = createObstacle(spawn.type, spawn.lanes);
+        obstacle.position.z = OBSTACLE_SPAWN_Z;
+        sceneManager.scene.add(obstacle);
+        obstacles.push(obstacle);
+    } catch (err) {
+        console.error('Error in creating obstacles:', err);
+    }
+}
+
 /**
  * Create new collectibles based on game state
  * @param {Object} sceneManager - The scene manager
- * @param {number} currentTime - Current time
+ * @param {number} currentTime - Current simulation time in ms
  * @param {number} lastCollectibleTime - Time when last collectible was created
  * @param {Array} githubRepos - GitHub repositories
  * @param {Array} profileData - Profile data
+ * @param {Object} levelSettings - Spawn settings and collectible mix for the current level
  */
-function createNewCollectibles(sceneManager, currentTime, lastCollectibleTime, githubRepos, profileData) {
+function createNewCollectibles(sceneManager, currentTime, lastCollectibleTime, githubRepos, profileData, levelSettings) {
     try {
+        // No new collectibles once the game is over
+        if (gameState.gameOver) return;
+        
         // Check current number of collectibles
         const collectibles = sceneManager.scene.children.filter(c => {
             // Only count collectibles that are ahead of the player (not yet passed)
             return c && c.userData && c.userData.dataSource && c.position && c.position.z < 0;
         });
         
-        // More permissive rules for creating collectibles:
-        // 1. Allow up to 3 collectibles ahead of the player
-        // 2. Shorter time between collectible creation
-        // 3. Higher random chance (30%) to create more collectibles
+        // Rules for creating collectibles (all loosen as the level rises):
+        // 1. Limit how many collectibles can be ahead of the player
+        // 2. Minimum time between collectible creation
+        // 3. Random chance to create more collectibles
         const timeSinceLastCollectible = currentTime - lastCollectibleTime;
         
-        if (collectibles.length < 3 && 
-            timeSinceLastCollectible > MAX_TIME_BETWEEN_COLLECTIBLES && 
-            (Math.random() < 0.3 || collectibles.length === 0)) {
+        if (collectibles.length < levelSettings.maxCollectiblesAhead && 
+            timeSinceLastCollectible > levelSettings.collectibleInterval && 
+            (random() < levelSettings.collectibleSpawnChance || collectibles.length === 0)) {
             
             console.log("Creating new collectible. Current count:", collectibles.length);
             
             // Randomly alternate between GitHub repos and profile data (50/50 chance)
-            const useGitHubRepo = Math.random() < 0.5;
+            const useGitHubRepo = random() < 0.5;
             
-            // Set chance to 0.5 for a balanced mix of GitHub and resume data
-            const chanceToUse = 0.5;
-            
-            // Create collectible with controlled type distribution - only if we have data
-            const collectible = createCollectible(gameState.currentLane, profileData, githubRepos, chanceToUse);
+            // Create collectible with the level's type distribution - only if we have data
+            const collectible = createCollectible(
+                gameState.currentLane,
+                profileData,
+                githubRepos,
+                levelSettings.profileItemChance,
+                levelSettings.factChance
+            );
             
             // Only continue if the collectible was successfully created
             if (collectible) {
@@ -200,10 +412,13 @@ function createNewCollectibles(sceneManager, currentTime, lastCollectibleTime, g
                 console.log("Collectible type:", useGitHubRepo ? "GitHub Repo" : "Profile Data");
                 
                 // Position closer to make them appear more frequently
-                collectible.position.z = -30 - (Math.random() * 10);
+                collectible.position.z = -30 - (random() * 10);
                 
-                // Randomly select one of the three lanes
-                const randomLane = Math.floor(Math.random() * LANES.length);
+                // Randomly select a lane, avoiding lanes blocked by nearby obstacles
+                const blockedLanes = getBlockedLanes(obstacles, collectible.position.z);
+                const openLanes = LANES.map((_, index) => index).filter(lane => !blockedLanes.has(lane));
+                const laneChoices = openLanes.length > 0 ? openLanes : LANES.map((_, index) => index);
+                const randomLane = laneChoices[Math.floor(random() * laneChoices.length)];
                 collectible.position.x = LANES[randomLane];
                 console.log("Positioning collectible in lane", randomLane, "at x =", LANES[randomLane]);
                 
@@ -220,8 +435,105 @@ function createNewCollectibles(sceneManager, currentTime, lastCollectibleTime, g
     }
 }
 
+/**
+ * Remove all obstacles from the scene
+ * @param {THREE.Scene} scene - The Three.js scene
+ */
+export function clearObstacles(scene) {
+    obstacles.forEach(obstacle => scene.remove(obstacle));
+    obstacles.length = 0;
+}
+
+/**
+ * Start a fresh run: reset the state, reseed the random streams, put the first collectible on the
+ * track and start recording (or play back a replay). Shared by the page and the headless runner so
+ * a replay plays out the same in both.
+ * @param {Object} sceneManager - The scene manager
+ * @param {Object} player - The player object
+ * @param {Array} githubRepos - GitHub repositories
+ * @param {Array} profileData - Profile data
+ * @param {Object} options - Run options
+ * @param {Object} options.replay - Replay to play back instead of recording
+ * @param {number|string} options.seed - Seed for the run (defaults to the page's seed or a fresh one)
+ * @param {number} options.startLane - Lane to start in (defaults to the current lane)
+ * @returns {number|string} - The run's seed
+ */
+export function startRun(sceneManager, player, githubRepos, profileData, { replay = null, seed, startLane } = {}) {
+    // Keep the recording of the run being abandoned
+    finishRun();
+    
+    startGame();
+    const runSeed = beginRun(replay ? replay.seed : seed);
+    resetSimulation(sceneManager.scene);
+    
+    // Put the player in the starting lane
+    const lane = replay ? replay.startLane : (startLane !== undefined ? startLane : gameState.currentLane);
+    gameState.currentLane = lane;
+    gameState.steerX = null;
+    lastLane = lane;
+    player.position.set(LANES[lane], player.position.y, 0);
+    player.rotation.set(0, 0, 0);
+    
+    // Start with just a single collectible, far enough away to give the player time to prepare
+    const levelSettings = getLevelSettings(gameState.level);
+    const collectible = createCollectible(
+        lane,
+        profileData,
+        githubRepos,
+        levelSettings.profileItemChance,
+        levelSettings.factChance
+    );
+    if (collectible) {
+        addCollectible(collectible, sceneManager.scene);
+        collectible.position.z = -30;
+        collectible.position.x = LANES[1]; // Center lane
+    }
+    
+    const data = getDataFingerprint(githubRepos, profileData);
+    if (replay) {
+        startPlayback(replay, data);
+    } else {
+        startRecording({ seed: runSeed, startLane: lane, data });
+    }
+    
+    console.log('Run seed:', runSeed);
+    return runSeed;
+}
+
+/**
+ * Stop recording the current run, keeping it as the best run if it beat the saved one
+ */
+function finishRun() {
+    const recording = endReplayRun();
+    if (recording && saveBestRun(recording)) {
+        console.log('New best run saved for the ghost:', recording.score);
+    }
+}
+
+/**
+ * Remove every obstacle, collectible and text particle so a new run starts on an empty track
+ * @param {THREE.Scene} scene - The Three.js scene
+ */
+export function resetSimulation(scene) {
+    clearCollectibles(scene);
+    clearObstacles(scene);
+    explodingTexts.forEach(textParticle => {
+        if (textParticle && textParticle.mesh) {
+            scene.remove(textParticle.mesh);
+        }
+    });
+    explodingTexts.length = 0;
+    
+    // Forget the last shown item so the first pickup of a seeded run is always the same
+    setLastDisplayedItemId(null);
+}
+
 export default {
     initAnimationLoop,
+    updateSimulation,
+    startRun,
+    resetSimulation,
+    clearObstacles,
     obstacles,
     explodingTexts
 };
\ No newline at end of file
@@ -3,20 +3,38 @@
  */
 import { sceneManager } from '../core/setup.js';
 import { initializePlayer } from '../entities/player.js';
-import { initAudio, startMusic, unlockAudio } from '../core/audio.js';
+import { initAudio, startMusic, unlockAudio, toggleMusic } from '../core/audio.js';
+import { loadConfig, getConfig, isFeatureEnabled } from '../core/config.js';
+import { setFixedSeed, beginRun } from '../core/random.js';
 import { fetchGitHubRepos } from '../data/github.js';
 import { fetchGitHubProfileData, processGitHubProfileData } from '../data/profile.js';
-import { createCollectible } from '../entities/collectibles/collectibleFactory.js';
-import { addCollectible, clearCollectibles } from '../entities/collectibles/collectibleManager.js';
-import { LANES, GITHUB_PROFILE_ITEM_CHANCE } from '../core/constants.js';
+import { loadSongs } from '../data/songs.js';
 import gameState, { 
     loadHighScore, 
     loadMusicPreferences,
     saveMusicPreferences,
     startGame
 } from '../state/gameState.js';
+import { notifyScoreReset } from '../state/scoring.js';
 import { initInputHandling } from './inputHandler.js';
-import { initAnimationLoop } from './animationLoop.js';
+import { initAnimationLoop, startRun } from './animationLoop.js';
+import { initPause, resumeGame } from './pause.js';
+import {
+    loadReplay,
+    updateReplayIndicator,
+    getLastRecording,
+    downloadReplay,
+    loadBestRun,
+    getDataFingerprint
+} from './replay.js';
+import { startGhost } from '../entities/ghost.js';
+import { initHUD, updateHUD, hideGameOverScreen } from '../ui/interface.js';
+import { initDebugOverlay } from '../ui/debugOverlay.js';
+import { initSettingsPanel } from '../ui/settingsPanel.js';
+import { initTrackSelector } from '../ui/trackSelector.js';
+import { initMusicExport } from '../ui/musicExport.js';
+import { loadKeyBindings } from './keyBindings.js';
+import { loadTiltSettings } from './tiltSteering.js';
 
 // Data collections
 let githubRepos = [];
@@ -32,6 +50,14 @@ let musicToggleButton;
 export async function initGame() {
     console.log('Initializing game...');
     
+    // Load the page's config (GitHub user, resume, facts, theme, features) before building anything
+    await loadConfig();
+    sceneManager.setTheme(getConfig().theme);
+    
+    // Seed the scenery and the warm-up run shown while data loads (a ?seed= makes every run the same)
+    setFixedSeed(getConfig().seed);
+    beginRun();
+    
     // Initialize with minimum needed to start the visual experience
     sceneManager.initMinimal();
     
@@ -51,6 +77,9 @@ export async function initGame() {
         unlockAudio
     );
     
+    // Pause with P/Escape, and automatically when the tab is hidden or loses focus
+    initPause();
+    
     // Handle window resize
     window.addEventListener('resize', sceneManager.onWindowResize.bind(sceneManager));
     
@@ -58,6 +87,42 @@ export async function initGame() {
     loadHighScore();
     const musicEnabled = loadMusicPreferences();
     updateMusicToggleButton(musicEnabled);
+    loadKeyBindings();
+    loadTiltSettings();
+    
+    // Key bindings and tilt settings panel (also puts the bound keys in the on-screen hints)
+    initSettingsPanel();
+    
+    // Show the score HUD now that the high score is loaded
+    if (isFeatureEnabled('hud')) {
+        initHUD();
+    }
+    
+    // Cache status overlay for checking GitHub data sources
+    if (isFeatureEnabled('debug')) {
+        initDebugOverlay();
+    }
+    
+    // Let touch players restart from the game over screen
+    const restartButton = document.getElementById('restart-button');
+    if (restartButton) {
+        restartButton.addEventListener('click', () => refreshGame(player));
+    }
+    
+    // Or go again on the best run's track, against its ghost
+    const raceGhostButton = document.getElementById('race-ghost-button');
+    if (raceGhostButton) {
+        raceGhostButton.addEventListener('click', () => refreshGame(player, null, { raceGhost: true }));
+    }
+    
+    // Save the run that just ended so it can be replayed (?replay=/path/to/file.json)
+    const saveReplayButton = document.getElementById('save-replay-button');
+    if (saveReplayButton) {
+        saveReplayButton.addEventListener('click', () => downloadReplay(getLastRecording()));
+    }
+    
+    // Start fetching a replay now so it's ready when the data is
+    const replayPromise = getConfig().replayUrl ? loadReplay(getConfig().replayUrl) : Promise.resolve(null);
     
     // Start the game
     startGame();
@@ -71,9 +136,6 @@ export async function initGame() {
     // Flash the grid immediately when the page loads for emphasis
     setTimeout(() => sceneManager.flashGrid(), 500);
     
-    // Set up GitHub data loading first, then start animation loop with data references
-    window._gitHubProfileItemChance = GITHUB_PROFILE_ITEM_CHANCE;
-    
     // Start with empty arrays - we'll only create collectibles once we have real data
     // This prevents showing error messages or placeholder data
     
@@ -104,7 +166,7 @@ export async function initGame() {
                     profile ? Object.keys(profile).length : 0, "profile items");
                 
                 // Make sure we have real data before clearing placeholders
-                if (repos && repos.length > 0 && profile) {
+                if ((repos && repos.length > 0) || (profile && profile.length > 0)) {
                     // First, process the data directly
                     const processedRepos = repos;
                     const processedProfile = Array.isArray(profile) ? profile : processGitHubProfileData(profile);
@@ -113,7 +175,7 @@ export async function initGame() {
                     console.log("Sample profile item:", processedProfile.length > 0 ? processedProfile[0].name : "none");
                     
                     // Only clear if we actually have real data to replace with
-                    if (processedRepos.length > 0 && processedProfile.length > 0) {
+                    if (processedRepos.length > 0 || processedProfile.length > 0) {
                         // Clear fallback data completely
                         githubRepos.splice(0, githubRepos.length);
                         profileData.splice(0, profileData.length);
@@ -133,19 +195,9 @@ export async function initGame() {
                 console.error("Error loading GitHub data:", error);
             }
             
-            // Create initial collectible only if we have data
-            const collectible = createCollectible(gameState.currentLane, profileData, githubRepos, window._gitHubProfileItemChance);
-            
-            // Only add the collectible if it was successfully created
-            if (collectible) {
-                addCollectible(collectible, sceneManager.scene);
-                
-                // Position the initial collectible at a comfortable distance
-                collectible.position.z = -30;
-                collectible.position.x = LANES[1]; // Center lane
-            } else {
-                console.log("Skipping initial collectible - no data available yet");
-            }
+            // Start the real run (recorded, or the requested replay) now that the data is in,
+            // so the run only depends on its seed and the player's input
+            refreshGame(player, await replayPromise);
         }, 1000);
     }, 200);
     
@@ -188,6 +240,22 @@ function setupMusicAutostart() {
  * Set up audio controls
  */
 function setupAudioControls() {
+    // Hide the music button entirely when music is turned off in the config
+    if (!isFeatureEnabled('music')) {
+        const musicToggle = document.getElementById('music-toggle');
+        if (musicToggle) {
+            musicToggle.classList.add('hidden');
+        }
+        return;
+    }
+    
+    // Load the songs in the background - the track and export buttons appear once they're ready
+    loadSongs().then(songs => {
+        if (initTrackSelector(songs)) {
+            initMusicExport();
+        }
+    });
+    
     // Get music toggle button
     musicToggleButton = document.getElementById('music-toggle');
     
@@ -234,38 +302,21 @@ async function loadGitHubData() {
             fetchGitHubProfileData()
         ]);
         
-        // Process GitHub repos data - make sure we have real data
-        let processedRepos = repos || [];
+        // Repos come from the API, the persistent cache or the bundled snapshot - if all of
+        // those failed we just show resume items and facts rather than error placeholders
+        const processedRepos = repos || [];
         if (processedRepos.length === 0) {
-            console.error('No GitHub repos were loaded, using error message');
-            processedRepos = [{
-                name: "Error Loading Data",
-                description: "Could not load GitHub repository data",
-                language: "Error",
-                color: 0xff0000
-            }];
+            console.warn('No GitHub repos were loaded, continuing without them');
         } else {
             console.log('Loaded GitHub repos:', processedRepos.length);
             console.log('First repo:', processedRepos[0].name);
         }
         
         // Process profile data - make sure we get an array back
-        let processedProfileData;
-        if (profile) {
-            processedProfileData = processGitHubProfileData(profile);
-            console.log('Processed profile items:', processedProfileData.length);
-            if (processedProfileData.length > 0) {
-                console.log('First profile item:', processedProfileData[0].name);
-            }
-        } else {
-            console.error('No profile data was loaded, using error message');
-            processedProfileData = [{
-                name: "Error Loading Data",
-                description: "Could not load profile data",
-                details: "Check console for more information",
-                type: "error",
-                color: 0xff0000
-            }];
+        const processedProfileData = profile ? processGitHubProfileData(profile) : [];
+        console.log('Processed profile items:', processedProfileData.length);
+        if (processedProfileData.length > 0) {
+            console.log('First profile item:', processedProfileData[0].name);
         }
         
         return { 
@@ -274,21 +325,9 @@ async function loadGitHubData() {
         };
     } catch (error) {
         console.error('Error loading GitHub data:', error);
-        // Return clear error messages
         return { 
-            githubRepos: [{
-                name: "Error Loading Data",
-                description: "Could not load GitHub repository data",
-                language: "Error", 
-                color: 0xff0000
-            }], 
-            profileData: [{
-                name: "Error Loading Data",
-                description: "Could not load profile data",
-                details: "Check console for more information",
-                type: "error",
-                color: 0xff0000
-            }]
+            githubRepos: [], 
+            profileData: []
         };
     }
 }
@@ -296,37 +335,54 @@ async function loadGitHubData() {
 /**
  * Refresh the game
  * @param {Object} player - The player object
+ * @param {Object} replay - Replay to play back in the new run (a normal, recorded run if omitted)
+ * @param {Object} options - Restart options
+ * @param {boolean} options.raceGhost - Race the best run's ghost on its track instead of a new one
  */
-export function refreshGame(player) {
-    // Reset game state but don't stop gameplay
-    gameState.resetGame();
+export function refreshGame(player, replay = null, { raceGhost = false } = {}) {
+    // Restarting from the pause screen carries on playing
+    resumeGame();
     
-    // Clear collectibles
-    clearCollectibles(sceneManager.scene);
+    // Race the best run's ghost on its own track (the same seed gives the same spawns)
+    const ghostRun = replay ? null : getGhostRun(raceGhost);
     
-    // Reset player position to current lane
-    player.position.set(LANES[gameState.currentLane], player.position.y, 0);
-    player.rotation.set(0, 0, 0);
+    // Reset game state (lives, score, game over), the track and the seed but don't stop gameplay
+    startRun(sceneManager, player, githubRepos, profileData, {
+        replay,
+        seed: ghostRun ? ghostRun.seed : undefined
+    });
+    startGhost(sceneManager.scene, ghostRun);
+    notifyScoreReset();
+    updateHUD(gameState);
+    hideGameOverScreen();
+    updateReplayIndicator();
     
     // Flash grid for visual effect after a small delay
     setTimeout(() => {
         sceneManager.flashGrid();
     }, 100);
     
-    // Start with just a single collectible to avoid initial slowdown
-    // Create it far enough away to give player time to prepare
-    const collectible = createCollectible(gameState.currentLane, profileData, githubRepos, window._gitHubProfileItemChance);
-    addCollectible(collectible, sceneManager.scene);
-    
-    // Position the initial collectible at a comfortable distance
-    collectible.position.z = -30;
-    collectible.position.x = LANES[1]; // Center lane
-    
-    // Reset the last collectible time
-    gameState.lastCollectibleTime = Date.now();
-    
     // Restart music if enabled but not playing
-    if (gameState.musicEnabled) {
+    if (gameState.musicEnabled && isFeatureEnabled('music')) {
         startMusic();
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Gets the saved best run if the ghost can race it - it needs the same data and the same seed, so
+ * it races when the page fixes the best run's seed or when the player asks to race it
+ * @param {boolean} raceGhost - Whether the player asked to race the ghost on the best run's track
+ * @returns {Object|null} - The best run's replay
+ */
+function getGhostRun(raceGhost) {
+    if (!isFeatureEnabled('ghost')) return null;
+    
+    const bestRun = loadBestRun();
+    if (!bestRun || bestRun.data !== getDataFingerprint(githubRepos, profileData)) return null;
+    
+    // Otherwise every run would reuse the best run's seed and the track would never change
+    const fixedSeed = getConfig().seed;
+    if (fixedSeed === null) return raceGhost ? bestRun : null;
+    
+    return String(fixedSeed) === String(bestRun.seed) ? bestRun : null;
+}
@@ -0,0 +1,197 @@
+/**
+ * Gamepad Module - Polls connected controllers through the Gamepad API
+ *
+ * Browsers don't send events for gamepad buttons, so the animation loop polls once per frame.
+ * With the standard mapping (Xbox-style controllers):
+ *   - D-pad or left stick: change lanes (repeats while held)
+ *   - A: resume when paused, restart after game over
+ *   - Y: toggle music
+ *   - View/Back: restart
+ *   - Start/Menu: pause
+ */
+import {
+    GAMEPAD_DEADZONE,
+    GAMEPAD_REPEAT_DELAY,
+    GAMEPAD_REPEAT_INTERVAL,
+    GAMEPAD_DPAD_LEFT,
+    GAMEPAD_DPAD_RIGHT,
+    GAMEPAD_BUTTON_ACTIONS,
+    GAMEPAD_PICKUP_RUMBLE
+} from '../core/constants.js';
+
+// State of each connected controller, keyed by gamepad index
+const controllers = new Map();
+
+// Callbacks set by initGamepads
+let actionHandler = null;
+let connectionHandler = null;
+
+/**
+ * Start listening for controllers being plugged in and out
+ * @param {Function} onAction - Called with an action name: moveLeft, moveRight, confirm, toggleMusic, restart or pause
+ * @param {Function} onConnectionChange - Called with the number of connected controllers when it changes
+ */
+export function initGamepads(onAction, onConnectionChange = () => {}) {
+    actionHandler = onAction;
+    connectionHandler = onConnectionChange;
+    controllers.clear();
+
+    window.addEventListener('gamepadconnected', (event) => {
+        console.log(`Gamepad connected: ${event.gamepad.id}`);
+        addController(event.gamepad);
+    });
+
+    window.addEventListener('gamepaddisconnected', (event) => {
+        console.log(`Gamepad disconnected: ${event.gamepad.id}`);
+        removeController(event.gamepad.index);
+    });
+}
+
+/**
+ * Read every connected controller and fire actions for new presses (call once per frame)
+ * @param {number} timestamp - Frame time in ms, used for held-direction repeats
+ */
+export function pollGamepads(timestamp) {
+    if (!actionHandler) return;
+
+    try {
+        const gamepads = getGamepads();
+
+        // Catch controllers whose connect/disconnect event was missed (e.g. plugged in before the page loaded)
+        gamepads.forEach(gamepad => {
+            if (!controllers.has(gamepad.index)) {
+                addController(gamepad);
+            }
+        });
+        Array.from(controllers.keys()).forEach(index => {
+            if (!gamepads.some(gamepad => gamepad.index === index)) {
+                removeController(index);
+            }
+        });
+
+        gamepads.forEach(gamepad => pollController(gamepad, controllers.get(gamepad.index), timestamp));
+    } catch (err) {
+        console.error('Error polling gamepads:', err);
+    }
+}
+
+/**
+ * Give every controller that supports it a short rumble
+ * @param {Object} effect - Rumble parameters for vibrationActuator.playEffect
+ */
+export function rumbleGamepads(effect = GAMEPAD_PICKUP_RUMBLE) {
+    getGamepads().forEach(gamepad => {
+        const actuator = gamepad.vibrationActuator;
+        if (!actuator || typeof actuator.playEffect !== 'function') return;
+
+        try {
+            Promise.resolve(actuator.playEffect('dual-rumble', effect)).catch(err => {
+                console.error('Error playing gamepad rumble:', err);
+            });
+        } catch (err) {
+            console.error('Error playing gamepad rumble:', err);
+        }
+    });
+}
+
+/**
+ * Gets the number of connected controllers
+ * @returns {number} - Connected controllers
+ */
+export function getConnectedGamepadCount() {
+    return controllers.size;
+}
+
+/**
+ * Fire the actions for one controller's new presses and held directions
+ * @param {Gamepad} gamepad - The controller's current state
+ * @param {Object} controller - What the controller was doing last frame
+ * @param {number} timestamp - Frame time in ms
+ */
+function pollController(gamepad, controller, timestamp) {
+    // Lane changes: fire on the first frame a direction is held, then repeat while it stays held
+    const direction = getDirection(gamepad);
+    if (direction !== controller.direction) {
+        controller.direction = direction;
+        if (direction !== 0) {
+            actionHandler(direction < 0 ? 'moveLeft' : 'moveRight');
+            controller.nextRepeat = timestamp + GAMEPAD_REPEAT_DELAY;
+        }
+    } else if (direction !== 0 && timestamp >= controller.nextRepeat) {
+        actionHandler(direction < 0 ? 'moveLeft' : 'moveRight');
+        controller.nextRepeat = timestamp + GAMEPAD_REPEAT_INTERVAL;
+    }
+
+    // Buttons only fire on the frame they go down
+    const pressed = getPressedButtons(gamepad);
+    Object.entries(GAMEPAD_BUTTON_ACTIONS).forEach(([button, action]) => {
+        if (pressed[button] && !controller.pressed[button]) {
+            actionHandler(action);
+        }
+    });
+    controller.pressed = pressed;
+}
+
+/**
+ * Start tracking a controller
+ * @param {Gamepad} gamepad - The controller
+ */
+function addController(gamepad) {
+    // Treat whatever is already held as old presses, so grabbing a controller doesn't fire anything
+    controllers.set(gamepad.index, {
+        direction: getDirection(gamepad),
+        nextRepeat: Infinity,
+        pressed: getPressedButtons(gamepad)
+    });
+    connectionHandler(controllers.size);
+}
+
+/**
+ * Stop tracking a controller
+ * @param {number} index - The controller's gamepad index
+ */
+function removeController(index) {
+    if (controllers.delete(index)) {
+        connectionHandler(controllers.size);
+    }
+}
+
+/**
+ * Gets the lane direction a controller is pushing
+ * @param {Gamepad} gamepad - The controller
+ * @returns {number} - -1 for left, 1 for right, 0 for neither
+ */
+function getDirection(gamepad) {
+    const buttons = getPressedButtons(gamepad);
+    const stickX = gamepad.axes && gamepad.axes.length > 0 ? gamepad.axes[0] : 0;
+
+    if (buttons[GAMEPAD_DPAD_LEFT] || stickX < -GAMEPAD_DEADZONE) return -1;
+    if (buttons[GAMEPAD_DPAD_RIGHT] || stickX > GAMEPAD_DEADZONE) return 1;
+    return 0;
+}
+
+/**
+ * Gets which buttons are held
+ * @param {Gamepad} gamepad - The controller
+ * @returns {Array<boolean>} - Pressed flag for each button index
+ */
+function getPressedButtons(gamepad) {
+    return Array.from(gamepad.buttons || [], button => Boolean(button && button.pressed));
+}
+
+/**
+ * Gets the connected controllers
+ * @returns {Array<Gamepad>} - Connected gamepads (empty if the Gamepad API isn't available)
+ */
+function getGamepads() {
+    if (typeof navigator === 'undefined' || typeof navigator.getGamepads !== 'function') return [];
+
+    return Array.from(navigator.getGamepads()).filter(gamepad => gamepad && gamepad.connected);
+}
+
+export default {
+    initGamepads,
+    pollGamepads,
+    rumbleGamepads,
+    getConnectedGamepadCount
+};
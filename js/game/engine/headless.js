@@ -0,0 +1,175 @@
+/**
+ * Headless runner - Steps the game simulation without a renderer or requestAnimationFrame
+ * so runs can be simulated in bulk (e.g. from Node) to tune spawning and difficulty
+ */
+import { FIXED_TIMESTEP, LANES, DEFAULT_LANE } from '../core/constants.js';
+import { initializePlayer } from '../entities/player.js';
+import gameState from '../state/gameState.js';
+import { updateSimulation, resetSimulation, startRun } from './animationLoop.js';
+import { recordLaneChange, endReplayRun, getLastRecording } from './replay.js';
+import { getNearestLane } from '../utils/helpers.js';
+
+/**
+ * Create a stand-in for the scene manager with a bare scene and no renderer
+ * @returns {Object} - Object with the scene and the environment hooks the simulation and animation loop call
+ */
+export function createHeadlessSceneManager() {
+    return {
+        scene: new THREE.Scene(),
+        updateEnvironment() {},
+        flashGrid() {},
+        pulseToMusic() {},
+        render() {}
+    };
+}
+
+/**
+ * Steering strategy that heads for the lane of the nearest collectible still ahead of the player
+ * @param {Object} context - Tick context passed in by runHeadless
+ * @param {THREE.Scene} context.scene - The simulated scene
+ * @returns {number|undefined} - Lane to move to, or undefined to stay put
+ */
+export function followNearestCollectible({ scene }) {
+    let nearest = null;
+    scene.children.forEach(child => {
+        if (!isCollectibleAhead(child)) return;
+        if (!nearest || child.position.z > nearest.position.z) {
+            nearest = child;
+        }
+    });
+
+    return nearest ? getNearestLane(nearest.position.x) : undefined;
+}
+
+/**
+ * Run the simulation for a number of fixed steps and report what happened
+ * @param {Object} options - Run options
+ * @param {number} options.ticks - Number of simulation steps to run
+ * @param {number|string} options.seed - Seed for the run (a fresh one if omitted), so runs can be repeated exactly
+ * @param {number} options.startLane - Lane the player starts in
+ * @param {Object} options.replay - Replay to play back (its seed and lane changes replace seed and steer)
+ * @param {Array} options.githubRepos - GitHub repositories to build collectibles from
+ * @param {Array} options.profileData - Profile items to build collectibles from
+ * @param {Function} options.steer - Called before each step with { tick, scene, player, state }; returns a lane or undefined
+ * @param {Function} options.onTick - Called after each step with the same context
+ * @param {boolean} options.stopOnGameOver - Whether to stop as soon as the run ends
+ * @returns {Object} - Final score, level, distance, spawn statistics and the run's replay
+ */
+export function runHeadless({
+    ticks,
+    seed,
+    startLane = DEFAULT_LANE,
+    replay = null,
+    githubRepos = [],
+    profileData = [],
+    steer = null,
+    onTick = null,
+    stopOnGameOver = true
+} = {}) {
+    const sceneManager = createHeadlessSceneManager();
+    const scene = sceneManager.scene;
+
+    // Start from a clean clock and an empty track, exactly like a run on the page
+    const player = initializePlayer(scene, startLane);
+    const runSeed = startRun(sceneManager, player, githubRepos, profileData, { replay, seed, startLane });
+    const seen = new WeakSet(scene.children);
+
+    const stats = {
+        seed: runSeed,
+        ticks: 0,
+        endedAtTick: null,
+        collectibles: {
+            spawned: 0,
+            byLane: LANES.map(() => 0),
+            maxAhead: 0,
+            ticksWithNoneAhead: 0,
+            longestGap: 0 // ms of simulation time between consecutive spawns
+        },
+        obstacles: {
+            spawned: 0
+        }
+    };
+    let lastSpawnTime = 0;
+    let endTime = null;
+
+    for (let tick = 0; tick < ticks; tick++) {
+        const context = { tick, scene, player, state: gameState };
+
+        if (steer && !replay) {
+            const lane = steer(context);
+            if (lane !== undefined && lane !== null && lane >= 0 && lane < LANES.length && lane !== gameState.currentLane) {
+                gameState.currentLane = lane;
+                recordLaneChange(lane);
+            }
+        }
+
+        updateSimulation(sceneManager, player, githubRepos, profileData, FIXED_TIMESTEP);
+        stats.ticks = tick + 1;
+
+        // Record anything the step spawned
+        let ahead = 0;
+        scene.children.forEach(child => {
+            if (isCollectibleAhead(child)) ahead++;
+            if (seen.has(child)) return;
+            seen.add(child);
+
+            if (child.userData && child.userData.dataSource) {
+                stats.collectibles.spawned++;
+                stats.collectibles.byLane[getNearestLane(child.position.x)]++;
+                stats.collectibles.longestGap = Math.max(stats.collectibles.longestGap, gameState.simTime - lastSpawnTime);
+                lastSpawnTime = gameState.simTime;
+            } else if (child.userData && child.userData.isObstacle) {
+                stats.obstacles.spawned++;
+            }
+        });
+
+        stats.collectibles.maxAhead = Math.max(stats.collectibles.maxAhead, ahead);
+        if (ahead === 0) {
+            stats.collectibles.ticksWithNoneAhead++;
+        }
+
+        if (onTick) {
+            onTick(context);
+        }
+
+        if (gameState.gameOver) {
+            if (stats.endedAtTick === null) {
+                stats.endedAtTick = tick;
+                endTime = gameState.simTime;
+            }
+            if (stopOnGameOver) break;
+        }
+    }
+
+    // Include the stretch since the last spawn so a run that stops spawning shows up as a long gap
+    const runEnd = endTime !== null ? endTime : gameState.simTime;
+    stats.collectibles.longestGap = Math.max(stats.collectibles.longestGap, runEnd - lastSpawnTime);
+
+    stats.score = gameState.score;
+    stats.level = gameState.level;
+    stats.distance = gameState.distance;
+    stats.lives = gameState.lives;
+    stats.bestStreak = gameState.bestStreak;
+
+    // A replay that survived to the last tick is compared against its recording here
+    endReplayRun();
+    stats.replay = replay ? null : getLastRecording();
+
+    resetSimulation(scene);
+    return stats;
+}
+
+/**
+ * Check whether a scene object is a collectible the player hasn't reached yet
+ * @param {THREE.Object3D} child - Scene object
+ * @returns {boolean} - Whether it is a collectible ahead of the player
+ */
+function isCollectibleAhead(child) {
+    return Boolean(child && child.userData && child.userData.dataSource && child.position.z < 0);
+}
+
+export default {
+    createHeadlessSceneManager,
+    followNearestCollectible,
+    runHeadless
+};
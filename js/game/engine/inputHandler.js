@@ -1,9 +1,17 @@
 /**
- * Input Handler - Manages keyboard, touch, and device orientation input
+ * Input Handler - Manages keyboard, touch, device orientation and gamepad input
  */
+import { TILT_LANE_THRESHOLD } from '../core/constants.js';
 import { handlePlayerMovement } from '../entities/player.js';
 import { toggleMusic } from '../core/audio.js';
 import { saveMusicPreferences } from '../state/gameState.js';
+import { isFeatureEnabled } from '../core/config.js';
+import { recordLaneChange, isReplaying } from './replay.js';
+import { initGamepads } from './gamepad.js';
+import { getActionForKey } from './keyBindings.js';
+import { togglePause, resumeGame } from './pause.js';
+import { getTiltSettings, recordTiltReading, getTiltOffset, getTiltSteerX } from './tiltSteering.js';
+import { getNearestLane } from '../utils/helpers.js';
 
 // Variables for device orientation handling
 let lastOrientationTime = 0;
@@ -90,6 +98,12 @@ export function initInputHandling(gameState, player, refreshGame, updateMusicTog
     document.addEventListener('touchend', (event) => {
         handleTouchEnd(event, gameState, player);
     }, { passive: true });
+    
+    // Controllers are polled by the animation loop; this handles what they ask for
+    initGamepads(
+        (action) => handleGamepadAction(action, gameState, player, refreshGame, updateMusicToggleButton, unlockAudio),
+        showGamepadInstructions
+    );
 }
 
 /**
@@ -102,48 +116,138 @@ export function initInputHandling(gameState, player, refreshGame, updateMusicTog
  * @param {Function} unlockAudio - Function to unlock audio
  */
 function handleKeyDown(event, gameState, player, refreshGame, updateMusicToggleButton, unlockAudio) {
-    // Prevent default action for arrow keys and space
-    if (event.key === ' ' || 
-        event.key === 'ArrowLeft' || 
-        event.key === 'ArrowRight' || 
-        event.key === 'ArrowUp' || 
-        event.key === 'ArrowDown' ||
-        event.key === 'm' ||
-        event.key === 'M') {
+    // Leave browser shortcuts like Ctrl+R alone
+    if (event.ctrlKey || event.metaKey || event.altKey) return;
+    
+    const action = getActionForKey(event.key);
+    
+    // Prevent default action (scrolling) for bound keys, the other arrow keys and space
+    if (action || event.key === ' ' || event.key === 'ArrowUp' || event.key === 'ArrowDown') {
         event.preventDefault();
     }
     
-    // Spacebar no longer needed to start game
-    if (event.key === ' ') {
-        // Game starts automatically, so nothing to do here
+    if (action) {
+        handleAction(action, gameState, player, refreshGame, updateMusicToggleButton, unlockAudio);
+    }
+}
+
+/**
+ * Handle an action from a gamepad
+ * @param {string} action - moveLeft, moveRight, confirm, toggleMusic, restart or pause
+ * @param {Object} gameState - The game state
+ * @param {Object} player - The player object
+ * @param {Function} refreshGame - Function to refresh the game
+ * @param {Function} updateMusicToggleButton - Function to update music toggle UI
+ * @param {Function} unlockAudio - Function to unlock audio
+ */
+function handleGamepadAction(action, gameState, player, refreshGame, updateMusicToggleButton, unlockAudio) {
+    // A confirms the pause or game over screen
+    if (action === 'confirm') {
+        if (gameState.paused) {
+            resumeGame();
+        } else if (gameState.gameOver) {
+            handleAction('restart', gameState, player, refreshGame, updateMusicToggleButton, unlockAudio);
+        }
+        return;
+    }
+    
+    handleAction(action, gameState, player, refreshGame, updateMusicToggleButton, unlockAudio);
+}
+
+/**
+ * Carry out an input action, whichever key or button it came from
+ * @param {string} action - moveLeft, moveRight, toggleMusic, restart or pause
+ * @param {Object} gameState - The game state
+ * @param {Object} player - The player object
+ * @param {Function} refreshGame - Function to refresh the game
+ * @param {Function} updateMusicToggleButton - Function to update music toggle UI
+ * @param {Function} unlockAudio - Function to unlock audio
+ */
+function handleAction(action, gameState, player, refreshGame, updateMusicToggleButton, unlockAudio) {
+    if (action === 'pause') {
+        togglePause();
+        return;
     }
     
-    // Add R key to refresh the game and repos
-    if (event.key === 'r' || event.key === 'R') {
+    // Refresh the game and repos (also restarts after game over or while paused)
+    if (action === 'restart') {
         if (gameState.gameStarted) {
             refreshGame();
-            return;
         }
+        return;
     }
     
-    // Toggle music with M key
-    if (event.key === 'm' || event.key === 'M') {
-        // Unlock audio first (needed for iOS and some browsers)
-        unlockAudio();
-        
-        gameState.musicEnabled = toggleMusic();
-        updateMusicToggleButton();
-        
-        // Save preference
-        saveMusicPreferences();
+    // Everything else waits until the game is resumed
+    if (gameState.paused) return;
+    
+    // Toggle music (unless music is turned off in the config)
+    if (action === 'toggleMusic') {
+        if (isFeatureEnabled('music')) {
+            toggleMusicInput(gameState, updateMusicToggleButton, unlockAudio);
+        }
         return;
     }
     
     // Only handle movement if game is active
-    if (!gameState.gameStarted) return;
+    if (!gameState.gameStarted || gameState.gameOver) return;
+    
+    if (action === 'moveLeft' || action === 'moveRight') {
+        applyLaneInput(action, gameState, player);
+    }
+}
+
+/**
+ * Turn the music on or off and remember the choice
+ * @param {Object} gameState - The game state
+ * @param {Function} updateMusicToggleButton - Function to update music toggle UI
+ * @param {Function} unlockAudio - Function to unlock audio
+ */
+function toggleMusicInput(gameState, updateMusicToggleButton, unlockAudio) {
+    // Unlock audio first (needed for iOS and some browsers)
+    unlockAudio();
+    
+    gameState.musicEnabled = toggleMusic();
+    updateMusicToggleButton();
+    
+    // Save preference
+    saveMusicPreferences();
+}
+
+/**
+ * Move the player for a lane input and record the change for replays
+ * @param {string} action - moveLeft or moveRight
+ * @param {Object} gameState - The game state
+ * @param {Object} player - The player object
+ */
+function applyLaneInput(action, gameState, player) {
+    // A replay is steering, or the game is paused - ignore the player
+    if (isReplaying() || gameState.paused) return;
+    
+    // A lane input takes over from analog tilt steering
+    const wasSteering = gameState.steerX !== null;
+    gameState.steerX = null;
+    
+    const lane = handlePlayerMovement(action, player, gameState.currentLane);
+    if (lane !== gameState.currentLane || wasSteering) {
+        gameState.currentLane = lane;
+        recordLaneChange(lane);
+    }
+}
+
+/**
+ * Steer the player to an exact position (analog tilt) and record it for replays
+ * @param {number} x - Steering position between the outer lanes
+ * @param {Object} gameState - The game state
+ */
+function applySteerInput(x, gameState) {
+    // A replay is steering, or the game is paused - ignore the player
+    if (isReplaying() || gameState.paused) return;
+    if (x === gameState.steerX) return;
     
-    // Handle player movement using the player module
-    gameState.currentLane = handlePlayerMovement(event, player, gameState.currentLane);
+    // The nearest lane stands in for the position wherever the game thinks in lanes
+    gameState.steerX = x;
+    gameState.currentLane = getNearestLane(x);
+    recordLaneChange(gameState.currentLane, x);
 }
 
 /**
@@ -159,6 +263,17 @@ function showTiltInstructions() {
     }
 }
 
+/**
+ * Show the controller hint while a gamepad is connected
+ * @param {number} connected - Number of connected gamepads
+ */
+function showGamepadInstructions(connected) {
+    const gamepadInstructions = document.getElementById('gamepad-instructions');
+    if (gamepadInstructions) {
+        gamepadInstructions.style.display = connected > 0 ? 'inline' : 'none';
+    }
+}
+
 /**
  * Handle device orientation input for mobile devices
  * @param {DeviceOrientationEvent} event - The device orientation event
@@ -166,35 +281,43 @@ function showTiltInstructions() {
  * @param {Object} player - The player object
  */
 function handleDeviceOrientation(event, gameState, player) {
+    // Get gamma value (left/right tilt)
+    const gamma = event.gamma;
+    if (typeof gamma !== 'number') return;
+    
+    // Keep the latest angle so the settings panel can calibrate against it
+    recordTiltReading(gamma);
+    
     // Only handle movement if game is active
-    if (!gameState.gameStarted) return;
+    if (!gameState.gameStarted || gameState.gameOver) return;
+    
+    // Analog mode: the tilt angle is the car's position, so every reading counts
+    if (getTiltSettings().mode === 'analog') {
+        applySteerInput(getTiltSteerX(gamma), gameState);
+        return;
+    }
     
     // Throttle orientation events to prevent excessive input
     const now = Date.now();
     if (now - lastOrientationTime < ORIENTATION_THROTTLE) return;
     lastOrientationTime = now;
     
-    // Get gamma value (left/right tilt)
-    const gamma = event.gamma;
-    
-    // Don't respond to very small tilts to prevent unintended movement
-    if (Math.abs(gamma) < 5) return;
+    // Tilt measured from the calibrated neutral angle
+    const tilt = getTiltOffset(gamma);
     
-    // Determine direction based on tilt
-    let key;
-    if (gamma < -5) {
+    // Determine direction based on tilt (very small tilts are ignored to prevent unintended movement)
+    let action;
+    if (tilt < -TILT_LANE_THRESHOLD) {
         // Tilting left (gamma negative) - move left
-        key = 'ArrowLeft';
-    } else if (gamma > 5) {
+        action = 'moveLeft';
+    } else if (tilt > TILT_LANE_THRESHOLD) {
         // Tilting right (gamma positive) - move right
-        key = 'ArrowRight';
+        action = 'moveRight';
     } else {
         return; // No significant tilt
     }
     
-    // Create a synthetic keyboard event to reuse existing logic
-    const syntheticEvent = { key, preventDefault: () => {} };
-    gameState.currentLane = handlePlayerMovement(syntheticEvent, player, gameState.currentLane);
+    applyLaneInput(action, gameState, player);
 }
 
 /**
@@ -216,7 +339,7 @@ function handleTouchStart(event) {
  */
 function handleTouchEnd(event, gameState, player) {
     // Only handle swipes if game is active
-    if (!gameState.gameStarted) return;
+    if (!gameState.gameStarted || gameState.gameOver) return;
 
     const touch = event.changedTouches[0];
     const touchEndX = touch.pageX;
@@ -236,9 +359,8 @@ function handleTouchEnd(event, gameState, player) {
     if (Math.abs(deltaY) > SWIPE_RESTRAINT) return;
 
     // Determine direction and move player
-    const direction = deltaX < 0 ? 'ArrowLeft' : 'ArrowRight';
-    const syntheticEvent = { key: direction, preventDefault: () => {} };
-    gameState.currentLane = handlePlayerMovement(syntheticEvent, player, gameState.currentLane);
+    const action = deltaX < 0 ? 'moveLeft' : 'moveRight';
+    applyLaneInput(action, gameState, player);
 }
 
 export default {
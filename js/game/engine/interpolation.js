@@ -0,0 +1,64 @@
+/**
+ * Render Interpolation - Smooths rendering between fixed simulation steps
+ *
+ * The simulation advances in fixed steps, so on displays faster than the step rate
+ * objects would visibly stutter. Before each step we remember where every object was,
+ * and at render time we draw it partway between that and its current position.
+ */
+import { MAX_INTERPOLATION_DISTANCE } from '../core/constants.js';
+
+/**
+ * Remember the current position of each object as its previous simulation position
+ * @param {Array<THREE.Object3D>} objects - Objects to track (usually scene.children)
+ */
+export function capturePreviousPositions(objects) {
+    for (const object of objects) {
+        if (!object || !object.position) continue;
+
+        if (object.userData.prevPosition) {
+            object.userData.prevPosition.copy(object.position);
+        } else {
+            object.userData.prevPosition = object.position.clone();
+        }
+    }
+}
+
+/**
+ * Move objects to their interpolated render positions
+ * @param {Array<THREE.Object3D>} objects - Objects to interpolate
+ * @param {number} alpha - Progress between the previous and current step (0 to 1)
+ * @returns {Array} - Objects that were moved, with their simulation positions, for restoring
+ */
+export function applyInterpolation(objects, alpha) {
+    const moved = [];
+
+    for (const object of objects) {
+        const prevPosition = object && object.userData && object.userData.prevPosition;
+        if (!prevPosition) continue;
+
+        // Objects that wrapped around or were repositioned should not slide across the scene
+        if (prevPosition.distanceTo(object.position) > MAX_INTERPOLATION_DISTANCE) continue;
+
+        const simPosition = object.position.clone();
+        object.position.lerpVectors(prevPosition, simPosition, alpha);
+        moved.push({ object, simPosition });
+    }
+
+    return moved;
+}
+
+/**
+ * Restore simulation positions after rendering
+ * @param {Array} moved - The result of applyInterpolation
+ */
+export function restoreSimulationPositions(moved) {
+    for (const { object, simPosition } of moved) {
+        object.position.copy(simPosition);
+    }
+}
+
+export default {
+    capturePreviousPositions,
+    applyInterpolation,
+    restoreSimulationPositions
+};
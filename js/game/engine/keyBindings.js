@@ -0,0 +1,155 @@
+/**
+ * Key Bindings Module - Maps keyboard keys to input actions
+ *
+ * Input handlers work with actions (moveLeft, moveRight, toggleMusic, restart, pause) rather than
+ * keys, so players can rebind keys in the settings panel. Custom bindings are saved to localStorage.
+ */
+import { INPUT_ACTIONS, DEFAULT_KEY_BINDINGS, KEY_BINDINGS_STORAGE_KEY } from '../core/constants.js';
+
+// Keys bound to each action
+let bindings = copyBindings(DEFAULT_KEY_BINDINGS);
+
+// Friendly names for keys whose KeyboardEvent.key doesn't read well
+const KEY_LABELS = {
+    ArrowLeft: '←',
+    ArrowRight: '→',
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    ' ': 'Space',
+    Escape: 'Esc'
+};
+
+/**
+ * Loads saved bindings from localStorage (actions without saved keys keep their defaults)
+ * @returns {Object} - The active bindings
+ */
+export function loadKeyBindings() {
+    bindings = copyBindings(DEFAULT_KEY_BINDINGS);
+
+    try {
+        const saved = JSON.parse(localStorage.getItem(KEY_BINDINGS_STORAGE_KEY));
+        if (saved && typeof saved === 'object') {
+            INPUT_ACTIONS.forEach(action => {
+                const keys = saved[action];
+                if (Array.isArray(keys) && keys.every(key => typeof key === 'string')) {
+                    bindings[action] = keys.map(normalizeKey);
+                }
+            });
+        }
+    } catch (err) {
+        console.error('Error loading key bindings:', err);
+    }
+
+    return getKeyBindings();
+}
+
+/**
+ * Gets the keys bound to each action
+ * @returns {Object} - Copy of the bindings, action name to array of keys
+ */
+export function getKeyBindings() {
+    return copyBindings(bindings);
+}
+
+/**
+ * Gets the action a key is bound to
+ * @param {string} key - KeyboardEvent.key
+ * @returns {string|null} - The action, or null if the key isn't bound
+ */
+export function getActionForKey(key) {
+    const normalized = normalizeKey(key);
+    return INPUT_ACTIONS.find(action => bindings[action].includes(normalized)) || null;
+}
+
+/**
+ * Binds a key to an action, taking it away from whatever action had it, and saves the bindings
+ * @param {string} action - Action to bind
+ * @param {string} key - KeyboardEvent.key to bind
+ * @param {number} slot - 0 for the main key, 1 for the secondary key
+ * @returns {Object} - The active bindings
+ */
+export function bindKey(action, key, slot = 0) {
+    if (!INPUT_ACTIONS.includes(action)) {
+        throw new Error(`Unknown input action "${action}"`);
+    }
+
+    const normalized = normalizeKey(key);
+    INPUT_ACTIONS.forEach(other => {
+        bindings[other] = bindings[other].filter(boundKey => boundKey !== normalized);
+    });
+
+    const keys = bindings[action];
+    keys.splice(Math.min(slot, keys.length), 1, normalized);
+
+    saveKeyBindings();
+    return getKeyBindings();
+}
+
+/**
+ * Restores the default bindings and forgets the saved ones
+ * @returns {Object} - The active bindings
+ */
+export function resetKeyBindings() {
+    bindings = copyBindings(DEFAULT_KEY_BINDINGS);
+
+    try {
+        localStorage.removeItem(KEY_BINDINGS_STORAGE_KEY);
+    } catch (err) {
+        console.error('Error resetting key bindings:', err);
+    }
+
+    return getKeyBindings();
+}
+
+/**
+ * Gets a short label for a key, for hints and the settings panel
+ * @param {string} key - KeyboardEvent.key
+ * @returns {string} - e.g. "←", "Space", "W"
+ */
+export function formatKey(key) {
+    if (!key) return '—';
+    if (KEY_LABELS[key]) return KEY_LABELS[key];
+    return key.length === 1 ? key.toUpperCase() : key;
+}
+
+/**
+ * Saves the bindings to localStorage
+ */
+function saveKeyBindings() {
+    try {
+        localStorage.setItem(KEY_BINDINGS_STORAGE_KEY, JSON.stringify(bindings));
+    } catch (err) {
+        console.error('Error saving key bindings:', err);
+    }
+}
+
+/**
+ * Normalizes a key so letters match with or without Shift/Caps Lock
+ * @param {string} key - KeyboardEvent.key
+ * @returns {string} - Normalized key
+ */
+function normalizeKey(key) {
+    return key.length === 1 ? key.toLowerCase() : key;
+}
+
+/**
+ * Copies a bindings object so callers can't change the active bindings by accident
+ * @param {Object} source - Bindings to copy
+ * @returns {Object} - The copy
+ */
+function copyBindings(source) {
+    const copy = {};
+    INPUT_ACTIONS.forEach(action => {
+        copy[action] = [...(source[action] || [])];
+    });
+    return copy;
+}
+
+export default {
+    loadKeyBindings,
+    getKeyBindings,
+    getActionForKey,
+    bindKey,
+    resetKeyBindings,
+    formatKey
+};
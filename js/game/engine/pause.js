@@ -0,0 +1,81 @@
+/**
+ * Pause Module - Pauses and resumes the game
+ *
+ * While paused the loop stops stepping the simulation, so spawn timers, slowdowns and text
+ * particles all freeze on the simulation clock, and the music fades out before its audio clock
+ * is suspended. The game also pauses itself when the tab is hidden or the window loses focus;
+ * only the player resumes it. Outside a run, hiding the tab just fades the music out until it's back.
+ */
+import gameState from '../state/gameState.js';
+import { pauseMusic, resumeMusic } from '../core/audio.js';
+import { showPauseScreen, hidePauseScreen } from '../ui/interface.js';
+
+/**
+ * Pause automatically when the player leaves the page, and wire up the resume button
+ */
+export function initPause() {
+    document.addEventListener('visibilitychange', () => {
+        if (document.hidden) {
+            // Nothing to pause between runs, but background tabs can't keep the music in time
+            if (!pauseGame()) {
+                pauseMusic();
+            }
+        } else if (!gameState.paused) {
+            resumeMusic();
+        }
+    });
+    window.addEventListener('blur', () => pauseGame());
+
+    const resumeButton = document.getElementById('resume-button');
+    if (resumeButton) {
+        resumeButton.addEventListener('click', () => resumeGame());
+    }
+}
+
+/**
+ * Pause the game (a finished run has nothing to pause)
+ * @returns {boolean} - Whether the game was paused by this call
+ */
+export function pauseGame() {
+    if (gameState.paused || !gameState.gameStarted || gameState.gameOver) return false;
+
+    gameState.paused = true;
+    pauseMusic();
+    showPauseScreen();
+    console.log('Game paused');
+    return true;
+}
+
+/**
+ * Resume a paused game
+ * @returns {boolean} - Whether the game was resumed by this call
+ */
+export function resumeGame() {
+    if (!gameState.paused) return false;
+
+    gameState.paused = false;
+    resumeMusic();
+    hidePauseScreen();
+    console.log('Game resumed');
+    return true;
+}
+
+/**
+ * Pause the game, or resume it if it's already paused
+ * @returns {boolean} - Whether the game is now paused
+ */
+export function togglePause() {
+    if (gameState.paused) {
+        resumeGame();
+    } else {
+        pauseGame();
+    }
+    return gameState.paused;
+}
+
+export default {
+    initPause,
+    pauseGame,
+    resumeGame,
+    togglePause
+};
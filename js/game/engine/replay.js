@@ -0,0 +1,385 @@
+/**
+ * Replay module - Records a run's lane changes and plays them back exactly
+ *
+ * A run is fully determined by its seed, starting lane, data and the simulation step at which
+ * each lane change happened, so that is all a replay stores:
+ *
+ *   { "version": 1, "tickRate": 60, "seed": 1234, "startLane": 1, "data": "3f9c0a12",
+ *     "ticks": 5400, "score": 12345, "inputs": [[120, 0], [185, 1]] }
+ *
+ * Each input is [step, lane]: the lane the player moved to before that simulation step ran.
+ * Analog tilt steering adds the exact position: [step, lane, x], where lane is the nearest lane.
+ */
+import { FIXED_TIMESTEP, LANES, REPLAY_VERSION, BEST_RUN_STORAGE_KEY } from '../core/constants.js';
+import { getConfig, isFeatureEnabled } from '../core/config.js';
+import { hashSeed } from '../core/random.js';
+import gameState from '../state/gameState.js';
+
+// Run being recorded (null when not recording)
+let recording = null;
+
+// Most recently finished recording
+let lastRecording = null;
+
+// Replay being played back and the index of its next input
+let playback = null;
+let playbackIndex = 0;
+
+/**
+ * Start recording a run
+ * @param {Object} run - How the run starts
+ * @param {number|string} run.seed - The run's random seed
+ * @param {number} run.startLane - Lane the player starts in
+ * @param {string} run.data - Fingerprint of the game data (see getDataFingerprint)
+ */
+export function startRecording({ seed, startLane, data }) {
+    playback = null;
+    recording = {
+        version: REPLAY_VERSION,
+        tickRate: getTickRate(),
+        seed,
+        startLane,
+        data,
+        ticks: 0,
+        score: 0,
+        inputs: []
+    };
+}
+
+/**
+ * Record a lane change (or analog steering position) at the current simulation step
+ * @param {number} lane - The lane the player moved to
+ * @param {number|null} steerX - Analog steering position, or null when steering by lane
+ */
+export function recordLaneChange(lane, steerX = null) {
+    if (!recording) return;
+
+    const input = steerX === null ? [gameState.runTicks, lane] : [gameState.runTicks, lane, steerX];
+
+    // Only the last input before a step matters, so several in one step replace each other
+    const inputs = recording.inputs;
+    if (inputs.length > 0 && inputs[inputs.length - 1][0] === gameState.runTicks) {
+        inputs[inputs.length - 1] = input;
+    } else {
+        inputs.push(input);
+    }
+}
+
+/**
+ * Stop recording and keep the finished replay
+ * @returns {Object|null} - The replay, or null if nothing was being recorded
+ */
+export function finishRecording() {
+    if (!recording) return null;
+
+    recording.ticks = gameState.runTicks;
+    recording.score = gameState.score;
+    lastRecording = recording;
+    recording = null;
+
+    return lastRecording;
+}
+
+/**
+ * Gets the most recently finished recording
+ * @returns {Object|null} - The replay
+ */
+export function getLastRecording() {
+    return lastRecording;
+}
+
+/**
+ * Start playing back a replay (lane input from the player is ignored until it stops)
+ * @param {Object} replay - A validated replay
+ * @param {string} data - Fingerprint of the current game data, to warn when it differs from the recording
+ */
+export function startPlayback(replay, data = null) {
+    recording = null;
+    playback = replay;
+    playbackIndex = 0;
+
+    if (data && replay.data && data !== replay.data) {
+        console.warn('Replay was recorded with different game data, so it may not play back the same');
+    }
+    console.log(`Playing back replay (seed ${replay.seed}, ${replay.inputs.length} inputs)`);
+}
+
+/**
+ * Stop playing back, reporting whether the run ended the way it was recorded
+ * @returns {boolean|null} - Whether the score matched the recording, or null if nothing was playing
+ */
+export function stopPlayback() {
+    if (!playback) return null;
+
+    const matched = gameState.score === playback.score;
+    if (matched) {
+        console.log('Replay finished with the recorded score:', playback.score);
+    } else {
+        console.warn(`Replay diverged: scored ${gameState.score}, recorded ${playback.score}`);
+    }
+
+    playback = null;
+    updateReplayIndicator();
+    return matched;
+}
+
+/**
+ * Stop a replay that has played every recorded step - a run that was restarted rather than lost
+ * ends there, so control goes back to the player
+ * @param {number} tick - Simulation step about to run
+ * @returns {boolean} - Whether playback stopped
+ */
+export function endFinishedPlayback(tick) {
+    if (!playback || tick < playback.ticks) return false;
+
+    stopPlayback();
+    return true;
+}
+
+/**
+ * Show the replay badge while a recorded run is playing back
+ */
+export function updateReplayIndicator() {
+    const indicator = document.getElementById('replay-indicator');
+    if (indicator) {
+        indicator.classList.toggle('hidden', !isReplaying());
+    }
+}
+
+/**
+ * Check whether a replay is being played back
+ * @returns {boolean} - Whether a replay is playing
+ */
+export function isReplaying() {
+    return playback !== null;
+}
+
+/**
+ * Gets where the replay steers before a simulation step
+ * @param {number} tick - Simulation step about to run
+ * @returns {Object|undefined} - { lane, steerX } (steerX is null for lane steering), or undefined
+ * if the replay doesn't steer on this step
+ */
+export function getPlaybackInput(tick) {
+    if (!playback) return undefined;
+
+    let input;
+    while (playbackIndex < playback.inputs.length && playback.inputs[playbackIndex][0] <= tick) {
+        input = playback.inputs[playbackIndex];
+        playbackIndex++;
+    }
+    if (!input) return undefined;
+
+    return { lane: input[1], steerX: input.length > 2 ? input[2] : null };
+}
+
+/**
+ * End whatever the current run was doing - recording or playing back
+ * @returns {Object|null} - The finished recording, or null if the run wasn't being recorded
+ */
+export function endReplayRun() {
+    const finished = finishRecording();
+    stopPlayback();
+    return finished;
+}
+
+/**
+ * Loads the best run saved in localStorage
+ * @returns {Object|null} - The best run's replay, or null if there isn't a valid one
+ */
+export function loadBestRun() {
+    try {
+        const saved = localStorage.getItem(BEST_RUN_STORAGE_KEY);
+        if (!saved) return null;
+
+        return validateReplay(JSON.parse(saved)).replay;
+    } catch (err) {
+        console.error('Error loading best run:', err);
+        return null;
+    }
+}
+
+/**
+ * Saves a finished run as the best run if it beat the saved one
+ * @param {Object} replay - The finished run's replay
+ * @returns {boolean} - Whether it was saved
+ */
+export function saveBestRun(replay) {
+    if (!replay || replay.score <= 0) return false;
+
+    const best = loadBestRun();
+    if (best && best.score >= replay.score) return false;
+
+    try {
+        localStorage.setItem(BEST_RUN_STORAGE_KEY, JSON.stringify(replay));
+        return true;
+    } catch (err) {
+        console.error('Error saving best run:', err);
+        return false;
+    }
+}
+
+/**
+ * Builds a short fingerprint of the data a run depends on (collectible contents and gameplay toggles)
+ * @param {Array} githubRepos - GitHub repositories
+ * @param {Array} profileData - Profile items
+ * @returns {string} - Hex fingerprint
+ */
+export function getDataFingerprint(githubRepos, profileData) {
+    const data = JSON.stringify([
+        (githubRepos || []).map(repo => repo.name),
+        (profileData || []).map(item => `${item.type}:${item.name}`),
+        getConfig().facts,
+        isFeatureEnabled('obstacles'),
+        isFeatureEnabled('facts')
+    ]);
+    return hashSeed(data).toString(16).padStart(8, '0');
+}
+
+/**
+ * Validates a replay document
+ * @param {*} data - Parsed JSON
+ * @returns {Object} - { replay, errors } where replay is null if the document can't be played
+ */
+export function validateReplay(data) {
+    const errors = [];
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return { replay: null, errors: ['Replay must be a JSON object'] };
+    }
+    if (data.version !== REPLAY_VERSION) {
+        errors.push(`Unsupported replay version ${data.version}`);
+    }
+    if (data.tickRate !== getTickRate()) {
+        errors.push(`Replay was recorded at ${data.tickRate} steps per second, the game runs at ${getTickRate()}`);
+    }
+    if (!(typeof data.seed === 'number' && Number.isFinite(data.seed)) && !(typeof data.seed === 'string' && data.seed)) {
+        errors.push('"seed" must be a number or a string');
+    }
+    if (!isLane(data.startLane)) {
+        errors.push('"startLane" must be a lane index');
+    }
+    // Playback hands control back after this many steps, so a replay without it would play nothing
+    if (!Number.isInteger(data.ticks) || data.ticks < 0) {
+        errors.push('"ticks" must be the number of steps the run lasted');
+    }
+    if (!Array.isArray(data.inputs)) {
+        errors.push('"inputs" must be an array');
+    } else {
+        let previousTick = 0;
+        data.inputs.forEach((input, index) => {
+            const valid = Array.isArray(input) && Number.isInteger(input[0]) && input[0] >= previousTick &&
+                isLane(input[1]) && (input.length === 2 || (input.length === 3 && isSteerX(input[2])));
+            if (!valid) {
+                errors.push(`inputs[${index}] must be [step, lane] or [step, lane, x] with steps in order`);
+                return;
+            }
+            previousTick = input[0];
+        });
+    }
+
+    if (errors.length > 0) {
+        return { replay: null, errors };
+    }
+
+    return {
+        replay: {
+            version: data.version,
+            tickRate: data.tickRate,
+            seed: data.seed,
+            startLane: data.startLane,
+            data: typeof data.data === 'string' ? data.data : null,
+            ticks: data.ticks,
+            score: typeof data.score === 'number' ? data.score : 0,
+            inputs: data.inputs.map(input => input.slice())
+        },
+        errors
+    };
+}
+
+/**
+ * Fetches and validates a replay file
+ * @param {string} url - Replay URL
+ * @returns {Promise<Object|null>} - The replay, or null if it couldn't be loaded
+ */
+export async function loadReplay(url) {
+    try {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Replay request failed with status ${response.status}`);
+        }
+
+        const { replay, errors } = validateReplay(await response.json());
+        if (!replay) {
+            console.error('Invalid replay file:', errors.join('; '));
+        }
+        return replay;
+    } catch (error) {
+        console.error('Error loading replay:', error);
+        return null;
+    }
+}
+
+/**
+ * Offer a replay as a JSON file download
+ * @param {Object} replay - The replay to save
+ */
+export function downloadReplay(replay) {
+    if (!replay) return;
+
+    const blob = new Blob([JSON.stringify(replay)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `neon-wave-replay-${replay.seed}-${replay.score}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Gets the number of simulation steps per second
+ * @returns {number} - Steps per second
+ */
+function getTickRate() {
+    return Math.round(1 / FIXED_TIMESTEP);
+}
+
+/**
+ * Check whether a value is a valid lane index
+ * @param {*} lane - Value to check
+ * @returns {boolean} - Whether it is a lane index
+ */
+function isLane(lane) {
+    return Number.isInteger(lane) && lane >= 0 && lane < LANES.length;
+}
+
+/**
+ * Check whether a value is a valid analog steering position
+ * @param {*} x - Value to check
+ * @returns {boolean} - Whether it is on the track between the outer lanes
+ */
+function isSteerX(x) {
+    return typeof x === 'number' && x >= LANES[0] && x <= LANES[LANES.length - 1];
+}
+
+export default {
+    startRecording,
+    recordLaneChange,
+    finishRecording,
+    getLastRecording,
+    startPlayback,
+    stopPlayback,
+    endFinishedPlayback,
+    updateReplayIndicator,
+    isReplaying,
+    getPlaybackInput,
+    endReplayRun,
+    loadBestRun,
+    saveBestRun,
+    getDataFingerprint,
+    validateReplay,
+    loadReplay,
+    downloadReplay
+};
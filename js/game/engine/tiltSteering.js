@@ -0,0 +1,148 @@
+/**
+ * Tilt Steering Module - Turns device tilt (DeviceOrientationEvent.gamma) into steering
+ *
+ * Two modes:
+ *   - lanes: tilting past a threshold changes lane, like an arrow key
+ *   - analog: the tilt angle maps straight to a position between the outer lanes
+ * Both measure tilt from a calibrated neutral angle, scaled by a sensitivity setting.
+ * Settings are saved to localStorage.
+ */
+import {
+    LANES,
+    TILT_FULL_LOCK_ANGLE,
+    TILT_ANALOG_DEADZONE,
+    TILT_SENSITIVITY_RANGE,
+    DEFAULT_TILT_SETTINGS,
+    TILT_SETTINGS_STORAGE_KEY
+} from '../core/constants.js';
+import { clamp } from '../utils/helpers.js';
+
+// Active settings
+let settings = { ...DEFAULT_TILT_SETTINGS };
+
+// Most recent gamma reading, used to calibrate the neutral angle
+let lastGamma = null;
+
+/**
+ * Loads saved tilt settings from localStorage
+ * @returns {Object} - The active settings
+ */
+export function loadTiltSettings() {
+    settings = { ...DEFAULT_TILT_SETTINGS };
+
+    try {
+        const saved = JSON.parse(localStorage.getItem(TILT_SETTINGS_STORAGE_KEY));
+        if (saved && typeof saved === 'object') {
+            if (saved.mode === 'lanes' || saved.mode === 'analog') {
+                settings.mode = saved.mode;
+            }
+            if (Number.isFinite(saved.neutral)) {
+                settings.neutral = clamp(saved.neutral, -90, 90);
+            }
+            if (Number.isFinite(saved.sensitivity)) {
+                settings.sensitivity = clamp(saved.sensitivity, TILT_SENSITIVITY_RANGE.min, TILT_SENSITIVITY_RANGE.max);
+            }
+        }
+    } catch (err) {
+        console.error('Error loading tilt settings:', err);
+    }
+
+    return getTiltSettings();
+}
+
+/**
+ * Gets the tilt settings
+ * @returns {Object} - Copy of the settings: { mode, neutral, sensitivity }
+ */
+export function getTiltSettings() {
+    return { ...settings };
+}
+
+/**
+ * Switches between lane and analog steering
+ * @param {string} mode - 'lanes' or 'analog'
+ */
+export function setTiltMode(mode) {
+    if (mode !== 'lanes' && mode !== 'analog') {
+        throw new Error(`Unknown tilt mode "${mode}"`);
+    }
+
+    settings.mode = mode;
+    saveTiltSettings();
+}
+
+/**
+ * Sets how strongly tilt steers
+ * @param {number} sensitivity - Multiplier for the tilt angle (clamped to the allowed range)
+ */
+export function setTiltSensitivity(sensitivity) {
+    settings.sensitivity = clamp(Number(sensitivity) || DEFAULT_TILT_SETTINGS.sensitivity, TILT_SENSITIVITY_RANGE.min, TILT_SENSITIVITY_RANGE.max);
+    saveTiltSettings();
+}
+
+/**
+ * Remember the latest tilt reading (called for every orientation event)
+ * @param {number} gamma - Left/right tilt in degrees
+ */
+export function recordTiltReading(gamma) {
+    lastGamma = gamma;
+}
+
+/**
+ * Use the way the device is held right now as the neutral (straight ahead) angle
+ * @returns {boolean} - Whether there was a reading to calibrate with
+ */
+export function calibrateTilt() {
+    if (lastGamma === null) return false;
+
+    settings.neutral = lastGamma;
+    saveTiltSettings();
+    return true;
+}
+
+/**
+ * Gets how far the device is tilted from neutral, scaled by the sensitivity
+ * @param {number} gamma - Left/right tilt in degrees
+ * @returns {number} - Effective tilt in degrees (negative is left)
+ */
+export function getTiltOffset(gamma) {
+    return (gamma - settings.neutral) * settings.sensitivity;
+}
+
+/**
+ * Maps a tilt reading to a steering position for analog mode
+ * @param {number} gamma - Left/right tilt in degrees
+ * @returns {number} - X position between the outer lanes (rounded to keep replays small)
+ */
+export function getTiltSteerX(gamma) {
+    const offset = getTiltOffset(gamma);
+    if (Math.abs(offset) < TILT_ANALOG_DEADZONE) return 0;
+
+    // Past the deadzone the position grows linearly until full lock reaches the outer lane
+    const amount = (Math.abs(offset) - TILT_ANALOG_DEADZONE) / (TILT_FULL_LOCK_ANGLE - TILT_ANALOG_DEADZONE);
+    const x = Math.sign(offset) * amount * LANES[LANES.length - 1];
+
+    return Math.round(clamp(x, LANES[0], LANES[LANES.length - 1]) * 100) / 100;
+}
+
+/**
+ * Saves the settings to localStorage
+ */
+function saveTiltSettings() {
+    try {
+        localStorage.setItem(TILT_SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+    } catch (err) {
+        console.error('Error saving tilt settings:', err);
+    }
+}
+
+export default {
+    loadTiltSettings,
+    getTiltSettings,
+    setTiltMode,
+    setTiltSensitivity,
+    recordTiltReading,
+    calibrateTilt,
+    getTiltOffset,
+    getTiltSteerX
+};
@@ -4,6 +4,8 @@
 import { RESUME_COLOR } from '../../core/constants.js';
 import { createExplodingRepoText } from '../../effects/textEffects.js';
 import { setLastDisplayedItemId, getCollectibles } from './collectibleManager.js';
+import { random } from '../../core/random.js';
+import gameState from '../../state/gameState.js';
 
 /**
  * Create collection effect when player picks up collectible
@@ -55,10 +57,11 @@ export function createCollectionEffect(x, y, z, showRepo, scene, explodingTexts,
         );
         
         particle.position.set(x, y, z);
+        // Velocity in units per second
         particle.velocity = {
-            x: (Math.random() - 0.5) * 0.1,
-            y: (Math.random() - 0.5) * 0.1 + 0.05, // Slight upward bias
-            z: (Math.random() - 0.5) * 0.1
+            x: (random('effects') - 0.5) * 6,
+            y: (random('effects') - 0.5) * 6 + 3, // Slight upward bias
+            z: (random('effects') - 0.5) * 6
         };
         
         scene.add(particle);
@@ -138,7 +141,7 @@ export function createCollectionEffect(x, y, z, showRepo, scene, explodingTexts,
                     }
                     
                     // Get a truly random item
-                    const randomIndex = Math.floor(Math.random() * availableItems.length);
+                    const randomIndex = Math.floor(random() * availableItems.length);
                     dataItem = availableItems[randomIndex];
                     
                     // Set the data source based on the item
@@ -207,24 +210,30 @@ export function createCollectionEffect(x, y, z, showRepo, scene, explodingTexts,
         }
     }
     
-    // Animate expanding ring and particles
+    // Animate expanding ring and particles, scaled by elapsed time so the effect
+    // lasts the same on every refresh rate, and held still while the game is paused
+    // (lastTime keeps up, so it carries on from where it was on resume)
     let scale = 0.1;
-    const animate = () => {
+    let lastTime = performance.now();
+    const animate = (now = performance.now()) => {
+        const dt = gameState.paused ? 0 : Math.min((now - lastTime) / 1000, 0.1);
+        lastTime = now;
+        
         if (scale < 3) {
             // Animate ring
-            scale += 0.15;
+            scale += 9 * dt;
             ring.scale.set(scale, scale, scale);
-            ring.material.opacity = 1 - scale / 3;
-            ring.rotation.z += 0.02;
+            ring.material.opacity = Math.max(0, 1 - scale / 3);
+            ring.rotation.z += 1.2 * dt;
             
             // Animate particles
             particles.forEach(particle => {
-                particle.position.x += particle.velocity.x;
-                particle.position.y += particle.velocity.y;
-                particle.position.z += particle.velocity.z;
-                particle.material.opacity -= 0.02;
-                particle.rotation.x += 0.1;
-                particle.rotation.y += 0.1;
+                particle.position.x += particle.velocity.x * dt;
+                particle.position.y += particle.velocity.y * dt;
+                particle.position.z += particle.velocity.z * dt;
+                particle.material.opacity -= 1.2 * dt;
+                particle.rotation.x += 6 * dt;
+                particle.rotation.y += 6 * dt;
             });
             
             // Fade out light
@@ -11,12 +11,18 @@ import {
     RESUME_COLOR, 
     RESUME_DARK_COLOR,
     FACT_COLOR,
-    FACT_DARK_COLOR
+    FACT_DARK_COLOR,
+    FACT_ITEM_CHANCE,
+    COLLECTIBLE_SHELL_SPIN_RATE,
+    COLLECTIBLE_CORE_SPIN_RATE,
+    COLLECTIBLE_CORE_TUMBLE_RATE
 } from '../../core/constants.js';
-import { getLastDisplayedItemId, setLastDisplayedItemId } from './collectibleManager.js';
+import { getLastDisplayedItemId, setLastDisplayedItemId, getFloatHeight } from './collectibleManager.js';
 import { createStandardCollectible } from './standardCollectibles.js';
 import { createProfileCollectible } from './profileCollectibles.js';
 import { getRandomFact } from './factCollectibles.js';
+import { isFeatureEnabled } from '../../core/config.js';
+import { random } from '../../core/random.js';
 
 /**
  * Create a new collectible item in the game
@@ -24,28 +30,33 @@ import { getRandomFact } from './factCollectibles.js';
  * @param {Array} profileData - GitHub profile data
  * @param {Array} githubRepos - GitHub repositories data
  * @param {number} gitHubProfileItemChance - Chance of creating profile item vs repo
+ * @param {number} factChance - Chance of a standard collectible being a fact
  * @returns {THREE.Object3D} - The created collectible object
  */
-export function createCollectible(currentLane, profileData, githubRepos, gitHubProfileItemChance) {
+export function createCollectible(currentLane, profileData, githubRepos, gitHubProfileItemChance, factChance = FACT_ITEM_CHANCE) {
     // Don't create any collectibles if we don't have data
     if ((!profileData || profileData.length === 0) && (!githubRepos || githubRepos.length === 0)) {
         console.log("No data available, skipping collectible creation");
         return null;
     }
     
-    const lane = Math.floor(Math.random() * 3);
+    const lane = Math.floor(random() * 3);
+    const hasRepos = githubRepos && githubRepos.length > 0;
+    const factsEnabled = isFeatureEnabled('facts');
     
     // Determine if this should be a GitHub profile collectible
     // Always use profile items if we have them available (force balanced distribution)
-    const isProfileItem = profileData && profileData.length > 0 && Math.random() < gitHubProfileItemChance;
+    const isProfileItem = profileData && profileData.length > 0 &&
+        (random() < gitHubProfileItemChance || (!hasRepos && !factsEnabled));
     
     // For standard collectibles, choose a random type (now includes facts as type 4)
-    // Give facts (type 4) a higher probability of appearing (30% chance)
-    const useFactCollectible = Math.random() < 0.3;
-    const collectibleType = useFactCollectible ? 4 : Math.floor(Math.random() * 4);
+    // Give facts (type 4) a higher probability of appearing (30% chance by default),
+    // and use only facts when there are no repos to show
+    const useFactCollectible = factsEnabled && (!hasRepos || random() < factChance);
+    const collectibleType = useFactCollectible ? 4 : Math.floor(random() * 4);
     
     let collectible;
-    const colorIndex = Math.floor(Math.random() * NEON_COLORS.length);
+    const colorIndex = Math.floor(random() * NEON_COLORS.length);
     const itemColor = isProfileItem ? GITHUB_COLOR : NEON_COLORS[colorIndex]; // GitHub green for profile items
     
     // Store the data source and item in the collectible's userData
@@ -59,7 +70,7 @@ export function createCollectible(currentLane, profileData, githubRepos, gitHubP
             const githubItems = profileData.filter(item => item.source !== 'resume');
             
             // Randomly choose between resume (50% chance) or GitHub (50% chance) when both are available
-            let selectedItems = resumeItems.length > 0 && (Math.random() < 0.5 || githubItems.length === 0) ? 
+            let selectedItems = resumeItems.length > 0 && (random() < 0.5 || githubItems.length === 0) ? 
                             resumeItems : githubItems;
                             
             // Make sure we have something to select from
@@ -72,7 +83,7 @@ export function createCollectible(currentLane, profileData, githubRepos, gitHubP
             let selectedItem;
             
             do {
-                const randomIndex = Math.floor(Math.random() * selectedItems.length);
+                const randomIndex = Math.floor(random() * selectedItems.length);
                 selectedItem = selectedItems[randomIndex];
                 attempts++;
                 
@@ -115,14 +126,14 @@ export function createCollectible(currentLane, profileData, githubRepos, gitHubP
         // Add special animation function for this collectible
         collectible.userData = {
             ...collectibleUserData,
-            animate: function(time) {
+            animate: function(time, dt) {
                 // Get the wireframe and inner parts from the group
                 const parts = collectible.children;
                 if (parts.length >= 2) {
                     // Rotate the wireframe and inner shape differently
-                    parts[0].rotation.y += 0.01;
-                    parts[1].rotation.y -= 0.005;
-                    parts[1].rotation.x += 0.003;
+                    parts[0].rotation.y += COLLECTIBLE_SHELL_SPIN_RATE * dt;
+                    parts[1].rotation.y -= COLLECTIBLE_CORE_SPIN_RATE * dt;
+                    parts[1].rotation.x += COLLECTIBLE_CORE_TUMBLE_RATE * dt;
                 }
             }
         };
@@ -137,7 +148,7 @@ export function createCollectible(currentLane, profileData, githubRepos, gitHubP
             let selectedRepo;
             
             do {
-                const randomIndex = Math.floor(Math.random() * githubRepos.length);
+                const randomIndex = Math.floor(random() * githubRepos.length);
                 selectedRepo = githubRepos[randomIndex];
                 attempts++;
                 
@@ -186,13 +197,13 @@ export function createCollectible(currentLane, profileData, githubRepos, gitHubP
     
     // Position the collectible
     collectible.position.x = LANES[lane];
-    collectible.position.y = 0.5 + Math.sin(Date.now() * 0.003) * 0.2; // Floating effect
+    collectible.position.y = getFloatHeight(collectible.position.x); // Floating effect
     
     // Scale up collectibles to make them much more visible
     collectible.scale.set(COLLECTIBLE_SCALE, COLLECTIBLE_SCALE, COLLECTIBLE_SCALE);
     
     // Position collectibles much closer to the player for frequent encounters
-    collectible.position.z = COLLECTIBLE_Z_POSITION - Math.random() * 5; // Much closer to camera
+    collectible.position.z = COLLECTIBLE_Z_POSITION - random() * 5; // Much closer to camera
     
     // Store user data in all collectible types
     try {
@@ -1,8 +1,18 @@
 /**
  * Collectible Manager - Handles collectible management
  */
-import { PLAYER_SIZE } from '../../core/constants.js';
+import {
+    PLAYER_SIZE,
+    COLLECTIBLE_SPIN_RATE,
+    COLLECTIBLE_FLOAT_SPEED,
+    COLLECTIBLE_FLOAT_HEIGHT
+} from '../../core/constants.js';
 import { createCollectionEffect } from './collectibleEffects.js';
+import { awardPickup, registerMiss } from '../../state/scoring.js';
+import gameState, { recordMissedCollectible, resetMissCounter } from '../../state/gameState.js';
+import { random } from '../../core/random.js';
+import { rumbleGamepads } from '../../engine/gamepad.js';
+import { playPickupChime, playMissBuzz } from '../../core/sfx.js';
 
 // Collection of active collectibles in the game
 let collectibles = [];
@@ -22,25 +32,26 @@ export function addCollectible(collectible, scene) {
 
 /**
  * Update all collectibles (movement, animation)
- * @param {number} speed - The speed at which collectibles move
+ * @param {number} speed - The speed at which collectibles move, in units per second
  * @param {THREE.Scene} scene - The Three.js scene
+ * @param {number} dt - Step duration in seconds
  */
-export function updateCollectibles(speed, scene) {
+export function updateCollectibles(speed, scene, dt) {
     for (let i = collectibles.length - 1; i >= 0; i--) {
         try {
             const collectible = collectibles[i];
-            collectible.position.z += speed;
+            collectible.position.z += speed * dt;
             
-            // Check for special animation function
+            // Check for special animation function (given the simulation time, so it freezes while paused)
             if (collectible.userData && collectible.userData.animate) {
-                collectible.userData.animate(Date.now());
+                collectible.userData.animate(gameState.simTime, dt);
             } else {
                 // Different animation based on collectible type
-                collectible.rotation.y += 0.02;
+                collectible.rotation.y += COLLECTIBLE_SPIN_RATE * dt;
             }
             
-            // Floating effect
-            collectible.position.y = 0.5 + Math.sin(Date.now() * 0.002 + collectible.position.x) * 0.2;
+            // Floating effect (on the simulation clock - the height counts for pickups, so it must replay identically)
+            collectible.position.y = getFloatHeight(collectible.position.x);
         } catch (err) {
             console.error('Error updating collectible:', err);
             // Remove problematic collectible
@@ -56,6 +67,15 @@ export function updateCollectibles(speed, scene) {
     }
 }
 
+/**
+ * Gets how high a collectible floats right now
+ * @param {number} x - The collectible's X position (so neighbouring lanes bob out of step)
+ * @returns {number} - Y position
+ */
+export function getFloatHeight(x) {
+    return 0.5 + Math.sin(gameState.simTime * COLLECTIBLE_FLOAT_SPEED + x) * COLLECTIBLE_FLOAT_HEIGHT;
+}
+
 /**
  * Check collisions between player and collectibles
  * @param {THREE.Object3D} player - The player object
@@ -66,27 +86,16 @@ export function updateCollectibles(speed, scene) {
  * @param {Array} profileData - Profile data
  */
 export function checkCollisions(player, scene, flashGrid, explodingTexts, gitHubRepos, profileData) {
-    // Reset game state each time to ensure we can always show repos
-    window.gameState = {
-        isShowingRepo: false,
-        lastRepoShownTime: 0
-    };
-    
-    // Debug log the available data
-    if (gitHubRepos && gitHubRepos.length > 0) {
-        console.log(`Available GitHub repos: ${gitHubRepos.length}`);
-    }
-    
-    if (profileData && profileData.length > 0) {
-        console.log(`Available profile items: ${profileData.length}`);
-    }
-    
     // Check collectible collisions
     for (let i = collectibles.length - 1; i >= 0; i--) {
         const collectible = collectibles[i];
         
-        // Check if collectible is too far behind
+        // Check if collectible is too far behind - it was missed, so the streak ends
+        // and too many misses in a row cost a life
         if (collectible.position.z > 10) {
+            registerMiss();
+            recordMissedCollectible();
+            playMissBuzz();
             scene.remove(collectible);
             collectibles.splice(i, 1);
             continue;
@@ -119,12 +128,20 @@ export function checkCollisions(player, scene, flashGrid, explodingTexts, gitHub
                 profileData
             );
             
+            // Award points based on what was collected
+            awardPickup(collectible.userData);
+            resetMissCounter();
+            playPickupChime(gameState.streak);
+            
+            // Let a controller player feel the pickup
+            rumbleGamepads();
+            
             // Remove collectible
             scene.remove(collectible);
             collectibles.splice(i, 1);
             
             // Occasionally flash grid for visual interest
-            if (Math.random() < 0.2) { // 20% chance on collection
+            if (random('effects') < 0.2) { // 20% chance on collection
                 flashGrid();
             }
         }
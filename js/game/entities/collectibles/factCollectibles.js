@@ -1,8 +1,11 @@
 /**
  * Fact Collectibles - Creates fact-based collectible objects
  */
+import { COLLECTIBLE_SHELL_SPIN_RATE, COLLECTIBLE_FLOAT_SPEED } from '../../core/constants.js';
+import { getConfig } from '../../core/config.js';
+import { random } from '../../core/random.js';
 
-// Central collection of facts that can be easily expanded
+// Central collection of facts that can be easily expanded (the game config can replace it)
 export const FACTS = [
     "Busted by the FBI for computer hacking in 1993",
     "Grew up in St. Louis",
@@ -70,10 +73,10 @@ export function createFactCollectible(itemColor) {
     
     // Add special animation function for this collectible
     factGroup.userData = {
-        animate: function(time) {
+        animate: function(time, dt) {
             // Gentle bobbing and rotation
-            factGroup.rotation.y += 0.01;
-            factGroup.rotation.z = Math.sin(time * 0.002) * 0.1;
+            factGroup.rotation.y += COLLECTIBLE_SHELL_SPIN_RATE * dt;
+            factGroup.rotation.z = Math.sin(time * COLLECTIBLE_FLOAT_SPEED) * 0.1;
         }
     };
     
@@ -85,10 +88,11 @@ export function createFactCollectible(itemColor) {
  * @returns {Object} - Fact data object
  */
 export function getRandomFact() {
-    const randomIndex = Math.floor(Math.random() * FACTS.length);
+    const facts = getConfig().facts || FACTS;
+    const randomIndex = Math.floor(random() * facts.length);
     return {
         name: "Fact",
-        description: FACTS[randomIndex],
+        description: facts[randomIndex],
         source: "fact",
         type: "fact"
     };
@@ -1,6 +1,11 @@
 /**
  * Standard Collectibles - Creates standard collectible objects
  */
+import {
+    COLLECTIBLE_SHELL_SPIN_RATE,
+    COLLECTIBLE_CORE_SPIN_RATE,
+    COLLECTIBLE_CORE_TUMBLE_RATE
+} from '../../core/constants.js';
 import { createFactCollectible } from './factCollectibles.js';
 
 /**
@@ -185,12 +190,13 @@ function createCrystal(itemColor) {
     
     // Add special animation function for this collectible
     crystalGroup.userData = {
-        animate: function(time) {
+        animate: function(time, dt) {
             // Rotate the crystal continuously for sparkle effect
-            crystalBase.rotation.y += 0.01;
-            edges.rotation.y += 0.01;
-            crystalTop.rotation.y += 0.01;
-            topEdges.rotation.y += 0.01;
+            const spin = COLLECTIBLE_SHELL_SPIN_RATE * dt;
+            crystalBase.rotation.y += spin;
+            edges.rotation.y += spin;
+            crystalTop.rotation.y += spin;
+            topEdges.rotation.y += spin;
         }
     };
     
@@ -233,11 +239,11 @@ function createHolographicPyramid(itemColor) {
     
     // Add special animation function for this collectible
     pyramidGroup.userData = {
-        animate: function(time) {
+        animate: function(time, dt) {
             // Rotate the wireframe and inner pyramid differently
-            pyramidWireframe.rotation.y += 0.01;
-            innerPyramid.rotation.y -= 0.005;
-            innerPyramid.rotation.x += 0.003;
+            pyramidWireframe.rotation.y += COLLECTIBLE_SHELL_SPIN_RATE * dt;
+            innerPyramid.rotation.y -= COLLECTIBLE_CORE_SPIN_RATE * dt;
+            innerPyramid.rotation.x += COLLECTIBLE_CORE_TUMBLE_RATE * dt;
         }
     };
     
@@ -0,0 +1,111 @@
+/**
+ * Ghost module - A translucent copy of the player's car that re-drives the best run's lane changes
+ */
+import { LANES, GHOST_OPACITY, PLAYER_SIZE, PLAYER_LANE_CHANGE_RATE } from '../core/constants.js';
+import { createPlayer } from './player.js';
+
+// Ghost car and the run it is re-driving
+let ghost = null;
+let ghostRun = null;
+let ghostTargetX = 0;
+let nextInput = 0;
+
+/**
+ * Creates a see-through copy of the player's car (no lights, so it stays cheap to draw)
+ * @returns {THREE.Group} - The ghost car
+ */
+export function createGhost() {
+    const car = createPlayer();
+    const materials = new Map();
+    const lights = [];
+
+    car.traverse(child => {
+        if (child.isLight) {
+            lights.push(child);
+            return;
+        }
+        if (!child.material) return;
+
+        // Parts share materials, so make each translucent copy once
+        if (!materials.has(child.material)) {
+            const material = child.material.clone();
+            material.transparent = true;
+            material.opacity = GHOST_OPACITY;
+            material.depthWrite = false;
+            materials.set(child.material, material);
+        }
+        child.material = materials.get(child.material);
+    });
+    lights.forEach(light => light.parent.remove(light));
+
+    car.userData = { isGhost: true };
+    return car;
+}
+
+/**
+ * Put a ghost on the track for a new run
+ * @param {THREE.Scene} scene - The game scene
+ * @param {Object|null} run - Replay of the run to re-drive (null removes the ghost)
+ */
+export function startGhost(scene, run) {
+    stopGhost(scene);
+    if (!run) return;
+
+    ghostRun = run;
+    ghostTargetX = LANES[run.startLane];
+    nextInput = 0;
+
+    ghost = createGhost();
+    ghost.position.set(ghostTargetX, PLAYER_SIZE / 2, 0);
+    scene.add(ghost);
+}
+
+/**
+ * Take the ghost off the track
+ * @param {THREE.Scene} scene - The game scene
+ */
+export function stopGhost(scene) {
+    if (ghost) {
+        scene.remove(ghost);
+    }
+    ghost = null;
+    ghostRun = null;
+}
+
+/**
+ * Move the ghost for one simulation step, following the recorded lane changes
+ * @param {number} tick - Simulation step about to run
+ * @param {number} dt - Step duration in seconds
+ */
+export function updateGhost(tick, dt) {
+    if (!ghost) return;
+
+    while (nextInput < ghostRun.inputs.length && ghostRun.inputs[nextInput][0] <= tick) {
+        const [, lane, steerX] = ghostRun.inputs[nextInput];
+        ghostTargetX = steerX !== undefined ? steerX : LANES[lane];
+        nextInput++;
+    }
+
+    // Same easing as the player's car, so it moves exactly like the recorded run did
+    const laneChangeFactor = 1 - Math.exp(-PLAYER_LANE_CHANGE_RATE * dt);
+    ghost.position.x += (ghostTargetX - ghost.position.x) * laneChangeFactor;
+
+    // The best run is over - the ghost drops out
+    ghost.visible = tick < ghostRun.ticks;
+}
+
+/**
+ * Gets the ghost car
+ * @returns {THREE.Group|null} - The ghost, or null when there isn't one
+ */
+export function getGhost() {
+    return ghost;
+}
+
+export default {
+    createGhost,
+    startGhost,
+    stopGhost,
+    updateGhost,
+    getGhost
+};
@@ -0,0 +1,358 @@
+/**
+ * Obstacle module for NEON WAVE game
+ * Creates synthwave hazards, decides which lanes they block and handles hits
+ */
+import {
+    LANES,
+    NEON_COLORS,
+    OBSTACLE_TYPES,
+    OBSTACLE_COLOR,
+    OBSTACLE_MIN_GAP,
+    OBSTACLE_HIT_DEPTH,
+    OBSTACLE_SCORE_PENALTY,
+    OBSTACLE_SLOWDOWN_FACTOR,
+    OBSTACLE_SLOWDOWN_DURATION
+} from '../core/constants.js';
+import { loseLife, applySlowdown } from '../state/gameState.js';
+import { applyPenalty } from '../state/scoring.js';
+import { random } from '../core/random.js';
+
+// Half the distance between lane centers - how far from a lane center still counts as "in" it
+const LANE_HALF_WIDTH = Math.abs(LANES[1] - LANES[0]) / 2 - 0.1;
+
+// What happens when the player hits each obstacle type
+const OBSTACLE_EFFECTS = {
+    firewall: 'penalty', // Firewall gates cost points
+    glitch: 'slowdown',  // Glitch blocks slow the world down
+    barrier: 'life'      // Barriers cost a life
+};
+
+/**
+ * Create an obstacle of the given type covering the given lanes
+ * @param {string} type - One of OBSTACLE_TYPES
+ * @param {Array<number>} lanes - Lane indices the obstacle blocks
+ * @returns {THREE.Group} - The created obstacle object
+ */
+export function createObstacle(type, lanes) {
+    let obstacle;
+
+    switch (type) {
+        case 'firewall':
+            obstacle = createFirewallGate();
+            break;
+
+        case 'glitch':
+            obstacle = createGlitchBlock();
+            break;
+
+        case 'barrier':
+        default:
+            obstacle = createBarrier(lanes.length);
+            break;
+    }
+
+    // Center the obstacle over the lanes it blocks
+    const laneCenter = lanes.reduce((sum, lane) => sum + LANES[lane], 0) / lanes.length;
+    obstacle.position.x = laneCenter;
+
+    obstacle.userData = {
+        ...obstacle.userData,
+        isObstacle: true,
+        obstacleType: type,
+        effect: OBSTACLE_EFFECTS[type],
+        lanes: [...lanes],
+        hit: false
+    };
+
+    return obstacle;
+}
+
+/**
+ * Create a firewall gate - a glowing red frame with a scanning energy field
+ * @returns {THREE.Group} - The firewall gate
+ */
+function createFirewallGate() {
+    const gateGroup = new THREE.Group();
+
+    const frameMaterial = new THREE.MeshBasicMaterial({ color: OBSTACLE_COLOR });
+
+    // Posts and top bar
+    const postGeometry = new THREE.BoxGeometry(0.12, 1.6, 0.12);
+    const leftPost = new THREE.Mesh(postGeometry, frameMaterial);
+    leftPost.position.set(-0.85, 0.8, 0);
+    gateGroup.add(leftPost);
+
+    const rightPost = new THREE.Mesh(postGeometry, frameMaterial);
+    rightPost.position.set(0.85, 0.8, 0);
+    gateGroup.add(rightPost);
+
+    const topBar = new THREE.Mesh(new THREE.BoxGeometry(1.82, 0.12, 0.12), frameMaterial);
+    topBar.position.set(0, 1.6, 0);
+    gateGroup.add(topBar);
+
+    // Translucent energy field
+    const fieldMaterial = new THREE.MeshBasicMaterial({
+        color: OBSTACLE_COLOR,
+        transparent: true,
+        opacity: 0.3,
+        side: THREE.DoubleSide
+    });
+    const field = new THREE.Mesh(new THREE.PlaneGeometry(1.6, 1.5), fieldMaterial);
+    field.position.set(0, 0.8, 0);
+    gateGroup.add(field);
+
+    // Horizontal scan lines that sweep through the field
+    const scanLines = [];
+    const scanGeometry = new THREE.BoxGeometry(1.6, 0.03, 0.02);
+    const scanMaterial = new THREE.MeshBasicMaterial({ color: 0xffffff });
+    for (let i = 0; i < 3; i++) {
+        const scanLine = new THREE.Mesh(scanGeometry, scanMaterial);
+        scanLine.position.set(0, 0.1 + i * 0.5, 0.02);
+        gateGroup.add(scanLine);
+        scanLines.push(scanLine);
+    }
+
+    // Warning glow
+    const gateLight = new THREE.PointLight(OBSTACLE_COLOR, 1.5, 4);
+    gateLight.position.set(0, 1, 0.5);
+    gateGroup.add(gateLight);
+
+    gateGroup.userData = {
+        animate: function(time) {
+            // Sweep scan lines upward and pulse the field
+            scanLines.forEach((scanLine, index) => {
+                scanLine.position.y = 0.1 + ((time * 0.001 + index / 3) % 1) * 1.4;
+            });
+            fieldMaterial.opacity = 0.25 + Math.sin(time * 0.008) * 0.1;
+        }
+    };
+
+    return gateGroup;
+}
+
+/**
+ * Create a glitch block - a cube that flickers between neon colors and jitters in place
+ * @returns {THREE.Group} - The glitch block
+ */
+function createGlitchBlock() {
+    const glitchGroup = new THREE.Group();
+
+    const blockGeometry = new THREE.BoxGeometry(1, 1, 1);
+    const blockMaterial = new THREE.MeshBasicMaterial({
+        color: NEON_COLORS[0],
+        transparent: true,
+        opacity: 0.6
+    });
+    const block = new THREE.Mesh(blockGeometry, blockMaterial);
+    block.position.y = 0.6;
+    glitchGroup.add(block);
+
+    // Wireframe shell offset from the block for a "misregistered" look
+    const shellMaterial = new THREE.MeshBasicMaterial({
+        color: 0xffffff,
+        wireframe: true
+    });
+    const shell = new THREE.Mesh(blockGeometry, shellMaterial);
+    shell.position.y = 0.6;
+    glitchGroup.add(shell);
+
+    const glitchLight = new THREE.PointLight(NEON_COLORS[1], 1.2, 3);
+    glitchLight.position.set(0, 0.6, 0.5);
+    glitchGroup.add(glitchLight);
+
+    glitchGroup.userData = {
+        animate: function(time, dt) {
+            // Occasionally snap to a new color and offset, like a corrupted frame
+            if (random('effects') < 0.15) {
+                const color = NEON_COLORS[Math.floor(random('effects') * NEON_COLORS.length)];
+                blockMaterial.color.setHex(color);
+                glitchLight.color.setHex(color);
+                shell.position.x = (random('effects') - 0.5) * 0.2;
+                block.scale.set(1, 0.8 + random('effects') * 0.4, 1);
+            }
+            block.rotation.y += 1.2 * dt;
+            shell.rotation.y = block.rotation.y;
+        }
+    };
+
+    return glitchGroup;
+}
+
+/**
+ * Create a lane-blocking barrier with hazard chevrons
+ * @param {number} laneCount - Number of lanes the barrier spans
+ * @returns {THREE.Group} - The barrier
+ */
+function createBarrier(laneCount) {
+    const barrierGroup = new THREE.Group();
+    const laneSpacing = Math.abs(LANES[1] - LANES[0]);
+    const width = laneSpacing * laneCount - 0.3;
+
+    // Main wall
+    const wallMaterial = new THREE.MeshBasicMaterial({ color: 0x220011 });
+    const wall = new THREE.Mesh(new THREE.BoxGeometry(width, 0.6, 0.3), wallMaterial);
+    wall.position.y = 0.3;
+    barrierGroup.add(wall);
+
+    // Alternating neon chevron stripes along the front face
+    const stripeCount = Math.max(3, Math.floor(width / 0.4));
+    const stripeWidth = width / stripeCount;
+    const stripeGeometry = new THREE.BoxGeometry(stripeWidth * 0.6, 0.5, 0.02);
+    const stripeMaterials = [
+        new THREE.MeshBasicMaterial({ color: 0xff00ff }),
+        new THREE.MeshBasicMaterial({ color: OBSTACLE_COLOR })
+    ];
+    for (let i = 0; i < stripeCount; i++) {
+        const stripe = new THREE.Mesh(stripeGeometry, stripeMaterials[i % 2]);
+        stripe.position.set(-width / 2 + stripeWidth * (i + 0.5), 0.3, 0.16);
+        stripe.rotation.z = 0.4;
+        barrierGroup.add(stripe);
+    }
+
+    // Glowing top edge
+    const edge = new THREE.Mesh(
+        new THREE.BoxGeometry(width, 0.05, 0.32),
+        new THREE.MeshBasicMaterial({ color: 0xff00ff })
+    );
+    edge.position.y = 0.62;
+    barrierGroup.add(edge);
+
+    const barrierLight = new THREE.PointLight(0xff00ff, 1.5, 4);
+    barrierLight.position.set(0, 0.8, 0.5);
+    barrierGroup.add(barrierLight);
+
+    barrierGroup.userData = {
+        animate: function(time) {
+            barrierLight.intensity = 1.2 + Math.sin(time * 0.01) * 0.5;
+        }
+    };
+
+    return barrierGroup;
+}
+
+/**
+ * Get the lanes blocked by obstacles near a given Z position
+ * @param {Array} obstacles - Active obstacles
+ * @param {number} z - Z position to check around
+ * @param {number} gap - Z distance within which obstacles count
+ * @returns {Set<number>} - Blocked lane indices
+ */
+export function getBlockedLanes(obstacles, z, gap = OBSTACLE_MIN_GAP) {
+    const blocked = new Set();
+
+    obstacles.forEach(obstacle => {
+        if (!obstacle || !obstacle.userData || obstacle.userData.hit) return;
+        if (Math.abs(obstacle.position.z - z) < gap) {
+            obstacle.userData.lanes.forEach(lane => blocked.add(lane));
+        }
+    });
+
+    return blocked;
+}
+
+/**
+ * Choose a random obstacle type and the lanes it will block, always leaving at least one lane open
+ * @param {Set<number>} blockedLanes - Lanes already blocked near the spawn position
+ * @returns {Object|null} - { type, lanes } or null if nothing can be placed safely
+ */
+export function chooseObstacleSpawn(blockedLanes) {
+    const openLanes = LANES.map((_, index) => index).filter(lane => !blockedLanes.has(lane));
+
+    // Blocking the last open lane would make the wave unavoidable
+    if (openLanes.length <= 1) return null;
+
+    const type = OBSTACLE_TYPES[Math.floor(random() * OBSTACLE_TYPES.length)];
+
+    // Barriers try to span two adjacent lanes when that still leaves one open
+    const width = type === 'barrier' && openLanes.length > 2 ? 2 : 1;
+    const candidates = [];
+    for (let i = 0; i + width <= openLanes.length; i++) {
+        const run = openLanes.slice(i, i + width);
+        if (run[run.length - 1] - run[0] === width - 1) {
+            candidates.push(run);
+        }
+    }
+
+    if (candidates.length === 0) return null;
+
+    const lanes = candidates[Math.floor(random() * candidates.length)];
+    return { type, lanes };
+}
+
+/**
+ * Check whether the player is touching an obstacle
+ * @param {THREE.Object3D} player - The player object
+ * @param {THREE.Object3D} obstacle - The obstacle to check
+ * @returns {boolean} - Whether the player hit the obstacle
+ */
+export function isPlayerHittingObstacle(player, obstacle) {
+    if (!obstacle.userData || obstacle.userData.hit) return false;
+    if (Math.abs(obstacle.position.z - player.position.z) > OBSTACLE_HIT_DEPTH) return false;
+
+    return obstacle.userData.lanes.some(lane => Math.abs(player.position.x - LANES[lane]) < LANE_HALF_WIDTH);
+}
+
+/**
+ * Check collisions between the player and all obstacles, applying hit consequences
+ * @param {THREE.Object3D} player - The player object
+ * @param {Array} obstacles - Active obstacles
+ * @param {number} currentTime - Current simulation time in ms
+ * @returns {Array} - Obstacles hit this check
+ */
+export function checkObstacleCollisions(player, obstacles, currentTime) {
+    const hits = [];
+
+    obstacles.forEach(obstacle => {
+        if (isPlayerHittingObstacle(player, obstacle)) {
+            applyObstacleHit(obstacle, currentTime);
+            hits.push(obstacle);
+        }
+    });
+
+    return hits;
+}
+
+/**
+ * Apply the consequence of hitting an obstacle and mark it as spent
+ * @param {THREE.Object3D} obstacle - The obstacle that was hit
+ * @param {number} currentTime - Current simulation time in ms
+ */
+export function applyObstacleHit(obstacle, currentTime) {
+    obstacle.userData.hit = true;
+
+    switch (obstacle.userData.effect) {
+        case 'penalty':
+            applyPenalty(OBSTACLE_SCORE_PENALTY);
+            break;
+
+        case 'slowdown':
+            applySlowdown(OBSTACLE_SLOWDOWN_FACTOR, OBSTACLE_SLOWDOWN_DURATION, currentTime);
+            break;
+
+        case 'life':
+            loseLife();
+            break;
+    }
+
+    console.log(`Hit ${obstacle.userData.obstacleType} obstacle (${obstacle.userData.effect})`);
+
+    // Dim the obstacle so it reads as "already hit" while it scrolls past
+    obstacle.traverse(child => {
+        if (child.material) {
+            child.material.transparent = true;
+            child.material.opacity = 0.15;
+        }
+        if (child instanceof THREE.PointLight) {
+            child.intensity = 0;
+        }
+    });
+}
+
+export default {
+    createObstacle,
+    getBlockedLanes,
+    chooseObstacleSpawn,
+    isPlayerHittingObstacle,
+    checkObstacleCollisions,
+    applyObstacleHit
+};
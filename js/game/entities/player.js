@@ -1,7 +1,11 @@
 /**
  * Player module for NEON WAVE game
  */
-import { PLAYER_SIZE, LANES } from '../core/constants.js';
+import { PLAYER_SIZE, LANES, PLAYER_LANE_CHANGE_RATE, BEAT_HOVER_BOOST } from '../core/constants.js';
+import { random } from '../core/random.js';
+
+// Bass level of the music (0-1), pumped into the hover plates
+let hoverBeat = 0;
 
 /**
  * Creates a player object (80s style hovering hot rod with synthwave aesthetics)
@@ -214,15 +218,15 @@ export function initializePlayer(scene, currentLane = 1) {
 }
 
 /**
- * Handles player movement based on keyboard input
- * @param {KeyboardEvent} event - The keyboard event
+ * Handles player movement for a lane change action
+ * @param {string} action - The input action (moveLeft or moveRight)
  * @param {THREE.Group} player - The player object
  * @param {number} currentLane - The current lane index
  * @returns {number} The new lane index after movement
  */
-export function handlePlayerMovement(event, player, currentLane) {
-  // Handle movement with arrow keys
-  if (event.key === 'ArrowLeft') {
+export function handlePlayerMovement(action, player, currentLane) {
+  // Handle movement actions (from keys, gamepad, swipe or tilt)
+  if (action === 'moveLeft') {
     if (currentLane > 0) {
       currentLane--;
       player.rotation.z = 0.2;
@@ -230,7 +234,7 @@ export function handlePlayerMovement(event, player, currentLane) {
         if (player) player.rotation.z = 0;
       }, 200);
     }
-  } else if (event.key === 'ArrowRight') {
+  } else if (action === 'moveRight') {
     if (currentLane < 2) {
       currentLane++;
       player.rotation.z = -0.2;
@@ -247,12 +251,16 @@ export function handlePlayerMovement(event, player, currentLane) {
  * Updates player position and animations for each frame
  * @param {THREE.Group} player - The player object
  * @param {number} currentLane - The current lane index
+ * @param {number} dt - Step duration in seconds
+ * @param {number|null} steerX - Analog steering position to head for instead of the lane
  */
-export function updatePlayer(player, currentLane) {
+export function updatePlayer(player, currentLane, dt, steerX = null) {
   if (!player) return;
   
-  // Move player to target lane with smooth interpolation
-  player.position.x += (LANES[currentLane] - player.position.x) * 0.1;
+  // Move player to target lane (or steering position) with smooth, frame-rate independent easing
+  const targetX = steerX !== null ? steerX : LANES[currentLane];
+  const laneChangeFactor = 1 - Math.exp(-PLAYER_LANE_CHANGE_RATE * dt);
+  player.position.x += (targetX - player.position.x) * laneChangeFactor;
   
   // Get current time for animations
   const now = Date.now();
@@ -264,15 +272,16 @@ export function updatePlayer(player, currentLane) {
         // Only animate specific elements, not the whole car
         if (child.geometry) {
           if (child.geometry instanceof THREE.PlaneGeometry) {
-            // Hover plates - animate glow intensity only
+            // Hover plates - animate glow intensity, and pump them with the bass
             if (child.material && child.material.opacity !== undefined) {
-              child.material.opacity = 0.4 + Math.sin(now * 0.01) * 0.2;
+              child.material.opacity = Math.min(1, 0.4 + Math.sin(now * 0.01) * 0.2 + hoverBeat * BEAT_HOVER_BOOST);
             }
+            child.scale.set(1 + hoverBeat * BEAT_HOVER_BOOST, 1 + hoverBeat * BEAT_HOVER_BOOST, 1);
             // Don't move the hover plates up and down
           } else if (child.geometry instanceof THREE.CylinderGeometry) {
             // Exhaust pipes - animate glow effect only
             if (child.material) {
-              child.material.emissiveIntensity = 0.3 + Math.random() * 0.4;
+              child.material.emissiveIntensity = 0.3 + random('effects') * 0.4;
             }
           }
           // No position changes for car body parts
@@ -295,4 +304,12 @@ export function updatePlayer(player, currentLane) {
       }
     });
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Set how hard the music's bass pumps the hover plates (picked up by updatePlayer)
+ * @param {number} level - Bass energy from 0 to 1
+ */
+export function setHoverBeat(level) {
+  hoverBeat = level;
+}
@@ -4,8 +4,9 @@
  */
 import { sceneManager } from './core/setup.js';
 import { initGame, refreshGame } from './engine/gameInitializer.js';
-import { toggleMusic, setMusicVolume } from './core/audio.js';
+import { toggleMusic, setMusicVolume, setSfxVolume } from './core/audio.js';
 import gameState from './state/gameState.js';
+import { onScoreChange } from './state/scoring.js';
 
 // Initialize when the DOM is ready
 document.addEventListener('DOMContentLoaded', initGame);
@@ -16,5 +17,7 @@ export {
     sceneManager,
     refreshGame,
     toggleMusic,
-    setMusicVolume
+    setMusicVolume,
+    setSfxVolume,
+    onScoreChange
 };
\ No newline at end of file
@@ -0,0 +1,75 @@
+/**
+ * Difficulty module - Level curve and the speed, spawn and collectible settings for each level
+ */
+import {
+    MAX_LEVEL,
+    LEVEL_DISTANCE_STEP,
+    LEVEL_SCORE_STEP,
+    LEVEL_SPEED_STEP,
+    LEVEL_SPAWN_INTERVAL_STEP,
+    MIN_SPAWN_INTERVAL_FACTOR,
+    MAX_TIME_BETWEEN_COLLECTIBLES,
+    OBSTACLE_SPAWN_INTERVAL,
+    OBSTACLE_SPAWN_CHANCE,
+    GITHUB_PROFILE_ITEM_CHANCE,
+    FACT_ITEM_CHANCE
+} from '../core/constants.js';
+import gameState from './gameState.js';
+
+/**
+ * Gets the level reached for a given distance and score
+ * @param {number} distance - World units traveled
+ * @param {number} score - Current score
+ * @returns {number} - The level (1 to MAX_LEVEL)
+ */
+export function getLevelForProgress(distance, score) {
+    const levelByDistance = 1 + Math.floor(distance / LEVEL_DISTANCE_STEP);
+    const levelByScore = 1 + Math.floor(score / LEVEL_SCORE_STEP);
+    return Math.min(MAX_LEVEL, Math.max(levelByDistance, levelByScore));
+}
+
+/**
+ * Gets the gameplay settings for a level
+ * @param {number} level - The level
+ * @returns {Object} - Speed, spawn and collectible mix settings
+ */
+export function getLevelSettings(level) {
+    const step = Math.max(0, Math.min(level, MAX_LEVEL) - 1);
+    const intervalFactor = Math.max(MIN_SPAWN_INTERVAL_FACTOR, 1 - step * LEVEL_SPAWN_INTERVAL_STEP);
+
+    return {
+        // World speed multiplier (applied on top of PLAYER_SPEED)
+        speedMultiplier: 1 + step * LEVEL_SPEED_STEP,
+
+        // Collectible spawning - more frequent and more of them on screen
+        collectibleInterval: MAX_TIME_BETWEEN_COLLECTIBLES * intervalFactor,
+        collectibleSpawnChance: Math.min(0.6, 0.3 + step * 0.03),
+        maxCollectiblesAhead: 3 + Math.floor(step / 3),
+
+        // Obstacle spawning
+        obstacleInterval: OBSTACLE_SPAWN_INTERVAL * intervalFactor,
+        obstacleSpawnChance: Math.min(0.8, OBSTACLE_SPAWN_CHANCE + step * 0.05),
+
+        // Collectible mix - resume/profile items get more common, facts rarer
+        profileItemChance: Math.min(0.75, GITHUB_PROFILE_ITEM_CHANCE + step * 0.03),
+        factChance: Math.max(0.1, FACT_ITEM_CHANCE - step * 0.02)
+    };
+}
+
+/**
+ * Raises the level if the player has progressed far enough (levels never drop within a run)
+ * @returns {number|null} - The new level, or null if it didn't change
+ */
+export function updateLevel() {
+    const level = getLevelForProgress(gameState.distance, gameState.score);
+    if (level <= gameState.level) return null;
+
+    gameState.level = level;
+    return level;
+}
+
+export default {
+    getLevelForProgress,
+    getLevelSettings,
+    updateLevel
+};
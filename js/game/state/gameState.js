@@ -1,27 +1,49 @@
 /**
  * GameState module - Manages the game's state variables
  */
-import { DEFAULT_LANE, DEFAULT_MUSIC_ENABLED } from '../core/constants.js';
+import {
+    DEFAULT_LANE,
+    DEFAULT_MUSIC_ENABLED,
+    HIGH_SCORE_STORAGE_KEY,
+    DEFAULT_LIVES,
+    DEFAULT_LEVEL,
+    MAX_CONSECUTIVE_MISSES
+} from '../core/constants.js';
 
 // Core game state
 const state = {
     // Game status
     gameStarted: true, // Start game immediately
     gameOver: false,
+    paused: false, // Simulation frozen (P/Escape, or the tab was hidden)
     
     // Progress tracking
     score: 0,
     highScore: 0,
-    level: 1,
+    level: DEFAULT_LEVEL,
+    distance: 0, // World units traveled this run
+    streak: 0,
+    bestStreak: 0,
+    multiplier: 1,
+    lives: DEFAULT_LIVES,
+    consecutiveMisses: 0,
     
     // Player state
     currentLane: DEFAULT_LANE,
+    steerX: null, // Analog tilt steering position (null when steering by lane)
+    
+    // World speed modifiers (e.g. slowdown after hitting a glitch block)
+    speedMultiplier: 1,
+    slowdownUntil: 0,
     
     // Game settings
     musicEnabled: DEFAULT_MUSIC_ENABLED,
     
-    // Timers
+    // Timers (simulation clock in ms, advanced by the fixed-timestep loop)
+    simTime: 0,
+    runTicks: 0, // Simulation steps since the run started (replays are keyed by this)
     lastCollectibleTime: 0,
+    lastObstacleTime: 0,
     
     // Animation ID
     animationId: null
@@ -40,7 +62,7 @@ export function updateScore(newScore) {
  */
 export function saveHighScore() {
     try {
-        localStorage.setItem('neonWaveHighScore', state.highScore.toString());
+        localStorage.setItem(HIGH_SCORE_STORAGE_KEY, state.highScore.toString());
     } catch (err) {
         console.error('Error saving high score:', err);
     }
@@ -51,8 +73,8 @@ export function saveHighScore() {
  */
 export function loadHighScore() {
     try {
-        if (localStorage.getItem('neonWaveHighScore')) {
-            state.highScore = parseInt(localStorage.getItem('neonWaveHighScore'));
+        if (localStorage.getItem(HIGH_SCORE_STORAGE_KEY)) {
+            state.highScore = parseInt(localStorage.getItem(HIGH_SCORE_STORAGE_KEY), 10) || 0;
             console.log('Loaded high score:', state.highScore);
         }
     } catch (err) {
@@ -84,19 +106,101 @@ export function saveMusicPreferences() {
  * Sets the game as started
  */
 export function startGame() {
+    resetGame();
     state.gameStarted = true;
-    state.gameOver = false;
-    state.score = 0;
-    state.lastCollectibleTime = Date.now();
 }
 
 /**
  * Resets the game to initial state
  */
 export function resetGame() {
-    state.level = 1;
+    state.gameOver = false;
+    state.level = DEFAULT_LEVEL;
+    state.distance = 0;
     state.score = 0;
-    state.lastCollectibleTime = Date.now();
+    resetStreak();
+    state.bestStreak = 0;
+    state.lives = DEFAULT_LIVES;
+    state.consecutiveMisses = 0;
+    state.speedMultiplier = 1;
+    state.slowdownUntil = 0;
+    
+    // Every run starts its clock from zero so a replayed run sees exactly the same timings
+    state.simTime = 0;
+    state.runTicks = 0;
+    state.lastCollectibleTime = 0;
+    state.lastObstacleTime = 0;
+}
+
+/**
+ * Removes one life
+ * @returns {number} - Remaining lives
+ */
+export function loseLife() {
+    state.lives = Math.max(0, state.lives - 1);
+    return state.lives;
+}
+
+/**
+ * Records a collectible that passed the player, costing a life after too many in a row
+ * @returns {boolean} - Whether a life was lost
+ */
+export function recordMissedCollectible() {
+    state.consecutiveMisses++;
+    
+    if (state.consecutiveMisses >= MAX_CONSECUTIVE_MISSES) {
+        state.consecutiveMisses = 0;
+        loseLife();
+        return true;
+    }
+    
+    return false;
+}
+
+/**
+ * Clears the consecutive miss counter (called on every pickup)
+ */
+export function resetMissCounter() {
+    state.consecutiveMisses = 0;
+}
+
+/**
+ * Ends the current run
+ */
+export function endGame() {
+    state.gameOver = true;
+    saveHighScore();
+}
+
+/**
+ * Temporarily slows down the world
+ * @param {number} factor - Speed multiplier while slowed down
+ * @param {number} duration - Duration in ms
+ * @param {number} now - Current simulation time in ms
+ */
+export function applySlowdown(factor, duration, now = state.simTime) {
+    state.speedMultiplier = factor;
+    state.slowdownUntil = now + duration;
+}
+
+/**
+ * Gets the current world speed multiplier, ending an expired slowdown
+ * @param {number} now - Current simulation time in ms
+ * @returns {number} - The speed multiplier
+ */
+export function getSpeedMultiplier(now = state.simTime) {
+    if (state.speedMultiplier !== 1 && now >= state.slowdownUntil) {
+        state.speedMultiplier = 1;
+    }
+    return state.speedMultiplier;
+}
+
+/**
+ * Resets the pickup streak and its score multiplier
+ */
+export function resetStreak() {
+    state.streak = 0;
+    state.multiplier = 1;
 }
 
 export default state;
\ No newline at end of file
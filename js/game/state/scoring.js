@@ -0,0 +1,157 @@
+/**
+ * Scoring module - Awards points for pickups, tracks streaks and notifies listeners
+ */
+import {
+    SCORE_SOURCE_POINTS,
+    SCORE_TYPE_POINTS,
+    STREAK_STEP,
+    MAX_STREAK_MULTIPLIER
+} from '../core/constants.js';
+import gameState, { updateScore, saveHighScore, resetStreak } from './gameState.js';
+
+// Listeners notified whenever the score or streak changes
+const scoreListeners = new Set();
+
+/**
+ * Subscribe to score changes
+ * @param {Function} listener - Called with a score change event object
+ * @returns {Function} - Call to unsubscribe
+ */
+export function onScoreChange(listener) {
+    scoreListeners.add(listener);
+    return () => scoreListeners.delete(listener);
+}
+
+/**
+ * Notify all listeners about a score change
+ * @param {Object} event - The score change event
+ */
+function emitScoreChange(event) {
+    scoreListeners.forEach(listener => {
+        try {
+            listener(event);
+        } catch (err) {
+            console.error('Error in score change listener:', err);
+        }
+    });
+}
+
+/**
+ * Builds the event object sent to score listeners
+ * @param {string} reason - What caused the change ('pickup', 'miss', 'penalty', 'reset')
+ * @param {number} delta - Points added (or removed)
+ * @param {boolean} isNewHighScore - Whether this change set a new high score
+ * @returns {Object} - The score change event
+ */
+function createScoreEvent(reason, delta, isNewHighScore = false) {
+    return {
+        reason,
+        delta,
+        score: gameState.score,
+        highScore: gameState.highScore,
+        streak: gameState.streak,
+        bestStreak: gameState.bestStreak,
+        multiplier: gameState.multiplier,
+        isNewHighScore
+    };
+}
+
+/**
+ * Gets the base points for a collectible based on its data
+ * @param {string} dataSource - The collectible's data source ('github', 'profile', 'fact')
+ * @param {Object} dataItem - The collectible's data item
+ * @returns {number} - Base points before the streak multiplier
+ */
+export function getPointsForItem(dataSource, dataItem) {
+    // Specific item types take priority over the general source
+    if (dataItem && dataItem.type && SCORE_TYPE_POINTS[dataItem.type] !== undefined) {
+        return SCORE_TYPE_POINTS[dataItem.type];
+    }
+
+    return SCORE_SOURCE_POINTS[dataSource] || SCORE_SOURCE_POINTS.github;
+}
+
+/**
+ * Gets the score multiplier for a given streak length
+ * @param {number} streak - Number of consecutive pickups
+ * @returns {number} - The multiplier (1 to MAX_STREAK_MULTIPLIER)
+ */
+export function getStreakMultiplier(streak) {
+    return Math.min(MAX_STREAK_MULTIPLIER, 1 + Math.floor(streak / STREAK_STEP));
+}
+
+/**
+ * Updates the score and persists a new high score if it was beaten
+ * @param {number} newScore - The new score
+ * @returns {boolean} - Whether a new high score was set
+ */
+function setScore(newScore) {
+    updateScore(Math.max(0, newScore));
+
+    if (gameState.score > gameState.highScore) {
+        gameState.highScore = gameState.score;
+        saveHighScore();
+        return true;
+    }
+
+    return false;
+}
+
+/**
+ * Awards points for a collected item and extends the streak
+ * @param {Object} userData - The collectible's userData (dataSource, dataItem)
+ * @returns {number} - Points awarded
+ */
+export function awardPickup(userData = {}) {
+    gameState.streak++;
+    gameState.bestStreak = Math.max(gameState.bestStreak, gameState.streak);
+    gameState.multiplier = getStreakMultiplier(gameState.streak);
+
+    const points = getPointsForItem(userData.dataSource, userData.dataItem) * gameState.multiplier;
+    const isNewHighScore = setScore(gameState.score + points);
+
+    emitScoreChange(createScoreEvent('pickup', points, isNewHighScore));
+    return points;
+}
+
+/**
+ * Registers a collectible that passed the player without being collected
+ */
+export function registerMiss() {
+    if (gameState.streak === 0) return;
+
+    resetStreak();
+    emitScoreChange(createScoreEvent('miss', 0));
+}
+
+/**
+ * Removes points from the score (never below zero) and breaks the streak
+ * @param {number} points - Points to remove
+ * @returns {number} - Points actually removed
+ */
+export function applyPenalty(points) {
+    const previousScore = gameState.score;
+    resetStreak();
+    setScore(previousScore - points);
+
+    const removed = previousScore - gameState.score;
+    emitScoreChange(createScoreEvent('penalty', -removed));
+    return removed;
+}
+
+/**
+ * Notifies listeners that the score was reset (e.g. on restart)
+ */
+export function notifyScoreReset() {
+    emitScoreChange(createScoreEvent('reset', 0));
+}
+
+export default {
+    onScoreChange,
+    getPointsForItem,
+    getStreakMultiplier,
+    awardPickup,
+    registerMiss,
+    applyPenalty,
+    notifyScoreReset
+};
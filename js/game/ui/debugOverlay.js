@@ -0,0 +1,80 @@
+/**
+ * Debug Overlay Module
+ * Shows where the GitHub data came from (cache, revalidation, network or stale fallback)
+ * and how much of the rate limit is left. Enabled with the "debug" feature (?enable=debug).
+ */
+import { getCacheStatus, onCacheStatusChange, clearGitHubCache } from '../data/githubCache.js';
+
+// Overlay elements (created in initDebugOverlay)
+let overlay = null;
+let list = null;
+
+/**
+ * Create the debug overlay and keep it in sync with the GitHub cache
+ */
+export function initDebugOverlay() {
+    if (overlay) return;
+
+    overlay = document.createElement('div');
+    overlay.id = 'debug-overlay';
+
+    const title = document.createElement('div');
+    title.className = 'debug-title';
+    title.textContent = 'GITHUB CACHE';
+    overlay.appendChild(title);
+
+    list = document.createElement('div');
+    overlay.appendChild(list);
+
+    const clearButton = document.createElement('button');
+    clearButton.className = 'debug-button';
+    clearButton.textContent = 'CLEAR CACHE';
+    clearButton.addEventListener('click', () => {
+        clearGitHubCache();
+        renderDebugOverlay();
+    });
+    overlay.appendChild(clearButton);
+
+    const container = document.getElementById('game-overlay') || document.body;
+    container.appendChild(overlay);
+
+    onCacheStatusChange(renderDebugOverlay);
+    renderDebugOverlay();
+}
+
+/**
+ * Redraw the overlay from the current cache status
+ */
+function renderDebugOverlay() {
+    if (!list) return;
+
+    const { entries, rateLimit } = getCacheStatus();
+    const lines = entries.map(entry => {
+        const path = entry.url.replace('https://api.github.com', '');
+        const age = entry.fetchedAt ? ` · ${formatAge(Date.now() - entry.fetchedAt)} old` : '';
+        return `${entry.status.toUpperCase()} ${path}${age}`;
+    });
+
+    if (lines.length === 0) {
+        lines.push('no requests yet');
+    }
+
+    if (rateLimit) {
+        const resetTime = new Date(rateLimit.resetAt).toLocaleTimeString();
+        lines.push(`rate limit: ${rateLimit.remaining}/${rateLimit.limit || '?'} (resets ${resetTime})`);
+    }
+
+    list.textContent = lines.join('\n');
+}
+
+/**
+ * Formats a duration as a short age string
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} - e.g. "42s", "5m", "2h"
+ */
+function formatAge(ms) {
+    const seconds = Math.max(0, Math.round(ms / 1000));
+    if (seconds < 60) return `${seconds}s`;
+    if (seconds < 3600) return `${Math.round(seconds / 60)}m`;
+    return `${Math.round(seconds / 3600)}h`;
+}
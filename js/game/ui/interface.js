@@ -2,6 +2,66 @@
  * Game UI Interface Module
  * Handles UI elements and interactions
  */
+import gameState from '../state/gameState.js';
+import { onScoreChange } from '../state/scoring.js';
+
+// Cached HUD elements (looked up once in initHUD)
+let hudElements = null;
+
+/**
+ * Initialize the HUD and keep it in sync with score changes
+ */
+export function initHUD() {
+    hudElements = {
+        hud: document.getElementById('game-hud'),
+        score: document.getElementById('hud-score'),
+        highScore: document.getElementById('hud-high-score'),
+        lives: document.getElementById('hud-lives'),
+        level: document.getElementById('hud-level'),
+        streak: document.getElementById('hud-streak'),
+        multiplier: document.getElementById('hud-multiplier')
+    };
+
+    if (!hudElements.hud) {
+        console.warn('HUD markup not found, skipping HUD setup');
+        hudElements = null;
+        return;
+    }
+
+    onScoreChange(event => {
+        updateHUD(gameState);
+
+        // Give the score a quick pulse when points are earned
+        if (event.reason === 'pickup') {
+            bumpElement(hudElements.score);
+        }
+        if (event.isNewHighScore) {
+            bumpElement(hudElements.highScore);
+        }
+    });
+
+    updateHUD(gameState);
+    hudElements.hud.classList.remove('hidden');
+}
+
+/**
+ * Updates every HUD value from the game state
+ * @param {Object} state - The game state
+ */
+export function updateHUD(state) {
+    if (!hudElements) return;
+
+    updateScoreDisplay(state.score, state.highScore);
+    setText(hudElements.lives, '♥'.repeat(Math.max(0, state.lives)) || '-');
+    setText(hudElements.level, state.level);
+    setText(hudElements.streak, state.streak);
+    setText(hudElements.multiplier, state.multiplier > 1 ? `x${state.multiplier}` : '');
+
+    // Highlight the streak block while a multiplier is active
+    if (hudElements.streak && hudElements.streak.parentElement) {
+        hudElements.streak.parentElement.classList.toggle('hud-active', state.multiplier > 1);
+    }
+}
 
 /**
  * Updates the score display
@@ -9,16 +69,67 @@
  * @param {number} highScore - Current high score
  */
 export function updateScoreDisplay(score, highScore) {
-    // Add implementation when needed
+    if (!hudElements) return;
+
+    setText(hudElements.score, formatScore(score));
+    setText(hudElements.highScore, formatScore(highScore));
 }
 
 /**
  * Shows the game over screen
  * @param {number} finalScore - Final score to display
  * @param {number} highScore - High score to display
+ * @param {boolean} canRaceGhost - Whether to offer racing the best run's ghost
  */
-export function showGameOverScreen(finalScore, highScore) {
-    // Add implementation when needed
+export function showGameOverScreen(finalScore, highScore, canRaceGhost = false) {
+    const gameOverScreen = document.getElementById('game-over-screen');
+    if (!gameOverScreen) return;
+
+    setText(document.getElementById('game-over-score'), formatScore(finalScore));
+    setText(document.getElementById('game-over-high-score'), formatScore(highScore));
+
+    // Only celebrate when this run actually set the high score
+    const newHighScore = document.getElementById('game-over-new-high');
+    if (newHighScore) {
+        newHighScore.classList.toggle('hidden', !(finalScore > 0 && finalScore >= highScore));
+    }
+
+    const raceGhostButton = document.getElementById('race-ghost-button');
+    if (raceGhostButton) {
+        raceGhostButton.classList.toggle('hidden', !canRaceGhost);
+    }
+
+    gameOverScreen.classList.remove('hidden');
+}
+
+/**
+ * Hides the game over screen
+ */
+export function hideGameOverScreen() {
+    const gameOverScreen = document.getElementById('game-over-screen');
+    if (gameOverScreen) {
+        gameOverScreen.classList.add('hidden');
+    }
+}
+
+/**
+ * Shows the pause screen
+ */
+export function showPauseScreen() {
+    const pauseScreen = document.getElementById('pause-screen');
+    if (pauseScreen) {
+        pauseScreen.classList.remove('hidden');
+    }
+}
+
+/**
+ * Hides the pause screen
+ */
+export function hidePauseScreen() {
+    const pauseScreen = document.getElementById('pause-screen');
+    if (pauseScreen) {
+        pauseScreen.classList.add('hidden');
+    }
 }
 
 /**
@@ -29,4 +140,40 @@ export function hideStartScreen() {
     if (startScreen) {
         startScreen.classList.add('hidden');
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Formats a score with thousands separators
+ * @param {number} score - The score to format
+ * @returns {string} - Formatted score
+ */
+function formatScore(score) {
+    return (score || 0).toLocaleString('en-US');
+}
+
+/**
+ * Sets an element's text only when it changed (avoids needless DOM writes every frame)
+ * @param {HTMLElement} element - The element to update
+ * @param {*} value - The value to display
+ */
+function setText(element, value) {
+    if (!element) return;
+
+    const text = String(value);
+    if (element.textContent !== text) {
+        element.textContent = text;
+    }
+}
+
+/**
+ * Restarts the CSS bump animation on an element
+ * @param {HTMLElement} element - The element to animate
+ */
+function bumpElement(element) {
+    if (!element) return;
+
+    element.classList.remove('hud-bump');
+    // Force a reflow so the animation restarts
+    void element.offsetWidth;
+    element.classList.add('hud-bump');
+}
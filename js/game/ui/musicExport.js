@@ -0,0 +1,179 @@
+/**
+ * Music Export Module
+ * Buttons beside the track selector that download the current song: a loop rendered offline
+ * as a WAV file, or the sequencer patterns as a MIDI file with one track per instrument.
+ */
+import {
+    EXPORT_LOOP_BARS,
+    MIDI_TICKS_PER_BEAT,
+    MIDI_PROGRAMS,
+    MIDI_DRUM_NOTES,
+    MIDI_DRUM_CHANNEL
+} from '../core/constants.js';
+import { getSong, renderLoop } from '../core/audio.js';
+import { getBarSteps } from '../data/songs.js';
+import { encodeWav } from '../utils/wav.js';
+import { encodeMidi } from '../utils/midi.js';
+
+// Label on the WAV button while it's idle
+const WAV_LABEL = '⤓ WAV';
+
+// Instrument names shown in a DAW, by track
+const MIDI_TRACK_NAMES = {
+    bass: 'Bass',
+    arp: 'Arpeggio',
+    melody: 'Melody',
+    kick: 'Kick',
+    snare: 'Snare',
+    hihat: 'Hi-Hat'
+};
+
+// Velocity of pitched notes (drum velocities follow their hit levels)
+const NOTE_VELOCITY = 100;
+
+// The export buttons (looked up in initMusicExport)
+let wavButton = null;
+let midiButton = null;
+
+// Whether a render is already under way
+let exporting = false;
+
+/**
+ * Show the export buttons (the WAV one only where the browser can render audio offline)
+ */
+export function initMusicExport() {
+    wavButton = document.getElementById('export-button');
+    if (wavButton && (window.OfflineAudioContext || window.webkitOfflineAudioContext)) {
+        wavButton.textContent = WAV_LABEL;
+        wavButton.classList.remove('hidden');
+        wavButton.addEventListener('click', () => exportLoop());
+    }
+
+    midiButton = document.getElementById('midi-button');
+    if (midiButton) {
+        midiButton.classList.remove('hidden');
+        midiButton.addEventListener('click', () => exportMidi());
+    }
+}
+
+/**
+ * Render bars of the current song and download them as a WAV file
+ * @param {number} bars - Number of bars to render
+ * @returns {Promise<boolean>} - Whether a file was downloaded
+ */
+export async function exportLoop(bars = EXPORT_LOOP_BARS) {
+    const song = getSong();
+    if (!song || exporting) return false;
+
+    exporting = true;
+    updateExportButton();
+
+    try {
+        const audioBuffer = await renderLoop(bars, song);
+        downloadFile(encodeWav(audioBuffer), 'audio/wav', `neon-wave-${toFileName(song.name)}-${bars}-bars.wav`);
+        return true;
+    } catch (err) {
+        console.error('Error exporting music:', err);
+        return false;
+    } finally {
+        exporting = false;
+        updateExportButton();
+    }
+}
+
+/**
+ * Download bars of the current song's patterns as a MIDI file
+ * @param {number} bars - Number of bars to write
+ * @returns {boolean} - Whether a file was downloaded
+ */
+export function exportMidi(bars = EXPORT_LOOP_BARS) {
+    const song = getSong();
+    if (!song) return false;
+
+    try {
+        downloadFile(getSongMidi(song, bars), 'audio/midi', `neon-wave-${toFileName(song.name)}-${bars}-bars.mid`);
+        return true;
+    } catch (err) {
+        console.error('Error exporting MIDI:', err);
+        return false;
+    }
+}
+
+/**
+ * Write a song's patterns as a Standard MIDI File - every note the sequencer could play, with
+ * drums on the General MIDI percussion channel
+ * @param {Object} song - A validated song
+ * @param {number} bars - Number of bars to write
+ * @returns {Uint8Array} - The MIDI file's bytes
+ * @throws {RangeError} - If a note falls outside the MIDI range (a song that skipped validateSong)
+ */
+export function getSongMidi(song, bars) {
+    // One track per instrument; pitched ones get a channel each
+    const tracks = {};
+    let nextChannel = 0;
+    Object.keys(song.tracks).forEach(name => {
+        const isDrum = MIDI_DRUM_NOTES[name] !== undefined;
+        tracks[name] = {
+            name: MIDI_TRACK_NAMES[name],
+            channel: isDrum ? MIDI_DRUM_CHANNEL : nextChannel++,
+            program: isDrum ? null : MIDI_PROGRAMS[name],
+            notes: []
+        };
+    });
+
+    for (let bar = 0; bar < bars; bar++) {
+        getBarSteps(song, bar).forEach(step => {
+            const isDrum = step.note === undefined;
+            tracks[step.track].notes.push({
+                tick: Math.round((bar * 4 + step.beat) * MIDI_TICKS_PER_BEAT),
+                duration: Math.round(step.length * MIDI_TICKS_PER_BEAT),
+                note: isDrum ? MIDI_DRUM_NOTES[step.track] : step.note,
+                velocity: isDrum ? Math.max(1, Math.round(step.level * 127)) : NOTE_VELOCITY
+            });
+        });
+    }
+
+    return encodeMidi({
+        name: song.name,
+        bpm: song.bpm,
+        ticksPerBeat: MIDI_TICKS_PER_BEAT,
+        tracks: Object.values(tracks)
+    });
+}
+
+/**
+ * Offer bytes as a file download
+ * @param {ArrayBuffer|Uint8Array} bytes - The file
+ * @param {string} type - MIME type
+ * @param {string} fileName - Name to save it as
+ */
+function downloadFile(bytes, type, fileName) {
+    const blob = new Blob([bytes], { type });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Turn a song name into something safe for a file name
+ * @param {string} name - Song name
+ * @returns {string} - Lowercase name with dashes for anything but letters and digits
+ */
+function toFileName(name) {
+    return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+/**
+ * Show whether a WAV export is running on its button
+ */
+function updateExportButton() {
+    if (!wavButton) return;
+
+    wavButton.disabled = exporting;
+    wavButton.textContent = exporting ? 'RENDERING…' : WAV_LABEL;
+}
@@ -0,0 +1,250 @@
+/**
+ * Settings Panel Module
+ * Lets players rebind the keyboard controls. Click a key, then press the new key for that action
+ * (click it again to cancel). Also keeps the on-screen key hints in sync with the bindings.
+ * Mobile players can switch tilt steering to analog, set its sensitivity and calibrate it here.
+ */
+import { INPUT_ACTIONS, TILT_SENSITIVITY_RANGE } from '../core/constants.js';
+import { getKeyBindings, bindKey, resetKeyBindings, formatKey } from '../engine/keyBindings.js';
+import {
+    getTiltSettings,
+    setTiltMode,
+    setTiltSensitivity,
+    calibrateTilt
+} from '../engine/tiltSteering.js';
+
+// Labels for each action in the panel
+const ACTION_LABELS = {
+    moveLeft: 'MOVE LEFT',
+    moveRight: 'MOVE RIGHT',
+    toggleMusic: 'MUSIC',
+    restart: 'RESTART',
+    pause: 'PAUSE'
+};
+
+// Panel elements (created in initSettingsPanel)
+let panel = null;
+let list = null;
+let tiltList = null;
+
+// Binding waiting for a key press: { action, slot }
+let pendingBinding = null;
+
+/**
+ * Create the settings panel and its toggle button, and show the current keys in the hints
+ */
+export function initSettingsPanel() {
+    updateKeyHints();
+    if (panel) return;
+
+    panel = document.createElement('div');
+    panel.id = 'settings-panel';
+    panel.className = 'hidden';
+
+    const title = document.createElement('div');
+    title.className = 'settings-title';
+    title.textContent = 'KEY BINDINGS';
+    panel.appendChild(title);
+
+    list = document.createElement('div');
+    panel.appendChild(list);
+
+    const tiltTitle = document.createElement('div');
+    tiltTitle.className = 'settings-title';
+    tiltTitle.textContent = 'TILT STEERING';
+    panel.appendChild(tiltTitle);
+
+    tiltList = document.createElement('div');
+    panel.appendChild(tiltList);
+
+    const resetButton = document.createElement('button');
+    resetButton.className = 'settings-button';
+    resetButton.textContent = 'RESET';
+    resetButton.addEventListener('click', () => {
+        pendingBinding = null;
+        resetKeyBindings();
+        renderSettingsPanel();
+        updateKeyHints();
+    });
+    panel.appendChild(resetButton);
+
+    const closeButton = document.createElement('button');
+    closeButton.className = 'settings-button';
+    closeButton.textContent = 'CLOSE';
+    closeButton.addEventListener('click', () => toggleSettingsPanel(false));
+    panel.appendChild(closeButton);
+
+    const container = document.getElementById('game-overlay') || document.body;
+    container.appendChild(panel);
+
+    const toggleButton = document.getElementById('settings-toggle');
+    if (toggleButton) {
+        toggleButton.addEventListener('click', () => toggleSettingsPanel());
+    }
+
+    // Capture the key before the game's keyboard handler sees it
+    document.addEventListener('keydown', handleBindingKey, true);
+
+    renderSettingsPanel();
+    renderTiltSettings();
+}
+
+/**
+ * Show or hide the settings panel
+ * @param {boolean} open - Whether to show it (toggles if omitted)
+ */
+export function toggleSettingsPanel(open = !isSettingsPanelOpen()) {
+    if (!panel) return;
+
+    pendingBinding = null;
+    panel.classList.toggle('hidden', !open);
+    renderSettingsPanel();
+    renderTiltSettings();
+}
+
+/**
+ * Check whether the settings panel is showing
+ * @returns {boolean} - Whether it's open
+ */
+export function isSettingsPanelOpen() {
+    return Boolean(panel) && !panel.classList.contains('hidden');
+}
+
+/**
+ * Bind the next key press to the action that is waiting for one
+ * @param {KeyboardEvent} event - The keyboard event
+ */
+function handleBindingKey(event) {
+    if (!pendingBinding) return;
+
+    // Modifier keys on their own aren't useful bindings - wait for the real key
+    if (['Shift', 'Control', 'Alt', 'Meta'].includes(event.key)) return;
+
+    event.preventDefault();
+    event.stopImmediatePropagation();
+
+    try {
+        bindKey(pendingBinding.action, event.key, pendingBinding.slot);
+    } catch (err) {
+        console.error('Error binding key:', err);
+    }
+
+    pendingBinding = null;
+    renderSettingsPanel();
+    updateKeyHints();
+}
+
+/**
+ * Redraw the list of actions and their keys
+ */
+function renderSettingsPanel() {
+    if (!list) return;
+
+    const bindings = getKeyBindings();
+    list.textContent = '';
+
+    INPUT_ACTIONS.forEach(action => {
+        const keyButtons = [0, 1].map(slot => {
+            const waiting = pendingBinding && pendingBinding.action === action && pendingBinding.slot === slot;
+
+            const keyButton = document.createElement('button');
+            keyButton.className = waiting ? 'settings-key settings-key-waiting' : 'settings-key';
+            keyButton.textContent = waiting ? 'PRESS A KEY' : formatKey(bindings[action][slot]);
+            keyButton.addEventListener('click', () => {
+                pendingBinding = waiting ? null : { action, slot };
+                renderSettingsPanel();
+            });
+            return keyButton;
+        });
+
+        list.appendChild(createSettingsRow(ACTION_LABELS[action], ...keyButtons));
+    });
+}
+
+/**
+ * Redraw the tilt steering settings
+ * @param {string} calibrateLabel - Text for the calibrate button (feedback after calibrating)
+ */
+function renderTiltSettings(calibrateLabel = 'CALIBRATE') {
+    if (!tiltList) return;
+
+    const settings = getTiltSettings();
+    tiltList.textContent = '';
+
+    // Lanes (tilt past a threshold to change lane) or analog (tilt angle is the position)
+    const modeButton = document.createElement('button');
+    modeButton.className = 'settings-key';
+    modeButton.textContent = settings.mode === 'analog' ? 'ANALOG' : 'LANES';
+    modeButton.addEventListener('click', () => {
+        setTiltMode(settings.mode === 'analog' ? 'lanes' : 'analog');
+        renderTiltSettings();
+    });
+    tiltList.appendChild(createSettingsRow('MODE', modeButton));
+
+    const sensitivity = document.createElement('input');
+    sensitivity.type = 'range';
+    sensitivity.className = 'settings-slider';
+    sensitivity.min = TILT_SENSITIVITY_RANGE.min;
+    sensitivity.max = TILT_SENSITIVITY_RANGE.max;
+    sensitivity.step = TILT_SENSITIVITY_RANGE.step;
+    sensitivity.value = settings.sensitivity;
+    const sensitivityValue = document.createElement('span');
+    sensitivityValue.className = 'settings-value';
+    sensitivityValue.textContent = `${settings.sensitivity.toFixed(1)}×`;
+    sensitivity.addEventListener('input', () => {
+        setTiltSensitivity(parseFloat(sensitivity.value));
+        sensitivityValue.textContent = `${getTiltSettings().sensitivity.toFixed(1)}×`;
+    });
+    tiltList.appendChild(createSettingsRow('SENSITIVITY', sensitivity, sensitivityValue));
+
+    // Hold the phone the way you want to play, then tap to make that "straight ahead"
+    const calibrateButton = document.createElement('button');
+    calibrateButton.className = 'settings-key';
+    calibrateButton.textContent = calibrateLabel;
+    calibrateButton.addEventListener('click', () => {
+        renderTiltSettings(calibrateTilt() ? 'CALIBRATED' : 'NO TILT YET');
+    });
+    const neutral = document.createElement('span');
+    neutral.className = 'settings-value';
+    neutral.textContent = `${Math.round(settings.neutral)}°`;
+    tiltList.appendChild(createSettingsRow('NEUTRAL', calibrateButton, neutral));
+}
+
+/**
+ * Builds a labelled row for the panel
+ * @param {string} labelText - The setting's label
+ * @param {...HTMLElement} controls - Controls to put after the label
+ * @returns {HTMLElement} - The row
+ */
+function createSettingsRow(labelText, ...controls) {
+    const row = document.createElement('div');
+    row.className = 'settings-row';
+
+    const label = document.createElement('span');
+    label.className = 'settings-label';
+    label.textContent = labelText;
+    row.appendChild(label);
+
+    controls.forEach(control => row.appendChild(control));
+    return row;
+}
+
+/**
+ * Show the bound keys in the instructions and on the game over and pause screens
+ */
+function updateKeyHints() {
+    const bindings = getKeyBindings();
+    const hints = {
+        'move-keys-hint': `${formatKey(bindings.moveLeft[0])} ${formatKey(bindings.moveRight[0])}`,
+        'music-key-hint': formatKey(bindings.toggleMusic[0]),
+        'restart-key-hint': formatKey(bindings.restart[0]),
+        'pause-key-hint': formatKey(bindings.pause[0])
+    };
+
+    Object.entries(hints).forEach(([id, text]) => {
+        const hint = document.getElementById(id);
+        if (hint) {
+            hint.textContent = text;
+        }
+    });
+}
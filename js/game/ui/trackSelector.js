@@ -0,0 +1,92 @@
+/**
+ * Track Selector Module
+ * A button beside the music toggle showing the current song; clicking it cycles through
+ * the built-in songs. The pick is remembered in localStorage.
+ */
+import { SONG_STORAGE_KEY } from '../core/constants.js';
+import { setSong } from '../core/audio.js';
+
+// Songs to choose from and which one is playing
+let songs = [];
+let currentIndex = 0;
+
+// The track button (looked up in initTrackSelector)
+let button = null;
+
+/**
+ * Start the last picked song (or the first one) and show the track button
+ * @param {Array<Object>} availableSongs - Songs loaded by data/songs.js
+ * @returns {Object|null} - The song now selected, or null if there are none
+ */
+export function initTrackSelector(availableSongs) {
+    songs = availableSongs;
+    button = document.getElementById('track-button');
+
+    if (songs.length === 0) {
+        console.warn('No songs loaded - music is unavailable');
+        return null;
+    }
+
+    currentIndex = Math.max(0, songs.findIndex(song => song.name === loadSavedSongName()));
+    setSong(songs[currentIndex]);
+
+    if (button) {
+        button.classList.remove('hidden');
+        button.addEventListener('click', () => nextTrack());
+    }
+    updateTrackButton();
+
+    return songs[currentIndex];
+}
+
+/**
+ * Switch to the next song, wrapping around after the last
+ * @returns {Object|null} - The song now selected
+ */
+export function nextTrack() {
+    if (songs.length === 0) return null;
+
+    currentIndex = (currentIndex + 1) % songs.length;
+    setSong(songs[currentIndex]);
+    updateTrackButton();
+
+    try {
+        localStorage.setItem(SONG_STORAGE_KEY, songs[currentIndex].name);
+    } catch (err) {
+        console.error('Error saving song choice:', err);
+    }
+
+    return songs[currentIndex];
+}
+
+/**
+ * Gets the selected song
+ * @returns {Object|null} - The song, or null if none have loaded
+ */
+export function getCurrentTrack() {
+    return songs[currentIndex] || null;
+}
+
+/**
+ * Gets the name of the song picked last visit
+ * @returns {string|null} - Song name
+ */
+function loadSavedSongName() {
+    try {
+        return localStorage.getItem(SONG_STORAGE_KEY);
+    } catch (err) {
+        console.error('Error loading song choice:', err);
+        return null;
+    }
+}
+
+/**
+ * Show the selected song on the track button
+ */
+function updateTrackButton() {
+    if (!button) return;
+
+    const song = songs[currentIndex];
+    button.textContent = `♫ ${song.name.toUpperCase()}`;
+    button.title = `${song.name} - ${song.key}, ${song.bpm} BPM (click for the next track)`;
+}
@@ -1,6 +1,8 @@
 /**
  * Utility Helper Functions
  */
+import { random } from '../core/random.js';
+import { LANES } from '../core/constants.js';
 
 /**
  * Check if WebGL is supported by the browser
@@ -20,10 +22,11 @@ export function checkWebGLSupport() {
  * Generates a random integer between min and max (inclusive)
  * @param {number} min - Minimum value
  * @param {number} max - Maximum value
+ * @param {string} stream - Random stream to draw from (see core/random.js)
  * @returns {number} - Random integer
  */
-export function randomInt(min, max) {
-    return Math.floor(Math.random() * (max - min + 1)) + min;
+export function randomInt(min, max, stream = 'gameplay') {
+    return Math.floor(random(stream) * (max - min + 1)) + min;
 }
 
 /**
@@ -35,4 +38,19 @@ export function randomInt(min, max) {
  */
 export function clamp(value, min, max) {
     return Math.min(Math.max(value, min), max);
+}
+
+/**
+ * Gets the lane closest to an x position
+ * @param {number} x - Position across the track
+ * @returns {number} - Lane index
+ */
+export function getNearestLane(x) {
+    let closest = 0;
+    LANES.forEach((laneX, index) => {
+        if (Math.abs(laneX - x) < Math.abs(LANES[closest] - x)) {
+            closest = index;
+        }
+    });
+    return closest;
 }
\ No newline at end of file
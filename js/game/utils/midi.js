@@ -0,0 +1,134 @@
+/**
+ * MIDI Encoder - Writes notes out as a Standard MIDI File (format 1)
+ *
+ * The first track carries the song name, tempo and 4/4 time signature; every other track is one
+ * instrument on its own channel.
+ */
+
+/**
+ * Encode tracks of notes as a MIDI file
+ * @param {Object} file - What to write
+ * @param {string} file.name - Song name
+ * @param {number} file.bpm - Tempo in beats per minute
+ * @param {number} file.ticksPerBeat - Timing resolution
+ * @param {Array<Object>} file.tracks - Instruments: { name, channel (0-15), program (General MIDI, or null
+ *   for none), notes: [{ tick, duration, note, velocity }] } with times in ticks
+ * @returns {Uint8Array} - The file's bytes
+ * @throws {RangeError} - If a note, velocity or program is outside 0-127
+ */
+export function encodeMidi({ name, bpm, ticksPerBeat, tracks }) {
+    const microsecondsPerBeat = Math.round(60000000 / bpm);
+    const conductor = [
+        ...metaEvent(0, 0x03, textBytes(name)),
+        ...metaEvent(0, 0x51, [microsecondsPerBeat >> 16, (microsecondsPerBeat >> 8) & 0xff, microsecondsPerBeat & 0xff]),
+        ...metaEvent(0, 0x58, [4, 2, 24, 8]),
+        ...metaEvent(0, 0x2f, [])
+    ];
+
+    const chunks = [
+        chunk('MThd', [...uint16(1), ...uint16(tracks.length + 1), ...uint16(ticksPerBeat)]),
+        chunk('MTrk', conductor),
+        ...tracks.map(track => chunk('MTrk', encodeTrack(track)))
+    ];
+
+    return Uint8Array.from(chunks.flat());
+}
+
+/**
+ * Encode one instrument's events
+ * @param {Object} track - The instrument (see encodeMidi)
+ * @returns {Array<number>} - Track chunk contents
+ */
+function encodeTrack({ name, channel, program, notes }) {
+    const bytes = [...metaEvent(0, 0x03, textBytes(name))];
+    if (program !== null && program !== undefined) {
+        checkDataByte(program, `Program for "${name}"`);
+        bytes.push(0, 0xc0 | channel, program);
+    }
+
+    // Note-offs sort before note-ons at the same tick, so repeated notes don't cut each other off
+    const events = [];
+    notes.forEach(({ tick, duration, note, velocity }) => {
+        checkDataByte(note, `Note in "${name}"`);
+        checkDataByte(velocity, `Velocity in "${name}"`);
+        events.push({ tick, status: 0x90 | channel, note, velocity });
+        events.push({ tick: tick + duration, status: 0x80 | channel, note, velocity: 0 });
+    });
+    events.sort((a, b) => a.tick - b.tick || a.status - b.status);
+
+    let lastTick = 0;
+    events.forEach(({ tick, status, note, velocity }) => {
+        bytes.push(...variableLength(tick - lastTick), status, note, velocity);
+        lastTick = tick;
+    });
+
+    bytes.push(...metaEvent(0, 0x2f, []));
+    return bytes;
+}
+
+/**
+ * Make sure a value fits in a data byte - anything from 128 up would be read as a status byte
+ * and corrupt the rest of the track
+ * @param {number} value - Note, velocity or program number
+ * @param {string} label - What the value is, for the error
+ */
+function checkDataByte(value, label) {
+    if (!Number.isInteger(value) || value < 0 || value > 127) {
+        throw new RangeError(`${label} must be from 0 to 127, got ${value}`);
+    }
+}
+
+/**
+ * Build a meta event
+ * @param {number} delta - Ticks since the previous event
+ * @param {number} type - Meta event type
+ * @param {Array<number>} data - Event data
+ * @returns {Array<number>} - Event bytes
+ */
+function metaEvent(delta, type, data) {
+    return [...variableLength(delta), 0xff, type, ...variableLength(data.length), ...data];
+}
+
+/**
+ * Wrap data in a chunk with its type and length
+ * @param {string} type - Four-letter chunk type
+ * @param {Array<number>} data - Chunk contents
+ * @returns {Array<number>} - Chunk bytes
+ */
+function chunk(type, data) {
+    const length = data.length;
+    return [...textBytes(type), length >>> 24, (length >> 16) & 0xff, (length >> 8) & 0xff, length & 0xff, ...data];
+}
+
+/**
+ * Encode a number as a MIDI variable-length quantity (7 bits per byte, high bit set on all but the last)
+ * @param {number} value - Non-negative integer
+ * @returns {Array<number>} - Bytes
+ */
+function variableLength(value) {
+    const bytes = [value & 0x7f];
+    let remaining = value >>> 7;
+    while (remaining > 0) {
+        bytes.unshift((remaining & 0x7f) | 0x80);
+        remaining >>>= 7;
+    }
+    return bytes;
+}
+
+/**
+ * Big-endian 16-bit number
+ * @param {number} value - Number to write
+ * @returns {Array<number>} - Two bytes
+ */
+function uint16(value) {
+    return [(value >> 8) & 0xff, value & 0xff];
+}
+
+/**
+ * Text as bytes (non-ASCII characters become '?')
+ * @param {string} text - Text to write
+ * @returns {Array<number>} - Bytes
+ */
+function textBytes(text) {
+    return Array.from(text, character => (character.charCodeAt(0) < 128 ? character.charCodeAt(0) : 63));
+}
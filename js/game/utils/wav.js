@@ -0,0 +1,63 @@
+/**
+ * WAV Encoder - Turns rendered audio into a 16-bit PCM WAV file
+ */
+
+// Size of the RIFF/WAVE header with a single fmt and data chunk
+const HEADER_SIZE = 44;
+
+/**
+ * Encode an AudioBuffer as a WAV file
+ * @param {AudioBuffer} audioBuffer - Rendered audio (any number of channels)
+ * @returns {ArrayBuffer} - The WAV file's bytes, channels interleaved
+ */
+export function encodeWav(audioBuffer) {
+    const channels = audioBuffer.numberOfChannels;
+    const frames = audioBuffer.length;
+    const blockAlign = channels * 2;
+    const dataSize = frames * blockAlign;
+
+    const bytes = new ArrayBuffer(HEADER_SIZE + dataSize);
+    const view = new DataView(bytes);
+
+    writeString(view, 0, 'RIFF');
+    view.setUint32(4, HEADER_SIZE - 8 + dataSize, true);
+    writeString(view, 8, 'WAVE');
+
+    // fmt chunk: uncompressed PCM
+    writeString(view, 12, 'fmt ');
+    view.setUint32(16, 16, true);
+    view.setUint16(20, 1, true);
+    view.setUint16(22, channels, true);
+    view.setUint32(24, audioBuffer.sampleRate, true);
+    view.setUint32(28, audioBuffer.sampleRate * blockAlign, true);
+    view.setUint16(32, blockAlign, true);
+    view.setUint16(34, 16, true);
+
+    writeString(view, 36, 'data');
+    view.setUint32(40, dataSize, true);
+
+    const channelData = Array.from({ length: channels }, (_, channel) => audioBuffer.getChannelData(channel));
+    let offset = HEADER_SIZE;
+    for (let frame = 0; frame < frames; frame++) {
+        for (let channel = 0; channel < channels; channel++) {
+            // Clip, then scale to the 16-bit range (negative samples reach one further)
+            const sample = Math.max(-1, Math.min(1, channelData[channel][frame]));
+            view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7fff, true);
+            offset += 2;
+        }
+    }
+
+    return bytes;
+}
+
+/**
+ * Write ASCII text into the header
+ * @param {DataView} view - The file being written
+ * @param {number} offset - Byte offset to write at
+ * @param {string} text - Text to write
+ */
+function writeString(view, offset, text) {
+    for (let i = 0; i < text.length; i++) {
+        view.setUint8(offset + i, text.charCodeAt(i));
+    }
+}
@@ -0,0 +1,181 @@
+#!/usr/bin/env node
+/**
+ * Simulates many runs of the game headlessly and reports how collectibles and obstacles
+ * were spawned, to tune spawn rates without playing.
+ *
+ * Usage:
+ *   node scripts/simulate.mjs                           # 200 runs of up to 3 minutes each
+ *   node scripts/simulate.mjs --runs 2000 --ticks 7200  # more and shorter runs
+ *   node scripts/simulate.mjs --steer none              # never change lanes
+ *   node scripts/simulate.mjs --seed tuning             # the same runs every time (compare before/after a change)
+ *   node scripts/simulate.mjs --online                  # use live GitHub data instead of the snapshot
+ *
+ * Game data comes from the same modules the page uses. Site paths like /js/game/data/resume.json
+ * are read from this checkout, and GitHub requests fail offline so the bundled snapshot is used.
+ */
+
+import '../test/helpers/three-stub.mjs';
+import '../test/helpers/dom-stub.mjs';
+import { readFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const STEERING = ['follow', 'none'];
+
+/**
+ * Parses --name value pairs (and the bare --online flag) from the command line
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} - Options by name
+ */
+function parseArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      throw new Error(`Unexpected argument: ${arg}`);
+    }
+    if (arg === '--online') {
+      options.online = true;
+      continue;
+    }
+    const value = argv[i + 1];
+    if (value === undefined || value.startsWith('--')) {
+      throw new Error(`Missing value for ${arg}`);
+    }
+    options[arg.slice(2)] = value;
+    i++;
+  }
+  return options;
+}
+
+/**
+ * Parses a positive integer option
+ * @param {string|undefined} value - Option value
+ * @param {number} fallback - Value when the option is missing
+ * @param {string} name - Option name for the error message
+ * @returns {number} - The parsed value
+ */
+function parseCount(value, fallback, name) {
+  if (value === undefined) return fallback;
+  const count = Number(value);
+  if (!Number.isInteger(count) || count <= 0) {
+    throw new Error(`--${name} must be a positive integer`);
+  }
+  return count;
+}
+
+/**
+ * Installs a fetch that serves site paths from this checkout
+ * @param {boolean} online - Whether GitHub API requests go to the network
+ */
+function installFetch(online) {
+  const networkFetch = globalThis.fetch;
+
+  globalThis.fetch = async (url, options) => {
+    if (url.startsWith('/')) {
+      try {
+        const body = await readFile(path.join(ROOT, url), 'utf8');
+        return new Response(body, { status: 200, headers: { 'Content-Type': 'application/json' } });
+      } catch (error) {
+        return new Response('Not Found', { status: 404 });
+      }
+    }
+    if (!online) {
+      throw new TypeError(`Offline: ${url}`);
+    }
+    return networkFetch(url, options);
+  };
+}
+
+/**
+ * Formats a number of lane spawns as percentages
+ * @param {Array<number>} byLane - Spawns per lane
+ * @returns {string} - e.g. "33% / 34% / 33%"
+ */
+function formatLaneShares(byLane) {
+  const total = byLane.reduce((sum, count) => sum + count, 0) || 1;
+  return byLane.map(count => `${Math.round(count / total * 100)}%`).join(' / ');
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const runs = parseCount(options.runs, 200, 'runs');
+  const ticks = parseCount(options.ticks, 60 * 60 * 3, 'ticks');
+  const steering = options.steer || 'follow';
+  if (!STEERING.includes(steering)) {
+    throw new Error(`--steer must be one of: ${STEERING.join(', ')}`);
+  }
+
+  installFetch(Boolean(options.online));
+
+  // The game logs every spawn and pickup; keep the report readable
+  const log = console.log.bind(console);
+  console.log = () => {};
+  console.warn = () => {};
+  console.error = () => {};
+
+  const { fetchGitHubRepos } = await import('../js/game/data/github.js');
+  const { fetchGitHubProfileData, processGitHubProfileData } = await import('../js/game/data/profile.js');
+  const { runHeadless, followNearestCollectible } = await import('../js/game/engine/headless.js');
+  const { getLevelSettings } = await import('../js/game/state/difficulty.js');
+  const { FIXED_TIMESTEP, MAX_LEVEL } = await import('../js/game/core/constants.js');
+
+  const user = options.user;
+  const githubRepos = await fetchGitHubRepos(user);
+  const profileData = processGitHubProfileData(await fetchGitHubProfileData(user));
+  log(`Simulating ${runs} runs of up to ${ticks} ticks with ${githubRepos.length} repos and ${profileData.length} profile items (steering: ${steering}${options.seed === undefined ? '' : `, seed: ${options.seed}`})`);
+
+  const totals = {
+    byLane: [0, 0, 0],
+    score: 0,
+    seconds: 0,
+    obstacles: 0,
+    noneAhead: 0,
+    maxAhead: 0,
+    longestGap: 0,
+    levels: new Array(MAX_LEVEL + 1).fill(0),
+    overfilled: 0
+  };
+
+  for (let run = 0; run < runs; run++) {
+    const stats = runHeadless({
+      ticks,
+      githubRepos,
+      profileData,
+      seed: options.seed === undefined ? undefined : `${options.seed}:${run}`,
+      steer: steering === 'follow' ? followNearestCollectible : null
+    });
+
+    stats.collectibles.byLane.forEach((count, lane) => {
+      totals.byLane[lane] += count;
+    });
+    totals.score += stats.score;
+    totals.seconds += stats.ticks * FIXED_TIMESTEP;
+    totals.obstacles += stats.obstacles.spawned;
+    totals.noneAhead += stats.collectibles.ticksWithNoneAhead / stats.ticks;
+    totals.maxAhead = Math.max(totals.maxAhead, stats.collectibles.maxAhead);
+    totals.longestGap = Math.max(totals.longestGap, stats.collectibles.longestGap);
+    totals.levels[stats.level]++;
+    if (stats.collectibles.maxAhead > getLevelSettings(stats.level).maxCollectiblesAhead) {
+      totals.overfilled++;
+    }
+  }
+
+  const spawned = totals.byLane.reduce((sum, count) => sum + count, 0);
+  log('');
+  log(`Average run:          ${(totals.seconds / runs).toFixed(1)}s, score ${Math.round(totals.score / runs)}`);
+  log(`Collectibles:         ${spawned} (${(spawned / totals.seconds).toFixed(2)}/s)`);
+  log(`Lane shares:          ${formatLaneShares(totals.byLane)}`);
+  log(`Track empty:          ${(totals.noneAhead / runs * 100).toFixed(1)}% of ticks`);
+  log(`Longest spawn gap:    ${(totals.longestGap / 1000).toFixed(2)}s`);
+  log(`Most ahead at once:   ${totals.maxAhead} (${totals.overfilled} runs over their level's limit)`);
+  log(`Obstacles:            ${totals.obstacles} (${(totals.obstacles / totals.seconds).toFixed(2)}/s)`);
+  log(`Final levels:         ${totals.levels.map((count, level) => count ? `L${level}: ${count}` : null).filter(Boolean).join(', ')}`);
+}
+
+main().catch(error => {
+  // console.error may have been silenced above
+  process.stderr.write(`Simulation failed: ${error.message}\n`);
+  process.exit(1);
+});
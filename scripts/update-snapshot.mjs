@@ -0,0 +1,157 @@
+#!/usr/bin/env node
+/**
+ * Regenerates js/game/data/snapshot.json, the GitHub data the game falls back to
+ * when the API is unreachable.
+ *
+ * Usage:
+ *   node scripts/update-snapshot.mjs                     # fetch from the GitHub API
+ *   node scripts/update-snapshot.mjs --from dump.json    # build from a saved API dump
+ *   node scripts/update-snapshot.mjs --user someone --out path/to/snapshot.json
+ *
+ * A dump is a JSON file shaped like { "profile": <GET /users/:user>, "repos": <GET /users/:user/repos> }.
+ * Set GITHUB_TOKEN to avoid the unauthenticated rate limit when fetching.
+ */
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const DEFAULT_OUT = path.join(ROOT, 'js/game/data/snapshot.json');
+const GAME_CONFIG = path.join(ROOT, 'js/game/config.json');
+
+// Only the fields github.js and profile.js read are kept, to keep the snapshot small
+const PROFILE_FIELDS = [
+  'login', 'name', 'bio', 'company', 'blog', 'location', 'email', 'hireable', 'twitter_username',
+  'public_repos', 'public_gists', 'followers', 'following', 'created_at', 'updated_at',
+  'avatar_url', 'html_url'
+];
+const REPO_FIELDS = [
+  'name', 'description', 'html_url', 'fork', 'language', 'stargazers_count', 'forks_count',
+  'updated_at', 'pushed_at'
+];
+
+/**
+ * Parses --name value pairs from the command line
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} - Options by name
+ */
+function parseArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      throw new Error(`Unexpected argument: ${arg}`);
+    }
+    const value = argv[i + 1];
+    if (value === undefined || value.startsWith('--')) {
+      throw new Error(`Missing value for ${arg}`);
+    }
+    options[arg.slice(2)] = value;
+    i++;
+  }
+  return options;
+}
+
+/**
+ * Gets the GitHub user from the game config, falling back to the game's default
+ * @returns {Promise<string>} - GitHub username
+ */
+async function getConfiguredUser() {
+  try {
+    const config = JSON.parse(await readFile(GAME_CONFIG, 'utf8'));
+    if (config.githubUser) return config.githubUser;
+  } catch (error) {
+    console.warn(`Could not read ${GAME_CONFIG}: ${error.message}`);
+  }
+  return 'pj4533';
+}
+
+/**
+ * Fetches JSON from the GitHub API
+ * @param {string} url - API URL
+ * @returns {Promise<*>} - Parsed response
+ */
+async function fetchJson(url) {
+  const headers = { Accept: 'application/vnd.github+json' };
+  if (process.env.GITHUB_TOKEN) {
+    headers.Authorization = `Bearer ${process.env.GITHUB_TOKEN}`;
+  }
+
+  const response = await fetch(url, { headers });
+  if (!response.ok) {
+    throw new Error(`GET ${url} failed with status ${response.status}`);
+  }
+  return response.json();
+}
+
+/**
+ * Copies only the listed fields of an object
+ * @param {Object} source - Source object
+ * @param {Array<string>} fields - Fields to keep
+ * @returns {Object} - The picked fields
+ */
+function pick(source, fields) {
+  return Object.fromEntries(fields.filter(field => field in source).map(field => [field, source[field]]));
+}
+
+/**
+ * Builds the snapshot from raw API data
+ * @param {string} user - GitHub username
+ * @param {Object} profile - GET /users/:user response
+ * @param {Array} repos - GET /users/:user/repos response
+ * @returns {Object} - The snapshot
+ */
+function buildSnapshot(user, profile, repos) {
+  if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+    throw new Error('Profile data must be an object');
+  }
+  if (!Array.isArray(repos)) {
+    throw new Error('Repos data must be an array');
+  }
+
+  // Most recently updated first, like the API's sort=updated
+  const sortedRepos = repos
+    .map(repo => pick(repo, REPO_FIELDS))
+    .sort((a, b) => new Date(b.updated_at || 0) - new Date(a.updated_at || 0));
+
+  return {
+    user: profile.login || user,
+    generatedAt: new Date().toISOString(),
+    profile: pick(profile, PROFILE_FIELDS),
+    repos: sortedRepos
+  };
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const out = path.resolve(options.out || DEFAULT_OUT);
+
+  let user = options.user;
+  let profile;
+  let repos;
+
+  if (options.from) {
+    const dump = JSON.parse(await readFile(options.from, 'utf8'));
+    profile = dump.profile;
+    repos = dump.repos;
+    user = user || (profile && profile.login);
+    console.log(`Building snapshot from ${options.from}`);
+  } else {
+    user = user || await getConfiguredUser();
+    console.log(`Fetching GitHub data for ${user}...`);
+    [profile, repos] = await Promise.all([
+      fetchJson(`https://api.github.com/users/${user}`),
+      fetchJson(`https://api.github.com/users/${user}/repos?sort=updated&direction=desc&per_page=100`)
+    ]);
+  }
+
+  const snapshot = buildSnapshot(user, profile, repos);
+  await writeFile(out, JSON.stringify(snapshot, null, 2) + '\n');
+  console.log(`Wrote ${snapshot.repos.length} repos for ${snapshot.user} to ${path.relative(ROOT, out)}`);
+}
+
+main().catch(error => {
+  console.error(`Snapshot update failed: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,218 @@
+import './helpers/setup.mjs';
+import { test, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installWebAudio } from './helpers/web-audio-stub.mjs';
+import { getMusicTargets } from '../js/game/engine/adaptiveMusic.js';
+import {
+  initAudio,
+  toggleMusic,
+  stopMusic,
+  pauseMusic,
+  resumeMusic,
+  setSong,
+  setMusicIntensity,
+  getMusicIntensity,
+  setMusicVolume
+} from '../js/game/core/audio.js';
+import { validateSong } from '../js/game/data/songs.js';
+import gameState, { startGame, endGame } from '../js/game/state/gameState.js';
+import {
+  MAX_LEVEL,
+  MUSIC_BASE_INTENSITY,
+  MUSIC_FULL_INTENSITY_STREAK,
+  MUSIC_TEMPO_RANGE,
+  MUSIC_FILTER_CUTOFF,
+  MUSIC_LAYER_THRESHOLDS
+} from '../js/game/core/constants.js';
+
+const { song: SONG } = validateSong({
+  name: 'Layers',
+  bpm: 120,
+  key: 'A minor',
+  chords: [[45, 48, 52]],
+  tracks: {
+    kick: { division: 1, patterns: [[1, 0, 0, 0]] },
+    hihat: { division: 1, patterns: [[0, 1, 0, 0]] },
+    arp: { division: 1, patterns: [[0]] }
+  }
+});
+
+let webAudio;
+let context;
+let musicBus;
+let musicFilter;
+
+/**
+ * Waits for the sequencer and fade timers to run
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise}
+ */
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Gets which drum and synth voices started, by node type
+ * @returns {Array<string>} - 'oscillator' for the kick and arp, 'bufferSource' for the hi-hat
+ */
+function startedVoices() {
+  return context.startedSources().map(source => source.kind).sort();
+}
+
+before(() => {
+  webAudio = installWebAudio();
+  initAudio();
+  context = webAudio.contexts[0];
+  musicFilter = context.nodes.find(node => node.kind === 'biquadFilter');
+  musicBus = musicFilter.outputs[0];
+  setSong(SONG);
+});
+
+after(() => {
+  webAudio.restore();
+});
+
+beforeEach(() => {
+  context.state = 'running';
+  context.currentTime = 0;
+  context.nodes = [];
+  setMusicIntensity(1, 1);
+});
+
+afterEach(() => {
+  resumeMusic();
+  stopMusic(0);
+});
+
+test('intensity rises with the level and the streak, and the tempo follows the world speed', () => {
+  startGame();
+  gameState.level = 1;
+  gameState.streak = 0;
+  assert.deepEqual(getMusicTargets(gameState), { intensity: MUSIC_BASE_INTENSITY, tempo: 1 });
+
+  gameState.streak = MUSIC_FULL_INTENSITY_STREAK * 2;
+  const streaking = getMusicTargets(gameState);
+  assert.ok(streaking.intensity > MUSIC_BASE_INTENSITY && streaking.intensity < 1);
+
+  gameState.level = MAX_LEVEL;
+  const flatOut = getMusicTargets(gameState);
+  assert.ok(Math.abs(flatOut.intensity - 1) < 1e-9, 'top level on a long streak is full intensity');
+  assert.ok(flatOut.tempo > 1, 'faster levels speed the music up');
+
+  gameState.level = 1;
+  gameState.speedMultiplier = 0.5;
+  gameState.slowdownUntil = gameState.simTime + 1000;
+  assert.ok(getMusicTargets(gameState).tempo < 1, 'a slowdown drags the music back');
+
+  endGame();
+  assert.deepEqual(getMusicTargets(gameState), { intensity: MUSIC_BASE_INTENSITY, tempo: 1 });
+});
+
+test('layers come in as intensity rises', () => {
+  setMusicIntensity(0);
+  toggleMusic();
+  assert.deepEqual(startedVoices(), ['oscillator'], 'just the kick');
+  toggleMusic();
+  stopMusic(0);
+
+  context.nodes = [];
+  setMusicIntensity(MUSIC_LAYER_THRESHOLDS.hihat);
+  toggleMusic();
+  assert.deepEqual(startedVoices(), ['bufferSource', 'oscillator'], 'hi-hats join');
+  toggleMusic();
+  stopMusic(0);
+
+  context.nodes = [];
+  setMusicIntensity(MUSIC_LAYER_THRESHOLDS.arp);
+  toggleMusic();
+  assert.deepEqual(startedVoices(), ['bufferSource', 'oscillator', 'oscillator'], 'then the arpeggio');
+  toggleMusic();
+});
+
+test('intensity glides the filter and tempo changes the bar length', async () => {
+  setMusicIntensity(0, 10);
+  assert.deepEqual(getMusicIntensity(), { intensity: 0, tempo: MUSIC_TEMPO_RANGE.max, cutoff: MUSIC_FILTER_CUTOFF.min });
+  assert.deepEqual(musicFilter.frequency.events.at(-1), ['target', MUSIC_FILTER_CUTOFF.min, 0, 0.5]);
+
+  const events = musicFilter.frequency.events.length;
+  setMusicIntensity(0.001, 10);
+  assert.equal(musicFilter.frequency.events.length, events, 'tiny changes don\'t pile up automation');
+
+  toggleMusic();
+  context.currentTime = 2 / MUSIC_TEMPO_RANGE.max - 0.05;
+  await wait(40);
+
+  const kicks = context.startedSources().filter(source => source.kind === 'oscillator').map(source => source.started);
+  assert.deepEqual(kicks, [0, 2 / MUSIC_TEMPO_RANGE.max], 'the second bar starts sooner');
+  toggleMusic();
+});
+
+test('switching the music off fades it out before stopping', async () => {
+  toggleMusic();
+  context.nodes = [];
+
+  toggleMusic();
+  stopMusic(0.02);
+  assert.deepEqual(musicBus.gain.events.slice(-1), [['linear', 0, 1.5]], 'fading, and a second stop doesn\'t restart the fade');
+  assert.equal(context.startedSources().length, 0);
+
+  // Still sequencing under the fade
+  context.currentTime = 2 - 0.05;
+  await wait(40);
+  assert.ok(context.startedSources().length > 0);
+});
+
+test('switching the music back on mid-fade carries on from where it is', () => {
+  toggleMusic();
+  toggleMusic();
+  context.nodes = [];
+
+  toggleMusic();
+  assert.deepEqual(musicBus.gain.events.slice(-1)[0].slice(0, 2), ['linear', 1]);
+  assert.equal(context.startedSources().length, 0, 'the song doesn\'t restart on top of itself');
+  toggleMusic();
+});
+
+test('pausing fades out before suspending the audio clock, and resuming fades back in', async () => {
+  toggleMusic();
+
+  pauseMusic();
+  assert.equal(context.state, 'running');
+  assert.deepEqual(musicBus.gain.events.slice(-1)[0].slice(0, 2), ['linear', 0]);
+
+  await wait(350);
+  assert.equal(context.state, 'suspended');
+
+  resumeMusic();
+  await wait(0);
+  assert.equal(context.state, 'running');
+  assert.deepEqual(musicBus.gain.events.slice(-1)[0].slice(0, 2), ['linear', 1]);
+  toggleMusic();
+});
+test('changing the music volume doesn\'t fight the fades', async () => {
+  toggleMusic();
+  context.currentTime = 3;
+  setMusicVolume(0.5);
+  assert.deepEqual(musicBus.gain.events.slice(-2), [['cancel', 3], ['set', 0.5, 3]], 'set on the audio clock');
+
+  toggleMusic();
+  const fadeOut = musicBus.gain.events.length;
+  setMusicVolume(0.8);
+  assert.equal(musicBus.gain.events.length, fadeOut, 'the fade out carries on');
+
+  toggleMusic();
+  assert.deepEqual(musicBus.gain.events.slice(-1)[0].slice(0, 2), ['linear', 0.8], 'switched back on at the new volume');
+
+  pauseMusic();
+  const paused = musicBus.gain.events.length;
+  setMusicVolume(0.3);
+  assert.equal(musicBus.gain.events.length, paused, 'nothing cuts the pause fade short');
+
+  resumeMusic();
+  await wait(0);
+  assert.deepEqual(musicBus.gain.events.slice(-1)[0].slice(0, 2), ['linear', 0.3], 'resumed at the new volume');
+
+  setMusicVolume(1);
+  toggleMusic();
+});
+
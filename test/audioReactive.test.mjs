@@ -0,0 +1,111 @@
+import './helpers/setup.mjs';
+import { test, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installWebAudio } from './helpers/web-audio-stub.mjs';
+import { initAudio, toggleMusic, stopMusic, setSong, getBandEnergies } from '../js/game/core/audio.js';
+import { validateSong } from '../js/game/data/songs.js';
+import { SceneManager } from '../js/game/core/setup.js';
+import { createPlayer, updatePlayer, setHoverBeat } from '../js/game/entities/player.js';
+import { BEAT_SUN_SCALE, BEAT_GRID_DIM, BEAT_GLOW_BOOST, BEAT_HOVER_BOOST, FIXED_TIMESTEP } from '../js/game/core/constants.js';
+
+const { song: SONG } = validateSong({
+  name: 'Pulse',
+  bpm: 120,
+  key: 'A minor',
+  chords: [[45, 48, 52]],
+  tracks: { kick: { division: 1, patterns: [[1, 0, 1, 0]] } }
+});
+
+let webAudio;
+let context;
+let analyser;
+
+/**
+ * Builds a scene manager with just the pieces that pulse to the music
+ * @returns {SceneManager}
+ */
+function createPulsingScene() {
+  const sceneManager = new SceneManager();
+  sceneManager.sun = new THREE.Mesh();
+  sceneManager.gridHelper = new THREE.LineSegments(null, new THREE.LineBasicMaterial({ color: 0xffffff }));
+  sceneManager.addRoadGlow(new THREE.Mesh(null, new THREE.MeshBasicMaterial({ transparent: true, opacity: 0.5 })));
+  return sceneManager;
+}
+
+before(() => {
+  webAudio = installWebAudio();
+  initAudio();
+  context = webAudio.contexts[0];
+  analyser = context.nodes.find(node => node.kind === 'analyser');
+  setSong(SONG);
+});
+
+after(() => {
+  webAudio.restore();
+});
+
+beforeEach(() => {
+  context.state = 'running';
+  analyser.spectrum = null;
+});
+
+afterEach(() => {
+  stopMusic(0);
+  setHoverBeat(0);
+});
+
+test('the analyser listens to the whole mix without feeding the speakers', () => {
+  const master = context.nodes.find(node => node.kind === 'gain' && node.outputs.includes(context.destination));
+
+  assert.ok(master.outputs.includes(analyser));
+  assert.deepEqual(analyser.outputs, []);
+});
+
+test('band energies come from the analyser while the music plays', () => {
+  assert.equal(getBandEnergies(), null, 'nothing to react to before the music starts');
+
+  toggleMusic();
+  analyser.setSpectrum(frequency => (frequency < 250 ? 255 : frequency < 2000 ? 51 : 0));
+  const bands = getBandEnergies();
+
+  assert.equal(bands.bass, 1);
+  assert.ok(Math.abs(bands.mids - 0.2) < 1e-9);
+  assert.equal(bands.highs, 0);
+
+  context.state = 'suspended';
+  assert.equal(getBandEnergies(), null, 'paused audio leaves the visuals at rest');
+  toggleMusic();
+});
+
+test('the sun, grid and roadside glows pulse with the bands and settle back without music', () => {
+  const sceneManager = createPulsingScene();
+  const [glow] = sceneManager.roadGlows;
+
+  sceneManager.pulseToMusic({ bass: 1, mids: 0.5, highs: 0 });
+  assert.equal(sceneManager.sun.scale.x, 1 + BEAT_SUN_SCALE);
+  assert.equal(sceneManager.gridHelper.material.color.getHex(), 0xffffff, 'full brightness on the kick');
+  assert.equal(glow.material.opacity, 0.5 + 0.5 * BEAT_GLOW_BOOST);
+
+  sceneManager.pulseToMusic({ bass: 0, mids: 0, highs: 0 });
+  assert.equal(sceneManager.sun.scale.x, 1);
+  assert.equal(sceneManager.gridHelper.material.color.getHex() >> 16, Math.round((1 - BEAT_GRID_DIM) * 255), 'dimmed between beats');
+  assert.equal(glow.material.opacity, 0.5);
+
+  sceneManager.pulseToMusic(null);
+  assert.equal(sceneManager.gridHelper.material.color.getHex(), 0xffffff, 'full brightness with the music off');
+});
+
+test('the bass pumps the hover plates', t => {
+  t.mock.method(Date, 'now', () => 0);
+  const player = createPlayer();
+  const plate = player.children.find(child => child.geometry instanceof THREE.PlaneGeometry);
+
+  updatePlayer(player, 1, FIXED_TIMESTEP);
+  assert.equal(plate.material.opacity, 0.4);
+  assert.equal(plate.scale.x, 1);
+
+  setHoverBeat(1);
+  updatePlayer(player, 1, FIXED_TIMESTEP);
+  assert.equal(plate.material.opacity, 0.4 + BEAT_HOVER_BOOST);
+  assert.equal(plate.scale.x, 1 + BEAT_HOVER_BOOST);
+});
@@ -0,0 +1,110 @@
+import './helpers/setup.mjs';
+import { test, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createCollectible } from '../js/game/entities/collectibles/collectibleFactory.js';
+import { setLastDisplayedItemId } from '../js/game/entities/collectibles/collectibleManager.js';
+import { getRandomStream } from '../js/game/core/random.js';
+import { FACTS } from '../js/game/entities/collectibles/factCollectibles.js';
+import { LANES, COLLECTIBLE_Z_POSITION, FACT_COLOR } from '../js/game/core/constants.js';
+
+const REPOS = [
+  { name: 'newest-app', description: 'The most recently pushed project', language: 'JavaScript' },
+  { name: 'older-tool', description: 'A tool that was updated a while ago', language: 'Swift' }
+];
+const RESUME_ITEM = { name: 'Acme', description: 'Staff Engineer', type: 'job', source: 'resume' };
+const GITHUB_ITEM = { name: 'GitHub Stats', description: '7 Repositories', type: 'stats' };
+
+/**
+ * Makes the gameplay random stream return the given values in turn (repeating the last one)
+ * @param {...number} values - Values to return
+ */
+function mockRandom(...values) {
+  let call = 0;
+  mock.method(getRandomStream('gameplay'), 'next', () => values[Math.min(call++, values.length - 1)]);
+}
+
+afterEach(() => {
+  mock.restoreAll();
+  setLastDisplayedItemId(null);
+});
+
+test('createCollectible returns null when there is no data yet', () => {
+  assert.equal(createCollectible(1, [], [], 0.5), null);
+  assert.equal(createCollectible(1, null, null, 0.5), null);
+});
+
+test('createCollectible makes a repo collectible when the profile roll fails', () => {
+  mockRandom(0.9);
+
+  const collectible = createCollectible(1, [GITHUB_ITEM], REPOS, 0.5, 0);
+
+  assert.equal(collectible.userData.dataSource, 'github');
+  assert.ok(REPOS.includes(collectible.userData.dataItem));
+});
+
+test('createCollectible makes a profile collectible when the profile roll succeeds', () => {
+  mockRandom(0.1);
+
+  const collectible = createCollectible(1, [GITHUB_ITEM], REPOS, 0.5, 0);
+
+  assert.equal(collectible.userData.dataSource, 'profile');
+  assert.equal(collectible.userData.dataItem, GITHUB_ITEM);
+});
+
+test('createCollectible picks resume items on a low roll when both kinds exist', () => {
+  mockRandom(0.1);
+
+  const collectible = createCollectible(1, [GITHUB_ITEM, RESUME_ITEM], REPOS, 0.5, 0);
+
+  assert.equal(collectible.userData.dataItem, RESUME_ITEM);
+});
+
+test('createCollectible picks GitHub profile items on a high source roll', () => {
+  // Lane, profile roll, then everything else (fact, type, color, resume-vs-GitHub) high
+  mockRandom(0.9, 0.1, 0.9);
+
+  const collectible = createCollectible(1, [GITHUB_ITEM, RESUME_ITEM], REPOS, 0.5, 0);
+
+  assert.equal(collectible.userData.dataItem, GITHUB_ITEM);
+});
+
+test('createCollectible makes fact collectibles when the fact roll succeeds', () => {
+  // Lane, then the fact roll (no profile data, so there's no profile roll)
+  mockRandom(0.9, 0.1);
+
+  const collectible = createCollectible(1, [], REPOS, 0.5, 0.3);
+
+  assert.equal(collectible.userData.dataSource, 'fact');
+  assert.ok(FACTS.includes(collectible.userData.dataItem.description));
+  assert.equal(collectible.children[0].material.color.getHex(), FACT_COLOR);
+});
+
+test('createCollectible only makes facts for standard collectibles when there are no repos', () => {
+  mockRandom(0.9);
+
+  const collectible = createCollectible(1, [GITHUB_ITEM], [], 0.5, 0);
+
+  assert.equal(collectible.userData.dataSource, 'fact');
+});
+
+test('createCollectible avoids repeating the last displayed repo', () => {
+  setLastDisplayedItemId('newest-app');
+  // Lane, fact, type and color rolls, then repo picks: first lands on newest-app, second on older-tool
+  mockRandom(0.9, 0.9, 0.9, 0.9, 0.1, 0.9);
+
+  const collectible = createCollectible(1, [], REPOS, 0.5, 0);
+
+  assert.equal(collectible.userData.dataItem.name, 'older-tool');
+});
+
+test('createCollectible places the collectible in a lane ahead of the player', () => {
+  // Profile roll succeeds, so it's an animated profile collectible whatever the seed
+  mockRandom(0.1);
+
+  const collectible = createCollectible(1, [GITHUB_ITEM], REPOS, 0.5);
+
+  assert.ok(LANES.includes(collectible.position.x));
+  assert.ok(collectible.position.z <= COLLECTIBLE_Z_POSITION);
+  assert.ok(collectible.position.z >= COLLECTIBLE_Z_POSITION - 5);
+  assert.equal(typeof collectible.userData.animate, 'function');
+});
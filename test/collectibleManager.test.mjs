@@ -0,0 +1,118 @@
+import './helpers/setup.mjs';
+import { test, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  addCollectible,
+  checkCollisions,
+  clearCollectibles,
+  getCollectibles,
+  updateCollectibles
+} from '../js/game/entities/collectibles/collectibleManager.js';
+import { createStandardCollectible } from '../js/game/entities/collectibles/standardCollectibles.js';
+import gameState, { resetGame } from '../js/game/state/gameState.js';
+import { SCORE_SOURCE_POINTS, COLLECTIBLE_SHELL_SPIN_RATE, COLLECTIBLE_FLOAT_SPEED } from '../js/game/core/constants.js';
+
+let scene;
+let player;
+
+/**
+ * Adds a bare collectible to the scene at a position
+ * @param {number} z - Z position (the player is at 0, positive is behind)
+ * @param {Object} userData - Collectible userData
+ * @returns {THREE.Object3D} - The collectible
+ */
+function placeCollectible(z, userData = { dataSource: 'github', dataItem: { name: 'newest-app' } }) {
+  const collectible = new THREE.Group();
+  collectible.position.set(0, 0.5, z);
+  collectible.userData = userData;
+  addCollectible(collectible, scene);
+  return collectible;
+}
+
+beforeEach(() => {
+  scene = new THREE.Scene();
+  player = new THREE.Group();
+  player.position.set(0, 0.5, 0);
+  clearCollectibles(scene);
+  resetGame();
+});
+
+test('checkCollisions collects an item the player touches and awards points', () => {
+  const collectible = placeCollectible(0.3);
+  const flashGrid = mock.fn();
+
+  checkCollisions(player, scene, flashGrid, [], [], []);
+
+  assert.equal(getCollectibles().length, 0);
+  assert.ok(!scene.children.includes(collectible));
+  assert.equal(gameState.score, SCORE_SOURCE_POINTS.github);
+  assert.equal(gameState.streak, 1);
+});
+
+test('checkCollisions leaves items that are still ahead of the player', () => {
+  placeCollectible(-20);
+
+  checkCollisions(player, scene, () => {}, [], [], []);
+
+  assert.equal(getCollectibles().length, 1);
+  assert.equal(gameState.score, 0);
+});
+
+test('checkCollisions removes missed items, ends the streak and counts the miss', () => {
+  gameState.streak = 4;
+  placeCollectible(11);
+
+  checkCollisions(player, scene, () => {}, [], [], []);
+
+  assert.equal(getCollectibles().length, 0);
+  assert.equal(gameState.streak, 0);
+  assert.equal(gameState.consecutiveMisses, 1);
+});
+
+test('checkCollisions handles several items in one pass', () => {
+  placeCollectible(0.2, { dataSource: 'fact', dataItem: { name: 'Fact', description: 'Collects vinyl' } });
+  placeCollectible(12);
+  placeCollectible(-30);
+
+  checkCollisions(player, scene, () => {}, [], [], []);
+
+  assert.equal(getCollectibles().length, 1);
+  assert.equal(gameState.score, SCORE_SOURCE_POINTS.fact);
+  assert.equal(gameState.consecutiveMisses, 0);
+});
+
+test('checkCollisions shows collected data as text particles', () => {
+  placeCollectible(0, { dataSource: 'profile', dataItem: { name: 'Acme', description: 'Staff Engineer', source: 'resume' } });
+  const explodingTexts = [];
+
+  checkCollisions(player, scene, () => {}, explodingTexts, [], []);
+
+  assert.ok(explodingTexts.length > 0);
+});
+
+test('collectibles spin at the same speed at any step rate, on the simulation clock', t => {
+  t.mock.method(Date, 'now', () => 123456789);
+  const spinFor = (type, rate) => {
+    clearCollectibles(scene);
+    gameState.simTime = 0;
+    const collectible = createStandardCollectible(type, 0xff00ff);
+    addCollectible(collectible, scene);
+    for (let step = 0; step < rate; step++) {
+      gameState.simTime += 1000 / rate;
+      updateCollectibles(0, scene, 1 / rate);
+    }
+    return collectible;
+  };
+
+  [2, 3, 4].forEach(type => {
+    const at60 = spinFor(type, 60);
+    const at120 = spinFor(type, 120);
+    const turned = collectible => (type === 4 ? collectible.rotation.y : collectible.children[0].rotation.y);
+
+    assert.ok(Math.abs(turned(at60) - COLLECTIBLE_SHELL_SPIN_RATE) < 1e-9, `type ${type} turns its rate in a second`);
+    assert.ok(Math.abs(turned(at120) - turned(at60)) < 1e-9, `type ${type} doesn't spin faster at 120 Hz`);
+  });
+
+  const fact = spinFor(4, 60);
+  assert.ok(Math.abs(fact.rotation.z - Math.sin(1000 * COLLECTIBLE_FLOAT_SPEED) * 0.1) < 1e-9, 'the wobble follows the simulation time');
+});
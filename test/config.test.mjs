@@ -0,0 +1,103 @@
+import './helpers/setup.mjs';
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mockFetch } from './helpers/fetch-mock.mjs';
+import { loadConfig, getConfig, isFeatureEnabled } from '../js/game/core/config.js';
+import { DEFAULT_GITHUB_USER, DEFAULT_THEME } from '../js/game/core/constants.js';
+
+const CONFIG_URL = '/js/game/config.json';
+
+let fetchMock = null;
+
+afterEach(() => {
+  if (fetchMock) fetchMock.restore();
+  fetchMock = null;
+});
+
+test('loadConfig uses the defaults when there is no config file', async () => {
+  fetchMock = mockFetch({});
+
+  const config = await loadConfig({ script: null, search: '' });
+
+  assert.equal(config.githubUser, DEFAULT_GITHUB_USER);
+  assert.equal(config.theme, DEFAULT_THEME);
+  assert.equal(config.facts, null);
+  assert.equal(isFeatureEnabled('obstacles'), true);
+  assert.equal(isFeatureEnabled('debug'), false);
+});
+
+test('loadConfig survives a network error loading the config file', async () => {
+  fetchMock = mockFetch({ [CONFIG_URL]: new TypeError('Failed to fetch') });
+
+  const config = await loadConfig({ script: null, search: '' });
+
+  assert.equal(config.githubUser, DEFAULT_GITHUB_USER);
+});
+
+test('the URL beats script data attributes, which beat the config file', async () => {
+  fetchMock = mockFetch({
+    [CONFIG_URL]: { body: { githubUser: 'file-user', resumeUrl: '/file-resume.json', theme: 'ice' } }
+  });
+  const script = { dataset: { githubUser: 'attribute-user', theme: 'sunset' } };
+
+  const config = await loadConfig({ script, search: '?user=query-user' });
+
+  assert.equal(config.githubUser, 'query-user');
+  assert.equal(config.theme, 'sunset');
+  assert.equal(config.resumeUrl, '/file-resume.json');
+  assert.equal(getConfig(), config);
+});
+
+test('the config file location can be changed from the page', async () => {
+  fetchMock = mockFetch({ '/people/octo.json': { body: { githubUser: 'octo-dev' } } });
+
+  const config = await loadConfig({ script: { dataset: { config: '/people/octo.json' } }, search: '' });
+
+  assert.equal(config.githubUser, 'octo-dev');
+});
+
+test('feature toggles can be flipped with enable and disable lists', async () => {
+  fetchMock = mockFetch({ [CONFIG_URL]: { body: { features: { music: false } } } });
+
+  await loadConfig({ script: { dataset: { disable: 'obstacles, hud' } }, search: '?enable=music,debug' });
+
+  assert.equal(isFeatureEnabled('music'), true);
+  assert.equal(isFeatureEnabled('debug'), true);
+  assert.equal(isFeatureEnabled('obstacles'), false);
+  assert.equal(isFeatureEnabled('hud'), false);
+});
+
+test('unknown themes and empty facts are ignored', async () => {
+  fetchMock = mockFetch({ [CONFIG_URL]: { body: { theme: 'plaid', facts: ['', 42] } } });
+
+  const config = await loadConfig({ script: null, search: '' });
+
+  assert.equal(config.theme, DEFAULT_THEME);
+  assert.equal(config.facts, null);
+});
+
+test('facts can be given as a JSON array or a "|" list on the script tag', async () => {
+  fetchMock = mockFetch({});
+
+  let config = await loadConfig({ script: { dataset: { facts: '["Likes tea", "Runs marathons"]' } }, search: '' });
+  assert.deepEqual(config.facts, ['Likes tea', 'Runs marathons']);
+
+  config = await loadConfig({ script: { dataset: { facts: 'Likes tea | Runs marathons' } }, search: '' });
+  assert.deepEqual(config.facts, ['Likes tea', 'Runs marathons']);
+});
+
+test('a seed can come from the config file, the script tag or the URL', async () => {
+  fetchMock = mockFetch({ [CONFIG_URL]: { body: { seed: 42 } } });
+
+  assert.equal((await loadConfig({ script: null, search: '' })).seed, 42);
+  assert.equal((await loadConfig({ script: { dataset: { seed: 'daily' } }, search: '' })).seed, 'daily');
+  assert.equal((await loadConfig({ script: null, search: '?seed=2026-10-19' })).seed, '2026-10-19');
+});
+
+test('a replay file can be requested from the URL', async () => {
+  fetchMock = mockFetch({});
+
+  const config = await loadConfig({ script: null, search: '?replay=/replays/best.json' });
+
+  assert.equal(config.replayUrl, '/replays/best.json');
+});
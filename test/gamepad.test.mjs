@@ -0,0 +1,139 @@
+import './helpers/setup.mjs';
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  initGamepads,
+  pollGamepads,
+  rumbleGamepads,
+  getConnectedGamepadCount
+} from '../js/game/engine/gamepad.js';
+import { GAMEPAD_REPEAT_DELAY, GAMEPAD_REPEAT_INTERVAL, GAMEPAD_PICKUP_RUMBLE } from '../js/game/core/constants.js';
+
+const A = 0;
+const VIEW = 8;
+const START = 9;
+const DPAD_LEFT = 14;
+
+let pads;
+let actions;
+let connections;
+let listeners;
+const windowAddEventListener = window.addEventListener;
+
+/**
+ * Builds a standard-mapping gamepad
+ * @param {Object} options - Pad state
+ * @param {number} options.index - Gamepad index
+ * @param {Array<number>} options.pressed - Indexes of held buttons
+ * @param {number} options.stickX - Left stick X axis
+ * @param {Object} options.vibrationActuator - Rumble support
+ * @returns {Object} - Gamepad stub
+ */
+function gamepad({ index = 0, pressed = [], stickX = 0, vibrationActuator } = {}) {
+  return {
+    id: `Test controller ${index}`,
+    index,
+    connected: true,
+    axes: [stickX, 0, 0, 0],
+    buttons: Array.from({ length: 17 }, (_, button) => ({ pressed: pressed.includes(button) })),
+    vibrationActuator
+  };
+}
+
+beforeEach(() => {
+  pads = [];
+  actions = [];
+  connections = [];
+  listeners = {};
+  globalThis.navigator = { getGamepads: () => pads };
+  window.addEventListener = (type, listener) => {
+    listeners[type] = listener;
+  };
+
+  initGamepads(action => actions.push(action), count => connections.push(count));
+});
+
+afterEach(() => {
+  delete globalThis.navigator;
+  window.addEventListener = windowAddEventListener;
+});
+
+test('a d-pad press changes lanes once, then repeats while held', () => {
+  pads = [gamepad()];
+  pollGamepads(0);
+
+  pads = [gamepad({ pressed: [DPAD_LEFT] })];
+  pollGamepads(16);
+  pollGamepads(32);
+  assert.deepEqual(actions, ['moveLeft']);
+
+  pollGamepads(16 + GAMEPAD_REPEAT_DELAY);
+  pollGamepads(16 + GAMEPAD_REPEAT_DELAY + GAMEPAD_REPEAT_INTERVAL);
+  assert.deepEqual(actions, ['moveLeft', 'moveLeft', 'moveLeft']);
+
+  pads = [gamepad()];
+  pollGamepads(2000);
+  assert.equal(actions.length, 3, 'letting go stops the repeat');
+});
+
+test('the stick only counts outside the deadzone', () => {
+  pads = [gamepad()];
+  pollGamepads(0);
+
+  pads = [gamepad({ stickX: 0.3 })];
+  pollGamepads(16);
+  assert.deepEqual(actions, []);
+
+  pads = [gamepad({ stickX: 0.9 })];
+  pollGamepads(32);
+  assert.deepEqual(actions, ['moveRight']);
+});
+
+test('buttons fire when pressed, not while held or when already held on connect', () => {
+  pads = [gamepad({ pressed: [START] })];
+  pollGamepads(0);
+  assert.deepEqual(actions, [], 'Start was held when the controller showed up');
+
+  pads = [gamepad()];
+  pollGamepads(16);
+  pads = [gamepad({ pressed: [START, VIEW, A] })];
+  pollGamepads(32);
+  pollGamepads(48);
+
+  assert.deepEqual(actions, ['confirm', 'restart', 'pause']);
+});
+
+test('controllers are tracked as they are plugged in and out', () => {
+  listeners.gamepadconnected({ gamepad: gamepad({ index: 0 }) });
+  listeners.gamepadconnected({ gamepad: gamepad({ index: 1 }) });
+  assert.equal(getConnectedGamepadCount(), 2);
+
+  listeners.gamepaddisconnected({ gamepad: gamepad({ index: 0 }) });
+  assert.equal(getConnectedGamepadCount(), 1);
+
+  // A controller that vanished without an event is dropped on the next poll
+  pads = [];
+  pollGamepads(0);
+  assert.equal(getConnectedGamepadCount(), 0);
+  assert.deepEqual(connections, [1, 2, 1, 0]);
+});
+
+test('rumbleGamepads plays the pickup rumble on controllers that support it', async () => {
+  const effects = [];
+  pads = [
+    gamepad({ index: 0, vibrationActuator: { playEffect: (type, params) => effects.push([type, params]) } }),
+    gamepad({ index: 1 }),
+    gamepad({ index: 2, vibrationActuator: { playEffect: () => Promise.reject(new Error('not supported')) } })
+  ];
+
+  rumbleGamepads();
+  await Promise.resolve();
+
+  assert.deepEqual(effects, [['dual-rumble', GAMEPAD_PICKUP_RUMBLE]]);
+});
+
+test('rumbleGamepads does nothing without the Gamepad API', () => {
+  delete globalThis.navigator;
+
+  assert.doesNotThrow(() => rumbleGamepads());
+});
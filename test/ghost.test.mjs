@@ -0,0 +1,142 @@
+import './helpers/setup.mjs';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createGhost, startGhost, stopGhost, updateGhost, getGhost } from '../js/game/entities/ghost.js';
+import { createPlayer } from '../js/game/entities/player.js';
+import { saveBestRun, loadBestRun, endReplayRun, getDataFingerprint } from '../js/game/engine/replay.js';
+import { runHeadless } from '../js/game/engine/headless.js';
+import { refreshGame } from '../js/game/engine/gameInitializer.js';
+import { sceneManager } from '../js/game/core/setup.js';
+import { getSeed } from '../js/game/core/random.js';
+import { LANES, GHOST_OPACITY, BEST_RUN_STORAGE_KEY, FIXED_TIMESTEP } from '../js/game/core/constants.js';
+
+const REPOS = [{ name: 'newest-app', description: 'The most recently pushed project', language: 'JavaScript' }];
+
+/**
+ * Builds a best run replay
+ * @param {Object} overrides - Fields to override
+ * @returns {Object} - Replay
+ */
+function bestRun(overrides = {}) {
+  return {
+    version: 1,
+    tickRate: 60,
+    seed: 77,
+    startLane: 1,
+    data: 'abcd0123',
+    ticks: 120,
+    score: 900,
+    inputs: [[5, 0], [60, 2]],
+    ...overrides
+  };
+}
+
+let scene;
+
+beforeEach(() => {
+  scene = new THREE.Scene();
+  stopGhost(scene);
+  localStorage.clear();
+});
+
+test('createGhost is a see-through car without lights', () => {
+  const ghost = createGhost();
+  const parts = [];
+  ghost.traverse(child => parts.push(child));
+
+  assert.ok(!parts.some(child => child.isLight));
+  const materials = parts.filter(child => child.material).map(child => child.material);
+  assert.ok(materials.length > 0);
+  assert.ok(materials.every(material => material.transparent && material.opacity === GHOST_OPACITY));
+});
+
+test('createGhost leaves the player car untouched', () => {
+  createGhost();
+  const player = createPlayer();
+  const materials = [];
+  player.traverse(child => child.material && materials.push(child.material));
+
+  assert.ok(materials.every(material => material.opacity !== GHOST_OPACITY));
+});
+
+test('the ghost follows the best run\'s lane changes and drops out when it ended', () => {
+  startGhost(scene, bestRun());
+  const ghost = getGhost();
+  assert.ok(scene.children.includes(ghost));
+  assert.equal(ghost.position.x, LANES[1]);
+
+  for (let tick = 0; tick < 60; tick++) updateGhost(tick, FIXED_TIMESTEP);
+  assert.ok(Math.abs(ghost.position.x - LANES[0]) < 0.05, `ghost at ${ghost.position.x}`);
+
+  for (let tick = 60; tick < 120; tick++) updateGhost(tick, FIXED_TIMESTEP);
+  assert.ok(ghost.position.x > LANES[1]);
+  assert.equal(ghost.visible, true);
+
+  updateGhost(120, FIXED_TIMESTEP);
+  assert.equal(ghost.visible, false);
+});
+
+test('the ghost follows analog steering positions', () => {
+  startGhost(scene, bestRun({ inputs: [[0, 2, 1.4]] }));
+
+  for (let tick = 0; tick < 100; tick++) updateGhost(tick, FIXED_TIMESTEP);
+
+  assert.ok(Math.abs(getGhost().position.x - 1.4) < 0.01, `ghost at ${getGhost().position.x}`);
+});
+
+test('startGhost without a best run leaves the track empty', () => {
+  startGhost(scene, bestRun());
+  startGhost(scene, null);
+
+  assert.equal(getGhost(), null);
+  assert.equal(scene.children.length, 0);
+});
+
+test('saveBestRun only replaces the saved run with a higher score', () => {
+  assert.equal(saveBestRun(bestRun({ score: 0 })), false);
+  assert.equal(saveBestRun(bestRun({ score: 500 })), true);
+  assert.equal(saveBestRun(bestRun({ score: 400 })), false);
+  assert.equal(saveBestRun(bestRun({ score: 900 })), true);
+
+  assert.equal(loadBestRun().score, 900);
+  assert.ok(localStorage.getItem(BEST_RUN_STORAGE_KEY));
+});
+
+test('loadBestRun ignores a corrupt saved run', () => {
+  localStorage.setItem(BEST_RUN_STORAGE_KEY, '{"version":1');
+  assert.equal(loadBestRun(), null);
+
+  localStorage.setItem(BEST_RUN_STORAGE_KEY, JSON.stringify(bestRun({ startLane: 7 })));
+  assert.equal(loadBestRun(), null);
+});
+
+test('a finished run is saved as the best run', () => {
+  const stats = runHeadless({ ticks: 6000, seed: 'ghost', githubRepos: REPOS });
+
+  assert.notEqual(stats.endedAtTick, null, 'the run should end without steering');
+  assert.equal(loadBestRun().seed, 'ghost');
+  assert.equal(loadBestRun().score, stats.score);
+});
+
+test('restarting keeps giving new tracks, and the ghost only races when asked to', t => {
+  sceneManager.scene = scene;
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  t.after(() => {
+    endReplayRun();
+    stopGhost(scene);
+  });
+  const player = createPlayer();
+  saveBestRun(bestRun({ data: getDataFingerprint([], []) }));
+
+  refreshGame(player);
+  const firstSeed = getSeed();
+  refreshGame(player);
+
+  assert.notEqual(getSeed(), firstSeed, 'a saved best run doesn\'t pin the seed');
+  assert.notEqual(getSeed(), 77);
+  assert.equal(getGhost(), null);
+
+  refreshGame(player, null, { raceGhost: true });
+  assert.equal(getSeed(), 77, 'racing the ghost plays the best run\'s track');
+  assert.ok(scene.children.includes(getGhost()));
+});
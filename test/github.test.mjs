@@ -0,0 +1,94 @@
+import './helpers/setup.mjs';
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mockFetch, loadFixture } from './helpers/fetch-mock.mjs';
+import { clearGitHubCache } from '../js/game/data/githubCache.js';
+
+const REPOS_URL = 'https://api.github.com/users/octo-dev/repos?sort=updated&direction=desc&per_page=50';
+
+let fetchMock = null;
+let importCount = 0;
+
+/**
+ * Imports a fresh copy of github.js so its in-memory cache starts empty
+ * @returns {Promise<Object>} - The module
+ */
+function importGitHub() {
+  importCount++;
+  return import(`../js/game/data/github.js?case=${importCount}`);
+}
+
+beforeEach(() => {
+  clearGitHubCache();
+});
+
+afterEach(() => {
+  if (fetchMock) fetchMock.restore();
+  fetchMock = null;
+});
+
+test('fetchGitHubRepos drops forks, empty descriptions and odd names', async () => {
+  fetchMock = mockFetch({ [REPOS_URL]: { body: await loadFixture('github-repos.json') } });
+  const { fetchGitHubRepos } = await importGitHub();
+
+  const repos = await fetchGitHubRepos('octo-dev');
+  const names = repos.map(repo => repo.name);
+
+  assert.deepEqual(names.sort(), ['newest-app', 'older-tool', 'shift-lang']);
+});
+
+test('fetchGitHubRepos sorts by last push, falling back to last update', async () => {
+  fetchMock = mockFetch({ [REPOS_URL]: { body: await loadFixture('github-repos.json') } });
+  const { fetchGitHubRepos } = await importGitHub();
+
+  const repos = await fetchGitHubRepos('octo-dev');
+
+  assert.deepEqual(repos.map(repo => repo.name), ['newest-app', 'shift-lang', 'older-tool']);
+});
+
+test('fetchGitHubRepos maps API fields and clears the bogus "Shift" language', async () => {
+  fetchMock = mockFetch({ [REPOS_URL]: { body: await loadFixture('github-repos.json') } });
+  const { fetchGitHubRepos } = await importGitHub();
+
+  const repos = await fetchGitHubRepos('octo-dev');
+  const newest = repos.find(repo => repo.name === 'newest-app');
+  const shift = repos.find(repo => repo.name === 'shift-lang');
+
+  assert.equal(newest.url, 'https://github.com/octo-dev/newest-app');
+  assert.equal(newest.stars, 12);
+  assert.equal(newest.language, 'JavaScript');
+  assert.equal(typeof newest.color, 'number');
+  assert.equal(shift.language, null);
+});
+
+test('fetchGitHubRepos keeps results in memory for the rest of the session', async () => {
+  fetchMock = mockFetch({ [REPOS_URL]: { body: await loadFixture('github-repos.json') } });
+  const { fetchGitHubRepos } = await importGitHub();
+
+  await fetchGitHubRepos('octo-dev');
+  clearGitHubCache();
+  await fetchGitHubRepos('octo-dev');
+
+  assert.equal(fetchMock.calls.filter(call => call.url === REPOS_URL).length, 1);
+});
+
+test('fetchGitHubRepos returns an empty list for a user with no repos', async () => {
+  fetchMock = mockFetch({ [REPOS_URL]: { body: [] } });
+  const { fetchGitHubRepos } = await importGitHub();
+
+  assert.deepEqual(await fetchGitHubRepos('octo-dev'), []);
+});
+
+test('fetchGitHubRepos returns an empty list on a non-OK response with no fallback', async () => {
+  fetchMock = mockFetch({ [REPOS_URL]: { status: 500, body: { message: 'Server Error' } } });
+  const { fetchGitHubRepos } = await importGitHub();
+
+  assert.deepEqual(await fetchGitHubRepos('octo-dev'), []);
+});
+
+test('fetchGitHubRepos returns an empty list when the network is down', async () => {
+  fetchMock = mockFetch({ [REPOS_URL]: new TypeError('Failed to fetch') });
+  const { fetchGitHubRepos } = await importGitHub();
+
+  assert.deepEqual(await fetchGitHubRepos('octo-dev'), []);
+});
@@ -0,0 +1,129 @@
+import './helpers/setup.mjs';
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mockFetch } from './helpers/fetch-mock.mjs';
+import { fetchGitHubJson, getCacheStatus, clearGitHubCache } from '../js/game/data/githubCache.js';
+import { GITHUB_CACHE_TTL } from '../js/game/core/constants.js';
+
+const URL = 'https://api.github.com/users/octo-dev';
+const START = 1700000000000;
+
+let fetchMock = null;
+
+/**
+ * Gets the latest status recorded for the test URL
+ * @returns {string} - Cache status
+ */
+function statusOf(url = URL) {
+  return getCacheStatus().entries.find(entry => entry.url === url).status;
+}
+
+/**
+ * Primes the cache with one successful response
+ * @param {Object} headers - Extra response headers
+ */
+async function primeCache(headers = {}) {
+  fetchMock = mockFetch({ [URL]: { body: { login: 'octo-dev' }, headers: { ETag: 'W/"v1"', ...headers } } });
+  await fetchGitHubJson(URL, { now: START });
+  fetchMock.restore();
+}
+
+beforeEach(() => {
+  clearGitHubCache();
+});
+
+afterEach(() => {
+  if (fetchMock) fetchMock.restore();
+  fetchMock = null;
+});
+
+test('a first request goes to the network and is cached', async () => {
+  fetchMock = mockFetch({ [URL]: { body: { login: 'octo-dev' }, headers: { ETag: 'W/"v1"' } } });
+
+  const data = await fetchGitHubJson(URL, { now: START });
+
+  assert.deepEqual(data, { login: 'octo-dev' });
+  assert.equal(statusOf(), 'network');
+  assert.ok(localStorage.getItem(`neonWaveGitHubCache:${URL}`));
+});
+
+test('a fresh cache entry is used without a request', async () => {
+  await primeCache();
+  fetchMock = mockFetch({});
+
+  const data = await fetchGitHubJson(URL, { now: START + 1000 });
+
+  assert.deepEqual(data, { login: 'octo-dev' });
+  assert.equal(fetchMock.calls.length, 0);
+  assert.equal(statusOf(), 'fresh');
+});
+
+test('an expired entry is revalidated with If-None-Match and a 304 reuses it', async () => {
+  await primeCache();
+  fetchMock = mockFetch({ [URL]: { status: 304 } });
+
+  const data = await fetchGitHubJson(URL, { now: START + GITHUB_CACHE_TTL + 1 });
+
+  assert.deepEqual(data, { login: 'octo-dev' });
+  assert.equal(fetchMock.calls[0].options.headers['If-None-Match'], 'W/"v1"');
+  assert.equal(statusOf(), 'revalidated');
+});
+
+test('an expired entry is replaced when GitHub sends new data', async () => {
+  await primeCache();
+  fetchMock = mockFetch({ [URL]: { body: { login: 'octo-dev', name: 'New' }, headers: { ETag: 'W/"v2"' } } });
+
+  const data = await fetchGitHubJson(URL, { now: START + GITHUB_CACHE_TTL + 1 });
+
+  assert.equal(data.name, 'New');
+  assert.equal(getCacheStatus().entries[0].etag, 'W/"v2"');
+});
+
+test('stale data is used instead of spending the last requests before the reset', async () => {
+  const resetInSeconds = Math.floor((START + 60 * 60 * 1000) / 1000);
+  await primeCache({ 'X-RateLimit-Remaining': '1', 'X-RateLimit-Limit': '60', 'X-RateLimit-Reset': String(resetInSeconds) });
+  fetchMock = mockFetch({});
+
+  const data = await fetchGitHubJson(URL, { now: START + GITHUB_CACHE_TTL + 1 });
+
+  assert.deepEqual(data, { login: 'octo-dev' });
+  assert.equal(fetchMock.calls.length, 0);
+  assert.equal(statusOf(), 'stale (rate limited)');
+  assert.equal(getCacheStatus().rateLimit.remaining, 1);
+});
+
+test('stale data is used when a revalidation fails', async () => {
+  await primeCache();
+  fetchMock = mockFetch({ [URL]: { status: 500, body: { message: 'Server Error' } } });
+
+  const data = await fetchGitHubJson(URL, { now: START + GITHUB_CACHE_TTL + 1 });
+
+  assert.deepEqual(data, { login: 'octo-dev' });
+  assert.equal(statusOf(), 'stale (HTTP 500)');
+});
+
+test('stale data is used when the network is down', async () => {
+  await primeCache();
+  fetchMock = mockFetch({ [URL]: new TypeError('Failed to fetch') });
+
+  const data = await fetchGitHubJson(URL, { now: START + GITHUB_CACHE_TTL + 1 });
+
+  assert.deepEqual(data, { login: 'octo-dev' });
+  assert.equal(statusOf(), 'stale (network error)');
+});
+
+test('a failed request with nothing cached throws', async () => {
+  fetchMock = mockFetch({ [URL]: { status: 403, body: { message: 'API rate limit exceeded' } } });
+
+  await assert.rejects(() => fetchGitHubJson(URL, { now: START }), /403/);
+  assert.equal(statusOf(), 'error');
+});
+
+test('clearGitHubCache removes cached responses', async () => {
+  await primeCache();
+
+  clearGitHubCache();
+
+  assert.equal(localStorage.getItem(`neonWaveGitHubCache:${URL}`), null);
+  assert.deepEqual(getCacheStatus().entries, []);
+});
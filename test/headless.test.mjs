@@ -0,0 +1,84 @@
+import './helpers/setup.mjs';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runHeadless, followNearestCollectible } from '../js/game/engine/headless.js';
+import { getCollectibles } from '../js/game/entities/collectibles/collectibleManager.js';
+import { getLevelSettings } from '../js/game/state/difficulty.js';
+import { LANES, MAX_TIME_BETWEEN_COLLECTIBLES } from '../js/game/core/constants.js';
+
+const REPOS = [
+  { name: 'newest-app', description: 'The most recently pushed project', language: 'JavaScript' },
+  { name: 'older-tool', description: 'A tool that was updated a while ago', language: 'Swift' }
+];
+const PROFILE_ITEMS = [
+  { name: 'Acme', description: 'Staff Engineer', type: 'job', source: 'resume' },
+  { name: 'GitHub Stats', description: '7 Repositories', type: 'stats' }
+];
+
+test('runHeadless steps the simulation without a renderer', () => {
+  const stats = runHeadless({ ticks: 600, githubRepos: REPOS, profileData: PROFILE_ITEMS });
+
+  assert.equal(stats.ticks, 600);
+  assert.ok(stats.distance > 0);
+  assert.ok(stats.collectibles.spawned > 0);
+  assert.equal(getCollectibles().length, 0, 'the track is cleared after the run');
+});
+
+test('runHeadless passes each tick to the steering and tick callbacks', () => {
+  const lanes = [];
+
+  runHeadless({
+    ticks: 30,
+    githubRepos: REPOS,
+    profileData: PROFILE_ITEMS,
+    steer: ({ tick }) => (tick < 10 ? 0 : 2),
+    onTick: ({ state }) => lanes.push(state.currentLane)
+  });
+
+  assert.equal(lanes.length, 30);
+  assert.equal(lanes[0], 0);
+  assert.equal(lanes[29], 2);
+});
+
+test('runHeadless repeats a run exactly for the same seed', () => {
+  const options = { ticks: 1200, githubRepos: REPOS, profileData: PROFILE_ITEMS, steer: followNearestCollectible };
+
+  const first = runHeadless({ ...options, seed: 'regression' });
+  const second = runHeadless({ ...options, seed: 'regression' });
+  const other = runHeadless({ ...options, seed: 'something-else' });
+
+  assert.equal(first.seed, 'regression');
+  assert.deepEqual(second, first);
+  assert.notDeepEqual(other.collectibles, first.collectibles);
+});
+
+test('collectible spawning never starves or floods the lanes', () => {
+  const byLane = LANES.map(() => 0);
+
+  for (let run = 0; run < 8; run++) {
+    const stats = runHeadless({
+      ticks: 1800,
+      seed: `lanes-${run}`,
+      githubRepos: REPOS,
+      profileData: PROFILE_ITEMS,
+      steer: followNearestCollectible
+    });
+
+    stats.collectibles.byLane.forEach((count, lane) => {
+      byLane[lane] += count;
+    });
+    assert.ok(
+      stats.collectibles.maxAhead <= getLevelSettings(stats.level).maxCollectiblesAhead,
+      `run ${run} had ${stats.collectibles.maxAhead} collectibles ahead at level ${stats.level}`
+    );
+    assert.ok(
+      stats.collectibles.longestGap < MAX_TIME_BETWEEN_COLLECTIBLES * 3,
+      `run ${run} went ${stats.collectibles.longestGap}ms without a collectible`
+    );
+  }
+
+  const total = byLane.reduce((sum, count) => sum + count, 0);
+  byLane.forEach((count, lane) => {
+    assert.ok(count / total > 0.15, `lane ${lane} only got ${count} of ${total} collectibles`);
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * Minimal browser globals (window, document, localStorage, requestAnimationFrame) for Node.
+ * The canvas 2D context accepts any drawing call so text particles can be built.
+ */
+
+/**
+ * In-memory localStorage
+ */
+class MemoryStorage {
+  constructor() {
+    this.items = new Map();
+  }
+
+  getItem(key) {
+    return this.items.has(key) ? this.items.get(key) : null;
+  }
+
+  setItem(key, value) {
+    this.items.set(key, String(value));
+  }
+
+  removeItem(key) {
+    this.items.delete(key);
+  }
+
+  clear() {
+    this.items.clear();
+  }
+
+  key(index) {
+    return Array.from(this.items.keys())[index] ?? null;
+  }
+
+  get length() {
+    return this.items.size;
+  }
+}
+
+// localStorage keys are enumerable in browsers (Object.keys(localStorage)), so mirror that
+const storage = new Proxy(new MemoryStorage(), {
+  ownKeys: target => Array.from(target.items.keys()),
+  getOwnPropertyDescriptor: (target, key) => (target.items.has(key)
+    ? { value: target.items.get(key), enumerable: true, configurable: true }
+    : undefined),
+  get: (target, key) => {
+    const value = target[key];
+    return typeof value === 'function' ? value.bind(target) : value;
+  }
+});
+
+/**
+ * A 2D context that ignores drawing calls
+ * @returns {Object} - Context stub
+ */
+function createContext2D() {
+  const context = {
+    measureText: text => ({ width: String(text).length * 10 }),
+    createLinearGradient: () => ({ addColorStop() {} })
+  };
+
+  return new Proxy(context, {
+    get: (target, key) => (key in target ? target[key] : () => {}),
+    set: (target, key, value) => {
+      target[key] = value;
+      return true;
+    }
+  });
+}
+
+globalThis.localStorage = storage;
+
+globalThis.document = {
+  createElement: tag => ({
+    tagName: String(tag).toUpperCase(),
+    style: {},
+    classList: { add() {}, remove() {}, toggle() {}, contains: () => false },
+    getContext: () => createContext2D(),
+    appendChild() {},
+    addEventListener() {}
+  }),
+  getElementById: () => null,
+  querySelector: () => null,
+  addEventListener() {},
+  removeEventListener() {}
+};
+
+globalThis.window = {
+  location: { search: '' },
+  addEventListener() {},
+  removeEventListener() {}
+};
+
+globalThis.requestAnimationFrame = () => 0;
+globalThis.cancelAnimationFrame = () => {};
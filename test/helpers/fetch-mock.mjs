@@ -0,0 +1,56 @@
+/**
+ * fetch mock - answers requests from a table of canned responses and records every call
+ */
+
+/**
+ * Builds a Response-like object
+ * @param {Object} route - { status, body, headers }
+ * @returns {Response} - A real Response (Node 18+)
+ */
+function createResponse({ status = 200, body = null, headers = {} }) {
+  const payload = status === 304 || body === null ? null : JSON.stringify(body);
+  return new Response(payload, { status, headers });
+}
+
+/**
+ * Replaces global fetch with a mock
+ * @param {Object} routes - Map of URL to route ({ status, body, headers }), a function
+ *   returning a route, or an Error to reject with. Unknown URLs get a 404.
+ * @returns {{calls: Array, restore: Function}} - Recorded calls and a function to undo the mock
+ */
+export function mockFetch(routes = {}) {
+  const originalFetch = globalThis.fetch;
+  const calls = [];
+
+  globalThis.fetch = async (url, options = {}) => {
+    calls.push({ url, options });
+
+    let route = routes[url];
+    if (typeof route === 'function') {
+      route = route(url, options);
+    }
+
+    if (route instanceof Error) throw route;
+    if (!route) return createResponse({ status: 404, body: { message: 'Not Found' } });
+
+    return createResponse(route);
+  };
+
+  return {
+    calls,
+    restore: () => {
+      globalThis.fetch = originalFetch;
+    }
+  };
+}
+
+/**
+ * Reads a JSON fixture from test/fixtures
+ * @param {string} name - Fixture file name
+ * @returns {Promise<*>} - Parsed fixture
+ */
+export async function loadFixture(name) {
+  const { readFile } = await import('node:fs/promises');
+  const url = new URL(`../fixtures/${name}`, import.meta.url);
+  return JSON.parse(await readFile(url, 'utf8'));
+}
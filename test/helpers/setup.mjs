@@ -0,0 +1,13 @@
+/**
+ * Test setup - import first in every test file, before any game module.
+ * Installs the THREE and browser stubs and quiets the game's console chatter
+ * (set TEST_VERBOSE=1 to see it).
+ */
+import './three-stub.mjs';
+import './dom-stub.mjs';
+
+if (!process.env.TEST_VERBOSE) {
+  console.log = () => {};
+  console.warn = () => {};
+  console.error = () => {};
+}
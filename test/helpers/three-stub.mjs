@@ -0,0 +1,190 @@
+/**
+ * Lightweight THREE stub - just enough of the scene graph for the game's logic to run in Node.
+ * Nothing is rendered; objects only keep the state the game code reads back (positions,
+ * children, materials and colors).
+ */
+
+class Vector3 {
+  constructor(x = 0, y = 0, z = 0) {
+    this.set(x, y, z);
+  }
+
+  set(x, y, z) {
+    this.x = x;
+    this.y = y;
+    this.z = z;
+    return this;
+  }
+
+  copy(v) {
+    return this.set(v.x, v.y, v.z);
+  }
+
+  clone() {
+    return new Vector3(this.x, this.y, this.z);
+  }
+
+  add(v) {
+    return this.set(this.x + v.x, this.y + v.y, this.z + v.z);
+  }
+
+  multiplyScalar(s) {
+    return this.set(this.x * s, this.y * s, this.z * s);
+  }
+
+  distanceTo(v) {
+    return Math.hypot(this.x - v.x, this.y - v.y, this.z - v.z);
+  }
+
+  lerpVectors(a, b, alpha) {
+    return this.set(
+      a.x + (b.x - a.x) * alpha,
+      a.y + (b.y - a.y) * alpha,
+      a.z + (b.z - a.z) * alpha
+    );
+  }
+}
+
+class Color {
+  constructor(hex = 0xffffff) {
+    this.hex = hex;
+  }
+
+  setHex(hex) {
+    this.hex = hex;
+    return this;
+  }
+
+  getHex() {
+    return this.hex;
+  }
+
+  setScalar(scalar) {
+    const channel = Math.round(scalar * 255);
+    return this.setHex((channel << 16) | (channel << 8) | channel);
+  }
+}
+
+class Object3D {
+  constructor() {
+    this.position = new Vector3();
+    this.rotation = new Vector3();
+    this.scale = new Vector3(1, 1, 1);
+    this.children = [];
+    this.parent = null;
+    this.userData = {};
+    this.visible = true;
+  }
+
+  add(...objects) {
+    objects.forEach(object => {
+      object.parent = this;
+      this.children.push(object);
+    });
+    return this;
+  }
+
+  remove(...objects) {
+    objects.forEach(object => {
+      const index = this.children.indexOf(object);
+      if (index !== -1) {
+        this.children.splice(index, 1);
+        object.parent = null;
+      }
+    });
+    return this;
+  }
+
+  traverse(callback) {
+    callback(this);
+    this.children.forEach(child => child.traverse(callback));
+  }
+
+  lookAt() {}
+}
+
+class Mesh extends Object3D {
+  constructor(geometry = null, material = null) {
+    super();
+    this.geometry = geometry;
+    this.material = material;
+  }
+}
+
+class Light extends Object3D {
+  constructor(color = 0xffffff, intensity = 1) {
+    super();
+    this.isLight = true;
+    this.color = new Color(color);
+    this.intensity = intensity;
+  }
+}
+
+class Material {
+  constructor(params = {}) {
+    Object.assign(this, params);
+    this.color = new Color(params.color);
+  }
+
+  clone() {
+    const copy = Object.assign(Object.create(Object.getPrototypeOf(this)), this);
+    copy.color = new Color(this.color.getHex());
+    return copy;
+  }
+
+  dispose() {}
+}
+
+class Geometry {
+  constructor(...args) {
+    this.args = args;
+  }
+
+  dispose() {}
+}
+
+class Texture {
+  constructor(image) {
+    this.image = image;
+  }
+
+  dispose() {}
+}
+
+const geometry = () => class extends Geometry {};
+const material = () => class extends Material {};
+
+globalThis.THREE = {
+  Vector3,
+  Color,
+  Object3D,
+  Group: class Group extends Object3D {},
+  Scene: class Scene extends Object3D {},
+  Mesh,
+  LineSegments: class LineSegments extends Mesh {},
+  Points: class Points extends Mesh {},
+  Light,
+  PointLight: class PointLight extends Light {},
+  AmbientLight: class AmbientLight extends Light {},
+  DirectionalLight: class DirectionalLight extends Light {},
+  BoxGeometry: geometry(),
+  PlaneGeometry: geometry(),
+  SphereGeometry: geometry(),
+  CylinderGeometry: geometry(),
+  ConeGeometry: geometry(),
+  OctahedronGeometry: geometry(),
+  TetrahedronGeometry: geometry(),
+  RingGeometry: geometry(),
+  CircleGeometry: geometry(),
+  EdgesGeometry: geometry(),
+  BufferGeometry: geometry(),
+  Float32BufferAttribute: geometry(),
+  MeshBasicMaterial: material(),
+  MeshLambertMaterial: material(),
+  LineBasicMaterial: material(),
+  PointsMaterial: material(),
+  CanvasTexture: Texture,
+  DoubleSide: 2,
+  NormalBlending: 1,
+  LinearFilter: 1006
+};
@@ -0,0 +1,229 @@
+/**
+ * Web Audio stub - a fake AudioContext whose nodes record what they were connected to
+ * and which sources were started, so sound code can be checked without making any sound.
+ */
+
+class AudioParam {
+  constructor(value = 0) {
+    this.value = value;
+    this.events = [];
+  }
+
+  setValueAtTime(value, time) {
+    this.events.push(['set', value, time]);
+  }
+
+  linearRampToValueAtTime(value, time) {
+    this.events.push(['linear', value, time]);
+  }
+
+  exponentialRampToValueAtTime(value, time) {
+    this.events.push(['exponential', value, time]);
+  }
+
+  setTargetAtTime(value, time, timeConstant) {
+    this.events.push(['target', value, time, timeConstant]);
+  }
+
+  cancelScheduledValues(time) {
+    this.events.push(['cancel', time]);
+  }
+}
+
+class AudioNode {
+  constructor(context, kind) {
+    this.context = context;
+    this.kind = kind;
+    this.outputs = [];
+    context.nodes.push(this);
+  }
+
+  connect(destination) {
+    this.outputs.push(destination);
+    return destination;
+  }
+
+  disconnect() {
+    this.outputs = [];
+  }
+
+  /**
+   * Whether this node's signal ends up at the target, following connections
+   * @param {AudioNode} target - Node to look for downstream
+   * @returns {boolean}
+   */
+  reaches(target) {
+    return this.outputs.some(output => output === target || (output.reaches && output.reaches(target)));
+  }
+}
+
+class SourceNode extends AudioNode {
+  constructor(context, kind) {
+    super(context, kind);
+    this.started = null;
+    this.stopped = null;
+    this.onended = null;
+  }
+
+  start(time = 0) {
+    this.started = time;
+  }
+
+  stop(time = 0) {
+    this.stopped = time;
+  }
+}
+
+class AnalyserNode extends AudioNode {
+  constructor(context) {
+    super(context, 'analyser');
+    this.fftSize = 2048;
+    this.smoothingTimeConstant = 0.8;
+    this.spectrum = null;
+  }
+
+  get frequencyBinCount() {
+    return this.fftSize / 2;
+  }
+
+  /**
+   * Copies in the levels a test set with setSpectrum (silence otherwise)
+   * @param {Uint8Array} array - Array to fill, one byte per bin
+   */
+  getByteFrequencyData(array) {
+    array.fill(0);
+    if (this.spectrum) array.set(this.spectrum.subarray(0, array.length));
+  }
+
+  /**
+   * Fakes what the analyser hears
+   * @param {Function} levelAt - Takes a bin's frequency in Hz and returns its level from 0 to 255
+   */
+  setSpectrum(levelAt) {
+    const binWidth = this.context.sampleRate / this.fftSize;
+    this.spectrum = Uint8Array.from({ length: this.frequencyBinCount }, (_, i) => levelAt(i * binWidth));
+  }
+}
+
+export class FakeAudioContext {
+  constructor() {
+    this.state = 'running';
+    this.currentTime = 0;
+    this.sampleRate = 8000;
+    this.nodes = [];
+    this.destination = new AudioNode(this, 'destination');
+  }
+
+  createGain() {
+    const node = new AudioNode(this, 'gain');
+    node.gain = new AudioParam(1);
+    return node;
+  }
+
+  createOscillator() {
+    const node = new SourceNode(this, 'oscillator');
+    node.frequency = new AudioParam(440);
+    node.detune = new AudioParam(0);
+    return node;
+  }
+
+  createBufferSource() {
+    return new SourceNode(this, 'bufferSource');
+  }
+
+  createBiquadFilter() {
+    const node = new AudioNode(this, 'biquadFilter');
+    node.frequency = new AudioParam(350);
+    node.Q = new AudioParam(1);
+    return node;
+  }
+
+  createStereoPanner() {
+    const node = new AudioNode(this, 'stereoPanner');
+    node.pan = new AudioParam(0);
+    return node;
+  }
+
+  createAnalyser() {
+    return new AnalyserNode(this);
+  }
+
+  createBuffer(channels, length, sampleRate) {
+    const data = Array.from({ length: channels }, () => new Float32Array(length));
+    return { length, sampleRate, numberOfChannels: channels, getChannelData: channel => data[channel] };
+  }
+
+  suspend() {
+    this.state = 'suspended';
+    return Promise.resolve();
+  }
+
+  resume() {
+    this.state = 'running';
+    return Promise.resolve();
+  }
+
+  close() {
+    this.state = 'closed';
+    return Promise.resolve();
+  }
+
+  /**
+   * Oscillators and buffer sources that have been started
+   * @returns {Array<SourceNode>}
+   */
+  startedSources() {
+    return this.nodes.filter(node => node instanceof SourceNode && node.started !== null);
+  }
+}
+
+/**
+ * A FakeAudioContext that renders to a buffer - silence, as nothing is really synthesized,
+ * but the nodes record what would have been rendered
+ */
+export class FakeOfflineAudioContext extends FakeAudioContext {
+  constructor(channels, length, sampleRate) {
+    super();
+    this.numberOfChannels = channels;
+    this.length = length;
+    this.sampleRate = sampleRate;
+  }
+
+  startRendering() {
+    return Promise.resolve(this.createBuffer(this.numberOfChannels, this.length, this.sampleRate));
+  }
+}
+
+/**
+ * Installs FakeAudioContext as the global AudioContext, and FakeOfflineAudioContext as OfflineAudioContext
+ * @returns {{contexts: Array<FakeAudioContext>, offlineContexts: Array<FakeOfflineAudioContext>, restore: Function}} -
+ *   Every context created, and a function to remove the stub
+ */
+export function installWebAudio() {
+  const contexts = [];
+  const offlineContexts = [];
+  globalThis.AudioContext = class extends FakeAudioContext {
+    constructor() {
+      super();
+      contexts.push(this);
+    }
+  };
+  globalThis.OfflineAudioContext = class extends FakeOfflineAudioContext {
+    constructor(...args) {
+      super(...args);
+      offlineContexts.push(this);
+    }
+  };
+  window.OfflineAudioContext = globalThis.OfflineAudioContext;
+
+  return {
+    contexts,
+    offlineContexts,
+    restore() {
+      delete globalThis.AudioContext;
+      delete window.AudioContext;
+      delete globalThis.OfflineAudioContext;
+      delete window.OfflineAudioContext;
+    }
+  };
+}
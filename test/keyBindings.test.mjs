@@ -0,0 +1,90 @@
+import './helpers/setup.mjs';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  loadKeyBindings,
+  getKeyBindings,
+  getActionForKey,
+  bindKey,
+  resetKeyBindings,
+  formatKey
+} from '../js/game/engine/keyBindings.js';
+import { handlePlayerMovement, createPlayer } from '../js/game/entities/player.js';
+import { DEFAULT_KEY_BINDINGS, KEY_BINDINGS_STORAGE_KEY } from '../js/game/core/constants.js';
+
+beforeEach(() => {
+  localStorage.clear();
+  loadKeyBindings();
+});
+
+test('the default bindings cover the arrow keys and WASD, in either case', () => {
+  assert.equal(getActionForKey('ArrowLeft'), 'moveLeft');
+  assert.equal(getActionForKey('a'), 'moveLeft');
+  assert.equal(getActionForKey('D'), 'moveRight');
+  assert.equal(getActionForKey('M'), 'toggleMusic');
+  assert.equal(getActionForKey('r'), 'restart');
+  assert.equal(getActionForKey('Escape'), 'pause');
+  assert.equal(getActionForKey('q'), null);
+});
+
+test('bindKey moves a key to its new action and saves the bindings', () => {
+  bindKey('toggleMusic', 'A', 1);
+
+  assert.equal(getActionForKey('a'), 'toggleMusic');
+  assert.deepEqual(getKeyBindings().moveLeft, ['ArrowLeft'], 'the key is taken away from its old action');
+  assert.deepEqual(getKeyBindings().toggleMusic, ['m', 'a']);
+  assert.deepEqual(JSON.parse(localStorage.getItem(KEY_BINDINGS_STORAGE_KEY)).toggleMusic, ['m', 'a']);
+
+  bindKey('toggleMusic', 'n', 0);
+  assert.deepEqual(getKeyBindings().toggleMusic, ['n', 'a'], 'binding a slot replaces only that key');
+  assert.throws(() => bindKey('jump', 'j'), /Unknown input action/);
+});
+
+test('loadKeyBindings restores saved keys and keeps defaults for anything missing or broken', () => {
+  localStorage.setItem(KEY_BINDINGS_STORAGE_KEY, JSON.stringify({
+    moveLeft: ['j'],
+    moveRight: 'not a list',
+    restart: [42]
+  }));
+
+  const bindings = loadKeyBindings();
+
+  assert.deepEqual(bindings.moveLeft, ['j']);
+  assert.deepEqual(bindings.moveRight, DEFAULT_KEY_BINDINGS.moveRight);
+  assert.deepEqual(bindings.restart, DEFAULT_KEY_BINDINGS.restart);
+
+  localStorage.setItem(KEY_BINDINGS_STORAGE_KEY, '{not json');
+  assert.deepEqual(loadKeyBindings(), DEFAULT_KEY_BINDINGS);
+});
+
+test('resetKeyBindings brings back the defaults and forgets the saved ones', () => {
+  bindKey('restart', 'x');
+
+  assert.deepEqual(resetKeyBindings(), DEFAULT_KEY_BINDINGS);
+  assert.equal(localStorage.getItem(KEY_BINDINGS_STORAGE_KEY), null);
+  assert.deepEqual(loadKeyBindings(), DEFAULT_KEY_BINDINGS);
+});
+
+test('getKeyBindings hands out a copy', () => {
+  getKeyBindings().moveLeft.push('z');
+
+  assert.equal(getActionForKey('z'), null);
+});
+
+test('formatKey gives short labels for hints', () => {
+  assert.equal(formatKey('ArrowLeft'), '←');
+  assert.equal(formatKey(' '), 'Space');
+  assert.equal(formatKey('w'), 'W');
+  assert.equal(formatKey('Escape'), 'Esc');
+  assert.equal(formatKey(undefined), '—');
+});
+
+test('handlePlayerMovement takes lane change actions and stays on the track', () => {
+  const player = createPlayer();
+
+  assert.equal(handlePlayerMovement('moveLeft', player, 1), 0);
+  assert.equal(handlePlayerMovement('moveLeft', player, 0), 0);
+  assert.equal(handlePlayerMovement('moveRight', player, 1), 2);
+  assert.equal(handlePlayerMovement('moveRight', player, 2), 2);
+  assert.equal(handlePlayerMovement('pause', player, 1), 1);
+});
@@ -0,0 +1,251 @@
+import './helpers/setup.mjs';
+import { test, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installWebAudio } from './helpers/web-audio-stub.mjs';
+import { initAudio, stopMusic, setSong, setMusicIntensity, renderLoop } from '../js/game/core/audio.js';
+import { validateSong } from '../js/game/data/songs.js';
+import { encodeWav } from '../js/game/utils/wav.js';
+import { encodeMidi } from '../js/game/utils/midi.js';
+import { exportLoop, exportMidi, getSongMidi } from '../js/game/ui/musicExport.js';
+import { EXPORT_SAMPLE_RATE, MIDI_TICKS_PER_BEAT, MIDI_DRUM_CHANNEL } from '../js/game/core/constants.js';
+
+const { song: SONG } = validateSong({
+  name: 'Export Me',
+  bpm: 120,
+  key: 'A minor',
+  chords: [[45, 48, 52], [41, 45, 48]],
+  tracks: {
+    bass: { pitch: 'root', division: 1, patterns: [[0, null, 0, null]] },
+    arp: { patterns: [[0, 1, 2, 1, 0, 1, 2, 1]], skipChance: 0.5 },
+    kick: { division: 1, patterns: [[1, 0, 1, 0]] },
+    hihat: { division: 1, patterns: [[0, 1, 0, 1]] }
+  }
+});
+
+let webAudio;
+
+/**
+ * Everything an offline render scheduled, in an order-independent form that can be compared
+ * @param {Object} context - Offline context from the stub
+ * @returns {Array<Array>} - One entry per started source: kind, wave, start, stop, pitch, detune and noise
+ */
+function describeRender(context) {
+  return context.startedSources().map(source => [
+    source.kind,
+    source.type,
+    source.started,
+    source.stopped,
+    source.frequency ? source.frequency.value : null,
+    source.detune ? source.detune.value : null,
+    source.buffer ? source.buffer.getChannelData(0).reduce((total, sample) => total + sample, 0) : null
+  ]);
+}
+
+/**
+ * Reads a MIDI file back into its tracks
+ * @param {Uint8Array} bytes - The file
+ * @returns {{format: number, ticksPerBeat: number, tracks: Array<Object>}} - Each track's name, tempo
+ *   (microseconds per beat), program changes and notes as [channel, note, velocity, tick, duration]
+ */
+function readMidi(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const text = (offset, length) => String.fromCharCode(...bytes.subarray(offset, offset + length));
+  assert.equal(text(0, 4), 'MThd');
+
+  let offset = 14;
+  const tracks = [];
+  while (offset < bytes.length) {
+    assert.equal(text(offset, 4), 'MTrk');
+    const end = offset + 8 + view.getUint32(offset + 4);
+    const track = { name: null, tempo: null, programs: [], notes: [] };
+    const open = new Map();
+    let tick = 0;
+    let position = offset + 8;
+    const readVariable = () => {
+      let value = 0;
+      let byte;
+      do {
+        byte = bytes[position++];
+        value = (value << 7) | (byte & 0x7f);
+      } while (byte & 0x80);
+      return value;
+    };
+
+    while (position < end) {
+      tick += readVariable();
+      const status = bytes[position++];
+      if (status === 0xff) {
+        const type = bytes[position++];
+        const length = readVariable();
+        const data = bytes.subarray(position, position + length);
+        if (type === 0x03) track.name = String.fromCharCode(...data);
+        if (type === 0x51) track.tempo = (data[0] << 16) | (data[1] << 8) | data[2];
+        position += length;
+      } else if ((status & 0xf0) === 0xc0) {
+        track.programs.push([status & 0x0f, bytes[position++]]);
+      } else {
+        const [note, velocity] = [bytes[position++], bytes[position++]];
+        const key = `${status & 0x0f}:${note}`;
+        if ((status & 0xf0) === 0x90 && velocity > 0) {
+          open.set(key, [status & 0x0f, note, velocity, tick]);
+        } else {
+          const started = open.get(key);
+          track.notes.push([...started, tick - started[3]]);
+          open.delete(key);
+        }
+      }
+    }
+    assert.equal(open.size, 0, 'every note is released');
+    tracks.push(track);
+    offset = end;
+  }
+
+  return { format: view.getUint16(8), ticksPerBeat: view.getUint16(12), tracks };
+}
+
+before(() => {
+  webAudio = installWebAudio();
+  initAudio();
+  setSong(SONG);
+});
+
+after(() => {
+  webAudio.restore();
+});
+
+afterEach(() => {
+  stopMusic(0);
+  setMusicIntensity(1, 1);
+});
+
+test('renderLoop plays every layer of the song into an offline context', async () => {
+  setMusicIntensity(0, 1.25);
+  const rendered = await renderLoop(2);
+  const context = webAudio.offlineContexts.at(-1);
+
+  assert.equal(rendered.sampleRate, EXPORT_SAMPLE_RATE);
+  assert.equal(rendered.length, 4 * EXPORT_SAMPLE_RATE, 'two bars at the song\'s own 120 BPM');
+
+  const sources = context.startedSources();
+  const kicks = sources.filter(source => source.kind === 'oscillator' && source.frequency.events.length > 0);
+  assert.deepEqual(kicks.map(source => source.started), [0, 1, 2, 3]);
+  assert.ok(sources.some(source => source.kind === 'bufferSource'), 'the hi-hats play whatever the game\'s intensity');
+  assert.ok(sources.every(source => source.reaches(context.destination)));
+
+  const bass = sources.filter(source => source.type === 'sawtooth').map(source => source.frequency.value);
+  assert.deepEqual(bass.map(Math.round), [110, 110, 87, 87], 'follows the chords bar by bar');
+  assert.equal(webAudio.contexts[0].startedSources().length, 0, 'nothing is played out loud');
+});
+
+test('a song always renders the same', async () => {
+  await renderLoop(4);
+  await renderLoop(4);
+  const [first, second] = webAudio.offlineContexts.slice(-2).map(describeRender);
+
+  assert.ok(first.length > 0);
+  assert.deepEqual(first, second);
+});
+
+test('renderLoop rejects when there is nothing to render', async () => {
+  await assert.rejects(renderLoop(1, null), /No song/);
+});
+
+test('encodeWav writes 16-bit PCM with the channels interleaved', () => {
+  const left = new Float32Array([0, 1, -1, 2]);
+  const right = new Float32Array([0.5, -0.5, 0, -2]);
+  const bytes = encodeWav({ numberOfChannels: 2, length: 4, sampleRate: 8000, getChannelData: channel => [left, right][channel] });
+  const view = new DataView(bytes);
+  const text = (offset, length) => String.fromCharCode(...new Uint8Array(bytes, offset, length));
+
+  assert.equal(bytes.byteLength, 44 + 4 * 2 * 2);
+  assert.equal(text(0, 4), 'RIFF');
+  assert.equal(view.getUint32(4, true), bytes.byteLength - 8);
+  assert.equal(text(8, 8), 'WAVEfmt ');
+  assert.equal(view.getUint16(22, true), 2);
+  assert.equal(view.getUint32(24, true), 8000);
+  assert.equal(view.getUint32(28, true), 8000 * 4);
+  assert.equal(view.getUint16(34, true), 16);
+  assert.equal(text(36, 4), 'data');
+
+  const samples = Array.from({ length: 8 }, (_, i) => view.getInt16(44 + i * 2, true));
+  assert.deepEqual(samples, [0, 16383, 32767, -16384, -32768, 0, 32767, -32768], 'clipped past full scale');
+});
+
+test('exportLoop downloads the rendered loop as a WAV file', async t => {
+  const links = [];
+  t.mock.method(document, 'createElement', () => {
+    const link = { click() { this.clicked = true; }, remove() {} };
+    links.push(link);
+    return link;
+  });
+  document.body = { appendChild() {} };
+  t.after(() => delete document.body);
+
+  assert.equal(await exportLoop(1), true);
+  assert.equal(links.length, 1);
+  assert.equal(links[0].download, 'neon-wave-export-me-1-bars.wav');
+  assert.ok(links[0].clicked);
+});
+
+test('the song\'s patterns are written as a MIDI file with one track per instrument', () => {
+  const { format, ticksPerBeat, tracks } = readMidi(getSongMidi(SONG, 2));
+  const [conductor, bass, arp, kick, hihat] = tracks;
+  const beat = MIDI_TICKS_PER_BEAT;
+
+  assert.equal(format, 1);
+  assert.equal(ticksPerBeat, beat);
+  assert.equal(conductor.name, 'Export Me');
+  assert.equal(conductor.tempo, 500000, '120 BPM');
+  assert.deepEqual(tracks.slice(1).map(track => track.name), ['Bass', 'Arpeggio', 'Kick', 'Hi-Hat']);
+
+  assert.deepEqual(bass.programs, [[0, 38]]);
+  assert.deepEqual(bass.notes, [
+    [0, 45, 100, 0, beat],
+    [0, 45, 100, 2 * beat, beat],
+    [0, 41, 100, 4 * beat, beat],
+    [0, 41, 100, 6 * beat, beat]
+  ]);
+  assert.equal(arp.notes.length, 16, 'every note the sequencer might play, with none randomly skipped');
+  assert.deepEqual(arp.notes.slice(0, 2), [[1, 45, 100, 0, beat / 2], [1, 48, 100, beat / 2, beat / 2]]);
+
+  assert.deepEqual(kick.programs, []);
+  assert.deepEqual(kick.notes.slice(0, 2), [[MIDI_DRUM_CHANNEL, 36, 127, 0, beat], [MIDI_DRUM_CHANNEL, 36, 127, 2 * beat, beat]]);
+  assert.ok(hihat.notes.every(([channel, note]) => channel === MIDI_DRUM_CHANNEL && note === 42));
+});
+
+test('exportMidi downloads a .mid file', t => {
+  const links = [];
+  t.mock.method(document, 'createElement', () => {
+    const link = { click() { this.clicked = true; }, remove() {} };
+    links.push(link);
+    return link;
+  });
+  document.body = { appendChild() {} };
+  t.after(() => delete document.body);
+
+  assert.equal(exportMidi(4), true);
+  assert.equal(links[0].download, 'neon-wave-export-me-4-bars.mid');
+  assert.ok(links[0].clicked);
+});
+
+test('MIDI values that don\'t fit in a data byte are rejected rather than corrupting the file', t => {
+  const file = notes => ({ name: 'Range', bpm: 120, ticksPerBeat: 480, tracks: [{ name: 'Lead', channel: 0, program: 80, notes }] });
+
+  assert.throws(() => encodeMidi(file([{ tick: 0, duration: 480, note: 128, velocity: 100 }])), /Note in "Lead" must be from 0 to 127, got 128/);
+  assert.throws(() => encodeMidi(file([{ tick: 0, duration: 480, note: 60, velocity: -1 }])), RangeError);
+  assert.doesNotThrow(() => encodeMidi(file([{ tick: 0, duration: 480, note: 127, velocity: 127 }])));
+
+  // A song that skipped validation can't produce a broken download
+  const links = [];
+  t.mock.method(document, 'createElement', () => {
+    const link = { click() {}, remove() {} };
+    links.push(link);
+    return link;
+  });
+  const brokenSong = { ...SONG, tracks: { bass: { ...SONG.tracks.bass, transpose: 100 } } };
+  setSong(brokenSong);
+  t.after(() => setSong(SONG));
+
+  assert.equal(exportMidi(1), false);
+  assert.equal(links.length, 0);
+});
@@ -0,0 +1,87 @@
+import './helpers/setup.mjs';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { pauseGame, resumeGame, togglePause } from '../js/game/engine/pause.js';
+import { initAnimationLoop, startRun } from '../js/game/engine/animationLoop.js';
+import { createHeadlessSceneManager } from '../js/game/engine/headless.js';
+import { initializePlayer } from '../js/game/entities/player.js';
+import { endReplayRun } from '../js/game/engine/replay.js';
+import { createCollectionEffect } from '../js/game/entities/collectibles/collectibleEffects.js';
+import gameState from '../js/game/state/gameState.js';
+
+const REPOS = [{ name: 'newest-app', description: 'The most recently pushed project', language: 'JavaScript' }];
+
+beforeEach(() => {
+  resumeGame();
+  gameState.gameStarted = true;
+  gameState.gameOver = false;
+});
+
+test('togglePause pauses and resumes a run', () => {
+  assert.equal(togglePause(), true);
+  assert.equal(gameState.paused, true);
+  assert.equal(pauseGame(), false, 'already paused');
+
+  assert.equal(togglePause(), false);
+  assert.equal(gameState.paused, false);
+  assert.equal(resumeGame(), false, 'already running');
+});
+
+test('a finished run can\'t be paused', () => {
+  gameState.gameOver = true;
+
+  assert.equal(pauseGame(), false);
+  assert.equal(gameState.paused, false);
+});
+
+test('the loop stops stepping while paused and doesn\'t catch up afterwards', () => {
+  const sceneManager = createHeadlessSceneManager();
+  const player = initializePlayer(sceneManager.scene, 1);
+  startRun(sceneManager, player, REPOS, [], { seed: 'pause' });
+  const animate = initAnimationLoop(sceneManager, player, REPOS, []);
+
+  animate(0);
+  animate(100);
+  const ticksBeforePause = gameState.runTicks;
+  const simTimeBeforePause = gameState.simTime;
+  assert.ok(ticksBeforePause > 0);
+
+  pauseGame();
+  animate(150);
+  animate(10000);
+  assert.equal(gameState.runTicks, ticksBeforePause);
+  assert.equal(gameState.simTime, simTimeBeforePause, 'spawn timers and slowdowns are frozen too');
+
+  resumeGame();
+  animate(10050);
+  assert.ok(gameState.runTicks - ticksBeforePause <= 3, 'only the time since resuming is simulated');
+
+  endReplayRun();
+});
+
+test('the pickup burst holds still while paused and carries on afterwards', t => {
+  const frames = [];
+  t.mock.method(globalThis, 'requestAnimationFrame', callback => frames.push(callback));
+  t.mock.method(performance, 'now', () => 0);
+  const scene = new THREE.Scene();
+  const nextFrame = now => frames.shift()(now);
+
+  createCollectionEffect(0, 0.5, 0, false, scene, [], [], []);
+  const [ring] = scene.children;
+  const effectParts = scene.children.length;
+  nextFrame(50);
+  const scaleBeforePause = ring.scale.x;
+
+  pauseGame();
+  nextFrame(100);
+  nextFrame(60000);
+  assert.equal(ring.scale.x, scaleBeforePause);
+  assert.equal(scene.children.length, effectParts, 'nothing expires while paused');
+
+  resumeGame();
+  nextFrame(60050);
+  assert.ok(Math.abs(ring.scale.x - (scaleBeforePause + 9 * 0.05)) < 1e-9, 'only the time since resuming counts');
+
+  for (let now = 60100; frames.length > 0; now += 50) nextFrame(now);
+  assert.equal(scene.children.length, 0, 'the burst cleans up after itself');
+});
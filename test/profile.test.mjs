@@ -0,0 +1,153 @@
+import './helpers/setup.mjs';
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mockFetch, loadFixture } from './helpers/fetch-mock.mjs';
+import { clearGitHubCache } from '../js/game/data/githubCache.js';
+import { validateResume } from '../js/game/data/resume.js';
+import { processGitHubProfileData } from '../js/game/data/profile.js';
+
+const USER_URL = 'https://api.github.com/users/octo-dev';
+const REPOS_URL = 'https://api.github.com/users/octo-dev/repos?per_page=20&sort=updated';
+const RESUME_URL = '/js/game/data/resume.json';
+
+let fetchMock = null;
+
+/**
+ * Builds combined profile data like fetchGitHubProfileData returns
+ * @param {Object} overrides - Fields to override
+ * @returns {Object} - Profile data
+ */
+function profileData(overrides = {}) {
+  return {
+    type: 'github_profile',
+    name: 'Octo Dev',
+    login: 'octo-dev',
+    bio: 'Builds things',
+    company: 'Acme',
+    location: 'Springfield',
+    created_at: '2012-03-04T05:06:07Z',
+    public_repos: 7,
+    followers: 42,
+    total_stars: 17,
+    languages: [],
+    repos: [],
+    resumeData: null,
+    ...overrides
+  };
+}
+
+beforeEach(() => {
+  clearGitHubCache();
+});
+
+afterEach(() => {
+  if (fetchMock) fetchMock.restore();
+  fetchMock = null;
+});
+
+test('processGitHubProfileData builds profile, location and stats items', () => {
+  const items = processGitHubProfileData(profileData());
+
+  assert.deepEqual(items.map(item => item.type), ['profile', 'location', 'stats']);
+  assert.equal(items[0].details, 'Builds things');
+  assert.equal(items[1].details, 'GitHub since 2012');
+  assert.equal(items[2].description, '7 Repositories');
+  assert.equal(items[2].details, '42 Followers • 17 Stars');
+});
+
+test('processGitHubProfileData groups languages three to an item', () => {
+  const items = processGitHubProfileData(profileData({
+    languages: ['Swift', 'JavaScript', 'Go', 'Ruby']
+  }));
+
+  const languages = items.filter(item => item.type === 'languages');
+  assert.deepEqual(languages.map(item => item.description), ['Swift • JavaScript • Go', 'Ruby']);
+});
+
+test('processGitHubProfileData features at most five repos with stars or real descriptions', () => {
+  const repos = [
+    { name: 'no-stars-short', description: 'short', stars: 0 },
+    ...Array.from({ length: 6 }, (_, i) => ({ name: `starred-${i}`, description: '', stars: i + 1, language: 'Go' }))
+  ];
+
+  const featured = processGitHubProfileData(profileData({ repos }))
+    .filter(item => item.type === 'featured_repo');
+
+  assert.equal(featured.length, 5);
+  assert.ok(featured.every(item => item.name.startsWith('starred-')));
+});
+
+test('processGitHubProfileData prefers the resume location and includes resume items', async () => {
+  const { resume } = validateResume(await loadFixture('resume.json'));
+
+  const items = processGitHubProfileData(profileData({ resumeData: resume }));
+  const locations = items.filter(item => item.type === 'location');
+
+  assert.equal(locations.length, 1);
+  assert.equal(locations[0].source, 'resume');
+  assert.ok(items.some(item => item.type === 'job'));
+  assert.ok(items.some(item => item.type === 'award'));
+});
+
+test('processGitHubProfileData skips stats when GitHub data is missing', () => {
+  const items = processGitHubProfileData(profileData({ public_repos: undefined, location: null, company: null }));
+
+  assert.deepEqual(items.map(item => item.type), ['profile']);
+});
+
+test('fetchGitHubProfileData keeps resume items when GitHub returns an error', async () => {
+  fetchMock = mockFetch({
+    [USER_URL]: { status: 500, body: { message: 'Server Error' } },
+    [RESUME_URL]: { body: await loadFixture('resume.json') }
+  });
+  const { fetchGitHubProfileData } = await import('../js/game/data/profile.js?case=github-down');
+
+  const data = await fetchGitHubProfileData('octo-dev');
+  const items = processGitHubProfileData(data);
+
+  assert.equal(data.name, 'Octo Dev');
+  assert.deepEqual(data.repos, []);
+  assert.ok(items.some(item => item.type === 'job'));
+  assert.ok(!items.some(item => item.type === 'stats'));
+});
+
+test('fetchGitHubProfileData returns bare profile data when GitHub and the resume both fail', async () => {
+  fetchMock = mockFetch({ [USER_URL]: new TypeError('Failed to fetch') });
+  const { fetchGitHubProfileData } = await import('../js/game/data/profile.js?case=all-down');
+
+  const data = await fetchGitHubProfileData('octo-dev');
+
+  assert.equal(data.name, 'octo-dev');
+  assert.equal(data.resumeData, null);
+  assert.deepEqual(processGitHubProfileData(data).map(item => item.type), ['profile']);
+});
+
+test('fetchGitHubProfileData combines the profile, repo stats and resume', async () => {
+  fetchMock = mockFetch({
+    [USER_URL]: { body: await loadFixture('github-user.json') },
+    [REPOS_URL]: { body: await loadFixture('github-repos.json') },
+    [RESUME_URL]: { body: await loadFixture('resume.json') }
+  });
+  const { fetchGitHubProfileData } = await import('../js/game/data/profile.js?case=success');
+
+  const data = await fetchGitHubProfileData('octo-dev');
+
+  assert.equal(data.name, 'Octo Dev');
+  assert.equal(data.total_stars, 17);
+  assert.deepEqual(data.languages.sort(), ['Go', 'JavaScript', 'Ruby', 'Shift', 'Swift']);
+  assert.equal(data.repos.length, 8);
+  assert.equal(data.resumeData.basics.name, 'Octo Dev');
+});
+
+test('repos without star counts add up to no stars rather than NaN', async () => {
+  const repos = (await loadFixture('github-repos.json')).map(({ stargazers_count, ...repo }) => repo);
+  fetchMock = mockFetch({
+    [USER_URL]: { body: await loadFixture('github-user.json') },
+    [REPOS_URL]: { body: repos }
+  });
+  const { fetchGitHubProfileData } = await import('../js/game/data/profile.js?case=no-stars');
+
+  const data = await fetchGitHubProfileData('octo-dev');
+
+  assert.equal(data.total_stars, 0);
+});
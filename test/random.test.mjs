@@ -0,0 +1,87 @@
+import './helpers/setup.mjs';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  hashSeed,
+  createRandom,
+  beginRun,
+  getSeed,
+  setFixedSeed,
+  random
+} from '../js/game/core/random.js';
+import { randomInt } from '../js/game/utils/helpers.js';
+
+/**
+ * Draws several numbers from a stream
+ * @param {number} count - How many to draw
+ * @param {string} stream - Stream name
+ * @returns {Array<number>} - The numbers
+ */
+function draw(count, stream = 'gameplay') {
+  return Array.from({ length: count }, () => random(stream));
+}
+
+test('createRandom gives the same sequence for the same seed', () => {
+  const a = createRandom(1234);
+  const b = createRandom(1234);
+  const c = createRandom(1235);
+
+  const sequence = Array.from({ length: 5 }, () => a.next());
+  assert.deepEqual(Array.from({ length: 5 }, () => b.next()), sequence);
+  assert.notDeepEqual(Array.from({ length: 5 }, () => c.next()), sequence);
+  assert.ok(sequence.every(value => value >= 0 && value < 1));
+});
+
+test('hashSeed maps strings to stable 32-bit seeds', () => {
+  assert.equal(hashSeed('2026-10-19'), hashSeed('2026-10-19'));
+  assert.notEqual(hashSeed('2026-10-19'), hashSeed('2026-10-20'));
+  assert.equal(hashSeed(42), 42);
+  assert.ok(hashSeed('daily') >= 0 && hashSeed('daily') < 2 ** 32);
+});
+
+test('beginRun restarts every stream from the seed', () => {
+  beginRun('replay-me');
+  const gameplay = draw(4);
+  const effects = draw(4, 'effects');
+
+  beginRun('replay-me');
+  assert.deepEqual(draw(4), gameplay);
+  assert.deepEqual(draw(4, 'effects'), effects);
+  assert.notDeepEqual(effects, gameplay);
+});
+
+test('drawing effects numbers does not shift the gameplay sequence', () => {
+  beginRun(7);
+  const expected = draw(3);
+
+  beginRun(7);
+  draw(10, 'effects');
+  draw(10, 'audio');
+  assert.deepEqual(draw(3), expected);
+});
+
+test('runs use the fixed seed when one is set, and a fresh one otherwise', () => {
+  setFixedSeed('12345');
+  assert.equal(beginRun(), 12345);
+  assert.equal(getSeed(), 12345);
+
+  setFixedSeed(null);
+  const first = beginRun();
+  const second = beginRun();
+  assert.equal(typeof first, 'number');
+  assert.notEqual(first, second);
+});
+
+test('randomInt stays in range and draws from the stream it is given', () => {
+  beginRun(99);
+  for (let i = 0; i < 100; i++) {
+    const value = randomInt(2, 4);
+    assert.ok(value >= 2 && value <= 4 && Number.isInteger(value));
+  }
+
+  beginRun(99);
+  const fromEffects = randomInt(0, 1000, 'effects');
+  beginRun(99);
+  assert.equal(fromEffects, Math.floor(random('effects') * 1001));
+  assert.throws(() => random('music'), /Unknown random stream/);
+});
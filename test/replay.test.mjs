@@ -0,0 +1,204 @@
+import './helpers/setup.mjs';
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile, writeFile } from 'node:fs/promises';
+import { mockFetch } from './helpers/fetch-mock.mjs';
+import { runHeadless, followNearestCollectible } from '../js/game/engine/headless.js';
+import {
+  validateReplay,
+  loadReplay,
+  startPlayback,
+  stopPlayback,
+  getPlaybackInput,
+  isReplaying
+} from '../js/game/engine/replay.js';
+import gameState from '../js/game/state/gameState.js';
+
+const REPOS = [
+  { name: 'newest-app', description: 'The most recently pushed project', language: 'JavaScript' },
+  { name: 'older-tool', description: 'A tool that was updated a while ago', language: 'Swift' }
+];
+const PROFILE_ITEMS = [
+  { name: 'Acme', description: 'Staff Engineer', type: 'job', source: 'resume' },
+  { name: 'GitHub Stats', description: '7 Repositories', type: 'stats' }
+];
+const FIXTURE_URL = new URL('./fixtures/replay-run.json', import.meta.url);
+
+let fetchMock = null;
+
+/**
+ * Builds a valid replay document
+ * @param {Object} overrides - Fields to override
+ * @returns {Object} - Replay document
+ */
+function replayDocument(overrides = {}) {
+  return {
+    version: 1,
+    tickRate: 60,
+    seed: 1234,
+    startLane: 1,
+    data: 'abcd0123',
+    ticks: 600,
+    score: 500,
+    inputs: [[10, 0], [40, 1], [40, 2]],
+    ...overrides
+  };
+}
+
+afterEach(() => {
+  if (fetchMock) fetchMock.restore();
+  fetchMock = null;
+  stopPlayback();
+});
+
+test('validateReplay accepts a well-formed replay', () => {
+  const { replay, errors } = validateReplay(replayDocument());
+
+  assert.deepEqual(errors, []);
+  assert.equal(replay.seed, 1234);
+  assert.deepEqual(replay.inputs, [[10, 0], [40, 1], [40, 2]]);
+});
+
+test('validateReplay rejects bad lanes, out-of-order steps and other versions', () => {
+  assert.equal(validateReplay(null).replay, null);
+
+  const { replay, errors } = validateReplay(replayDocument({
+    version: 2,
+    startLane: 5,
+    inputs: [[30, 0], [20, 1], [40, 9], [50, 2, 7]]
+  }));
+
+  assert.equal(replay, null);
+  assert.deepEqual(errors, [
+    'Unsupported replay version 2',
+    '"startLane" must be a lane index',
+    'inputs[1] must be [step, lane] or [step, lane, x] with steps in order',
+    'inputs[2] must be [step, lane] or [step, lane, x] with steps in order',
+    'inputs[3] must be [step, lane] or [step, lane, x] with steps in order'
+  ]);
+});
+
+test('a replay that doesn\'t say how long the run lasted is rejected rather than playing nothing', async () => {
+  const withoutTicks = replayDocument();
+  delete withoutTicks.ticks;
+  fetchMock = mockFetch({ '/replays/no-ticks.json': { body: withoutTicks } });
+
+  assert.equal(await loadReplay('/replays/no-ticks.json'), null);
+  assert.deepEqual(validateReplay(withoutTicks).errors, ['"ticks" must be the number of steps the run lasted']);
+  assert.deepEqual(validateReplay(replayDocument({ ticks: -1 })).errors, ['"ticks" must be the number of steps the run lasted']);
+  assert.equal(validateReplay(replayDocument({ ticks: 0, inputs: [] })).replay.ticks, 0);
+});
+
+test('getPlaybackInput hands out each input on its step', () => {
+  startPlayback(validateReplay(replayDocument({ inputs: [[10, 0], [40, 1], [40, 2], [60, 2, 1.25]] })).replay);
+
+  assert.equal(isReplaying(), true);
+  assert.equal(getPlaybackInput(0), undefined);
+  assert.deepEqual(getPlaybackInput(10), { lane: 0, steerX: null });
+  assert.equal(getPlaybackInput(11), undefined);
+  assert.deepEqual(getPlaybackInput(40), { lane: 2, steerX: null }, 'the last input on a step wins');
+  assert.deepEqual(getPlaybackInput(60), { lane: 2, steerX: 1.25 }, 'analog steering keeps its position');
+});
+
+test('an analog steering replay drives the car to the recorded positions', () => {
+  const replay = validateReplay(replayDocument({ seed: 'analog', inputs: [[0, 0, -1.3], [120, 2, 1.7]] })).replay;
+  const positions = {};
+
+  runHeadless({
+    ticks: 240,
+    replay,
+    githubRepos: REPOS,
+    profileData: PROFILE_ITEMS,
+    onTick: ({ tick, player }) => {
+      positions[tick] = player.position.x;
+    }
+  });
+
+  assert.ok(Math.abs(positions[119] - -1.3) < 0.01);
+  assert.ok(Math.abs(positions[239] - 1.7) < 0.01);
+  assert.equal(gameState.steerX, 1.7);
+});
+
+test('loadReplay fetches and validates a replay file', async () => {
+  fetchMock = mockFetch({
+    '/replays/good.json': { body: replayDocument() },
+    '/replays/bad.json': { body: { version: 1 } }
+  });
+
+  assert.equal((await loadReplay('/replays/good.json')).seed, 1234);
+  assert.equal(await loadReplay('/replays/bad.json'), null);
+  assert.equal(await loadReplay('/replays/missing.json'), null);
+});
+
+test('a recorded run plays back to the same result', () => {
+  const recorded = runHeadless({
+    ticks: 1800,
+    seed: 'round-trip',
+    githubRepos: REPOS,
+    profileData: PROFILE_ITEMS,
+    steer: followNearestCollectible
+  });
+  assert.ok(recorded.replay.inputs.length > 0);
+
+  const replayed = runHeadless({ ticks: 1800, replay: recorded.replay, githubRepos: REPOS, profileData: PROFILE_ITEMS });
+
+  assert.equal(replayed.score, recorded.score);
+  assert.equal(replayed.distance, recorded.distance);
+  assert.deepEqual(replayed.collectibles, recorded.collectibles);
+  assert.equal(replayed.replay, null, 'playing back does not record');
+});
+
+test('a run that was restarted rather than lost stops playing back after its last step', t => {
+  const recorded = runHeadless({
+    ticks: 300,
+    seed: 'restarted',
+    githubRepos: REPOS,
+    profileData: PROFILE_ITEMS,
+    steer: followNearestCollectible
+  });
+  assert.equal(recorded.endedAtTick, null, 'still going when it was restarted');
+  assert.equal(recorded.replay.ticks, 300);
+
+  const badge = { hidden: false };
+  t.mock.method(document, 'getElementById', id => (id === 'replay-indicator'
+    ? { classList: { toggle: (name, hidden) => { badge.hidden = hidden; } } }
+    : null));
+
+  const replayingAt = {};
+  runHeadless({
+    ticks: 360,
+    replay: recorded.replay,
+    githubRepos: REPOS,
+    profileData: PROFILE_ITEMS,
+    stopOnGameOver: false,
+    onTick: ({ tick }) => {
+      replayingAt[tick] = isReplaying();
+    }
+  });
+
+  assert.equal(replayingAt[298], true);
+  assert.equal(replayingAt[300], false, 'the player has the car back');
+  assert.equal(badge.hidden, true, 'and the REPLAY badge is gone');
+});
+
+// Regression fixture: a saved run must keep scoring the same. If a gameplay change is meant to
+// alter it, regenerate with UPDATE_FIXTURES=1 node --test test/replay.test.mjs
+test('the saved fixture run still plays back to its recorded score', async () => {
+  if (process.env.UPDATE_FIXTURES) {
+    const { replay } = runHeadless({
+      ticks: 2400,
+      seed: 'fixture',
+      githubRepos: REPOS,
+      profileData: PROFILE_ITEMS,
+      steer: followNearestCollectible
+    });
+    await writeFile(FIXTURE_URL, JSON.stringify(replay) + '\n');
+  }
+
+  const { replay, errors } = validateReplay(JSON.parse(await readFile(FIXTURE_URL, 'utf8')));
+  assert.deepEqual(errors, []);
+
+  const stats = runHeadless({ ticks: replay.ticks, replay, githubRepos: REPOS, profileData: PROFILE_ITEMS });
+
+  assert.equal(stats.score, replay.score);
+});
@@ -0,0 +1,88 @@
+import './helpers/setup.mjs';
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mockFetch, loadFixture } from './helpers/fetch-mock.mjs';
+import { fetchResumeData, validateResume, formatResumeDate, resumeToItems } from '../js/game/data/resume.js';
+
+let fetchMock = null;
+
+afterEach(() => {
+  if (fetchMock) fetchMock.restore();
+  fetchMock = null;
+});
+
+test('validateResume drops entries missing required fields and reports them', async () => {
+  const { resume, errors } = validateResume(await loadFixture('resume.json'));
+
+  assert.deepEqual(resume.work.map(job => job.name), ['Acme', 'Initech']);
+  assert.deepEqual(errors, ['work[2] is missing position']);
+});
+
+test('validateResume rejects non-object documents and non-array sections', () => {
+  assert.equal(validateResume(null).resume, null);
+  assert.equal(validateResume([]).resume, null);
+
+  const { resume, errors } = validateResume({ skills: 'Swift' });
+  assert.deepEqual(resume.skills, []);
+  assert.deepEqual(errors, ['"skills" must be an array']);
+});
+
+test('formatResumeDate handles months, bare years and missing dates', () => {
+  assert.equal(formatResumeDate('2011-11'), 'NOV 2011');
+  assert.equal(formatResumeDate('2011-11-15'), 'NOV 2011');
+  assert.equal(formatResumeDate('1997'), '1997');
+  assert.equal(formatResumeDate(''), '');
+});
+
+test('resumeToItems maps sections to the game item types', async () => {
+  const { resume } = validateResume(await loadFixture('resume.json'));
+
+  const items = resumeToItems(resume);
+
+  assert.deepEqual(items.map(item => item.type), [
+    'location', 'job', 'job_details', 'job', 'skills', 'education', 'award', 'award'
+  ]);
+  assert.ok(items.every(item => item.source === 'resume'));
+});
+
+test('resumeToItems formats jobs, education and awards for display', async () => {
+  const { resume } = validateResume(await loadFixture('resume.json'));
+
+  const items = resumeToItems(resume);
+  const byType = type => items.filter(item => item.type === type);
+
+  assert.equal(byType('location')[0].name, 'Springfield, Oregon');
+  assert.equal(byType('job')[0].details, 'MAY 2020 - PRESENT • Remote');
+  assert.equal(byType('job')[1].details, 'JAN 2015 - APR 2020');
+  assert.equal(byType('job_details')[0].details, 'Leads the platform team.');
+  assert.equal(byType('skills')[0].description, 'Swift • Synthesizers');
+  assert.equal(byType('education')[0].description, 'BS, Computer Science');
+  assert.equal(byType('education')[0].details, '2011 - 2015');
+  assert.deepEqual(byType('award').map(item => item.name), ['Patent', 'Award']);
+  assert.equal(byType('award')[0].details, 'US1234567 • SEP 2019');
+});
+
+test('resumeToItems returns nothing without a resume', () => {
+  assert.deepEqual(resumeToItems(null), []);
+});
+
+test('fetchResumeData returns the validated resume', async () => {
+  fetchMock = mockFetch({ '/resume.json': { body: await loadFixture('resume.json') } });
+
+  const resume = await fetchResumeData('/resume.json');
+
+  assert.equal(resume.basics.name, 'Octo Dev');
+  assert.equal(resume.work.length, 2);
+});
+
+test('fetchResumeData returns null on a non-OK response', async () => {
+  fetchMock = mockFetch({});
+
+  assert.equal(await fetchResumeData('/missing.json'), null);
+});
+
+test('fetchResumeData returns null for a document that is not a resume', async () => {
+  fetchMock = mockFetch({ '/resume.json': { body: ['not', 'a', 'resume'] } });
+
+  assert.equal(await fetchResumeData('/resume.json'), null);
+});
@@ -0,0 +1,129 @@
+import './helpers/setup.mjs';
+import { test, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { installWebAudio } from './helpers/web-audio-stub.mjs';
+import {
+  initAudio,
+  toggleMusic,
+  stopMusic,
+  isMusicEnabled,
+  getSfxBus,
+  getCurrentChord,
+  setSfxVolume,
+  setMusicVolume,
+  setSong,
+  midiToFrequency
+} from '../js/game/core/audio.js';
+import { validateSong } from '../js/game/data/songs.js';
+import { playPickupChime, playLaneWhoosh, playGridSweep, playMissBuzz } from '../js/game/core/sfx.js';
+
+const { song: SONG } = validateSong(JSON.parse(readFileSync(new URL('../js/game/data/songs/neon-drive.json', import.meta.url))));
+const SECONDS_PER_PATTERN = 4 * 60 / SONG.bpm;
+
+let webAudio;
+let context;
+
+/**
+ * Gets the sources started since the last check that play through the SFX bus
+ * @returns {Array} - Started oscillators and buffer sources
+ */
+function takeEffectSources() {
+  const sources = context.startedSources().filter(source => source.reaches(getSfxBus()));
+  context.nodes = [];
+  return sources;
+}
+
+before(() => {
+  webAudio = installWebAudio();
+  initAudio();
+  setSong(SONG);
+  context = webAudio.contexts[0];
+});
+
+after(() => {
+  webAudio.restore();
+});
+
+beforeEach(() => {
+  context.state = 'running';
+  context.currentTime = 0;
+  context.nodes = [];
+});
+
+afterEach(() => {
+  if (isMusicEnabled()) {
+    toggleMusic();
+  }
+  stopMusic(0);
+});
+
+test('effects stay silent while sound is switched off', () => {
+  assert.equal(isMusicEnabled(), false);
+
+  playPickupChime(0);
+  playLaneWhoosh(1);
+  playGridSweep();
+  playMissBuzz();
+
+  assert.deepEqual(takeEffectSources(), []);
+});
+
+test('effects play through their own bus, not the music\'s', () => {
+  toggleMusic();
+  context.nodes = [];
+
+  playPickupChime(0);
+  assert.equal(takeEffectSources().length, 2, 'the chime is two notes');
+  playLaneWhoosh(-1);
+  assert.equal(takeEffectSources().length, 1);
+  playGridSweep();
+  assert.equal(takeEffectSources().length, 1);
+  playMissBuzz();
+  assert.equal(takeEffectSources().length, 2);
+
+  assert.equal(setSfxVolume(2), true);
+  assert.equal(getSfxBus().gain.value, 1, 'volume is clamped');
+  setSfxVolume(0.25);
+  setMusicVolume(0.8);
+  assert.equal(getSfxBus().gain.value, 0.25, 'the music volume leaves effects alone');
+});
+
+test('effects stay silent while the game is paused', () => {
+  toggleMusic();
+  context.state = 'suspended';
+  context.nodes = [];
+
+  playPickupChime(0);
+  playLaneWhoosh(1);
+
+  assert.deepEqual(takeEffectSources(), []);
+});
+
+test('pickup chimes follow the chord the music is playing', async () => {
+  toggleMusic();
+  const chord = getCurrentChord();
+  context.nodes = [];
+
+  playPickupChime(0);
+  const frequencies = takeEffectSources().map(source => source.frequency.value);
+  assert.deepEqual(frequencies, [midiToFrequency(chord[0] + 24), midiToFrequency(chord[1] + 24)], 'two octaves above the chord');
+
+  playPickupChime(1);
+  assert.equal(takeEffectSources()[0].frequency.value, midiToFrequency(chord[1] + 24), 'a streak starts higher up the chord');
+
+  // Let the scheduler queue the next bar, then move into it
+  context.currentTime = SECONDS_PER_PATTERN - 0.05;
+  await new Promise(resolve => setTimeout(resolve, 40));
+  assert.deepEqual(getCurrentChord(), chord, 'the next chord is queued but not playing yet');
+
+  context.currentTime = SECONDS_PER_PATTERN + 0.01;
+  const nextChord = getCurrentChord();
+  assert.notDeepEqual(nextChord, chord);
+  context.nodes = [];
+
+  playPickupChime(0);
+  assert.equal(takeEffectSources()[0].frequency.value, midiToFrequency(nextChord[0] + 24));
+  playGridSweep();
+  assert.equal(takeEffectSources()[0].frequency.value, midiToFrequency(nextChord[0]));
+});
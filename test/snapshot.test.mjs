@@ -0,0 +1,63 @@
+import './helpers/setup.mjs';
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mockFetch, loadFixture } from './helpers/fetch-mock.mjs';
+import { clearGitHubCache } from '../js/game/data/githubCache.js';
+
+const SNAPSHOT_URL = '/js/game/data/snapshot.json';
+
+let fetchMock = null;
+
+afterEach(() => {
+  if (fetchMock) fetchMock.restore();
+  fetchMock = null;
+  clearGitHubCache();
+});
+
+/**
+ * Mocks a GitHub outage with the snapshot still available
+ * @returns {Promise<Object>} - The fetch mock
+ */
+async function mockOutageWithSnapshot() {
+  const outage = { status: 503, body: { message: 'Service Unavailable' } };
+  return mockFetch({
+    'https://api.github.com/users/octo-dev/repos?sort=updated&direction=desc&per_page=50': outage,
+    'https://api.github.com/users/octo-dev': outage,
+    'https://api.github.com/users/someone-else/repos?sort=updated&direction=desc&per_page=50': outage,
+    [SNAPSHOT_URL]: {
+      body: {
+        user: 'octo-dev',
+        generatedAt: '2024-05-01T00:00:00Z',
+        profile: await loadFixture('github-user.json'),
+        repos: await loadFixture('github-repos.json')
+      }
+    }
+  });
+}
+
+test('fetchGitHubRepos falls back to the snapshot when GitHub is down', async () => {
+  fetchMock = await mockOutageWithSnapshot();
+  const { fetchGitHubRepos } = await import('../js/game/data/github.js?case=outage');
+
+  const repos = await fetchGitHubRepos('octo-dev');
+
+  assert.deepEqual(repos.map(repo => repo.name), ['newest-app', 'shift-lang', 'older-tool']);
+});
+
+test('fetchGitHubProfileData falls back to the snapshot when GitHub is down', async () => {
+  fetchMock = await mockOutageWithSnapshot();
+  const { fetchGitHubProfileData } = await import('../js/game/data/profile.js?case=outage');
+
+  const profile = await fetchGitHubProfileData('octo-dev');
+
+  assert.equal(profile.name, 'Octo Dev');
+  assert.equal(profile.public_repos, 7);
+  assert.ok(profile.languages.includes('Swift'));
+});
+
+test('a snapshot for a different user is ignored', async () => {
+  fetchMock = await mockOutageWithSnapshot();
+  const { fetchGitHubRepos } = await import('../js/game/data/github.js?case=other-user');
+
+  assert.deepEqual(await fetchGitHubRepos('someone-else'), []);
+});
@@ -0,0 +1,169 @@
+import './helpers/setup.mjs';
+import { test, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { mockFetch } from './helpers/fetch-mock.mjs';
+import { installWebAudio } from './helpers/web-audio-stub.mjs';
+import { validateSong, loadSongs } from '../js/game/data/songs.js';
+import { initAudio, toggleMusic, stopMusic, setSong, getSong, midiToFrequency } from '../js/game/core/audio.js';
+import { initTrackSelector, nextTrack, getCurrentTrack } from '../js/game/ui/trackSelector.js';
+import { SONG_URLS, SONG_STORAGE_KEY } from '../js/game/core/constants.js';
+
+const BUILT_IN_SONGS = SONG_URLS.map(url => JSON.parse(readFileSync(new URL(`..${url}`, import.meta.url))));
+
+/**
+ * Builds a valid song with a single one-chord bar
+ * @param {Object} tracks - The song's tracks
+ * @returns {Object} - Song JSON
+ */
+function songWith(tracks) {
+  return { name: 'Test Tune', bpm: 120, key: 'A minor', chords: [[45, 48, 52]], tracks };
+}
+
+let webAudio;
+let context;
+let fetchMock = null;
+
+before(() => {
+  webAudio = installWebAudio();
+  initAudio();
+  context = webAudio.contexts[0];
+});
+
+after(() => {
+  webAudio.restore();
+});
+
+afterEach(() => {
+  stopMusic(0);
+  if (fetchMock) fetchMock.restore();
+  fetchMock = null;
+  localStorage.clear();
+});
+
+test('the built-in songs are valid', () => {
+  assert.ok(BUILT_IN_SONGS.length >= 3);
+  BUILT_IN_SONGS.forEach(data => {
+    assert.deepEqual(validateSong(data).errors, [], data.name);
+  });
+});
+
+test('tracks and voices fall back to the original sound', () => {
+  const { song, errors } = validateSong(songWith({ arp: { patterns: [[0, 1, 2]] } }));
+
+  assert.deepEqual(errors, []);
+  assert.equal(song.tracks.arp.pitch, 'chord');
+  assert.equal(song.tracks.arp.division, 2);
+  assert.equal(song.tracks.arp.voice.wave, 'square');
+  assert.equal(song.tracks.bass, undefined, 'missing tracks stay silent');
+});
+
+test('broken songs are rejected with what is wrong', () => {
+  assert.deepEqual(validateSong(null).errors, ['Song must be a JSON object']);
+
+  const { song, errors } = validateSong({
+    ...songWith({
+      arp: { patterns: [[0, 3]] },
+      melody: { division: 4, patterns: [new Array(17).fill(0)] },
+      kick: { patterns: [[1, 2]], voice: { gain: 0.5, pitch: 3 } },
+      cowbell: { patterns: [[1]] }
+    }),
+    bpm: 999
+  });
+
+  assert.equal(song, null);
+  assert.deepEqual(errors, [
+    '"bpm" must be a number from 40 to 240',
+    '"tracks.arp.patterns[0]" must be a list of chord notes or null',
+    '"tracks.melody.patterns[0]" is longer than a bar',
+    '"tracks.kick.patterns[0]" must be a list of hit levels from 0 to 1',
+    '"tracks.kick.voice.pitch" is not a setting for this track',
+    'Unknown track "cowbell"'
+  ]);
+});
+
+test('notes that transpose or build past the MIDI range are rejected', () => {
+  const tooHigh = validateSong(songWith({ bass: { pitch: 'midi', transpose: 24, patterns: [[120]] } }));
+  assert.deepEqual(tooHigh.errors, ['"tracks.bass.patterns[0]" plays notes outside the MIDI range (0 to 127)']);
+
+  const overHighChord = validateSong({
+    ...songWith({ melody: { pitch: 'root', patterns: [[0, 48]] } }),
+    chords: [[45, 48, 52], [96, 100, 103]]
+  });
+  assert.deepEqual(overHighChord.errors, ['"tracks.melody.patterns[0]" plays notes outside the MIDI range (0 to 127)']);
+
+  const tooLow = validateSong(songWith({ arp: { pitch: 'chord', transpose: -48, patterns: [[0]] } }));
+  assert.equal(tooLow.errors.length, 1);
+
+  assert.deepEqual(validateSong(songWith({ bass: { pitch: 'midi', transpose: 7, patterns: [[120]] } })).errors, []);
+});
+
+test('loadSongs keeps the songs that load, in order', async () => {
+  fetchMock = mockFetch({
+    '/songs/one.json': { body: songWith({}) },
+    '/songs/broken.json': { body: { ...songWith({}), key: 'H minor' } },
+    '/songs/three.json': { body: { ...songWith({}), name: 'Three' } }
+  });
+
+  const songs = await loadSongs(['/songs/one.json', '/songs/missing.json', '/songs/broken.json', '/songs/three.json']);
+
+  assert.deepEqual(songs.map(song => song.name), ['Test Tune', 'Three']);
+});
+
+test('the sequencer plays each track\'s steps from the song', () => {
+  const { song } = validateSong(songWith({
+    bass: { pitch: 'midi', division: 1, patterns: [[45, null, 47]], voice: { wave: 'triangle' } },
+    arp: { pitch: 'chord', transpose: 12, patterns: [[2]] },
+    melody: { pitch: 'root', patterns: [[7]], voice: { detune: 0 } },
+    kick: { division: 1, patterns: [[1, 0, 0.5, 0]] }
+  }));
+  setSong(song);
+  context.nodes = [];
+
+  toggleMusic();
+  const sources = context.startedSources();
+  const notes = sources.filter(source => source.frequency && source.frequency.events.length === 0);
+  const kicks = sources.filter(source => source.frequency && source.frequency.events.length > 0);
+
+  assert.deepEqual(
+    notes.map(source => [source.type, source.frequency.value, source.started]),
+    [
+      ['triangle', midiToFrequency(45), 0],
+      ['triangle', midiToFrequency(47), 1],
+      ['square', midiToFrequency(64), 0],
+      ['square', midiToFrequency(52), 0]
+    ]
+  );
+  assert.deepEqual(kicks.map(source => source.started), [0, 1]);
+  assert.deepEqual(kicks.map(source => source.outputs[0].gain.events[0][1]), [0.8, 0.4], 'hit levels scale the kick');
+
+  toggleMusic();
+});
+
+test('the track selector cycles songs, remembers the pick and restarts the music', async () => {
+  const songs = BUILT_IN_SONGS.map(data => validateSong(data).song);
+  localStorage.setItem(SONG_STORAGE_KEY, songs[1].name);
+
+  assert.equal(initTrackSelector(songs), songs[1]);
+  assert.equal(getSong(), songs[1]);
+
+  toggleMusic();
+  context.currentTime = 3;
+  context.nodes = [];
+
+  assert.equal(nextTrack(), songs[2]);
+  assert.equal(getSong(), songs[2]);
+  assert.equal(localStorage.getItem(SONG_STORAGE_KEY), songs[2].name);
+
+  // The new song starts from its first bar once the old notes fade
+  context.currentTime = 3.05;
+  await new Promise(resolve => setTimeout(resolve, 40));
+  const firstBar = context.startedSources();
+  assert.ok(firstBar.length > 0);
+  assert.equal(Math.min(...firstBar.map(source => source.started)), 3.1);
+
+  nextTrack();
+  assert.equal(getCurrentTrack(), songs[0], 'wraps around after the last song');
+
+  toggleMusic();
+});
@@ -0,0 +1,72 @@
+import './helpers/setup.mjs';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  loadTiltSettings,
+  getTiltSettings,
+  setTiltMode,
+  setTiltSensitivity,
+  recordTiltReading,
+  calibrateTilt,
+  getTiltOffset,
+  getTiltSteerX
+} from '../js/game/engine/tiltSteering.js';
+import {
+  LANES,
+  DEFAULT_TILT_SETTINGS,
+  TILT_SETTINGS_STORAGE_KEY,
+  TILT_FULL_LOCK_ANGLE,
+  TILT_ANALOG_DEADZONE,
+  TILT_SENSITIVITY_RANGE
+} from '../js/game/core/constants.js';
+
+beforeEach(() => {
+  localStorage.clear();
+  loadTiltSettings();
+  recordTiltReading(null);
+});
+
+test('analog steering maps tilt to a position between the outer lanes', () => {
+  assert.equal(getTiltSteerX(0), 0);
+  assert.equal(getTiltSteerX(TILT_ANALOG_DEADZONE / 2), 0, 'small wobbles hold the center');
+  assert.equal(getTiltSteerX(TILT_FULL_LOCK_ANGLE), LANES[LANES.length - 1]);
+  assert.equal(getTiltSteerX(-TILT_FULL_LOCK_ANGLE), LANES[0]);
+  assert.equal(getTiltSteerX(80), LANES[LANES.length - 1], 'tilting further stays on the track');
+
+  const halfway = getTiltSteerX((TILT_FULL_LOCK_ANGLE + TILT_ANALOG_DEADZONE) / 2);
+  assert.equal(halfway, LANES[LANES.length - 1] / 2);
+});
+
+test('sensitivity scales the tilt', () => {
+  setTiltSensitivity(2);
+
+  assert.equal(getTiltOffset(10), 20);
+  assert.equal(getTiltSteerX(TILT_FULL_LOCK_ANGLE / 2), LANES[LANES.length - 1]);
+
+  setTiltSensitivity(100);
+  assert.equal(getTiltSettings().sensitivity, TILT_SENSITIVITY_RANGE.max);
+});
+
+test('calibrating makes the current angle straight ahead', () => {
+  assert.equal(calibrateTilt(), false, 'nothing to calibrate with before the first reading');
+
+  recordTiltReading(15);
+  assert.equal(calibrateTilt(), true);
+
+  assert.equal(getTiltSettings().neutral, 15);
+  assert.equal(getTiltOffset(15), 0);
+  assert.equal(getTiltSteerX(15), 0);
+  assert.ok(getTiltSteerX(5) < 0, 'tilting back past neutral steers left');
+});
+
+test('tilt settings persist and broken values fall back to the defaults', () => {
+  setTiltMode('analog');
+  recordTiltReading(-8);
+  calibrateTilt();
+
+  assert.deepEqual(loadTiltSettings(), { mode: 'analog', neutral: -8, sensitivity: 1 });
+
+  localStorage.setItem(TILT_SETTINGS_STORAGE_KEY, JSON.stringify({ mode: 'wild', neutral: 'x', sensitivity: 0.1 }));
+  assert.deepEqual(loadTiltSettings(), { ...DEFAULT_TILT_SETTINGS, sensitivity: TILT_SENSITIVITY_RANGE.min });
+  assert.throws(() => setTiltMode('wild'), /Unknown tilt mode/);
+});